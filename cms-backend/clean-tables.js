@@ -13,6 +13,12 @@ async function cleanTables() {
     logIt('Database URL: ' + (process.env.TURSO_DATABASE_URL ? 'Set' : 'NOT SET'));
 
     const tablesToClean = [
+        'invoice_receipts',
+        'invoice_freights',
+        'invoices',
+        'driver_ledger',
+        'payment_items',
+        'driver_advances',
         'payments',
         'comprovantes_descarga',
         'comprovantes_abastecimento',
@@ -59,354 +59,80 @@ async function exec(sql) {
 }
 
 /**
- * Initialize database tables
+ * Build query helpers bound to an open libsql transaction
+ * Same shape as this module's execute/query/queryOne, so models can take either one
+ * @param {Object} tx - libsql transaction
+ * @returns {Object} - { execute, query, queryOne, exec }
  */
-async function initDatabase() {
-    // Create tables
-    await exec(`
-        CREATE TABLE IF NOT EXISTS drivers (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL,
-            plate TEXT,
-            price_per_km_ton REAL NOT NULL,
-            client TEXT,
-            active INTEGER DEFAULT 1,
-            password TEXT,
-            phone TEXT,
-            cpf TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS freights (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            date DATE NOT NULL,
-            km REAL NOT NULL,
-            tons REAL NOT NULL,
-            total_value REAL NOT NULL,
-            client TEXT,
-            comprovante_carga TEXT,
-            comprovante_descarga TEXT,
-            comprovante_recebimento TEXT,
-            price_per_km_ton REAL,
-            price_per_km_ton_transportadora REAL,
-            total_value_transportadora REAL,
-            status TEXT DEFAULT 'complete',
-            paid INTEGER DEFAULT 0,
-            client_paid INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS abastecimentos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            date DATE NOT NULL,
-            quantity REAL NOT NULL,
-            price_per_liter REAL NOT NULL,
-            total_value REAL NOT NULL,
-            client TEXT,
-            comprovante_abastecimento TEXT,
-            status TEXT DEFAULT 'complete',
-            paid INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS admins (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            username TEXT NOT NULL UNIQUE,
-            password TEXT NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS clients (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL UNIQUE,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS outros_insumos (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            date DATE NOT NULL,
-            quantity REAL NOT NULL,
-            description TEXT,
-            unit_price REAL NOT NULL,
-            total_value REAL NOT NULL,
-            comprovante TEXT,
-            paid INTEGER DEFAULT 0,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS comprovantes_descarga (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            file_path TEXT NOT NULL,
-            date DATE NOT NULL,
-            assigned_freight_id INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id),
-            FOREIGN KEY (assigned_freight_id) REFERENCES freights(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS comprovantes_abastecimento (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            file_path TEXT NOT NULL,
-            date DATE NOT NULL,
-            assigned_abastecimento_id INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id),
-            FOREIGN KEY (assigned_abastecimento_id) REFERENCES abastecimentos(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS comprovantes_carga (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            file_path TEXT NOT NULL,
-            date DATE NOT NULL,
-            assigned_freight_id INTEGER,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id),
-            FOREIGN KEY (assigned_freight_id) REFERENCES freights(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS payments (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            date_range TEXT NOT NULL,
-            total_value REAL NOT NULL,
-            comprovante_path TEXT,
-            freight_ids TEXT NOT NULL,
-            abastecimento_ids TEXT,
-            outros_insumo_ids TEXT,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id)
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS abastecedores (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL,
-            cpf TEXT NOT NULL UNIQUE,
-            password TEXT,
-            phone TEXT,
-            active INTEGER DEFAULT 1,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    await exec(`
-        CREATE TABLE IF NOT EXISTS clientes (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            empresa TEXT NOT NULL,
-            name TEXT NOT NULL,
-            cpf TEXT NOT NULL UNIQUE,
-            password TEXT,
-            phone TEXT,
-            active INTEGER DEFAULT 1,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    // Add empresa column to clientes if it doesn't exist (migration)
-    try {
-        await exec(`ALTER TABLE clientes ADD COLUMN empresa TEXT`);
-        console.log('Added empresa column to clientes');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add cpf column to clientes if it doesn't exist (migration from cnpj to cpf)
-    try {
-        await exec(`ALTER TABLE clientes ADD COLUMN cpf TEXT`);
-        console.log('Added cpf column to clientes');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add cnpj column to clientes if it doesn't exist
-    try {
-        await exec(`ALTER TABLE clientes ADD COLUMN cnpj TEXT`);
-        console.log('Added cnpj column to clientes');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add paid column to abastecimentos if it doesn't exist
-    try {
-        await exec(`ALTER TABLE abastecimentos ADD COLUMN paid INTEGER DEFAULT 0`);
-        console.log('Added paid column to abastecimentos');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add client column to abastecimentos if it doesn't exist
-    try {
-        await exec(`ALTER TABLE abastecimentos ADD COLUMN client TEXT`);
-        console.log('Added client column to abastecimentos');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add paid column to outros_insumos if it doesn't exist
-    try {
-        await exec(`ALTER TABLE outros_insumos ADD COLUMN paid INTEGER DEFAULT 0`);
-        console.log('Added paid column to outros_insumos');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add comprovante column to outros_insumos if it doesn't exist
-    try {
-        await exec(`ALTER TABLE outros_insumos ADD COLUMN comprovante TEXT`);
-        console.log('Added comprovante column to outros_insumos');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add plate column to outros_insumos for tracking which vehicle the expense was for
-    try {
-        await exec(`ALTER TABLE outros_insumos ADD COLUMN plate TEXT`);
-        console.log('Added plate column to outros_insumos');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add transportadora fields to freights if they don't exist
-    try {
-        await exec(`ALTER TABLE freights ADD COLUMN price_per_km_ton_transportadora REAL`);
-        console.log('Added price_per_km_ton_transportadora column to freights');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    try {
-        await exec(`ALTER TABLE freights ADD COLUMN total_value_transportadora REAL`);
-        console.log('Added total_value_transportadora column to freights');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    try {
-        await exec(`ALTER TABLE freights ADD COLUMN comprovante_recebimento TEXT`);
-        console.log('Added comprovante_recebimento column to freights');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add abastecimento_ids and outros_insumo_ids to payments if they don't exist
-    try {
-        await exec(`ALTER TABLE payments ADD COLUMN abastecimento_ids TEXT`);
-        console.log('Added abastecimento_ids column to payments');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    try {
-        await exec(`ALTER TABLE payments ADD COLUMN outros_insumo_ids TEXT`);
-        console.log('Added outros_insumo_ids column to payments');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add authenticated column to drivers if it doesn't exist
-    try {
-        await exec(`ALTER TABLE drivers ADD COLUMN authenticated INTEGER DEFAULT 0`);
-        console.log('Added authenticated column to drivers');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add plates column to drivers for storing additional plates as JSON array
-    try {
-        await exec(`ALTER TABLE drivers ADD COLUMN plates TEXT`);
-        console.log('Added plates column to drivers');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add plate column to freights for tracking which truck transported the cargo
-    try {
-        await exec(`ALTER TABLE freights ADD COLUMN plate TEXT`);
-        console.log('Added plate column to freights');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add plate column to abastecimentos for tracking which vehicle was refueled
-    try {
-        await exec(`ALTER TABLE abastecimentos ADD COLUMN plate TEXT`);
-        console.log('Added plate column to abastecimentos');
-    } catch (e) {
-        // Column already exists, ignore
-    }
-
-    // Add documento_frete column to freights for storing PDF documents
-    try {
-        await exec(`ALTER TABLE freights ADD COLUMN documento_frete TEXT`);
-        console.log('Added documento_frete column to freights');
-    } catch (e) {
-        // Column already exists, ignore
-    }
+function bindTransaction(tx) {
+    return {
+        async execute(sql, params = []) {
+            const result = await tx.execute({ sql, args: params });
+            return {
+                changes: result.rowsAffected,
+                lastInsertRowid: result.lastInsertRowid
+            };
+        },
+
+        async query(sql, params = []) {
+            const result = await tx.execute({ sql, args: params });
+            return result.rows;
+        },
+
+        async queryOne(sql, params = []) {
+            const result = await tx.execute({ sql, args: params });
+            return result.rows.length > 0 ? result.rows[0] : null;
+        },
+
+        async exec(sql) {
+            const statements = sql.split(';').filter(s => s.trim());
+            for (const stmt of statements) {
+                await tx.execute(stmt.trim());
+            }
+        }
+    };
+}
 
-    // Add password_reset_requested column to drivers for tracking reset requests
-    try {
-        await exec(`ALTER TABLE drivers ADD COLUMN password_reset_requested INTEGER DEFAULT 0`);
-        console.log('Added password_reset_requested column to drivers');
-    } catch (e) {
-        // Column already exists, ignore
+/**
+ * Run several statements as one all-or-nothing unit
+ * Commits when fn resolves, rolls back when it throws
+ * @param {Function} fn - async (tx) => result, where tx has execute/query/queryOne/exec
+ * @returns {*} - Whatever fn returns
+ */
+async function transaction(fn) {
+    const tx = await client.transaction('write');
+    try {
+        const result = await fn(bindTransaction(tx));
+        await tx.commit();
+        return result;
+    } catch (error) {
+        await tx.rollback();
+        throw error;
+    } finally {
+        tx.close();
     }
+}
 
-    // Create driver_locations table for live tracking
-    await exec(`
-        CREATE TABLE IF NOT EXISTS driver_locations (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            driver_id INTEGER NOT NULL,
-            freight_id INTEGER,
-            latitude REAL NOT NULL,
-            longitude REAL NOT NULL,
-            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            FOREIGN KEY (driver_id) REFERENCES drivers(id),
-            FOREIGN KEY (freight_id) REFERENCES freights(id)
-        )
-    `);
+/**
+ * Initialize database
+ * Refuses to start when schema migrations are pending - run `npm run migrate up` first
+ */
+async function initDatabase() {
+    // Required lazily: the migrator depends on this module's client
+    const { getPendingMigrations } = require('./migrator');
 
-    // Add tracking_enabled column to freights for live tracking
-    try {
-        await exec(`ALTER TABLE freights ADD COLUMN tracking_enabled INTEGER DEFAULT 0`);
-        console.log('Added tracking_enabled column to freights');
-    } catch (e) {
-        // Column already exists, ignore
+    const pending = await getPendingMigrations();
+    if (pending.length > 0) {
+        const files = pending.map(m => m.file).join(', ');
+        throw new Error(`Database has ${pending.length} pending migration(s): ${files}. Run "npm run migrate up" before starting the server.`);
     }
 
     // Create default admin if not exists
     const adminExists = await queryOne('SELECT id FROM admins WHERE username = ?', ['admin']);
     if (!adminExists) {
         const hashedPassword = bcrypt.hashSync('admin123', 10);
-        await execute('INSERT INTO admins (username, password) VALUES (?, ?)', ['admin', hashedPassword]);
-        console.log('Default admin created: admin / admin123');
+        await execute('INSERT INTO admins (username, password, role, must_change_password) VALUES (?, ?, ?, 1)', ['admin', hashedPassword, 'owner']);
+        console.log('Default admin created: admin / admin123 (password change required on first login)');
     }
 
     console.log('Database initialized successfully');
@@ -418,5 +144,7 @@ module.exports = {
     query,
     queryOne,
     exec,
+    transaction,
+    bindTransaction,
     initDatabase
 };
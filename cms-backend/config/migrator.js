@@ -0,0 +1,227 @@
+/**
+ * Schema migration runner
+ *
+ * Migrations live in /migrations as numbered files (e.g. 004-payment-items.js)
+ * exporting `up(db)` and, when reversible, `down(db)`. Applied versions are
+ * recorded in the schema_migrations table. Each migration runs inside a write
+ * transaction, so a failure leaves the schema exactly as it was.
+ */
+const fs = require('fs');
+const path = require('path');
+const { client, bindTransaction } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)-([\w-]+)\.js$/;
+
+/**
+ * Transaction helpers plus schema introspection for migrations
+ * @param {Object} tx - libsql transaction
+ * @returns {Object} - { execute, query, queryOne, exec, hasTable, hasColumn, addColumnIfMissing }
+ */
+function migrationHandle(tx) {
+    const db = {
+        ...bindTransaction(tx),
+
+        async hasTable(table) {
+            const row = await db.queryOne(
+                `SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`,
+                [table]
+            );
+            return !!row;
+        },
+
+        async hasColumn(table, column) {
+            const columns = await db.query(`PRAGMA table_info(${table})`);
+            return columns.some(c => c.name === column);
+        },
+
+        /**
+         * Add a column only when it is missing.
+         * Checks the schema instead of swallowing errors, so real failures still surface.
+         * @returns {boolean} - True if the column was added
+         */
+        async addColumnIfMissing(table, column, definition) {
+            if (await db.hasColumn(table, column)) return false;
+            await tx.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            return true;
+        }
+    };
+    return db;
+}
+
+/**
+ * Create the schema_migrations bookkeeping table
+ */
+async function ensureMigrationsTable() {
+    await client.execute(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+/**
+ * Load migration definitions from disk, sorted by version
+ * @returns {Array} - [{ version, name, file, up, down, foreignKeys }]
+ */
+function loadMigrations() {
+    const migrations = fs.readdirSync(MIGRATIONS_DIR)
+        .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => {
+            const definition = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof definition.up !== 'function') {
+                throw new Error(`Migration ${file} does not export an up() function`);
+            }
+            return {
+                version: parseInt(match[1], 10),
+                name: match[2],
+                file,
+                up: definition.up,
+                down: definition.down,
+                foreignKeys: definition.foreignKeys !== false
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file} and ${migrations[i].file}`);
+        }
+    }
+
+    return migrations;
+}
+
+/**
+ * Get applied migration rows
+ * @returns {Array} - [{ version, name, applied_at }]
+ */
+async function getAppliedMigrations() {
+    await ensureMigrationsTable();
+    const result = await client.execute('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+/**
+ * Get the state of every known migration
+ * @returns {Array} - [{ version, name, file, applied, applied_at }]
+ */
+async function getStatus() {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations();
+    const appliedByVersion = new Map(applied.map(row => [Number(row.version), row]));
+
+    return migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        file: m.file,
+        applied: appliedByVersion.has(m.version),
+        applied_at: appliedByVersion.has(m.version) ? appliedByVersion.get(m.version).applied_at : null
+    }));
+}
+
+/**
+ * Get migrations that have not been applied yet
+ * @returns {Array} - Pending migration definitions
+ */
+async function getPendingMigrations() {
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations();
+    const appliedVersions = new Set(applied.map(row => Number(row.version)));
+    return migrations.filter(m => !appliedVersions.has(m.version));
+}
+
+/**
+ * Run one migration step inside a write transaction
+ * @param {Object} migration - Migration definition
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runStep(migration, direction) {
+    // Table rebuilds need foreign key enforcement off, and the pragma is a no-op inside a transaction
+    if (!migration.foreignKeys) {
+        await client.execute('PRAGMA foreign_keys = OFF');
+    }
+
+    const tx = await client.transaction('write');
+    try {
+        const db = migrationHandle(tx);
+        if (direction === 'up') {
+            await migration.up(db);
+            await db.execute('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+        } else {
+            await migration.down(db);
+            await db.execute('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+        }
+        await tx.commit();
+    } catch (error) {
+        await tx.rollback();
+        throw error;
+    } finally {
+        tx.close();
+        if (!migration.foreignKeys) {
+            await client.execute('PRAGMA foreign_keys = ON');
+        }
+    }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} options - { to } optional target version (inclusive)
+ * @returns {Array} - Applied migrations
+ */
+async function migrateUp(options = {}) {
+    const pending = await getPendingMigrations();
+    const toApply = options.to !== undefined
+        ? pending.filter(m => m.version <= options.to)
+        : pending;
+
+    for (const migration of toApply) {
+        console.log(`Applying migration ${migration.file}...`);
+        await runStep(migration, 'up');
+    }
+
+    return toApply;
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @param {Object} options - { steps } number of migrations to revert (default 1)
+ * @returns {Array} - Reverted migrations
+ */
+async function migrateDown(options = {}) {
+    const steps = options.steps || 1;
+    const migrations = loadMigrations();
+    const applied = await getAppliedMigrations();
+    const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+    const toRevert = applied
+        .map(row => Number(row.version))
+        .sort((a, b) => b - a)
+        .slice(0, steps);
+
+    const reverted = [];
+    for (const version of toRevert) {
+        const migration = byVersion.get(version);
+        if (!migration) {
+            throw new Error(`Applied migration ${version} has no matching file in migrations/`);
+        }
+        if (typeof migration.down !== 'function') {
+            throw new Error(`Migration ${migration.file} is irreversible`);
+        }
+        console.log(`Reverting migration ${migration.file}...`);
+        await runStep(migration, 'down');
+        reverted.push(migration);
+    }
+
+    return reverted;
+}
+
+module.exports = {
+    getStatus,
+    getPendingMigrations,
+    migrateUp,
+    migrateDown
+};
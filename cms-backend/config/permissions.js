@@ -0,0 +1,91 @@
+/**
+ * Admin roles and permissions
+ *
+ * Permissions are "<area>:<action>". read covers listing, viewing and
+ * exporting; write covers creating, editing and deleting. users:* covers
+ * drivers, abastecedores, clientes and client companies.
+ * margins:read shows freight rates (price_per_km_ton, transportadora rate and
+ * value); without it those fields are removed from every admin response.
+ */
+
+const PERMISSIONS = [
+    'users:read',
+    'users:write',
+    'freights:read',
+    'freights:write',
+    'sites:read',
+    'sites:write',
+    'abastecimentos:read',
+    'abastecimentos:write',
+    'outrosinsumos:read',
+    'outrosinsumos:write',
+    'payments:read',
+    'payments:create',
+    'payments:delete',
+    'advances:read',
+    'advances:write',
+    'ledger:read',
+    'ledger:write',
+    'invoices:read',
+    'invoices:write',
+    'extratos:read',
+    'imports:create',
+    'margins:read',
+    'audit:read',
+    'admins:manage'
+];
+
+const READ_PERMISSIONS = PERMISSIONS.filter(p => p.endsWith(':read'));
+
+const ROLES = {
+    owner: {
+        label: 'Administrador',
+        permissions: PERMISSIONS
+    },
+    finance: {
+        label: 'Financeiro',
+        permissions: [
+            ...READ_PERMISSIONS,
+            'payments:create',
+            'payments:delete',
+            'advances:write',
+            'ledger:write',
+            'invoices:write'
+        ]
+    },
+    operations: {
+        label: 'Operações',
+        permissions: [
+            'users:read',
+            'users:write',
+            'freights:read',
+            'freights:write',
+            'sites:read',
+            'sites:write',
+            'abastecimentos:read',
+            'abastecimentos:write',
+            'outrosinsumos:read',
+            'outrosinsumos:write',
+            'imports:create'
+        ]
+    },
+    auditor: {
+        label: 'Auditor',
+        permissions: READ_PERMISSIONS
+    }
+};
+
+// Response fields only visible with margins:read
+const MARGIN_FIELDS = ['price_per_km_ton', 'price_per_km_ton_transportadora', 'total_value_transportadora'];
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role - Role key
+ * @param {string} permission - e.g. 'payments:create'
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return !!ROLES[role] && ROLES[role].permissions.includes(permission);
+}
+
+module.exports = { PERMISSIONS, ROLES, MARGIN_FIELDS, hasPermission };
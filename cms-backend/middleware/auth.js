@@ -1,30 +1,68 @@
 /**
  * JWT Authentication middleware
+ *
+ * Access tokens are short-lived JWTs tied to a server-side session (sid);
+ * see models/session.js for the refresh tokens that renew them.
  */
 const jwt = require('jsonwebtoken');
+const Session = require('../models/session');
+const Admin = require('../models/admin');
+const Driver = require('../models/driver');
+const Abastecedor = require('../models/abastecedor');
+const Cliente = require('../models/cliente');
+const { hasPermission, MARGIN_FIELDS } = require('../config/permissions');
+const { runAsActor } = require('../utils/requestContext');
 
-// JWT secret key - in production, use environment variable
+// JWT secret key - required in production, the fallback is for local development only
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET must be set in production');
+}
 const JWT_SECRET = process.env.JWT_SECRET || 'cms-jwt-secret-change-in-production';
-const JWT_EXPIRES_IN = '24h';
+const ACCESS_TOKEN_EXPIRES_IN = 15 * 60; // seconds
+
+// Accounts that can be deactivated; their tokens stop working immediately
+const ACCOUNT_MODELS = {
+    admin: Admin,
+    driver: Driver,
+    abastecedor: Abastecedor,
+    cliente: Cliente
+};
 
 /**
- * Generate JWT token
- * @param {Object} payload - Token payload
- * @param {string} type - 'admin' or 'driver'
+ * Generate an access token
+ * @param {Object} payload - Token payload (must include id and sid)
+ * @param {string} type - 'admin', 'driver', 'abastecedor' or 'cliente'
  * @returns {string} - JWT token
  */
 function generateToken(payload, type) {
-    return jwt.sign({ ...payload, type }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    return jwt.sign({ ...payload, type }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+}
+
+/**
+ * Open a session and issue its token pair (login)
+ * @param {Object} payload - Token payload (must include id)
+ * @param {string} type - User type
+ * @param {Object} req - Express request (for the User-Agent)
+ * @returns {Object} - {token, refresh_token, expires_in}
+ */
+async function createSession(payload, type, req) {
+    const { session, refreshToken } = await Session.create(type, payload.id, req.headers['user-agent']);
+    return {
+        token: generateToken({ ...payload, sid: session.id }, type),
+        refresh_token: refreshToken,
+        expires_in: ACCESS_TOKEN_EXPIRES_IN
+    };
 }
 
 /**
  * Verify and decode JWT token
  * @param {string} token - JWT token
+ * @param {Object} options - jsonwebtoken verify options (e.g. ignoreExpiration)
  * @returns {Object|null} - Decoded payload or null if invalid
  */
-function verifyToken(token) {
+function verifyToken(token, options = {}) {
     try {
-        return jwt.verify(token, JWT_SECRET);
+        return jwt.verify(token, JWT_SECRET, options);
     } catch (error) {
         return null;
     }
@@ -44,103 +82,188 @@ function extractToken(req) {
 }
 
 /**
- * Requires admin authentication
+ * Load the account behind a token
+ * @param {string} type - User type
+ * @param {number} id - User ID
+ * @returns {Object|null} - Account row, or null if missing or deactivated
  */
-function requireAdmin(req, res, next) {
-    const token = extractToken(req);
-    if (!token) {
-        return res.status(401).json({ error: 'Authorization token required' });
-    }
+async function findActiveAccount(type, id) {
+    const Model = ACCOUNT_MODELS[type];
+    if (!Model) return null;
 
-    const decoded = verifyToken(token);
-    if (!decoded || decoded.type !== 'admin') {
-        return res.status(401).json({ error: 'Admin authentication required' });
-    }
+    const account = await Model.findById(id);
+    return account && account.active ? account : null;
+}
 
-    req.admin = decoded;
-    next();
+/**
+ * Whether the account behind a token can still be used
+ * @param {string} type - User type
+ * @param {number} id - User ID
+ * @returns {boolean}
+ */
+async function isAccountActive(type, id) {
+    return !!(await findActiveAccount(type, id));
 }
 
 /**
- * Requires driver authentication
+ * Check the request's token: signature, type, open session and active account
+ * @param {Object} req - Express request
+ * @param {string|null} type - Required user type (null for any)
+ * @param {string} typeError - Message when the token is of another type
+ * @returns {Object} - {decoded} or {error}
  */
-function requireDriver(req, res, next) {
+async function authenticate(req, type, typeError) {
     const token = extractToken(req);
     if (!token) {
-        return res.status(401).json({ error: 'Authorization token required' });
+        return { error: 'Authorization token required' };
     }
 
     const decoded = verifyToken(token);
-    if (!decoded || decoded.type !== 'driver') {
-        return res.status(401).json({ error: 'Driver authentication required' });
+    if (!decoded) {
+        return { error: 'Invalid or expired token' };
+    }
+    if (type && decoded.type !== type) {
+        return { error: typeError };
+    }
+
+    if (!decoded.sid || !(await Session.isActive(decoded.sid, decoded.type, decoded.id))) {
+        return { error: 'Session ended, please log in again' };
+    }
+    const account = await findActiveAccount(decoded.type, decoded.id);
+    if (!account) {
+        return { error: 'Account is inactive' };
+    }
+
+    // Role changes apply immediately, not on the next login
+    if (decoded.type === 'admin') {
+        decoded.role = account.role;
+        decoded.must_change_password = !!account.must_change_password;
     }
 
-    req.driver = decoded;
-    next();
+    return { decoded };
 }
 
 /**
- * Requires abastecedor authentication
+ * Build a middleware requiring a token of one type, stored on req[key]
+ * @param {string|null} type - User type (null for any)
+ * @param {string} key - Request property for the decoded token
+ * @param {string} typeError - Message when the token is of another type
+ * @returns {Function} - Express middleware
  */
-function requireAbastecedor(req, res, next) {
-    const token = extractToken(req);
-    if (!token) {
-        return res.status(401).json({ error: 'Authorization token required' });
-    }
+function requireType(type, key, typeError) {
+    return async (req, res, next) => {
+        try {
+            const { decoded, error } = await authenticate(req, type, typeError);
+            if (error) {
+                return res.status(401).json({ error });
+            }
 
-    const decoded = verifyToken(token);
-    if (!decoded || decoded.type !== 'abastecedor') {
-        return res.status(401).json({ error: 'Abastecedor authentication required' });
-    }
+            req[key] = decoded;
+            runAsActor(req, { type: decoded.type, id: decoded.id, name: decoded.username || decoded.name }, next);
+        } catch (error) {
+            console.error('Authentication error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
 
-    req.abastecedor = decoded;
-    next();
+/**
+ * Remove fields from everything sent with res.json (recursively)
+ * @param {Object} res - Express response
+ * @param {Array} fields - Field names to drop
+ */
+function hideFields(res, fields) {
+    const strip = value => {
+        if (Array.isArray(value)) return value.map(strip);
+        if (value && typeof value === 'object' && !(value instanceof Date)) {
+            return Object.fromEntries(Object.entries(value)
+                .filter(([key]) => !fields.includes(key))
+                .map(([key, v]) => [key, strip(v)]));
+        }
+        return value;
+    };
+
+    const json = res.json.bind(res);
+    res.json = body => json(strip(body));
 }
 
+const authenticateAdmin = requireType('admin', 'admin', 'Admin authentication required');
+
 /**
- * Requires any authenticated user (admin or driver)
+ * Requires admin authentication (any role). Admins who must change their
+ * password are held at 403 until they do; admins without margins:read get
+ * responses without freight rates.
  */
-function requireAuth(req, res, next) {
-    const token = extractToken(req);
-    if (!token) {
-        return res.status(401).json({ error: 'Authorization token required' });
-    }
+function requireAdmin(req, res, next) {
+    authenticateAdmin(req, res, () => {
+        if (req.admin.must_change_password) {
+            return res.status(403).json({ error: 'Password change required', password_change_required: true });
+        }
+        if (!hasPermission(req.admin.role, 'margins:read')) {
+            hideFields(res, MARGIN_FIELDS);
+        }
+        next();
+    });
+}
 
-    const decoded = verifyToken(token);
-    if (!decoded) {
-        return res.status(401).json({ error: 'Invalid or expired token' });
-    }
+/**
+ * Requires the logged-in admin's role to grant a permission.
+ * Use after requireAdmin.
+ * @param {string} permission - e.g. 'payments:create'
+ * @returns {Function} - Express middleware
+ */
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.admin || !hasPermission(req.admin.role, permission)) {
+            return res.status(403).json({ error: 'Permission denied', permission });
+        }
+        next();
+    };
+}
 
-    req.user = decoded;
-    next();
+/**
+ * Whether the logged-in admin may see freight rates
+ * @param {Object} req - Express request (after requireAdmin)
+ * @returns {boolean}
+ */
+function canSeeMargins(req) {
+    return !!req.admin && hasPermission(req.admin.role, 'margins:read');
 }
 
 /**
- * Requires cliente authentication
+ * Requires driver authentication (active drivers only)
  */
-function requireCliente(req, res, next) {
-    const token = extractToken(req);
-    if (!token) {
-        return res.status(401).json({ error: 'Authorization token required' });
-    }
+const requireDriver = requireType('driver', 'driver', 'Driver authentication required');
 
-    const decoded = verifyToken(token);
-    if (!decoded || decoded.type !== 'cliente') {
-        return res.status(401).json({ error: 'Cliente authentication required' });
-    }
+/**
+ * Requires abastecedor authentication (active abastecedores only)
+ */
+const requireAbastecedor = requireType('abastecedor', 'abastecedor', 'Abastecedor authentication required');
 
-    req.cliente = decoded;
-    next();
-}
+/**
+ * Requires any authenticated user (admin or driver)
+ */
+const requireAuth = requireType(null, 'user', 'Invalid or expired token');
+
+/**
+ * Requires cliente authentication (active clientes only)
+ */
+const requireCliente = requireType('cliente', 'cliente', 'Cliente authentication required');
 
 module.exports = {
     generateToken,
+    createSession,
     verifyToken,
+    extractToken,
+    authenticate,
+    isAccountActive,
     requireAdmin,
+    requirePermission,
+    canSeeMargins,
     requireDriver,
     requireAbastecedor,
     requireCliente,
     requireAuth,
-    JWT_SECRET
+    JWT_SECRET,
+    ACCESS_TOKEN_EXPIRES_IN
 };
-
@@ -0,0 +1,104 @@
+/**
+ * Idempotent retries
+ *
+ * A request carrying an Idempotency-Key header runs once per user and key:
+ * its response is stored (models/idempotencyKey.js) and replayed to any
+ * retry with the same key, marked with Idempotent-Replayed: true. The same
+ * key with a different request, or while the first one is still running,
+ * gets a 409. Server errors (5xx) are not stored, so those can be retried.
+ * Place it after auth and body parsing (multer), since the request
+ * fingerprint covers the body and uploaded files.
+ */
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKey');
+const { currentActor } = require('../utils/requestContext');
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Hash of what makes two requests the same: method, path, body fields and file contents
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function fingerprint(req) {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+
+    const body = req.body || {};
+    for (const field of Object.keys(body).sort()) {
+        hash.update(`${field}=${JSON.stringify(body[field])}\n`);
+    }
+
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    for (const file of files) {
+        hash.update(`${file.fieldname}:`);
+        hash.update(file.buffer);
+        hash.update('\n');
+    }
+
+    return hash.digest('hex');
+}
+
+/**
+ * Build the middleware. Requests without the header pass through unchanged.
+ * @returns {Function} - Express middleware
+ */
+function idempotent() {
+    return async (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) return next();
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters` });
+        }
+
+        try {
+            const actor = currentActor();
+            const scope = actor ? `${actor.type}:${actor.id}` : `ip:${req.ip}`;
+            const requestFingerprint = fingerprint(req);
+
+            const claim = await IdempotencyKey.claim(scope, key, requestFingerprint);
+            if (!claim.claimed) {
+                const { existing } = claim;
+                if (existing.fingerprint !== requestFingerprint) {
+                    return res.status(409).json({ error: 'Idempotency-Key was already used for a different request' });
+                }
+                if (existing.status_code === null) {
+                    res.set('Retry-After', '1');
+                    return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+                }
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(existing.status_code).json(JSON.parse(existing.response_body));
+            }
+
+            // Store the response before sending it, so a client that got it
+            // and retries anyway is always replayed
+            let settled = false;
+            const sendJson = res.json.bind(res);
+            res.json = (body) => {
+                settled = true;
+                const stored = res.statusCode >= 500
+                    ? IdempotencyKey.release(claim.id)
+                    : IdempotencyKey.complete(claim.id, res.statusCode, body);
+                stored
+                    .catch(error => console.error('Idempotency store error:', error))
+                    .finally(() => sendJson(body));
+                return res;
+            };
+
+            // Anything that ends without a JSON response frees the key
+            res.on('close', () => {
+                if (!settled) {
+                    IdempotencyKey.release(claim.id).catch(error => console.error('Idempotency release error:', error));
+                }
+            });
+
+            next();
+        } catch (error) {
+            console.error('Idempotency error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,112 @@
+/**
+ * Login brute-force protection
+ *
+ * Failed attempts are counted per client IP and per account (CPF, or admin
+ * username) in models/loginThrottle.js. After a few free attempts each new
+ * failure doubles the wait before the next try; at the lockout threshold the
+ * key is blocked for a while and shows up for admins in
+ * GET /api/admin/security/lockouts. A successful login clears the account's
+ * counter (never the IP's).
+ */
+const LoginThrottle = require('../models/loginThrottle');
+
+// Many drivers can share one IP (depot Wi-Fi, carrier NAT), so IPs get more slack
+const POLICIES = {
+    account: { freeAttempts: 3, lockAfter: 10 },
+    ip: { freeAttempts: 10, lockAfter: 50 }
+};
+
+/**
+ * Throttle keys for a request: its IP, plus the account when the body names one
+ * @param {string} scope - Counter family ('login' or 'reset')
+ * @param {Object} req - Express request
+ * @returns {Array} - [{key, policy, account}]
+ */
+function throttleKeys(scope, req) {
+    const keys = [{ key: `${scope}:ip:${req.ip}`, policy: POLICIES.ip, account: false }];
+
+    const { cpf, username } = req.body || {};
+    if (cpf) {
+        keys.push({ key: `${scope}:cpf:${String(cpf).replace(/\D/g, '')}`, policy: POLICIES.account, account: true });
+    } else if (username) {
+        keys.push({ key: `${scope}:admin:${String(username).trim().toLowerCase()}`, policy: POLICIES.account, account: true });
+    }
+
+    return keys;
+}
+
+/**
+ * Message for a throttled request
+ * @param {number} retryAfter - Seconds to wait
+ * @param {boolean} locked - Whether it is a lockout rather than a backoff delay
+ * @returns {string}
+ */
+function throttledMessage(retryAfter, locked) {
+    if (locked) {
+        const minutes = Math.ceil(retryAfter / 60);
+        return `Acesso bloqueado temporariamente por excesso de tentativas. Tente novamente em ${minutes} minuto(s).`;
+    }
+    return `Muitas tentativas. Aguarde ${retryAfter} segundo(s) e tente novamente.`;
+}
+
+/**
+ * Build a throttling middleware for an auth route. Throttled requests get 429
+ * with Retry-After. The route's own response decides what counts as a failure.
+ * @param {string} scope - Counter family: 'login' or 'reset'
+ * @param {Object} options - {failureStatuses: statuses counted as failures (default [401]),
+ *                            everyAttempt: count every non-5xx response (requests that send a message)}
+ * @returns {Function} - Express middleware
+ */
+function loginThrottle(scope, options = {}) {
+    const failureStatuses = options.failureStatuses || [401];
+
+    return async (req, res, next) => {
+        try {
+            const keys = throttleKeys(scope, req);
+            const { retryAfter, locked } = await LoginThrottle.check(keys.map(k => k.key));
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: throttledMessage(retryAfter, locked), retry_after: retryAfter, locked });
+            }
+
+            // Count the outcome before the response goes out
+            const json = res.json.bind(res);
+            res.json = body => {
+                const status = res.statusCode;
+                const failed = options.everyAttempt ? status < 500 : failureStatuses.includes(status);
+                const succeeded = !options.everyAttempt && status < 300;
+
+                recordOutcome(keys, failed, succeeded)
+                    .catch(error => console.error('Login throttle error:', error))
+                    .then(() => json(body));
+                return res;
+            };
+
+            next();
+        } catch (error) {
+            console.error('Login throttle error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    };
+}
+
+/**
+ * Update the counters after an attempt
+ * @param {Array} keys - From throttleKeys
+ * @param {boolean} failed
+ * @param {boolean} succeeded
+ */
+async function recordOutcome(keys, failed, succeeded) {
+    for (const { key, policy, account } of keys) {
+        if (failed) {
+            const { locked } = await LoginThrottle.recordFailure(key, policy);
+            if (locked) {
+                console.warn(`Login lockout: ${key}`);
+            }
+        } else if (succeeded && account) {
+            await LoginThrottle.clear(key);
+        }
+    }
+}
+
+module.exports = { loginThrottle };
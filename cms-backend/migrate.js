@@ -0,0 +1,72 @@
+/**
+ * Schema migration CLI
+ *
+ * Usage:
+ *   npm run migrate status         List migrations and whether they are applied
+ *   npm run migrate up [version]   Apply pending migrations (optionally up to a version)
+ *   npm run migrate down [steps]   Revert the last applied migration(s) (default 1)
+ */
+
+require('dotenv').config();
+const { getStatus, migrateUp, migrateDown } = require('./config/migrator');
+
+async function status() {
+    const migrations = await getStatus();
+    if (migrations.length === 0) {
+        console.log('No migrations found.');
+        return;
+    }
+
+    for (const m of migrations) {
+        const state = m.applied ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${m.applied ? '[x]' : '[ ]'} ${m.file} (${state})`);
+    }
+
+    const pendingCount = migrations.filter(m => !m.applied).length;
+    console.log(`\n${pendingCount} pending migration(s).`);
+}
+
+async function up(version) {
+    const options = {};
+    if (version !== undefined) {
+        options.to = parseInt(version, 10);
+        if (isNaN(options.to)) throw new Error(`Invalid target version: ${version}`);
+    }
+
+    const applied = await migrateUp(options);
+    console.log(applied.length > 0
+        ? `Applied ${applied.length} migration(s).`
+        : 'Database is up to date.');
+}
+
+async function down(steps) {
+    const options = {};
+    if (steps !== undefined) {
+        options.steps = parseInt(steps, 10);
+        if (isNaN(options.steps) || options.steps < 1) throw new Error(`Invalid number of steps: ${steps}`);
+    }
+
+    const reverted = await migrateDown(options);
+    console.log(reverted.length > 0
+        ? `Reverted ${reverted.length} migration(s).`
+        : 'No applied migrations to revert.');
+}
+
+const commands = { status, up, down };
+
+async function main() {
+    const [command = 'status', arg] = process.argv.slice(2);
+    const run = commands[command];
+    if (!run) {
+        console.error(`Unknown command "${command}". Use: status | up [version] | down [steps]`);
+        process.exit(1);
+    }
+    await run(arg);
+}
+
+main()
+    .then(() => process.exit(0))
+    .catch(error => {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    });
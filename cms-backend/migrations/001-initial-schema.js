@@ -0,0 +1,193 @@
+/**
+ * Migration 001: Initial schema
+ *
+ * Creates the base tables. Uses IF NOT EXISTS so databases created before the
+ * migration runner existed can adopt it without changes.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS drivers (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                plate TEXT,
+                price_per_km_ton REAL NOT NULL,
+                client TEXT,
+                active INTEGER DEFAULT 1,
+                password TEXT,
+                phone TEXT,
+                cpf TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS freights (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                km REAL NOT NULL,
+                tons REAL NOT NULL,
+                total_value REAL NOT NULL,
+                client TEXT,
+                comprovante_carga TEXT,
+                comprovante_descarga TEXT,
+                comprovante_recebimento TEXT,
+                price_per_km_ton REAL,
+                price_per_km_ton_transportadora REAL,
+                total_value_transportadora REAL,
+                status TEXT DEFAULT 'complete',
+                paid INTEGER DEFAULT 0,
+                client_paid INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS abastecimentos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                quantity REAL NOT NULL,
+                price_per_liter REAL NOT NULL,
+                total_value REAL NOT NULL,
+                client TEXT,
+                comprovante_abastecimento TEXT,
+                status TEXT DEFAULT 'complete',
+                paid INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS admins (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                username TEXT NOT NULL UNIQUE,
+                password TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS clients (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS outros_insumos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                quantity REAL NOT NULL,
+                description TEXT,
+                unit_price REAL NOT NULL,
+                total_value REAL NOT NULL,
+                comprovante TEXT,
+                paid INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS comprovantes_descarga (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                file_path TEXT NOT NULL,
+                date DATE NOT NULL,
+                assigned_freight_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id),
+                FOREIGN KEY (assigned_freight_id) REFERENCES freights(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS comprovantes_abastecimento (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                file_path TEXT NOT NULL,
+                date DATE NOT NULL,
+                assigned_abastecimento_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id),
+                FOREIGN KEY (assigned_abastecimento_id) REFERENCES abastecimentos(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS comprovantes_carga (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                file_path TEXT NOT NULL,
+                date DATE NOT NULL,
+                assigned_freight_id INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id),
+                FOREIGN KEY (assigned_freight_id) REFERENCES freights(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS payments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                date_range TEXT NOT NULL,
+                total_value REAL NOT NULL,
+                comprovante_path TEXT,
+                freight_ids TEXT NOT NULL,
+                abastecimento_ids TEXT,
+                outros_insumo_ids TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS abastecedores (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                cpf TEXT NOT NULL UNIQUE,
+                password TEXT,
+                phone TEXT,
+                active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS clientes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                empresa TEXT NOT NULL,
+                name TEXT NOT NULL,
+                cpf TEXT NOT NULL UNIQUE,
+                password TEXT,
+                phone TEXT,
+                active INTEGER DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        // Create driver_locations table for live tracking
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS driver_locations (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                freight_id INTEGER,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id),
+                FOREIGN KEY (freight_id) REFERENCES freights(id)
+            )
+        `);
+    }
+
+    // No down(): dropping the base tables would destroy all data
+};
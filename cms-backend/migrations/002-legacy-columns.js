@@ -0,0 +1,64 @@
+/**
+ * Migration 002: Columns added after the first deployments
+ *
+ * Replaces the ALTER TABLE chain that used to run on every boot (and the
+ * hand-run add_columns.js). Each column is only added when the table lacks it.
+ */
+
+const LEGACY_COLUMNS = [
+    // Driver login fields (formerly add_columns.js)
+    ['drivers', 'password', 'TEXT'],
+    ['drivers', 'phone', 'TEXT'],
+    ['drivers', 'cpf', 'TEXT'],
+
+    // Clientes: empresa, migration from cnpj to cpf, optional cnpj
+    ['clientes', 'empresa', 'TEXT'],
+    ['clientes', 'cpf', 'TEXT'],
+    ['clientes', 'cnpj', 'TEXT'],
+
+    ['abastecimentos', 'paid', 'INTEGER DEFAULT 0'],
+    ['abastecimentos', 'client', 'TEXT'],
+
+    ['outros_insumos', 'paid', 'INTEGER DEFAULT 0'],
+    ['outros_insumos', 'comprovante', 'TEXT'],
+    // Which vehicle the expense was for
+    ['outros_insumos', 'plate', 'TEXT'],
+
+    // Transportadora pricing
+    ['freights', 'price_per_km_ton_transportadora', 'REAL'],
+    ['freights', 'total_value_transportadora', 'REAL'],
+    ['freights', 'comprovante_recebimento', 'TEXT'],
+
+    ['payments', 'abastecimento_ids', 'TEXT'],
+    ['payments', 'outros_insumo_ids', 'TEXT'],
+
+    ['drivers', 'authenticated', 'INTEGER DEFAULT 0'],
+    // Additional plates as JSON array
+    ['drivers', 'plates', 'TEXT'],
+
+    // Which truck transported the cargo / was refueled
+    ['freights', 'plate', 'TEXT'],
+    ['abastecimentos', 'plate', 'TEXT'],
+
+    // PDF freight documents
+    ['freights', 'documento_frete', 'TEXT'],
+
+    // Tracks reset requests from drivers who cannot receive SMS
+    ['drivers', 'password_reset_requested', 'INTEGER DEFAULT 0'],
+
+    // Live tracking
+    ['freights', 'tracking_enabled', 'INTEGER DEFAULT 0']
+];
+
+module.exports = {
+    async up(db) {
+        for (const [table, column, definition] of LEGACY_COLUMNS) {
+            const added = await db.addColumnIfMissing(table, column, definition);
+            if (added) {
+                console.log(`Added ${column} column to ${table}`);
+            }
+        }
+    }
+
+    // No down(): the base schema for new databases already includes most of these columns
+};
@@ -0,0 +1,67 @@
+/**
+ * Migration 003: Remove UNIQUE constraint from drivers.plate
+ *
+ * Multiple drivers can share the same truck (plate). Databases created by the
+ * earliest versions declared plate as UNIQUE; SQLite cannot drop a constraint,
+ * so the table is rebuilt. Databases without the constraint are left untouched.
+ *
+ * Replaces the hand-run migrations/remove-plate-unique.js.
+ */
+
+const DRIVER_COLUMNS = [
+    'id', 'name', 'plate', 'plates', 'price_per_km_ton', 'client', 'active',
+    'password', 'phone', 'cpf', 'authenticated', 'password_reset_requested', 'created_at'
+];
+
+/**
+ * Check whether drivers.plate is covered by a UNIQUE index
+ * @param {Object} db - Migration database handle
+ * @returns {boolean}
+ */
+async function hasUniquePlate(db) {
+    const indexes = await db.query('PRAGMA index_list(drivers)');
+    for (const index of indexes) {
+        if (!index.unique) continue;
+        const columns = await db.query(`PRAGMA index_info("${index.name}")`);
+        if (columns.length === 1 && columns[0].name === 'plate') {
+            return true;
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    // drivers is referenced by most tables, so the rebuild runs with foreign keys off
+    foreignKeys: false,
+
+    async up(db) {
+        if (!(await hasUniquePlate(db))) return;
+
+        console.log('Rebuilding drivers table without UNIQUE constraint on plate...');
+
+        await db.exec(`
+            CREATE TABLE drivers_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                plate TEXT,
+                plates TEXT,
+                price_per_km_ton REAL NOT NULL,
+                client TEXT,
+                active INTEGER DEFAULT 1,
+                password TEXT,
+                phone TEXT,
+                cpf TEXT,
+                authenticated INTEGER DEFAULT 0,
+                password_reset_requested INTEGER DEFAULT 0,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const columnList = DRIVER_COLUMNS.join(', ');
+        await db.exec(`INSERT INTO drivers_new (${columnList}) SELECT ${columnList} FROM drivers`);
+        await db.exec('DROP TABLE drivers');
+        await db.exec('ALTER TABLE drivers_new RENAME TO drivers');
+    }
+
+    // No down(): restoring the constraint would fail as soon as two drivers share a plate
+};
@@ -0,0 +1,71 @@
+/**
+ * Migration 004: Normalize payment item lists into payment_items
+ *
+ * payments.freight_ids, abastecimento_ids and outros_insumo_ids held JSON
+ * arrays, so "which payment paid freight 123" meant scanning every payment.
+ * Each paid item becomes one payment_items row carrying the amount it
+ * contributed, and the JSON columns are dropped.
+ */
+
+// [payments column, item_type, source table]
+const ITEM_COLUMNS = [
+    ['freight_ids', 'freight', 'freights'],
+    ['abastecimento_ids', 'abastecimento', 'abastecimentos'],
+    ['outros_insumo_ids', 'outros_insumo', 'outros_insumos']
+];
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE payment_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                payment_id INTEGER NOT NULL,
+                item_type TEXT NOT NULL CHECK (item_type IN ('freight', 'abastecimento', 'outros_insumo')),
+                item_id INTEGER NOT NULL,
+                amount REAL NOT NULL,
+                FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE
+            )
+        `);
+        await db.exec('CREATE INDEX idx_payment_items_payment ON payment_items(payment_id)');
+        await db.exec('CREATE INDEX idx_payment_items_item ON payment_items(item_type, item_id)');
+
+        for (const [column, itemType, table] of ITEM_COLUMNS) {
+            if (!(await db.hasColumn('payments', column))) continue;
+
+            // Items deleted since they were paid keep their link with a zero amount
+            await db.execute(`
+                INSERT INTO payment_items (payment_id, item_type, item_id, amount)
+                SELECT p.id, ?, CAST(j.value AS INTEGER), COALESCE(t.total_value, 0)
+                FROM payments p
+                JOIN json_each(COALESCE(NULLIF(p.${column}, ''), '[]')) j
+                LEFT JOIN ${table} t ON t.id = j.value
+                ORDER BY p.id
+            `, [itemType]);
+
+            await db.exec(`ALTER TABLE payments DROP COLUMN ${column}`);
+        }
+
+        const migrated = await db.queryOne('SELECT COUNT(*) as count FROM payment_items');
+        console.log(`Migrated ${migrated.count} payment item(s)`);
+    },
+
+    async down(db) {
+        await db.exec(`ALTER TABLE payments ADD COLUMN freight_ids TEXT NOT NULL DEFAULT '[]'`);
+        await db.exec('ALTER TABLE payments ADD COLUMN abastecimento_ids TEXT');
+        await db.exec('ALTER TABLE payments ADD COLUMN outros_insumo_ids TEXT');
+
+        for (const [column, itemType] of ITEM_COLUMNS) {
+            await db.execute(`
+                UPDATE payments SET ${column} = (
+                    SELECT json_group_array(item_id) FROM (
+                        SELECT item_id FROM payment_items
+                        WHERE payment_id = payments.id AND item_type = ?
+                        ORDER BY id
+                    )
+                )
+            `, [itemType]);
+        }
+
+        await db.exec('DROP TABLE payment_items');
+    }
+};
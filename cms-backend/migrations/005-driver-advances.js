@@ -0,0 +1,63 @@
+/**
+ * Migration 005: Driver advances (adiantamentos) and installments
+ *
+ * Money handed to a driver ahead of settlement is recorded in driver_advances
+ * and deducted from the driver's next payments. Each deduction is a
+ * payment_items row with item_type 'advance', so payment_items is rebuilt
+ * to accept the new type.
+ */
+
+/**
+ * Recreate payment_items with the given allowed item types
+ * @param {Object} db - Migration database handle
+ * @param {Array} itemTypes - Allowed item_type values
+ */
+async function rebuildPaymentItems(db, itemTypes) {
+    const allowed = itemTypes.map(type => `'${type}'`).join(', ');
+
+    await db.exec(`
+        CREATE TABLE payment_items_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            payment_id INTEGER NOT NULL,
+            item_type TEXT NOT NULL CHECK (item_type IN (${allowed})),
+            item_id INTEGER NOT NULL,
+            amount REAL NOT NULL,
+            FOREIGN KEY (payment_id) REFERENCES payments(id) ON DELETE CASCADE
+        )
+    `);
+    await db.exec(`
+        INSERT INTO payment_items_new (id, payment_id, item_type, item_id, amount)
+        SELECT id, payment_id, item_type, item_id, amount FROM payment_items
+        WHERE item_type IN (${allowed})
+    `);
+    await db.exec('DROP TABLE payment_items');
+    await db.exec('ALTER TABLE payment_items_new RENAME TO payment_items');
+    await db.exec('CREATE INDEX idx_payment_items_payment ON payment_items(payment_id)');
+    await db.exec('CREATE INDEX idx_payment_items_item ON payment_items(item_type, item_id)');
+}
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE driver_advances (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                kind TEXT NOT NULL DEFAULT 'advance' CHECK (kind IN ('advance', 'installment')),
+                amount REAL NOT NULL CHECK (amount > 0),
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id)
+            )
+        `);
+        await db.exec('CREATE INDEX idx_driver_advances_driver ON driver_advances(driver_id)');
+
+        await rebuildPaymentItems(db, ['freight', 'abastecimento', 'outros_insumo', 'advance']);
+    },
+
+    async down(db) {
+        // Advance deductions are lost, so totals of payments that applied one no longer add up
+        await rebuildPaymentItems(db, ['freight', 'abastecimento', 'outros_insumo']);
+        await db.exec('DROP TABLE driver_advances');
+    }
+};
@@ -0,0 +1,64 @@
+/**
+ * Migration 006: Append-only driver ledger
+ *
+ * Every movement on a driver's account (freight credit, fuel and supply
+ * debits, advances, payments, manual adjustments) is one signed row:
+ * positive amounts are owed to the driver, negative amounts reduce that.
+ * A driver's balance is SUM(amount). Rows are never updated or deleted;
+ * edits and deletions append a correcting row.
+ *
+ * Existing data is backfilled with one opening entry per source row.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE driver_ledger (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL,
+                entry_type TEXT NOT NULL CHECK (entry_type IN ('freight', 'abastecimento', 'outros_insumo', 'advance', 'payment', 'adjustment')),
+                source_id INTEGER,
+                amount REAL NOT NULL,
+                entry_date DATE NOT NULL,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (driver_id) REFERENCES drivers(id)
+            )
+        `);
+        await db.exec('CREATE INDEX idx_driver_ledger_driver ON driver_ledger(driver_id, entry_date)');
+        await db.exec('CREATE INDEX idx_driver_ledger_source ON driver_ledger(entry_type, source_id)');
+
+        await db.exec(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            SELECT driver_id, 'freight', id, total_value, date, 'Frete #' || id
+            FROM freights WHERE status = 'complete' AND total_value != 0
+        `);
+        await db.exec(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            SELECT driver_id, 'abastecimento', id, -total_value, date, 'Abastecimento #' || id
+            FROM abastecimentos WHERE status = 'complete' AND total_value != 0
+        `);
+        await db.exec(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            SELECT driver_id, 'outros_insumo', id, -total_value, date, 'Outros insumos #' || id
+            FROM outros_insumos WHERE total_value != 0
+        `);
+        await db.exec(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            SELECT driver_id, 'advance', id, -amount, date, 'Adiantamento #' || id
+            FROM driver_advances
+        `);
+        await db.exec(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            SELECT driver_id, 'payment', id, -total_value, DATE(created_at), 'Pagamento #' || id
+            FROM payments WHERE total_value != 0
+        `);
+
+        const backfilled = await db.queryOne('SELECT COUNT(*) as count FROM driver_ledger');
+        console.log(`Backfilled ${backfilled.count} ledger entr${backfilled.count === 1 ? 'y' : 'ies'}`);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE driver_ledger');
+    }
+};
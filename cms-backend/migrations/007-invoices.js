@@ -0,0 +1,58 @@
+/**
+ * Migration 007: Client invoices (faturas) and receipts
+ *
+ * An invoice bills a client (freights.client / clientes.empresa) for a set of
+ * complete freights at their total_value_transportadora. A freight can be on
+ * at most one invoice. Receipts record money received against an invoice;
+ * the invoice status is derived from receipts and the due date.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE invoices (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                client TEXT NOT NULL,
+                period_start DATE NOT NULL,
+                period_end DATE NOT NULL,
+                issue_date DATE NOT NULL,
+                due_date DATE NOT NULL,
+                total_value REAL NOT NULL,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX idx_invoices_client ON invoices(client, due_date)');
+
+        await db.exec(`
+            CREATE TABLE invoice_freights (
+                invoice_id INTEGER NOT NULL,
+                freight_id INTEGER NOT NULL UNIQUE,
+                amount REAL NOT NULL,
+                PRIMARY KEY (invoice_id, freight_id),
+                FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+                FOREIGN KEY (freight_id) REFERENCES freights(id)
+            )
+        `);
+
+        await db.exec(`
+            CREATE TABLE invoice_receipts (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                invoice_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                amount REAL NOT NULL CHECK (amount > 0),
+                comprovante_path TEXT,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE
+            )
+        `);
+        await db.exec('CREATE INDEX idx_invoice_receipts_invoice ON invoice_receipts(invoice_id)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE invoice_receipts');
+        await db.exec('DROP TABLE invoice_freights');
+        await db.exec('DROP TABLE invoices');
+    }
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration 008: Server-side login sessions
+ *
+ * Every login opens a session. Access tokens are short-lived JWTs carrying
+ * the session id (sid); the long-lived refresh token is stored only as a
+ * SHA-256 hash and is replaced on every refresh. Logging out or revoking a
+ * session sets revoked_at, which invalidates both tokens.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_type TEXT NOT NULL CHECK (user_type IN ('admin', 'driver', 'abastecedor', 'cliente')),
+                user_id INTEGER NOT NULL,
+                refresh_token_hash TEXT NOT NULL UNIQUE,
+                previous_refresh_token_hash TEXT,
+                user_agent TEXT,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME,
+                last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX idx_sessions_user ON sessions(user_type, user_id)');
+        await db.exec('CREATE INDEX idx_sessions_previous_hash ON sessions(previous_refresh_token_hash)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE sessions');
+    }
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 009: Admin roles
+ *
+ * Admins get a role (see config/permissions.js), can be deactivated, and can
+ * be forced to pick a new password on their next login. Existing admins
+ * become owners; any still using the seeded default password must change it.
+ */
+
+const bcrypt = require('bcryptjs');
+
+module.exports = {
+    async up(db) {
+        await db.exec(`ALTER TABLE admins ADD COLUMN role TEXT NOT NULL DEFAULT 'owner' CHECK (role IN ('owner', 'finance', 'operations', 'auditor'))`);
+        await db.exec('ALTER TABLE admins ADD COLUMN active INTEGER NOT NULL DEFAULT 1');
+        await db.exec('ALTER TABLE admins ADD COLUMN must_change_password INTEGER NOT NULL DEFAULT 0');
+
+        const admins = await db.query('SELECT id, password FROM admins');
+        for (const admin of admins) {
+            if (bcrypt.compareSync('admin123', admin.password)) {
+                await db.execute('UPDATE admins SET must_change_password = 1 WHERE id = ?', [admin.id]);
+            }
+        }
+    },
+
+    async down(db) {
+        await db.exec('ALTER TABLE admins DROP COLUMN must_change_password');
+        await db.exec('ALTER TABLE admins DROP COLUMN active');
+        await db.exec('ALTER TABLE admins DROP COLUMN role');
+    }
+};
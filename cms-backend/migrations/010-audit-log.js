@@ -0,0 +1,34 @@
+/**
+ * Migration 010: Audit log
+ *
+ * One row per write to freights, abastecimentos, outros insumos, payments,
+ * drivers and clientes: who did it (from the access token; NULL actor for
+ * self-service sign-ups and scripts), what, and the row before and after as
+ * JSON. Rows are only ever inserted.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor_type TEXT CHECK (actor_type IN ('admin', 'driver', 'abastecedor', 'cliente')),
+                actor_id INTEGER,
+                actor_name TEXT,
+                action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+                entity TEXT NOT NULL,
+                entity_id INTEGER NOT NULL,
+                before_json TEXT,
+                after_json TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX idx_audit_log_entity ON audit_log(entity, entity_id)');
+        await db.exec('CREATE INDEX idx_audit_log_actor ON audit_log(actor_type, actor_id)');
+        await db.exec('CREATE INDEX idx_audit_log_created ON audit_log(created_at)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE audit_log');
+    }
+};
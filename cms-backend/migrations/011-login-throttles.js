@@ -0,0 +1,28 @@
+/**
+ * Migration 011: Login throttling
+ *
+ * Failed login and password-reset attempts are counted per key (client IP
+ * or account, see middleware/loginThrottle.js) in the database, so every
+ * server instance sees the same counters. blocked_until holds the backoff
+ * delay; locked_at is set when the key hit the lockout threshold.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE login_throttles (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                key TEXT NOT NULL UNIQUE,
+                failures INTEGER NOT NULL DEFAULT 0,
+                last_failure_at DATETIME,
+                blocked_until DATETIME,
+                locked_at DATETIME
+            )
+        `);
+        await db.exec('CREATE INDEX idx_login_throttles_locked ON login_throttles(locked_at, blocked_until)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE login_throttles');
+    }
+};
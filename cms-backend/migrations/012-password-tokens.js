@@ -0,0 +1,33 @@
+/**
+ * Migration 012: One-time set-password links
+ *
+ * Admins no longer reset driver and abastecedor passwords to the first four
+ * CPF digits; they issue a link instead (invite for users without a
+ * password, reset otherwise). Only the SHA-256 of the link token is stored.
+ * A token works once, until expires_at, and issuing a new one for the same
+ * user revokes the previous one.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE password_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_type TEXT NOT NULL CHECK (user_type IN ('driver', 'abastecedor')),
+                user_id INTEGER NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                purpose TEXT NOT NULL CHECK (purpose IN ('invite', 'reset')),
+                created_by_admin_id INTEGER REFERENCES admins(id),
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX idx_password_tokens_user ON password_tokens(user_type, user_id)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE password_tokens');
+    }
+};
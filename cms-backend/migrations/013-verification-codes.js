@@ -0,0 +1,30 @@
+/**
+ * Migration 013: WhatsApp verification codes
+ *
+ * Password-reset codes used to live in server memory, so a code sent by one
+ * serverless instance could not be checked by another. One row per subject
+ * ("<purpose>:<user type>:<id>", see models/verificationCode.js); sending a
+ * new code replaces the row. Only a bcrypt hash of the code is stored.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE verification_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                subject TEXT NOT NULL UNIQUE,
+                code_hash TEXT NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                expires_at DATETIME NOT NULL,
+                last_sent_at DATETIME NOT NULL,
+                verified_at DATETIME,
+                consumed_at DATETIME
+            )
+        `);
+        await db.exec('CREATE INDEX idx_verification_codes_expires ON verification_codes(expires_at)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE verification_codes');
+    }
+};
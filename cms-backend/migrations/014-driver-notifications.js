@@ -0,0 +1,43 @@
+/**
+ * Migration 014: Driver notifications
+ *
+ * push_subscriptions holds the Web Push subscriptions of installed PWAs
+ * (one row per browser endpoint; a device that logs in as someone else takes
+ * the row over). driver_notification_preferences holds what each driver wants
+ * to be told and through which channels; drivers without a row get the
+ * defaults in models/notificationPreference.js.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE push_subscriptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_type TEXT NOT NULL CHECK (user_type IN ('driver', 'abastecedor', 'cliente')),
+                user_id INTEGER NOT NULL,
+                endpoint TEXT NOT NULL UNIQUE,
+                p256dh TEXT NOT NULL,
+                auth TEXT NOT NULL,
+                user_agent TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX idx_push_subscriptions_user ON push_subscriptions(user_type, user_id)');
+
+        await db.exec(`
+            CREATE TABLE driver_notification_preferences (
+                driver_id INTEGER PRIMARY KEY REFERENCES drivers(id),
+                whatsapp INTEGER NOT NULL DEFAULT 1,
+                push INTEGER NOT NULL DEFAULT 1,
+                freight_completed INTEGER NOT NULL DEFAULT 1,
+                payment_created INTEGER NOT NULL DEFAULT 1,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE driver_notification_preferences');
+        await db.exec('DROP TABLE push_subscriptions');
+    }
+};
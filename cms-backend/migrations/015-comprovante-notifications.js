@@ -0,0 +1,19 @@
+/**
+ * Migration 015: Comprovante notifications
+ *
+ * Drivers get a push notification when an admin links one of their
+ * comprovantes to a freight or abastecimento; this lets them turn it off.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            ALTER TABLE driver_notification_preferences
+            ADD COLUMN comprovante_assigned INTEGER NOT NULL DEFAULT 1
+        `);
+    },
+
+    async down(db) {
+        await db.exec('ALTER TABLE driver_notification_preferences DROP COLUMN comprovante_assigned');
+    }
+};
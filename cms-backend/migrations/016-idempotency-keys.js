@@ -0,0 +1,32 @@
+/**
+ * Migration 016: Idempotency keys
+ *
+ * Clients that retry a create (the offline queues of the driver and
+ * abastecedor PWAs, the admin create endpoints) send an Idempotency-Key
+ * header; the first request's response is kept here for a week and replayed
+ * to retries instead of creating the row again. Keys are
+ * per user (scope "<user type>:<id>"). A row without a status code is a
+ * request still running.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE idempotency_keys (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                scope TEXT NOT NULL,
+                idempotency_key TEXT NOT NULL,
+                fingerprint TEXT NOT NULL,
+                status_code INTEGER,
+                response_body TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (scope, idempotency_key)
+            )
+        `);
+        await db.exec('CREATE INDEX idx_idempotency_keys_created ON idempotency_keys(created_at)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE idempotency_keys');
+    }
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 017: Driver location history
+ *
+ * driver_locations only keeps each driver's latest position. Every position
+ * a driver sends while tracking a freight is also kept here, so the route
+ * of a delivery can be drawn after it ends. recorded_at is when the phone
+ * took the fix; accuracy is in meters and speed in m/s, as the browser
+ * Geolocation API reports them. Old points are pruned by
+ * models/DriverLocation.js (LOCATION_HISTORY_DAYS).
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE driver_location_points (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                driver_id INTEGER NOT NULL REFERENCES drivers(id),
+                freight_id INTEGER NOT NULL REFERENCES freights(id),
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                accuracy REAL,
+                speed REAL,
+                recorded_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await db.exec('CREATE INDEX idx_driver_location_points_freight ON driver_location_points(freight_id, recorded_at)');
+        await db.exec('CREATE INDEX idx_driver_location_points_recorded ON driver_location_points(recorded_at)');
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE driver_location_points');
+    }
+};
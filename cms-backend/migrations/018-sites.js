@@ -0,0 +1,54 @@
+/**
+ * Migration 018: Sites and geofences
+ *
+ * sites are the places freights load and unload at (quarries, plants,
+ * client yards). Each has a geofence: a circle (center + radius_m) or a
+ * polygon (JSON array of [latitude, longitude] vertices; the center is then
+ * just where to put a pin). Freights get an origin and destination site.
+ * freight_site_events records when a tracked truck arrived at or left them,
+ * at most once per freight and event.
+ */
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE sites (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                kind TEXT NOT NULL CHECK (kind IN ('quarry', 'plant', 'client_yard', 'other')),
+                client TEXT,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                radius_m REAL,
+                polygon TEXT,
+                active INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                CHECK (radius_m > 0 OR polygon IS NOT NULL)
+            )
+        `);
+
+        await db.exec('ALTER TABLE freights ADD COLUMN origin_site_id INTEGER REFERENCES sites(id)');
+        await db.exec('ALTER TABLE freights ADD COLUMN destination_site_id INTEGER REFERENCES sites(id)');
+
+        await db.exec(`
+            CREATE TABLE freight_site_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                freight_id INTEGER NOT NULL REFERENCES freights(id),
+                site_id INTEGER NOT NULL REFERENCES sites(id),
+                event TEXT NOT NULL CHECK (event IN ('arrived_origin', 'departed_origin', 'arrived_destination')),
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                recorded_at DATETIME NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (freight_id, event)
+            )
+        `);
+    },
+
+    async down(db) {
+        await db.exec('DROP TABLE freight_site_events');
+        await db.exec('ALTER TABLE freights DROP COLUMN destination_site_id');
+        await db.exec('ALTER TABLE freights DROP COLUMN origin_site_id');
+        await db.exec('DROP TABLE sites');
+    }
+};
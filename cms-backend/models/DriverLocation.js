@@ -5,6 +5,15 @@
 
 const { execute, query, queryOne } = require('../config/database');
 
+/**
+ * How many days of location history are kept
+ * @returns {number}
+ */
+function historyDays() {
+    const days = parseInt(process.env.LOCATION_HISTORY_DAYS, 10);
+    return days > 0 ? days : 90;
+}
+
 const DriverLocation = {
     /**
      * Insert or update driver location
@@ -70,13 +79,17 @@ const DriverLocation = {
 
     /**
      * Get all active locations (drivers currently tracking)
-     * @returns {Array} - List of active locations with driver info
+     * @returns {Array} - List of active locations with driver and freight info,
+     *   and age_seconds since the last update
      */
     async getAllActive() {
         return query(
-            `SELECT dl.*, d.name as driver_name, d.plate as driver_plate
+            `SELECT dl.*, d.name as driver_name, d.plate as driver_plate, d.phone as driver_phone,
+                    f.client as freight_client, f.date as freight_date, f.plate as freight_plate,
+                    CAST((julianday('now') - julianday(dl.updated_at)) * 86400 AS INTEGER) as age_seconds
              FROM driver_locations dl
              JOIN drivers d ON d.id = dl.driver_id
+             LEFT JOIN freights f ON f.id = dl.freight_id
              WHERE dl.freight_id IS NOT NULL
              ORDER BY dl.updated_at DESC`
         );
@@ -95,6 +108,56 @@ const DriverLocation = {
         return result.changes > 0;
     },
 
+    /**
+     * Add a position to the route history of a tracked freight
+     * @param {number} driverId - Driver ID
+     * @param {number} freightId - Freight being tracked
+     * @param {Object} point - {latitude, longitude, accuracy, speed, recorded_at}:
+     *   accuracy in meters and speed in m/s (or null), recorded_at as an ISO timestamp
+     */
+    async addPoint(driverId, freightId, point) {
+        await execute(
+            `INSERT INTO driver_location_points
+             (driver_id, freight_id, latitude, longitude, accuracy, speed, recorded_at)
+             VALUES (?, ?, ?, ?, ?, ?, datetime(?))`,
+            [
+                driverId,
+                freightId,
+                point.latitude,
+                point.longitude,
+                point.accuracy,
+                point.speed,
+                point.recorded_at
+            ]
+        );
+    },
+
+    /**
+     * Route of a freight, in the order the positions were taken
+     * @param {number} freightId - Freight ID
+     * @returns {Array} - Points
+     */
+    async getRoute(freightId) {
+        return query(
+            `SELECT latitude, longitude, accuracy, speed, recorded_at
+             FROM driver_location_points
+             WHERE freight_id = ?
+             ORDER BY recorded_at, id`,
+            [freightId]
+        );
+    },
+
+    /**
+     * Delete route history older than LOCATION_HISTORY_DAYS (default 90)
+     * @returns {number} - Points deleted
+     */
+    async pruneHistory() {
+        const result = await execute(
+            `DELETE FROM driver_location_points WHERE recorded_at < datetime('now', '-${historyDays()} days')`
+        );
+        return result.changes;
+    },
+
     /**
      * Delete location record for a driver
      * @param {number} driverId - Driver ID
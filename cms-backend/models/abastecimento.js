@@ -1,14 +1,19 @@
-const { execute, query, queryOne } = require('../config/database');
+const database = require('../config/database');
+const { query, queryOne, transaction } = database;
 const Driver = require('./driver');
+const DriverLedger = require('./driverLedger');
+const Payment = require('./payment');
+const AuditLog = require('./auditLog');
 
 const Abastecimento = {
     /**
      * Create a new abastecimento (refueling record)
      * Automatically calculates total_value based on quantity and price_per_liter
      * @param {Object} data - {driver_id, date, quantity, price_per_liter, comprovante_abastecimento}
+     * @param {Object} db - Optional transaction to join (by default the abastecimento gets its own)
      * @returns {Object} - Created abastecimento with calculated total_value
      */
-    async create(data) {
+    async create(data, db = database) {
         const { driver_id, date, quantity, price_per_liter, comprovante_abastecimento, plate } = data;
 
         // Verify driver exists
@@ -20,21 +25,29 @@ const Abastecimento = {
         // Calculate total value: quantity * price_per_liter
         const total_value = quantity * price_per_liter;
 
-        const result = await execute(`
-            INSERT INTO abastecimentos (driver_id, date, quantity, price_per_liter, total_value, comprovante_abastecimento, plate, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, 'complete')
-        `, [driver_id, date, quantity, price_per_liter, total_value, comprovante_abastecimento || null, plate || null]);
-        return this.findById(result.lastInsertRowid);
+        const insert = async (tx) => {
+            const result = await tx.execute(`
+                INSERT INTO abastecimentos (driver_id, date, quantity, price_per_liter, total_value, comprovante_abastecimento, plate, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 'complete')
+            `, [driver_id, date, quantity, price_per_liter, total_value, comprovante_abastecimento || null, plate || null]);
+            await DriverLedger.record('abastecimento', result.lastInsertRowid, tx);
+            await AuditLog.record('create', 'abastecimento', result.lastInsertRowid, null,
+                await this.findById(result.lastInsertRowid, tx), tx);
+            return result.lastInsertRowid;
+        };
+        const abastecimentoId = db === database ? await transaction(insert) : await insert(db);
+        return this.findById(abastecimentoId, db);
     },
 
     /**
      * Create a pending abastecimento (driver upload)
      * Only requires driver_id, date, and comprovante - admin completes the rest
-     * @param {Object} data - {driver_id, date, comprovante_abastecimento}
+     * @param {Object} data - {driver_id, date, plate, comprovante_abastecimento}
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object} - Created pending abastecimento
      */
-    async createPending(data) {
-        const { driver_id, date, comprovante_abastecimento } = data;
+    async createPending(data, db = database) {
+        const { driver_id, date, plate, comprovante_abastecimento } = data;
 
         // Verify driver exists
         const driver = await Driver.findById(driver_id);
@@ -42,11 +55,13 @@ const Abastecimento = {
             throw new Error('Driver not found');
         }
 
-        const result = await execute(`
-            INSERT INTO abastecimentos (driver_id, date, quantity, price_per_liter, total_value, comprovante_abastecimento, status)
-            VALUES (?, ?, 0, 0, 0, ?, 'pending')
-        `, [driver_id, date, comprovante_abastecimento || null]);
-        return this.findById(result.lastInsertRowid);
+        const result = await db.execute(`
+            INSERT INTO abastecimentos (driver_id, date, plate, quantity, price_per_liter, total_value, comprovante_abastecimento, status)
+            VALUES (?, ?, ?, 0, 0, 0, ?, 'pending')
+        `, [driver_id, date, plate || null, comprovante_abastecimento || null]);
+        const abastecimento = await this.findById(result.lastInsertRowid, db);
+        await AuditLog.record('create', 'abastecimento', abastecimento.id, null, abastecimento, db);
+        return abastecimento;
     },
 
     /**
@@ -59,6 +74,7 @@ const Abastecimento = {
         const { driver_id, date, plate, quantity, price_per_liter, comprovante_abastecimento, status, client } = data;
         const updates = [];
         const values = [];
+        const changes = { ...data };
 
         if (driver_id !== undefined) {
             updates.push('driver_id = ?');
@@ -101,22 +117,30 @@ const Abastecimento = {
             const total_value = newQuantity * newPrice;
             updates.push('total_value = ?');
             values.push(total_value);
+            changes.total_value = total_value;
         }
 
         if (updates.length === 0) return this.findById(id);
 
+        const before = await this.findById(id);
         values.push(id);
-        await execute(`UPDATE abastecimentos SET ${updates.join(', ')} WHERE id = ?`, values);
+        await transaction(async (tx) => {
+            await Payment.assertUnsettled('abastecimento', before, changes, tx);
+            await tx.execute(`UPDATE abastecimentos SET ${updates.join(', ')} WHERE id = ?`, values);
+            await DriverLedger.record('abastecimento', id, tx);
+            await AuditLog.record('update', 'abastecimento', id, before, await this.findById(id, tx), tx);
+        });
         return this.findById(id);
     },
 
     /**
      * Find abastecimento by ID
      * @param {number} id - Abastecimento ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Abastecimento or null
      */
-    async findById(id) {
-        return queryOne(`
+    async findById(id, db = database) {
+        return db.queryOne(`
             SELECT a.*, d.name as driver_name, d.plate as driver_plate
             FROM abastecimentos a
             JOIN drivers d ON a.driver_id = d.id
@@ -149,7 +173,7 @@ const Abastecimento = {
 
     /**
      * Find all abastecimentos (for admin)
-     * @param {Object} filters - {driver_id, date_from, date_to}
+     * @param {Object} filters - {driver_id, date_from, date_to, status}
      * @returns {Array} - List of abastecimentos with driver info
      */
     async findAll(filters = {}) {
@@ -173,6 +197,10 @@ const Abastecimento = {
             sql += ' AND a.date <= ?';
             values.push(filters.date_to);
         }
+        if (filters.status) {
+            sql += ' AND a.status = ?';
+            values.push(filters.status);
+        }
 
         sql += ' ORDER BY a.date DESC';
         return query(sql, values);
@@ -200,12 +228,24 @@ const Abastecimento = {
      * @returns {boolean} - Success
      */
     async delete(id) {
-        // First delete related records to avoid foreign key constraints
-        await execute('DELETE FROM comprovantes_abastecimento WHERE assigned_abastecimento_id = ?', [id]);
-
-        // Now delete the abastecimento
-        const result = await execute('DELETE FROM abastecimentos WHERE id = ?', [id]);
-        return result.changes > 0;
+        const before = await this.findById(id);
+
+        return transaction(async (tx) => {
+            if (before) {
+                await Payment.assertUnsettled('abastecimento', before, null, tx);
+            }
+
+            // First delete related records to avoid foreign key constraints
+            await tx.execute('DELETE FROM comprovantes_abastecimento WHERE assigned_abastecimento_id = ?', [id]);
+
+            // Now delete the abastecimento
+            const result = await tx.execute('DELETE FROM abastecimentos WHERE id = ?', [id]);
+            await DriverLedger.record('abastecimento', id, tx);
+            if (result.changes > 0) {
+                await AuditLog.record('delete', 'abastecimento', id, before, null, tx);
+            }
+            return result.changes > 0;
+        });
     }
 };
 
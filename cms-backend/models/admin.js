@@ -1,6 +1,9 @@
 const { execute, query, queryOne } = require('../config/database');
 const bcrypt = require('bcryptjs');
 
+// Everything but the password hash
+const PUBLIC_COLUMNS = 'id, username, role, active, must_change_password, created_at';
+
 const Admin = {
     /**
      * Find admin by username
@@ -11,6 +14,23 @@ const Admin = {
         return queryOne('SELECT * FROM admins WHERE username = ?', [username]);
     },
 
+    /**
+     * Find admin by ID (without password)
+     * @param {number} id - Admin ID
+     * @returns {Object|null} - Admin or null
+     */
+    async findById(id) {
+        return queryOne(`SELECT ${PUBLIC_COLUMNS} FROM admins WHERE id = ?`, [id]);
+    },
+
+    /**
+     * List all admins (without passwords)
+     * @returns {Array}
+     */
+    async findAll() {
+        return query(`SELECT ${PUBLIC_COLUMNS} FROM admins ORDER BY username`);
+    },
+
     /**
      * Verify admin credentials
      * @param {string} username - Admin username
@@ -30,17 +50,72 @@ const Admin = {
     },
 
     /**
-     * Create a new admin
+     * Create a new admin. The password is temporary: it must be changed on first login.
      * @param {string} username - Admin username
      * @param {string} password - Plain password
+     * @param {string} role - Role key (see config/permissions.js)
      * @returns {Object} - Created admin (without password)
      */
-    async create(username, password) {
+    async create(username, password, role = 'owner') {
         const hashedPassword = bcrypt.hashSync(password, 10);
-        const result = await execute('INSERT INTO admins (username, password) VALUES (?, ?)', [username, hashedPassword]);
+        const result = await execute(
+            'INSERT INTO admins (username, password, role, must_change_password) VALUES (?, ?, ?, 1)',
+            [username, hashedPassword, role]
+        );
+
+        return this.findById(result.lastInsertRowid);
+    },
+
+    /**
+     * Update role and/or active flag
+     * @param {number} id - Admin ID
+     * @param {Object} data - {role, active}
+     * @returns {Object} - Updated admin
+     */
+    async update(id, data) {
+        const updates = [];
+        const values = [];
+
+        if (data.role !== undefined) {
+            updates.push('role = ?');
+            values.push(data.role);
+        }
+        if (data.active !== undefined) {
+            updates.push('active = ?');
+            values.push(data.active ? 1 : 0);
+        }
+
+        if (updates.length > 0) {
+            values.push(id);
+            await execute(`UPDATE admins SET ${updates.join(', ')} WHERE id = ?`, values);
+        }
 
-        const admin = await queryOne('SELECT id, username, created_at FROM admins WHERE id = ?', [result.lastInsertRowid]);
-        return admin;
+        return this.findById(id);
+    },
+
+    /**
+     * Set a new password
+     * @param {number} id - Admin ID
+     * @param {string} newPassword - Plain password
+     * @param {boolean} mustChange - Force another change on next login (admin resets)
+     */
+    async updatePassword(id, newPassword, mustChange = false) {
+        const hashedPassword = bcrypt.hashSync(newPassword, 10);
+        await execute(
+            'UPDATE admins SET password = ?, must_change_password = ? WHERE id = ?',
+            [hashedPassword, mustChange ? 1 : 0, id]
+        );
+    },
+
+    /**
+     * Check an admin's current password
+     * @param {number} id - Admin ID
+     * @param {string} password - Plain password
+     * @returns {boolean}
+     */
+    async checkPassword(id, password) {
+        const admin = await queryOne('SELECT password FROM admins WHERE id = ?', [id]);
+        return !!admin && bcrypt.compareSync(password, admin.password);
     }
 };
 
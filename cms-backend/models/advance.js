@@ -0,0 +1,96 @@
+const database = require('../config/database');
+const { query, queryOne, transaction } = database;
+const DriverLedger = require('./driverLedger');
+
+// Amount still to be deducted = amount - deductions already made by payments
+const ADVANCE_SELECT = `
+    SELECT a.*, d.name as driver_name,
+        COALESCE(applied.total, 0) as applied_amount,
+        a.amount - COALESCE(applied.total, 0) as remaining_amount
+    FROM driver_advances a
+    JOIN drivers d ON a.driver_id = d.id
+    LEFT JOIN (
+        SELECT item_id, SUM(amount) as total
+        FROM payment_items
+        WHERE item_type = 'advance'
+        GROUP BY item_id
+    ) applied ON applied.item_id = a.id
+`;
+
+const Advance = {
+    /**
+     * Record an advance or installment handed to a driver
+     * @param {Object} data - {driver_id, date, kind, amount, description}
+     * @returns {Object} - Created advance
+     */
+    async create(data) {
+        const { driver_id, date, kind, amount, description } = data;
+
+        const advanceId = await transaction(async (tx) => {
+            const result = await tx.execute(`
+                INSERT INTO driver_advances (driver_id, date, kind, amount, description)
+                VALUES (?, ?, ?, ?, ?)
+            `, [driver_id, date, kind || 'advance', amount, description || null]);
+            await DriverLedger.record('advance', result.lastInsertRowid, tx);
+            return result.lastInsertRowid;
+        });
+        return this.findById(advanceId);
+    },
+
+    /**
+     * Find advance by ID
+     * @param {number} id - Advance ID
+     * @returns {Object|null} - Advance with applied/remaining amounts, or null
+     */
+    async findById(id) {
+        return queryOne(`${ADVANCE_SELECT} WHERE a.id = ?`, [id]);
+    },
+
+    /**
+     * Find all advances for a driver, newest first
+     * @param {number} driverId - Driver ID
+     * @returns {Array} - List of advances
+     */
+    async findByDriver(driverId) {
+        return query(`${ADVANCE_SELECT} WHERE a.driver_id = ? ORDER BY a.date DESC, a.id DESC`, [driverId]);
+    },
+
+    /**
+     * Find advances not yet fully deducted, oldest first (the order they are applied in)
+     * @param {number} driverId - Driver ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Array} - List of outstanding advances
+     */
+    async findOutstandingByDriver(driverId, db = database) {
+        return db.query(`
+            ${ADVANCE_SELECT}
+            WHERE a.driver_id = ? AND a.amount - COALESCE(applied.total, 0) > 0.005
+            ORDER BY a.date ASC, a.id ASC
+        `, [driverId]);
+    },
+
+    /**
+     * Get the total still to be deducted from a driver's payments
+     * @param {number} driverId - Driver ID
+     * @returns {number} - Outstanding total
+     */
+    async getOutstandingTotalByDriver(driverId) {
+        const advances = await this.findOutstandingByDriver(driverId);
+        return advances.reduce((sum, a) => sum + a.remaining_amount, 0);
+    },
+
+    /**
+     * Delete an advance
+     * @param {number} id - Advance ID
+     * @returns {boolean} - Success
+     */
+    async delete(id) {
+        return transaction(async (tx) => {
+            const result = await tx.execute('DELETE FROM driver_advances WHERE id = ?', [id]);
+            await DriverLedger.record('advance', id, tx);
+            return result.changes > 0;
+        });
+    }
+};
+
+module.exports = Advance;
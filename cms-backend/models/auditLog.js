@@ -0,0 +1,114 @@
+const database = require('../config/database');
+const { query, queryOne } = database;
+const { currentActor } = require('../utils/requestContext');
+
+// Never copied into the before/after snapshots
+const HIDDEN_FIELDS = ['password', 'token_hash'];
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Row snapshot as stored: JSON without secrets
+ * @param {Object|null} row
+ * @returns {string|null}
+ */
+function snapshot(row) {
+    if (!row) return null;
+    const safe = { ...row };
+    for (const field of HIDDEN_FIELDS) delete safe[field];
+    return JSON.stringify(safe);
+}
+
+/**
+ * Parse the stored snapshots back into objects
+ * @param {Object} entry - audit_log row
+ * @returns {Object}
+ */
+function parseEntry(entry) {
+    const { before_json, after_json, ...rest } = entry;
+    return {
+        ...rest,
+        before: before_json ? JSON.parse(before_json) : null,
+        after: after_json ? JSON.parse(after_json) : null
+    };
+}
+
+const AuditLog = {
+    ACTIONS: AUDIT_ACTIONS,
+
+    /**
+     * Record one write. The actor is whoever the current request is
+     * authenticated as (none for sign-ups and scripts).
+     * @param {string} action - create, update or delete
+     * @param {string} entity - freight, abastecimento, outros_insumo, payment, driver, cliente or password_token
+     * @param {number} entityId - Row ID
+     * @param {Object|null} before - Row before the write (null on create)
+     * @param {Object|null} after - Row after the write (null on delete)
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     */
+    async record(action, entity, entityId, before, after, db = database) {
+        const actor = currentActor();
+        await db.execute(`
+            INSERT INTO audit_log (actor_type, actor_id, actor_name, action, entity, entity_id, before_json, after_json)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `, [
+            actor ? actor.type : null,
+            actor ? actor.id : null,
+            actor ? actor.name || null : null,
+            action,
+            entity,
+            Number(entityId),
+            snapshot(before),
+            snapshot(after)
+        ]);
+    },
+
+    /**
+     * Who created a row, from its create entry
+     * @param {string} entity - Entity name as recorded
+     * @param {number} entityId - Row ID
+     * @returns {Object|null} - {actor_type, actor_id, actor_name}, null if unknown
+     */
+    async findCreator(entity, entityId) {
+        return queryOne(`
+            SELECT actor_type, actor_id, actor_name FROM audit_log
+            WHERE entity = ? AND entity_id = ? AND action = 'create' AND actor_type IS NOT NULL
+            ORDER BY id LIMIT 1
+        `, [entity, Number(entityId)]);
+    },
+
+    /**
+     * Find audit entries, newest first
+     * @param {Object} filters - {entity, entity_id, actor_type, actor_id, action, date_from, date_to, limit, offset}
+     * @returns {Object} - {entries, total}
+     */
+    async findAll(filters = {}) {
+        let where = ' WHERE 1=1';
+        const values = [];
+
+        for (const field of ['entity', 'entity_id', 'actor_type', 'actor_id', 'action']) {
+            if (filters[field] !== undefined && filters[field] !== '') {
+                where += ` AND ${field} = ?`;
+                values.push(filters[field]);
+            }
+        }
+        if (filters.date_from) {
+            where += ' AND DATE(created_at) >= ?';
+            values.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            where += ' AND DATE(created_at) <= ?';
+            values.push(filters.date_to);
+        }
+
+        const { total } = await queryOne(`SELECT COUNT(*) as total FROM audit_log${where}`, values);
+        const entries = await query(
+            `SELECT * FROM audit_log${where} ORDER BY id DESC LIMIT ? OFFSET ?`,
+            [...values, filters.limit || 100, filters.offset || 0]
+        );
+
+        return { entries: entries.map(parseEntry), total };
+    }
+};
+
+module.exports = AuditLog;
@@ -1,5 +1,6 @@
 const { execute, query, queryOne } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const AuditLog = require('./auditLog');
 
 const Cliente = {
     /**
@@ -18,7 +19,9 @@ const Cliente = {
             VALUES (?, ?, ?, ?, ?, ?)
         `, [empresa, name, cpf || null, cnpj || null, hashedPassword, phone || null]);
 
-        return this.findById(result.lastInsertRowid);
+        const created = await this.findById(result.lastInsertRowid);
+        await AuditLog.record('create', 'cliente', created.id, null, created);
+        return created;
     },
 
     /**
@@ -48,6 +51,19 @@ const Cliente = {
         return queryOne('SELECT * FROM clientes WHERE empresa = ?', [empresa]);
     },
 
+    /**
+     * Active clientes who see the freights of a client name - the same
+     * match as the cliente portal (empresa, or name when there is none)
+     * @param {string} clientName - freights.client
+     * @returns {Array} - List of clientes
+     */
+    async findActiveByClientName(clientName) {
+        return query(`
+            SELECT * FROM clientes
+            WHERE active = 1 AND LOWER(COALESCE(NULLIF(empresa, ''), name)) = LOWER(?)
+        `, [clientName]);
+    },
+
     /**
      * Get all clientes
      * @param {boolean} activeOnly - Filter active clientes only
@@ -98,9 +114,13 @@ const Cliente = {
 
         if (updates.length === 0) return this.findById(id);
 
+        const before = await this.findById(id);
         values.push(id);
         await execute(`UPDATE clientes SET ${updates.join(', ')} WHERE id = ?`, values);
-        return this.findById(id);
+
+        const updated = await this.findById(id);
+        await AuditLog.record('update', 'cliente', id, before, updated);
+        return updated;
     },
 
     /**
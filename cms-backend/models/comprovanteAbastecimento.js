@@ -1,27 +1,30 @@
-const { execute, query, queryOne } = require('../config/database');
+const database = require('../config/database');
+const { query, queryOne } = database;
 
 const ComprovanteAbastecimento = {
     /**
      * Create a new comprovante abastecimento (add to pool)
      * @param {Object} data - {driver_id, file_path, date}
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object} - Created comprovante
      */
-    async create(data) {
+    async create(data, db = database) {
         const { driver_id, file_path, date } = data;
-        const result = await execute(`
+        const result = await db.execute(`
             INSERT INTO comprovantes_abastecimento (driver_id, file_path, date)
             VALUES (?, ?, ?)
         `, [driver_id, file_path, date]);
-        return this.findById(result.lastInsertRowid);
+        return this.findById(result.lastInsertRowid, db);
     },
 
     /**
      * Find comprovante by ID
      * @param {number} id - Comprovante ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Comprovante or null
      */
-    async findById(id) {
-        return queryOne(`
+    async findById(id, db = database) {
+        return db.queryOne(`
             SELECT ca.*, d.name as driver_name
             FROM comprovantes_abastecimento ca
             JOIN drivers d ON ca.driver_id = d.id
@@ -76,10 +79,11 @@ const ComprovanteAbastecimento = {
      * Assign a comprovante to an abastecimento
      * @param {number} comprovanteId - Comprovante ID
      * @param {number} abastecimentoId - Abastecimento ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Updated comprovante
      */
-    async assignToAbastecimento(comprovanteId, abastecimentoId) {
-        const result = await execute(`
+    async assignToAbastecimento(comprovanteId, abastecimentoId, db = database) {
+        const result = await db.execute(`
             UPDATE comprovantes_abastecimento 
             SET assigned_abastecimento_id = ?
             WHERE id = ? AND assigned_abastecimento_id IS NULL
@@ -87,9 +91,9 @@ const ComprovanteAbastecimento = {
 
         if (result.changes > 0) {
             // Also update the abastecimento's comprovante_abastecimento field
-            const comprovante = await this.findById(comprovanteId);
+            const comprovante = await this.findById(comprovanteId, db);
             if (comprovante) {
-                await execute(`
+                await db.execute(`
                     UPDATE abastecimentos SET comprovante_abastecimento = ? WHERE id = ?
                 `, [comprovante.file_path, abastecimentoId]);
             }
@@ -101,17 +105,18 @@ const ComprovanteAbastecimento = {
     /**
      * Unassign a comprovante from an abastecimento
      * @param {number} abastecimentoId - Abastecimento ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {boolean} - Success
      */
-    async unassignFromAbastecimento(abastecimentoId) {
-        const result = await execute(`
+    async unassignFromAbastecimento(abastecimentoId, db = database) {
+        const result = await db.execute(`
             UPDATE comprovantes_abastecimento 
             SET assigned_abastecimento_id = NULL
             WHERE assigned_abastecimento_id = ?
         `, [abastecimentoId]);
 
         // Also clear the abastecimento's comprovante_abastecimento field
-        await execute(`
+        await db.execute(`
             UPDATE abastecimentos SET comprovante_abastecimento = NULL WHERE id = ?
         `, [abastecimentoId]);
 
@@ -1,27 +1,30 @@
-const { execute, query, queryOne } = require('../config/database');
+const database = require('../config/database');
+const { query, queryOne } = database;
 
 const ComprovanteCarga = {
     /**
      * Create a new comprovante carga (add to pool)
      * @param {Object} data - {driver_id, file_path, date}
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object} - Created comprovante
      */
-    async create(data) {
+    async create(data, db = database) {
         const { driver_id, file_path, date } = data;
-        const result = await execute(`
+        const result = await db.execute(`
             INSERT INTO comprovantes_carga (driver_id, file_path, date)
             VALUES (?, ?, ?)
         `, [driver_id, file_path, date]);
-        return this.findById(result.lastInsertRowid);
+        return this.findById(result.lastInsertRowid, db);
     },
 
     /**
      * Find comprovante by ID
      * @param {number} id - Comprovante ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Comprovante or null
      */
-    async findById(id) {
-        return queryOne(`
+    async findById(id, db = database) {
+        return db.queryOne(`
             SELECT cc.*, d.name as driver_name
             FROM comprovantes_carga cc
             JOIN drivers d ON cc.driver_id = d.id
@@ -76,10 +79,11 @@ const ComprovanteCarga = {
      * Assign a comprovante to a freight
      * @param {number} comprovanteId - Comprovante ID
      * @param {number} freightId - Freight ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Updated comprovante
      */
-    async assignToFreight(comprovanteId, freightId) {
-        const result = await execute(`
+    async assignToFreight(comprovanteId, freightId, db = database) {
+        const result = await db.execute(`
             UPDATE comprovantes_carga 
             SET assigned_freight_id = ?
             WHERE id = ? AND assigned_freight_id IS NULL
@@ -87,9 +91,9 @@ const ComprovanteCarga = {
 
         if (result.changes > 0) {
             // Also update the freight's comprovante_carga field
-            const comprovante = await this.findById(comprovanteId);
+            const comprovante = await this.findById(comprovanteId, db);
             if (comprovante) {
-                await execute(`
+                await db.execute(`
                     UPDATE freights SET comprovante_carga = ? WHERE id = ?
                 `, [comprovante.file_path, freightId]);
             }
@@ -101,17 +105,18 @@ const ComprovanteCarga = {
     /**
      * Unassign a comprovante from a freight
      * @param {number} freightId - Freight ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {boolean} - Success
      */
-    async unassignFromFreight(freightId) {
-        const result = await execute(`
+    async unassignFromFreight(freightId, db = database) {
+        const result = await db.execute(`
             UPDATE comprovantes_carga 
             SET assigned_freight_id = NULL
             WHERE assigned_freight_id = ?
         `, [freightId]);
 
         // Also clear the freight's comprovante_carga field
-        await execute(`
+        await db.execute(`
             UPDATE freights SET comprovante_carga = NULL WHERE id = ?
         `, [freightId]);
 
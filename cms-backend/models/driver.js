@@ -1,5 +1,6 @@
 const { execute, query, queryOne } = require('../config/database');
 const bcrypt = require('bcryptjs');
+const AuditLog = require('./auditLog');
 
 const Driver = {
     /**
@@ -21,7 +22,9 @@ const Driver = {
             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `, [name, plate, platesJson, price_per_km_ton || 0, client || null, hashedPassword, phone || null, cpf || null]);
 
-        return this.findById(result.lastInsertRowid);
+        const created = await this.findById(result.lastInsertRowid);
+        await AuditLog.record('create', 'driver', created.id, null, created);
+        return created;
     },
 
     /**
@@ -79,6 +82,24 @@ const Driver = {
         return drivers;
     },
 
+    /**
+     * Whether a plate is one of a driver's (primary or additional)
+     * @param {Object} driver - Driver row
+     * @param {string} plate - Plate to check
+     * @returns {boolean}
+     */
+    hasPlate(driver, plate) {
+        const normalizedPlate = plate.toUpperCase();
+        if (driver.plate && driver.plate.toUpperCase() === normalizedPlate) return true;
+
+        try {
+            const plates = JSON.parse(driver.plates || '[]');
+            return Array.isArray(plates) && plates.some(p => String(p).toUpperCase() === normalizedPlate);
+        } catch (e) {
+            return false;
+        }
+    },
+
     /**
      * Find driver by CPF
      * @param {string} cpf - Driver CPF
@@ -163,9 +184,13 @@ const Driver = {
 
         if (updates.length === 0) return this.findById(id);
 
+        const before = await this.findById(id);
         values.push(id);
         await execute(`UPDATE drivers SET ${updates.join(', ')} WHERE id = ?`, values);
-        return this.findById(id);
+
+        const updated = await this.findById(id);
+        await AuditLog.record('update', 'driver', id, before, updated);
+        return updated;
     },
 
     /**
@@ -174,7 +199,11 @@ const Driver = {
      * @returns {boolean} - Success
      */
     async deactivate(id) {
+        const before = await this.findById(id);
         const result = await execute('UPDATE drivers SET active = 0 WHERE id = ?', [id]);
+        if (result.changes > 0) {
+            await AuditLog.record('update', 'driver', id, before, await this.findById(id));
+        }
         return result.changes > 0;
     },
 
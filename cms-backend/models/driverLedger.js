@@ -0,0 +1,266 @@
+const database = require('../config/database');
+const { execute, query, queryOne, transaction } = database;
+
+/**
+ * What each source row is worth on the driver's account.
+ * Positive amounts are owed to the driver; debits are negative.
+ */
+const SOURCES = {
+    freight: {
+        table: 'freights',
+        label: 'Frete',
+        // Only complete freights are owed to the driver
+        amount: `CASE WHEN status = 'complete' THEN total_value ELSE 0 END`,
+        date: 'date'
+    },
+    abastecimento: {
+        table: 'abastecimentos',
+        label: 'Abastecimento',
+        amount: `CASE WHEN status = 'complete' THEN -total_value ELSE 0 END`,
+        date: 'date'
+    },
+    outros_insumo: {
+        table: 'outros_insumos',
+        label: 'Outros insumos',
+        amount: '-total_value',
+        date: 'date'
+    },
+    advance: {
+        table: 'driver_advances',
+        label: 'Adiantamento',
+        amount: '-amount',
+        date: 'date'
+    },
+    payment: {
+        table: 'payments',
+        label: 'Pagamento',
+        amount: '-total_value',
+        date: 'DATE(created_at)'
+    }
+};
+
+// Differences below half a cent are float noise, not missing entries
+const EPSILON = 0.005;
+
+/**
+ * Round a currency amount to cents
+ * @param {number} value
+ * @returns {number}
+ */
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Compare what the source table says a driver is owed with what the ledger holds
+ * @param {string} entryType - Key of SOURCES
+ * @param {number|undefined} sourceId - One source row, or undefined for the whole table
+ * @param {Object} db - Query helpers (shared client or transaction)
+ * @returns {Array} - [{driver_id, entry_type, source_id, expected, recorded, delta, entry_date, description}]
+ */
+async function diffSource(entryType, sourceId, db) {
+    const source = SOURCES[entryType];
+    const single = sourceId !== undefined;
+
+    const expectedRows = await db.query(`
+        SELECT id as source_id, driver_id, ${source.amount} as amount, ${source.date} as entry_date
+        FROM ${source.table}
+        ${single ? 'WHERE id = ?' : ''}
+    `, single ? [sourceId] : []);
+
+    const recordedRows = await db.query(`
+        SELECT driver_id, source_id, SUM(amount) as amount
+        FROM driver_ledger
+        WHERE entry_type = ? ${single ? 'AND source_id = ?' : ''}
+        GROUP BY driver_id, source_id
+    `, single ? [entryType, sourceId] : [entryType]);
+
+    // A source row can have entries under several drivers if it was reassigned
+    const key = (driverId, id) => `${driverId}:${id}`;
+    const entries = new Map();
+    for (const row of expectedRows) {
+        entries.set(key(row.driver_id, row.source_id), { ...row, expected: row.amount || 0, recorded: 0, exists: true });
+    }
+    for (const row of recordedRows) {
+        const k = key(row.driver_id, row.source_id);
+        const entry = entries.get(k) || { driver_id: row.driver_id, source_id: row.source_id, expected: 0, exists: false };
+        entry.recorded = row.amount;
+        entries.set(k, entry);
+    }
+
+    const differences = [];
+    for (const entry of entries.values()) {
+        const delta = entry.expected - entry.recorded;
+        if (Math.abs(delta) < EPSILON) continue;
+
+        const isFirst = entry.recorded === 0 && entry.exists;
+        let description = `${source.label} #${entry.source_id}`;
+        if (!entry.exists) description += ' (excluído)';
+        else if (!isFirst) description += ' (ajuste)';
+
+        differences.push({
+            driver_id: entry.driver_id,
+            entry_type: entryType,
+            source_id: entry.source_id,
+            expected: entry.expected,
+            recorded: entry.recorded,
+            delta,
+            // Opening entries keep the movement's own date; corrections happen today
+            entry_date: isFirst ? entry.entry_date : today(),
+            description
+        });
+    }
+    return differences;
+}
+
+/**
+ * Append one ledger row per difference
+ * @param {Array} differences - From diffSource
+ * @param {Object} db - Query helpers (shared client or transaction)
+ */
+async function appendDifferences(differences, db) {
+    for (const d of differences) {
+        await db.execute(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `, [d.driver_id, d.entry_type, d.source_id, d.delta, d.entry_date, d.description]);
+    }
+}
+
+const DriverLedger = {
+    ENTRY_TYPES: [...Object.keys(SOURCES), 'adjustment'],
+
+    /**
+     * Bring the ledger in line with one source row after it was created,
+     * edited or deleted. Appends a correcting entry when the amount changed.
+     * Call it inside the same transaction as the write.
+     * @param {string} entryType - freight, abastecimento, outros_insumo, advance or payment
+     * @param {number} sourceId - Row ID in the source table
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Array} - Appended entries
+     */
+    async record(entryType, sourceId, db = database) {
+        const differences = await diffSource(entryType, Number(sourceId), db);
+        await appendDifferences(differences, db);
+        return differences;
+    },
+
+    /**
+     * Append a manual adjustment
+     * @param {Object} data - {driver_id, amount, description, entry_date}
+     * @returns {Object} - Created entry
+     */
+    async addAdjustment(data) {
+        const { driver_id, amount, description, entry_date } = data;
+        const result = await execute(`
+            INSERT INTO driver_ledger (driver_id, entry_type, source_id, amount, entry_date, description)
+            VALUES (?, 'adjustment', NULL, ?, ?, ?)
+        `, [driver_id, amount, entry_date || today(), description || 'Ajuste manual']);
+        return queryOne('SELECT * FROM driver_ledger WHERE id = ?', [result.lastInsertRowid]);
+    },
+
+    /**
+     * List a driver's entries in date order with the running balance
+     * @param {number} driverId - Driver ID
+     * @param {Object} filters - {date_from, date_to}
+     * @returns {Object} - {opening_balance, entries, closing_balance}
+     */
+    async findByDriver(driverId, filters = {}) {
+        let openingBalance = 0;
+        if (filters.date_from) {
+            const opening = await queryOne(`
+                SELECT COALESCE(SUM(amount), 0) as balance
+                FROM driver_ledger
+                WHERE driver_id = ? AND entry_date < ?
+            `, [driverId, filters.date_from]);
+            openingBalance = toCents(opening.balance);
+        }
+
+        let sql = 'SELECT * FROM driver_ledger WHERE driver_id = ?';
+        const values = [driverId];
+        if (filters.date_from) {
+            sql += ' AND entry_date >= ?';
+            values.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            sql += ' AND entry_date <= ?';
+            values.push(filters.date_to);
+        }
+        sql += ' ORDER BY entry_date ASC, id ASC';
+
+        let balance = openingBalance;
+        const entries = (await query(sql, values)).map(entry => {
+            balance = toCents(balance + entry.amount);
+            return { ...entry, balance };
+        });
+
+        return { opening_balance: openingBalance, entries, closing_balance: balance };
+    },
+
+    /**
+     * Totals per entry type and the resulting balance for a driver
+     * @param {number} driverId - Driver ID
+     * @returns {Object} - {freight, abastecimento, outros_insumo, advance, payment, adjustment, balance}
+     */
+    async getDriverSummary(driverId) {
+        const rows = await query(`
+            SELECT entry_type, ROUND(COALESCE(SUM(amount), 0), 2) as total
+            FROM driver_ledger
+            WHERE driver_id = ?
+            GROUP BY entry_type
+        `, [driverId]);
+
+        const summary = { balance: 0 };
+        for (const type of this.ENTRY_TYPES) {
+            summary[type] = 0;
+        }
+        for (const row of rows) {
+            summary[row.entry_type] = row.total;
+            summary.balance += row.total;
+        }
+        summary.balance = toCents(summary.balance);
+        return summary;
+    },
+
+    /**
+     * Current balance of every driver with ledger entries
+     * @returns {Array} - [{driver_id, balance}]
+     */
+    async getAllBalances() {
+        return query(`
+            SELECT driver_id, ROUND(COALESCE(SUM(amount), 0), 2) as balance
+            FROM driver_ledger
+            GROUP BY driver_id
+        `);
+    },
+
+    /**
+     * Compare ledger totals with the source tables
+     * @param {Object} options - { fix } append correcting entries for every difference
+     * @returns {Array} - Differences found (see diffSource)
+     */
+    async reconcile(options = {}) {
+        const run = async (db) => {
+            const differences = [];
+            for (const entryType of Object.keys(SOURCES)) {
+                differences.push(...await diffSource(entryType, undefined, db));
+            }
+            if (options.fix) {
+                await appendDifferences(differences, db);
+            }
+            return differences;
+        };
+
+        return options.fix ? transaction(run) : run(database);
+    }
+};
+
+module.exports = DriverLedger;
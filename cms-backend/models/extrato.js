@@ -0,0 +1,214 @@
+const { query, queryOne } = require('../config/database');
+const DriverLedger = require('./driverLedger');
+
+/**
+ * Append date_from/date_to conditions for a date column
+ * @param {string} column - Column or expression to filter
+ * @param {Object} filters - {date_from, date_to}
+ * @param {Array} values - Bound values, extended in place
+ * @returns {string} - SQL fragment starting with AND, or ''
+ */
+function dateRange(column, filters, values) {
+    let sql = '';
+    if (filters.date_from) {
+        sql += ` AND ${column} >= ?`;
+        values.push(filters.date_from);
+    }
+    if (filters.date_to) {
+        sql += ` AND ${column} <= ?`;
+        values.push(filters.date_to);
+    }
+    return sql;
+}
+
+/**
+ * Sum a numeric field over a list of rows
+ * @param {Array} rows
+ * @param {string} field
+ * @returns {number}
+ */
+function sum(rows, field) {
+    return Math.round(rows.reduce((total, row) => total + (row[field] || 0), 0) * 100) / 100;
+}
+
+/**
+ * Parse drivers.plates (JSON array) together with drivers.plate
+ * @param {Object} driver - Driver row
+ * @returns {Array} - Upper-cased plates
+ */
+function driverPlates(driver) {
+    const plates = driver.plate ? [driver.plate.toUpperCase()] : [];
+    if (driver.plates) {
+        try {
+            const extra = typeof driver.plates === 'string' ? JSON.parse(driver.plates) : driver.plates;
+            if (Array.isArray(extra)) {
+                plates.push(...extra.map(p => String(p).toUpperCase()));
+            }
+        } catch (e) { }
+    }
+    return plates;
+}
+
+/**
+ * Data behind the extrato documents (driver, truck and client statements).
+ * Every list is in date order, oldest first, as printed.
+ */
+const Extrato = {
+    /**
+     * Driver statement: what was earned, deducted and paid in the period,
+     * with the ledger balance before and after it
+     * @param {number} driverId - Driver ID
+     * @param {Object} filters - {date_from, date_to}
+     * @returns {Object|null} - Extrato or null if the driver does not exist
+     */
+    async forDriver(driverId, filters = {}) {
+        const driver = await queryOne('SELECT id, name, plate FROM drivers WHERE id = ?', [driverId]);
+        if (!driver) return null;
+
+        let values = [driverId];
+        const freights = await query(`
+            SELECT * FROM freights
+            WHERE driver_id = ? AND status = 'complete'${dateRange('date', filters, values)}
+            ORDER BY date ASC, id ASC
+        `, values);
+
+        values = [driverId];
+        const abastecimentos = await query(`
+            SELECT * FROM abastecimentos
+            WHERE driver_id = ? AND status = 'complete'${dateRange('date', filters, values)}
+            ORDER BY date ASC, id ASC
+        `, values);
+
+        values = [driverId];
+        const outrosInsumos = await query(`
+            SELECT * FROM outros_insumos
+            WHERE driver_id = ?${dateRange('date', filters, values)}
+            ORDER BY date ASC, id ASC
+        `, values);
+
+        values = [driverId];
+        const advances = await query(`
+            SELECT * FROM driver_advances
+            WHERE driver_id = ?${dateRange('date', filters, values)}
+            ORDER BY date ASC, id ASC
+        `, values);
+
+        values = [driverId];
+        const payments = await query(`
+            SELECT id, date_range, total_value, DATE(created_at) as date
+            FROM payments
+            WHERE driver_id = ?${dateRange('DATE(created_at)', filters, values)}
+            ORDER BY created_at ASC, id ASC
+        `, values);
+
+        const ledger = await DriverLedger.findByDriver(driverId, filters);
+
+        return {
+            driver,
+            filters,
+            freights,
+            abastecimentos,
+            outros_insumos: outrosInsumos,
+            advances,
+            payments,
+            totals: {
+                freights: sum(freights, 'total_value'),
+                abastecimentos: sum(abastecimentos, 'total_value'),
+                outros_insumos: sum(outrosInsumos, 'total_value'),
+                advances: sum(advances, 'amount'),
+                payments: sum(payments, 'total_value'),
+                opening_balance: ledger.opening_balance,
+                closing_balance: ledger.closing_balance
+            }
+        };
+    },
+
+    /**
+     * Truck statement: revenue and costs of one plate in the period.
+     * Outros insumos without a plate are attributed through the driver's plates.
+     * @param {string} plate - Plate (any case)
+     * @param {Object} filters - {date_from, date_to}
+     * @returns {Object} - Extrato
+     */
+    async forPlate(plate, filters = {}) {
+        const normalizedPlate = plate.toUpperCase();
+
+        let values = [normalizedPlate];
+        const freights = await query(`
+            SELECT f.*, d.name as driver_name
+            FROM freights f
+            JOIN drivers d ON f.driver_id = d.id
+            WHERE UPPER(f.plate) = ? AND f.status = 'complete'${dateRange('f.date', filters, values)}
+            ORDER BY f.date ASC, f.id ASC
+        `, values);
+
+        values = [normalizedPlate];
+        const abastecimentos = await query(`
+            SELECT a.*, d.name as driver_name
+            FROM abastecimentos a
+            JOIN drivers d ON a.driver_id = d.id
+            WHERE UPPER(a.plate) = ? AND a.status = 'complete'${dateRange('a.date', filters, values)}
+            ORDER BY a.date ASC, a.id ASC
+        `, values);
+
+        values = [];
+        const candidates = await query(`
+            SELECT oi.*, d.name as driver_name, d.plate as driver_plate, d.plates as driver_plates
+            FROM outros_insumos oi
+            JOIN drivers d ON oi.driver_id = d.id
+            WHERE 1=1${dateRange('oi.date', filters, values)}
+            ORDER BY oi.date ASC, oi.id ASC
+        `, values);
+        const outrosInsumos = candidates.filter(oi => oi.plate
+            ? oi.plate.toUpperCase() === normalizedPlate
+            : driverPlates({ plate: oi.driver_plate, plates: oi.driver_plates }).includes(normalizedPlate)
+        );
+
+        const totals = {
+            freights: sum(freights, 'total_value'),
+            abastecimentos: sum(abastecimentos, 'total_value'),
+            outros_insumos: sum(outrosInsumos, 'total_value')
+        };
+        totals.net = Math.round((totals.freights - totals.abastecimentos - totals.outros_insumos) * 100) / 100;
+
+        return {
+            plate: normalizedPlate,
+            filters,
+            freights,
+            abastecimentos,
+            outros_insumos: outrosInsumos,
+            totals
+        };
+    },
+
+    /**
+     * Client statement: complete freights billed to a client (empresa) in the period
+     * @param {string} client - Client/empresa name as stored in freights.client
+     * @param {Object} filters - {date_from, date_to}
+     * @returns {Object} - Extrato
+     */
+    async forClient(client, filters = {}) {
+        const values = [client];
+        const freights = await query(`
+            SELECT f.*, d.name as driver_name, d.plate as driver_plate
+            FROM freights f
+            LEFT JOIN drivers d ON f.driver_id = d.id
+            WHERE f.client = ? AND f.status = 'complete'${dateRange('f.date', filters, values)}
+            ORDER BY f.date ASC, f.id ASC
+        `, values);
+
+        return {
+            client,
+            filters,
+            freights,
+            totals: {
+                freights: freights.length,
+                km: sum(freights, 'km'),
+                tons: sum(freights, 'tons'),
+                value: sum(freights, 'total_value_transportadora')
+            }
+        };
+    }
+};
+
+module.exports = Extrato;
@@ -1,14 +1,19 @@
-const { execute, query, queryOne } = require('../config/database');
+const database = require('../config/database');
+const { query, queryOne, transaction } = database;
 const Driver = require('./driver');
+const DriverLedger = require('./driverLedger');
+const Payment = require('./payment');
+const AuditLog = require('./auditLog');
 
 const Freight = {
     /**
      * Create a new freight (full version with all data)
-     * @param {Object} data - {driver_id, date, km, tons, price_per_km_ton, client, comprovante_carga, comprovante_descarga}
+     * @param {Object} data - {driver_id, date, km, tons, price_per_km_ton, client, origin_site_id, destination_site_id, comprovante_carga, comprovante_descarga}
+     * @param {Object} db - Optional transaction to join (by default the freight gets its own)
      * @returns {Object} - Created freight with calculated total_value
      */
-    async create(data) {
-        const { driver_id, date, km, tons, price_per_km_ton, price_per_km_ton_transportadora, client, plate, comprovante_carga, comprovante_descarga, comprovante_recebimento } = data;
+    async create(data, db = database) {
+        const { driver_id, date, km, tons, price_per_km_ton, price_per_km_ton_transportadora, client, plate, origin_site_id, destination_site_id, comprovante_carga, comprovante_descarga, comprovante_recebimento } = data;
 
         // Verify driver exists
         const driver = await Driver.findById(driver_id);
@@ -22,34 +27,44 @@ const Freight = {
         // Calculate total value for transportadora: km * tons * price_per_km_ton_transportadora
         const total_value_transportadora = (km || 0) * (tons || 0) * (price_per_km_ton_transportadora || 0);
 
-        const result = await execute(`
-            INSERT INTO freights (driver_id, date, km, tons, price_per_km_ton, price_per_km_ton_transportadora, total_value, total_value_transportadora, client, plate, comprovante_carga, comprovante_descarga, comprovante_recebimento, status)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'complete')
-        `, [
-            driver_id,
-            date,
-            km || 0,
-            tons || 0,
-            price_per_km_ton || 0,
-            price_per_km_ton_transportadora || 0,
-            total_value,
-            total_value_transportadora,
-            client || null,
-            plate || null,
-            comprovante_carga || null,
-            comprovante_descarga || null,
-            comprovante_recebimento || null
-        ]);
-        return this.findById(result.lastInsertRowid);
+        const insert = async (tx) => {
+            const result = await tx.execute(`
+                INSERT INTO freights (driver_id, date, km, tons, price_per_km_ton, price_per_km_ton_transportadora, total_value, total_value_transportadora, client, plate, origin_site_id, destination_site_id, comprovante_carga, comprovante_descarga, comprovante_recebimento, status)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'complete')
+            `, [
+                driver_id,
+                date,
+                km || 0,
+                tons || 0,
+                price_per_km_ton || 0,
+                price_per_km_ton_transportadora || 0,
+                total_value,
+                total_value_transportadora,
+                client || null,
+                plate || null,
+                origin_site_id || null,
+                destination_site_id || null,
+                comprovante_carga || null,
+                comprovante_descarga || null,
+                comprovante_recebimento || null
+            ]);
+            await DriverLedger.record('freight', result.lastInsertRowid, tx);
+            await AuditLog.record('create', 'freight', result.lastInsertRowid, null,
+                await this.findById(result.lastInsertRowid, tx), tx);
+            return result.lastInsertRowid;
+        };
+        const freightId = db === database ? await transaction(insert) : await insert(db);
+        return this.findById(freightId, db);
     },
 
     /**
-     * Create a pending freight (from driver upload - only driver_id, date, and comprovante)
-     * @param {Object} data - {driver_id, date, comprovante_carga}
+     * Create a pending freight (from driver upload - only driver_id, date, plate, and comprovante)
+     * @param {Object} data - {driver_id, date, plate, comprovante_carga}
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object} - Created freight (pending status)
      */
-    async createPending(data) {
-        const { driver_id, date, comprovante_carga } = data;
+    async createPending(data, db = database) {
+        const { driver_id, date, plate, comprovante_carga } = data;
 
         // Verify driver exists
         const driver = await Driver.findById(driver_id);
@@ -57,11 +72,13 @@ const Freight = {
             throw new Error('Driver not found');
         }
 
-        const result = await execute(`
-            INSERT INTO freights (driver_id, date, km, tons, price_per_km_ton, total_value, client, comprovante_carga, comprovante_descarga, status)
-            VALUES (?, ?, 0, 0, 0, 0, NULL, ?, NULL, 'pending')
-        `, [driver_id, date, comprovante_carga || null]);
-        return this.findById(result.lastInsertRowid);
+        const result = await db.execute(`
+            INSERT INTO freights (driver_id, plate, date, km, tons, price_per_km_ton, total_value, client, comprovante_carga, comprovante_descarga, status)
+            VALUES (?, ?, ?, 0, 0, 0, 0, NULL, ?, NULL, 'pending')
+        `, [driver_id, plate || null, date, comprovante_carga || null]);
+        const freight = await this.findById(result.lastInsertRowid, db);
+        await AuditLog.record('create', 'freight', freight.id, null, freight, db);
+        return freight;
     },
 
     /**
@@ -75,6 +92,7 @@ const Freight = {
 
         const updates = [];
         const values = [];
+        const changes = { ...data };
 
         if (driver_id !== undefined) {
             updates.push('driver_id = ?');
@@ -92,6 +110,14 @@ const Freight = {
             updates.push('client = ?');
             values.push(client);
         }
+        if (data.origin_site_id !== undefined) {
+            updates.push('origin_site_id = ?');
+            values.push(data.origin_site_id);
+        }
+        if (data.destination_site_id !== undefined) {
+            updates.push('destination_site_id = ?');
+            values.push(data.destination_site_id);
+        }
         if (km !== undefined) {
             updates.push('km = ?');
             values.push(km);
@@ -136,6 +162,10 @@ const Freight = {
             updates.push('client_paid = ?');
             values.push(data.client_paid ? 1 : 0);
         }
+        if (data.tracking_enabled !== undefined) {
+            updates.push('tracking_enabled = ?');
+            values.push(data.tracking_enabled ? 1 : 0);
+        }
 
         // Recalculate total_value if km, tons, or price changed
         if (km !== undefined || tons !== undefined || price_per_km_ton !== undefined || price_per_km_ton_transportadora !== undefined) {
@@ -148,6 +178,7 @@ const Freight = {
             const total_value = newKm * newTons * (newPrice || 0);
             updates.push('total_value = ?');
             values.push(total_value);
+            changes.total_value = total_value;
 
             const total_value_transportadora = newKm * newTons * (newPriceTransp || 0);
             updates.push('total_value_transportadora = ?');
@@ -156,21 +187,31 @@ const Freight = {
 
         if (updates.length === 0) return this.findById(id);
 
+        const before = await this.findById(id);
         values.push(id);
-        await execute(`UPDATE freights SET ${updates.join(', ')} WHERE id = ?`, values);
+        await transaction(async (tx) => {
+            await Payment.assertUnsettled('freight', before, changes, tx);
+            await tx.execute(`UPDATE freights SET ${updates.join(', ')} WHERE id = ?`, values);
+            await DriverLedger.record('freight', id, tx);
+            await AuditLog.record('update', 'freight', id, before, await this.findById(id, tx), tx);
+        });
         return this.findById(id);
     },
 
     /**
      * Find freight by ID
      * @param {number} id - Freight ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Freight or null
      */
-    async findById(id) {
-        return queryOne(`
-            SELECT f.*, d.name as driver_name, d.plate as driver_plate
+    async findById(id, db = database) {
+        return db.queryOne(`
+            SELECT f.*, d.name as driver_name, d.plate as driver_plate,
+                   os.name as origin_site_name, ds.name as destination_site_name
             FROM freights f
             JOIN drivers d ON f.driver_id = d.id
+            LEFT JOIN sites os ON os.id = f.origin_site_id
+            LEFT JOIN sites ds ON ds.id = f.destination_site_id
             WHERE f.id = ?
         `, [id]);
     },
@@ -234,9 +275,12 @@ const Freight = {
      */
     async findAll(filters = {}) {
         let sql = `
-            SELECT f.*, d.name as driver_name, d.plate as driver_plate
+            SELECT f.*, d.name as driver_name, d.plate as driver_plate,
+                   os.name as origin_site_name, ds.name as destination_site_name
             FROM freights f
             JOIN drivers d ON f.driver_id = d.id
+            LEFT JOIN sites os ON os.id = f.origin_site_id
+            LEFT JOIN sites ds ON ds.id = f.destination_site_id
             WHERE 1=1
         `;
         const values = [];
@@ -328,13 +372,27 @@ const Freight = {
      * @returns {boolean} - Success
      */
     async delete(id) {
-        // First delete related records to avoid foreign key constraints
-        await execute('DELETE FROM comprovantes_carga WHERE assigned_freight_id = ?', [id]);
-        await execute('DELETE FROM comprovantes_descarga WHERE assigned_freight_id = ?', [id]);
-
-        // Now delete the freight
-        const result = await execute('DELETE FROM freights WHERE id = ?', [id]);
-        return result.changes > 0;
+        const before = await this.findById(id);
+
+        return transaction(async (tx) => {
+            if (before) {
+                await Payment.assertUnsettled('freight', before, null, tx);
+            }
+
+            // First delete related records to avoid foreign key constraints
+            await tx.execute('DELETE FROM comprovantes_carga WHERE assigned_freight_id = ?', [id]);
+            await tx.execute('DELETE FROM comprovantes_descarga WHERE assigned_freight_id = ?', [id]);
+            await tx.execute('DELETE FROM driver_location_points WHERE freight_id = ?', [id]);
+            await tx.execute('DELETE FROM freight_site_events WHERE freight_id = ?', [id]);
+
+            // Now delete the freight
+            const result = await tx.execute('DELETE FROM freights WHERE id = ?', [id]);
+            await DriverLedger.record('freight', id, tx);
+            if (result.changes > 0) {
+                await AuditLog.record('delete', 'freight', id, before, null, tx);
+            }
+            return result.changes > 0;
+        });
     }
 };
 
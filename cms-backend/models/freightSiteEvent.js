@@ -0,0 +1,41 @@
+const { query, execute } = require('../config/database');
+
+// In trip order
+const SITE_EVENTS = ['arrived_origin', 'departed_origin', 'arrived_destination'];
+
+const FreightSiteEvent = {
+    EVENTS: SITE_EVENTS,
+
+    /**
+     * Record an event of a freight, unless it was already recorded
+     * @param {Object} data - {freight_id, site_id, event, latitude, longitude, recorded_at}
+     * @returns {boolean} - Whether it was new
+     */
+    async record(data) {
+        const { freight_id, site_id, event, latitude, longitude, recorded_at } = data;
+        const result = await execute(`
+            INSERT INTO freight_site_events (freight_id, site_id, event, latitude, longitude, recorded_at)
+            VALUES (?, ?, ?, ?, ?, datetime(?))
+            ON CONFLICT(freight_id, event) DO NOTHING
+        `, [freight_id, site_id, event, latitude, longitude, recorded_at]);
+        return result.changes > 0;
+    },
+
+    /**
+     * Events of a freight, in the order they happened
+     * @param {number} freightId - Freight ID
+     * @returns {Array} - Events with the site name and kind
+     */
+    async findByFreight(freightId) {
+        return query(`
+            SELECT e.event, e.site_id, s.name as site_name, s.kind as site_kind,
+                   e.latitude, e.longitude, e.recorded_at
+            FROM freight_site_events e
+            JOIN sites s ON s.id = e.site_id
+            WHERE e.freight_id = ?
+            ORDER BY e.recorded_at, e.id
+        `, [freightId]);
+    }
+};
+
+module.exports = FreightSiteEvent;
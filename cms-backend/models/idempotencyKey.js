@@ -0,0 +1,69 @@
+const { execute, queryOne } = require('../config/database');
+
+// How long a response is kept for replay. The driver PWA may hold a queued
+// upload for days without signal, so this is generous.
+const KEY_TTL_HOURS = 7 * 24;
+
+// A claim with no response after this long belongs to a request that died
+// (e.g. a serverless timeout) and may be claimed again
+const STALE_CLAIM_MINUTES = 5;
+
+const IdempotencyKey = {
+    TTL_HOURS: KEY_TTL_HOURS,
+
+    /**
+     * Claim a key for a new request. Fails when the key is already known,
+     * in which case the existing row is returned instead.
+     * @param {string} scope - "<user type>:<id>"
+     * @param {string} key - Idempotency-Key header
+     * @param {string} fingerprint - Hash of the request
+     * @returns {Object} - {claimed: true, id} or {claimed: false, existing}
+     */
+    async claim(scope, key, fingerprint) {
+        // Expired keys and abandoned claims are released first so they can be claimed again
+        await execute(`
+            DELETE FROM idempotency_keys
+            WHERE created_at < datetime('now', '-${KEY_TTL_HOURS} hours')
+               OR (status_code IS NULL AND created_at < datetime('now', '-${STALE_CLAIM_MINUTES} minutes'))
+        `);
+
+        const result = await execute(`
+            INSERT INTO idempotency_keys (scope, idempotency_key, fingerprint)
+            VALUES (?, ?, ?)
+            ON CONFLICT(scope, idempotency_key) DO NOTHING
+        `, [scope, key, fingerprint]);
+
+        if (result.changes > 0) {
+            return { claimed: true, id: Number(result.lastInsertRowid) };
+        }
+
+        const existing = await queryOne(
+            'SELECT * FROM idempotency_keys WHERE scope = ? AND idempotency_key = ?',
+            [scope, key]
+        );
+        return { claimed: false, existing };
+    },
+
+    /**
+     * Store the response of a claimed key for replay
+     * @param {number} id - Key row ID
+     * @param {number} statusCode - HTTP status
+     * @param {*} body - JSON response body
+     */
+    async complete(id, statusCode, body) {
+        await execute(
+            'UPDATE idempotency_keys SET status_code = ?, response_body = ? WHERE id = ?',
+            [statusCode, JSON.stringify(body === undefined ? null : body), id]
+        );
+    },
+
+    /**
+     * Give a key up (the request failed on our side), so a retry runs again
+     * @param {number} id - Key row ID
+     */
+    async release(id) {
+        await execute('DELETE FROM idempotency_keys WHERE id = ?', [id]);
+    }
+};
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,288 @@
+const database = require('../config/database');
+const { query, queryOne, transaction } = database;
+
+const INVOICE_STATUSES = ['open', 'partially_paid', 'paid', 'overdue'];
+
+// Receipts may overshoot the outstanding amount by float noise only
+const RECEIPT_TOLERANCE = 0.01;
+
+const INVOICE_SELECT = `
+    SELECT i.*,
+        COALESCE((SELECT SUM(amount) FROM invoice_receipts WHERE invoice_id = i.id), 0) as paid_amount,
+        (SELECT COUNT(*) FROM invoice_freights WHERE invoice_id = i.id) as freight_count
+    FROM invoices i
+`;
+
+/**
+ * Round a currency amount to cents
+ * @param {number} value
+ * @returns {number}
+ */
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+function today() {
+    return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Add outstanding_amount and the derived status to an invoice row
+ * @param {Object} invoice - Invoice row with paid_amount
+ * @returns {Object} - Same invoice with {outstanding_amount, status}
+ */
+function withStatus(invoice) {
+    const paid = toCents(invoice.paid_amount);
+    const outstanding = toCents(invoice.total_value - paid);
+
+    let status;
+    if (outstanding <= 0) status = 'paid';
+    else if (invoice.due_date < today()) status = 'overdue';
+    else if (paid > 0) status = 'partially_paid';
+    else status = 'open';
+
+    return { ...invoice, paid_amount: paid, outstanding_amount: Math.max(outstanding, 0), status };
+}
+
+/**
+ * Keep freights.client_paid in step with the invoice: set once it is fully paid
+ * @param {number} invoiceId - Invoice ID
+ * @param {Object} tx - Transaction helpers
+ */
+async function syncClientPaid(invoiceId, tx) {
+    const invoice = await tx.queryOne(`${INVOICE_SELECT} WHERE i.id = ?`, [invoiceId]);
+    const fullyPaid = withStatus(invoice).status === 'paid';
+    await tx.execute(`
+        UPDATE freights SET client_paid = ?
+        WHERE id IN (SELECT freight_id FROM invoice_freights WHERE invoice_id = ?)
+    `, [fullyPaid ? 1 : 0, invoiceId]);
+}
+
+const Invoice = {
+    STATUSES: INVOICE_STATUSES,
+    RECEIPT_TOLERANCE,
+
+    /**
+     * Work out which freights an invoice would bill and its total.
+     * Without freight_ids, every complete, not yet invoiced freight of the client
+     * in the period is taken; with freight_ids, each one is validated and
+     * violations are listed in `errors`.
+     * @param {Object} data - {client, period_start, period_end, freight_ids}
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Object} - {client, period_start, period_end, freights, total_value, errors}
+     */
+    async build(data, db = database) {
+        const { client, period_start, period_end, freight_ids } = data;
+        const draft = { client, period_start, period_end, errors: [] };
+
+        const INVOICEABLE_SELECT = `
+            SELECT f.*, d.name as driver_name, d.plate as driver_plate, inv.invoice_id
+            FROM freights f
+            JOIN drivers d ON f.driver_id = d.id
+            LEFT JOIN invoice_freights inv ON inv.freight_id = f.id
+        `;
+
+        if (!freight_ids) {
+            draft.freights = await db.query(`
+                ${INVOICEABLE_SELECT}
+                WHERE f.client = ? AND f.status = 'complete' AND f.date >= ? AND f.date <= ?
+                  AND inv.invoice_id IS NULL
+                ORDER BY f.date ASC, f.id ASC
+            `, [client, period_start, period_end]);
+        } else {
+            const requested = [...new Set(freight_ids)];
+            const rows = requested.length > 0
+                ? await db.query(`${INVOICEABLE_SELECT} WHERE f.id IN (${requested.map(() => '?').join(', ')}) ORDER BY f.date ASC, f.id ASC`, requested)
+                : [];
+            const rowsById = new Map(rows.map(row => [row.id, row]));
+
+            for (const id of requested) {
+                const row = rowsById.get(id);
+                let reason = null;
+                if (!row) reason = 'not_found';
+                else if (row.client !== client) reason = 'other_client';
+                else if (row.status !== 'complete') reason = 'not_complete';
+                else if (row.invoice_id) reason = 'already_invoiced';
+                else if (row.date < period_start || row.date > period_end) reason = 'out_of_period';
+
+                if (reason) {
+                    draft.errors.push({ freight_id: id, reason });
+                }
+            }
+            draft.freights = rows;
+        }
+
+        draft.total_value = toCents(draft.freights.reduce((sum, f) => sum + (f.total_value_transportadora || 0), 0));
+        return draft;
+    },
+
+    /**
+     * Create an invoice. The freight list is rebuilt inside the transaction,
+     * so a freight invoiced by a concurrent request fails the whole invoice.
+     * @param {Object} data - {client, period_start, period_end, issue_date, due_date, notes, freight_ids}
+     * @returns {Object} - Created invoice
+     */
+    async create(data) {
+        const { client, period_start, period_end, issue_date, due_date, notes } = data;
+
+        const invoiceId = await transaction(async (tx) => {
+            const draft = await this.build(data, tx);
+            if (draft.errors.length > 0) {
+                const error = new Error('Some freights can no longer be invoiced');
+                error.status = 409;
+                error.details = draft.errors;
+                throw error;
+            }
+            if (draft.freights.length === 0) {
+                const error = new Error('No freights to invoice in this period');
+                error.status = 400;
+                throw error;
+            }
+
+            const result = await tx.execute(`
+                INSERT INTO invoices (client, period_start, period_end, issue_date, due_date, total_value, notes)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [client, period_start, period_end, issue_date || today(), due_date, draft.total_value, notes || null]);
+            const newInvoiceId = result.lastInsertRowid;
+
+            for (const freight of draft.freights) {
+                await tx.execute(
+                    'INSERT INTO invoice_freights (invoice_id, freight_id, amount) VALUES (?, ?, ?)',
+                    [newInvoiceId, freight.id, freight.total_value_transportadora || 0]
+                );
+            }
+
+            return newInvoiceId;
+        });
+
+        return this.findById(invoiceId);
+    },
+
+    /**
+     * Find invoice by ID, with its freights and receipts
+     * @param {number} id - Invoice ID
+     * @returns {Object|null} - Invoice or null
+     */
+    async findById(id) {
+        const invoice = await queryOne(`${INVOICE_SELECT} WHERE i.id = ?`, [id]);
+        if (!invoice) return null;
+
+        const freights = await query(`
+            SELECT f.id, f.date, f.plate, f.km, f.tons, f.price_per_km_ton_transportadora,
+                   f.comprovante_descarga, inv.amount, d.name as driver_name, d.plate as driver_plate
+            FROM invoice_freights inv
+            JOIN freights f ON inv.freight_id = f.id
+            JOIN drivers d ON f.driver_id = d.id
+            WHERE inv.invoice_id = ?
+            ORDER BY f.date ASC, f.id ASC
+        `, [id]);
+
+        const receipts = await query(
+            'SELECT * FROM invoice_receipts WHERE invoice_id = ? ORDER BY date ASC, id ASC',
+            [id]
+        );
+
+        return { ...withStatus(invoice), freights, receipts };
+    },
+
+    /**
+     * Find all invoices, newest due date first
+     * @param {Object} filters - {client, status}
+     * @returns {Array} - Invoices with derived status
+     */
+    async findAll(filters = {}) {
+        let sql = `${INVOICE_SELECT} WHERE 1=1`;
+        const values = [];
+
+        if (filters.client) {
+            sql += ' AND i.client = ?';
+            values.push(filters.client);
+        }
+
+        sql += ' ORDER BY i.due_date DESC, i.id DESC';
+        const invoices = (await query(sql, values)).map(withStatus);
+
+        // Status depends on today's date, so it is filtered after it is derived
+        return filters.status ? invoices.filter(i => i.status === filters.status) : invoices;
+    },
+
+    /**
+     * Find the invoice a freight was billed on
+     * @param {number} freightId - Freight ID
+     * @returns {Object|null} - Invoice or null
+     */
+    async findByFreight(freightId) {
+        const row = await queryOne('SELECT invoice_id FROM invoice_freights WHERE freight_id = ?', [freightId]);
+        return row ? this.findById(row.invoice_id) : null;
+    },
+
+    /**
+     * Record money received against an invoice. The outstanding balance is
+     * checked again inside the transaction, so concurrent receipts can't
+     * overpay it.
+     * @param {number} invoiceId - Invoice ID
+     * @param {Object} data - {date, amount, comprovante_path, notes}
+     * @returns {Object} - Updated invoice
+     */
+    async addReceipt(invoiceId, data) {
+        const { date, amount, comprovante_path, notes } = data;
+
+        await transaction(async (tx) => {
+            const invoice = withStatus(await tx.queryOne(`${INVOICE_SELECT} WHERE i.id = ?`, [invoiceId]));
+            if (amount > invoice.outstanding_amount + RECEIPT_TOLERANCE) {
+                const error = new Error('Amount exceeds the outstanding balance of the invoice');
+                error.status = 400;
+                error.outstanding_amount = invoice.outstanding_amount;
+                throw error;
+            }
+
+            await tx.execute(`
+                INSERT INTO invoice_receipts (invoice_id, date, amount, comprovante_path, notes)
+                VALUES (?, ?, ?, ?, ?)
+            `, [invoiceId, date, amount, comprovante_path || null, notes || null]);
+            await syncClientPaid(invoiceId, tx);
+        });
+
+        return this.findById(invoiceId);
+    },
+
+    /**
+     * Delete a receipt
+     * @param {number} invoiceId - Invoice ID
+     * @param {number} receiptId - Receipt ID
+     * @returns {boolean} - Success
+     */
+    async deleteReceipt(invoiceId, receiptId) {
+        return transaction(async (tx) => {
+            const result = await tx.execute(
+                'DELETE FROM invoice_receipts WHERE id = ? AND invoice_id = ?',
+                [receiptId, invoiceId]
+            );
+            await syncClientPaid(invoiceId, tx);
+            return result.changes > 0;
+        });
+    },
+
+    /**
+     * Delete invoice and release its freights
+     * @param {number} id - Invoice ID
+     * @returns {boolean} - Success
+     */
+    async delete(id) {
+        return transaction(async (tx) => {
+            await tx.execute(`
+                UPDATE freights SET client_paid = 0
+                WHERE id IN (SELECT freight_id FROM invoice_freights WHERE invoice_id = ?)
+            `, [id]);
+            await tx.execute('DELETE FROM invoice_freights WHERE invoice_id = ?', [id]);
+            const result = await tx.execute('DELETE FROM invoices WHERE id = ?', [id]);
+            return result.changes > 0;
+        });
+    }
+};
+
+module.exports = Invoice;
@@ -0,0 +1,111 @@
+const { execute, query, queryOne } = require('../config/database');
+
+// Failure counters restart after this long without a failure
+const FAILURE_WINDOW_MINUTES = 60;
+
+// Longest backoff delay before the lockout kicks in
+const MAX_BACKOFF_SECONDS = 60;
+
+// How long a lockout lasts
+const LOCKOUT_MINUTES = 15;
+
+/**
+ * Seconds a key must wait after its latest failure
+ * @param {number} failures - Failures in the current window
+ * @param {Object} policy - {freeAttempts, lockAfter}
+ * @returns {number}
+ */
+function delayFor(failures, policy) {
+    if (failures >= policy.lockAfter) return LOCKOUT_MINUTES * 60;
+    if (failures <= policy.freeAttempts) return 0;
+    return Math.min(2 ** (failures - policy.freeAttempts), MAX_BACKOFF_SECONDS);
+}
+
+const LoginThrottle = {
+    /**
+     * How long the caller must wait before trying again
+     * @param {Array} keys - Throttle keys
+     * @returns {Object} - {retryAfter (seconds, 0 if allowed), locked}
+     */
+    async check(keys) {
+        if (keys.length === 0) return { retryAfter: 0, locked: false };
+
+        const rows = await query(`
+            SELECT locked_at, (julianday(blocked_until) - julianday('now')) * 86400 as wait
+            FROM login_throttles
+            WHERE key IN (${keys.map(() => '?').join(', ')}) AND blocked_until > datetime('now')
+        `, keys);
+
+        return {
+            retryAfter: rows.reduce((max, row) => Math.max(max, Math.ceil(row.wait)), 0),
+            locked: rows.some(row => row.locked_at)
+        };
+    },
+
+    /**
+     * Count a failed attempt and push back the next allowed one
+     * @param {string} key - Throttle key
+     * @param {Object} policy - {freeAttempts, lockAfter}
+     * @returns {Object} - {failures, locked} where locked is true only when this failure caused the lockout
+     */
+    async recordFailure(key, policy) {
+        await execute(`
+            INSERT INTO login_throttles (key, failures, last_failure_at) VALUES (?, 1, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET
+                failures = CASE
+                    WHEN last_failure_at < datetime('now', '-${FAILURE_WINDOW_MINUTES} minutes') THEN 1
+                    ELSE failures + 1
+                END,
+                locked_at = CASE
+                    WHEN last_failure_at < datetime('now', '-${FAILURE_WINDOW_MINUTES} minutes') THEN NULL
+                    ELSE locked_at
+                END,
+                last_failure_at = CURRENT_TIMESTAMP
+        `, [key]);
+
+        const { failures } = await queryOne('SELECT failures FROM login_throttles WHERE key = ?', [key]);
+        const locked = failures === policy.lockAfter;
+
+        await execute(`
+            UPDATE login_throttles
+            SET blocked_until = datetime('now', '+' || ? || ' seconds'),
+                locked_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE locked_at END
+            WHERE key = ?
+        `, [delayFor(failures, policy), locked ? 1 : 0, key]);
+
+        return { failures, locked };
+    },
+
+    /**
+     * Forget a key's failures (successful login)
+     * @param {string} key - Throttle key
+     */
+    async clear(key) {
+        await execute('DELETE FROM login_throttles WHERE key = ?', [key]);
+    },
+
+    /**
+     * Keys currently locked out
+     * @returns {Array} - [{id, key, failures, locked_at, blocked_until}]
+     */
+    async findLocked() {
+        return query(`
+            SELECT id, key, failures, locked_at, blocked_until
+            FROM login_throttles
+            WHERE locked_at IS NOT NULL AND blocked_until > datetime('now')
+            ORDER BY locked_at DESC
+        `);
+    },
+
+    /**
+     * Lift a lockout (admin)
+     * @param {number} id - Throttle row ID
+     * @returns {boolean} - True if a row was removed
+     */
+    async unlock(id) {
+        const result = await execute('DELETE FROM login_throttles WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+};
+
+module.exports = LoginThrottle;
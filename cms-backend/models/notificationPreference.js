@@ -0,0 +1,57 @@
+const { execute, queryOne } = require('../config/database');
+
+// Channels and events a driver can turn off; everything is on by default
+const PREFERENCE_FIELDS = ['whatsapp', 'push', 'freight_completed', 'payment_created', 'comprovante_assigned'];
+
+/**
+ * Preferences row as booleans, with defaults for missing fields
+ * @param {Object|null} row
+ * @returns {Object}
+ */
+function toPreferences(row) {
+    const preferences = {};
+    for (const field of PREFERENCE_FIELDS) {
+        preferences[field] = row ? !!row[field] : true;
+    }
+    return preferences;
+}
+
+const NotificationPreference = {
+    FIELDS: PREFERENCE_FIELDS,
+
+    /**
+     * A driver's notification preferences
+     * @param {number} driverId - Driver ID
+     * @returns {Object} - {whatsapp, push, freight_completed, payment_created, comprovante_assigned}
+     */
+    async findByDriver(driverId) {
+        const row = await queryOne('SELECT * FROM driver_notification_preferences WHERE driver_id = ?', [driverId]);
+        return toPreferences(row);
+    },
+
+    /**
+     * Change some of a driver's preferences
+     * @param {number} driverId - Driver ID
+     * @param {Object} changes - Any of the preference fields, as booleans
+     * @returns {Object} - Updated preferences
+     */
+    async update(driverId, changes) {
+        const preferences = { ...(await this.findByDriver(driverId)) };
+        for (const field of PREFERENCE_FIELDS) {
+            if (changes[field] !== undefined) preferences[field] = !!changes[field];
+        }
+
+        const values = PREFERENCE_FIELDS.map(field => preferences[field] ? 1 : 0);
+        await execute(`
+            INSERT INTO driver_notification_preferences (driver_id, ${PREFERENCE_FIELDS.join(', ')})
+            VALUES (?, ${PREFERENCE_FIELDS.map(() => '?').join(', ')})
+            ON CONFLICT(driver_id) DO UPDATE SET
+                ${PREFERENCE_FIELDS.map(field => `${field} = excluded.${field}`).join(', ')},
+                updated_at = CURRENT_TIMESTAMP
+        `, [driverId, ...values]);
+
+        return preferences;
+    }
+};
+
+module.exports = NotificationPreference;
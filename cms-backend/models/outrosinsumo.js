@@ -1,5 +1,9 @@
-const { execute, query, queryOne } = require('../config/database');
+const database = require('../config/database');
+const { execute, query, queryOne, transaction } = database;
 const Driver = require('./driver');
+const DriverLedger = require('./driverLedger');
+const Payment = require('./payment');
+const AuditLog = require('./auditLog');
 
 const OutrosInsumo = {
     /**
@@ -20,11 +24,17 @@ const OutrosInsumo = {
         // Calculate total value: quantity * unit_price
         const total_value = quantity * unit_price;
 
-        const result = await execute(`
-            INSERT INTO outros_insumos (driver_id, date, quantity, description, unit_price, total_value, plate, comprovante)
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [driver_id, date, quantity, description, unit_price, total_value, plate || null, comprovante || null]);
-        return this.findById(result.lastInsertRowid);
+        const outrosInsumoId = await transaction(async (tx) => {
+            const result = await tx.execute(`
+                INSERT INTO outros_insumos (driver_id, date, quantity, description, unit_price, total_value, plate, comprovante)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `, [driver_id, date, quantity, description, unit_price, total_value, plate || null, comprovante || null]);
+            await DriverLedger.record('outros_insumo', result.lastInsertRowid, tx);
+            await AuditLog.record('create', 'outros_insumo', result.lastInsertRowid, null,
+                await this.findById(result.lastInsertRowid, tx), tx);
+            return result.lastInsertRowid;
+        });
+        return this.findById(outrosInsumoId);
     },
 
     /**
@@ -46,16 +56,19 @@ const OutrosInsumo = {
             INSERT INTO outros_insumos (driver_id, date, quantity, description, unit_price, total_value, plate, comprovante)
             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
         `, [driver_id, date, 1, description || 'Outros Insumos', 0, 0, plate || null, comprovante || null]);
-        return this.findById(result.lastInsertRowid);
+        const outrosInsumo = await this.findById(result.lastInsertRowid);
+        await AuditLog.record('create', 'outros_insumo', outrosInsumo.id, null, outrosInsumo);
+        return outrosInsumo;
     },
 
     /**
      * Find outros insumo by ID
      * @param {number} id - Outros insumo ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
      * @returns {Object|null} - Outros insumo or null
      */
-    async findById(id) {
-        return queryOne(`
+    async findById(id, db = database) {
+        return db.queryOne(`
             SELECT oi.*, d.name as driver_name, d.plate as driver_plate, d.client as client
             FROM outros_insumos oi
             JOIN drivers d ON oi.driver_id = d.id
@@ -181,8 +194,14 @@ const OutrosInsumo = {
             return this.findById(id);
         }
 
+        const before = await this.findById(id);
         values.push(id);
-        await execute(`UPDATE outros_insumos SET ${updates.join(', ')} WHERE id = ?`, values);
+        await transaction(async (tx) => {
+            await Payment.assertUnsettled('outros_insumo', before, data, tx);
+            await tx.execute(`UPDATE outros_insumos SET ${updates.join(', ')} WHERE id = ?`, values);
+            await DriverLedger.record('outros_insumo', id, tx);
+            await AuditLog.record('update', 'outros_insumo', id, before, await this.findById(id, tx), tx);
+        });
         return this.findById(id);
     },
 
@@ -192,8 +211,20 @@ const OutrosInsumo = {
      * @returns {boolean} - Success
      */
     async delete(id) {
-        const result = await execute('DELETE FROM outros_insumos WHERE id = ?', [id]);
-        return result.changes > 0;
+        const before = await this.findById(id);
+
+        return transaction(async (tx) => {
+            if (before) {
+                await Payment.assertUnsettled('outros_insumo', before, null, tx);
+            }
+
+            const result = await tx.execute('DELETE FROM outros_insumos WHERE id = ?', [id]);
+            await DriverLedger.record('outros_insumo', id, tx);
+            if (result.changes > 0) {
+                await AuditLog.record('delete', 'outros_insumo', id, before, null, tx);
+            }
+            return result.changes > 0;
+        });
     }
 };
 
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const database = require('../config/database');
+const { queryOne, transaction } = database;
+const AuditLog = require('./auditLog');
+
+// How long a link stays usable
+const TOKEN_TTL_HOURS = {
+    invite: 72,
+    reset: 24
+};
+
+/**
+ * SHA-256 of a link token (only hashes are stored)
+ * @param {string} token
+ * @returns {string}
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+const PasswordToken = {
+    TTL_HOURS: TOKEN_TTL_HOURS,
+
+    /**
+     * Issue a set-password token, revoking the user's outstanding ones
+     * @param {string} userType - driver or abastecedor
+     * @param {number} userId - User ID
+     * @param {string} purpose - invite or reset
+     * @param {number} adminId - Admin issuing the link
+     * @returns {Object} - {record, token}; the plain token is never stored
+     */
+    async create(userType, userId, purpose, adminId) {
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        const record = await transaction(async (tx) => {
+            const outstanding = await tx.query(`
+                SELECT * FROM password_tokens
+                WHERE user_type = ? AND user_id = ? AND used_at IS NULL AND revoked_at IS NULL
+            `, [userType, userId]);
+            for (const old of outstanding) {
+                await tx.execute('UPDATE password_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?', [old.id]);
+                await AuditLog.record('update', 'password_token', old.id, old, await this.findById(old.id, tx), tx);
+            }
+
+            const result = await tx.execute(`
+                INSERT INTO password_tokens (user_type, user_id, token_hash, purpose, created_by_admin_id, expires_at)
+                VALUES (?, ?, ?, ?, ?, datetime('now', '+${TOKEN_TTL_HOURS[purpose]} hours'))
+            `, [userType, userId, hashToken(token), purpose, adminId]);
+
+            const created = await this.findById(Number(result.lastInsertRowid), tx);
+            await AuditLog.record('create', 'password_token', created.id, null, created, tx);
+            return created;
+        });
+
+        return { record, token };
+    },
+
+    /**
+     * Find token by ID
+     * @param {number} id - Token ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Object|null}
+     */
+    async findById(id, db = database) {
+        return db.queryOne('SELECT * FROM password_tokens WHERE id = ?', [id]);
+    },
+
+    /**
+     * Find a token that can still be used
+     * @param {string} token - Plain token from the link
+     * @returns {Object|null}
+     */
+    async findUsable(token) {
+        return queryOne(`
+            SELECT * FROM password_tokens
+            WHERE token_hash = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > datetime('now')
+        `, [hashToken(token)]);
+    },
+
+    /**
+     * Mark a token as used. Only one caller can win for a given token.
+     * @param {number} id - Token ID
+     * @returns {boolean} - False if it was used, revoked or expired meanwhile
+     */
+    async consume(id) {
+        return transaction(async (tx) => {
+            const before = await this.findById(id, tx);
+            const result = await tx.execute(`
+                UPDATE password_tokens SET used_at = CURRENT_TIMESTAMP
+                WHERE id = ? AND used_at IS NULL AND revoked_at IS NULL AND expires_at > datetime('now')
+            `, [id]);
+            if (result.changes === 0) return false;
+
+            await AuditLog.record('update', 'password_token', id, before, await this.findById(id, tx), tx);
+            return true;
+        });
+    }
+};
+
+module.exports = PasswordToken;
@@ -1,70 +1,266 @@
-const { execute, query, queryOne } = require('../config/database');
+const database = require('../config/database');
+const { execute, query, queryOne, transaction } = database;
+const Advance = require('./advance');
+const DriverLedger = require('./driverLedger');
+const AuditLog = require('./auditLog');
+
+// Item lists a payment settles: freights are credited, the rest is deducted.
+// `type` is the payment_items.item_type value.
+const SETTLEMENT_ITEMS = [
+    { key: 'freight_ids', table: 'freights', type: 'freight', requireComplete: true },
+    { key: 'abastecimento_ids', table: 'abastecimentos', type: 'abastecimento', requireComplete: true },
+    { key: 'outros_insumo_ids', table: 'outros_insumos', type: 'outros_insumo', requireComplete: false }
+];
+
+// Fields of a settled item its payment depends on (its amount and driver),
+// and how errors name the item
+const SETTLED_FIELDS = {
+    freight: { label: 'Freight', fields: ['driver_id', 'km', 'tons', 'price_per_km_ton', 'total_value', 'status'] },
+    abastecimento: { label: 'Abastecimento', fields: ['driver_id', 'quantity', 'price_per_liter', 'total_value', 'status'] },
+    outros_insumo: { label: 'Outros insumo', fields: ['driver_id', 'quantity', 'unit_price', 'total_value'] }
+};
+
+const PAYMENT_SELECT = `
+    SELECT p.*, d.name as driver_name, d.plate as driver_plate
+    FROM payments p
+    JOIN drivers d ON p.driver_id = d.id
+`;
+
+/**
+ * Build a "?, ?, ?" placeholder list for an IN clause
+ * @param {Array} ids - Values to bind
+ * @returns {string}
+ */
+function placeholders(ids) {
+    return ids.map(() => '?').join(', ');
+}
+
+/**
+ * Set the paid flag on a batch of rows of one table
+ * @param {Object} tx - Transaction helpers
+ * @param {string} table - freights, abastecimentos or outros_insumos
+ * @param {Array} ids - Row IDs
+ * @param {number} paid - 1 or 0
+ */
+async function setPaid(tx, table, ids, paid) {
+    if (!ids || ids.length === 0) return;
+    await tx.execute(`UPDATE ${table} SET paid = ? WHERE id IN (${placeholders(ids)})`, [paid, ...ids]);
+}
+
+/**
+ * Round a currency amount to cents
+ * @param {number} value
+ * @returns {number}
+ */
+function toCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Load payment_items for a batch of payments and attach them, along with the
+ * per-type ID lists (freight_ids, abastecimento_ids, outros_insumo_ids)
+ * @param {Array} payments - Payment rows
+ * @param {Object} db - Optional transaction (defaults to the shared client)
+ * @returns {Array} - The same payments with items attached
+ */
+async function attachItems(payments, db = database) {
+    if (payments.length === 0) return payments;
+
+    const paymentIds = payments.map(p => p.id);
+    const items = await db.query(`
+        SELECT * FROM payment_items
+        WHERE payment_id IN (${placeholders(paymentIds)})
+        ORDER BY id
+    `, paymentIds);
+
+    for (const payment of payments) {
+        payment.items = items.filter(item => item.payment_id === payment.id);
+        for (const { key, type } of SETTLEMENT_ITEMS) {
+            payment[key] = payment.items.filter(item => item.item_type === type).map(item => item.item_id);
+        }
+    }
+    return payments;
+}
 
 const Payment = {
     /**
-     * Create a new payment record
-     * @param {Object} data - {driver_id, date_range, total_value, comprovante_path, freight_ids, abastecimento_ids, outros_insumo_ids}
+     * Compute the settlement for a set of items from the database.
+     * Every item must exist, belong to the driver, be unpaid (no paid flag and
+     * in no payment) and (for freights and abastecimentos) be complete;
+     * violations are listed in `errors`.
+     * Outstanding advances are deducted from the net, oldest first, without
+     * taking it below zero.
+     * @param {number} driverId - Driver being paid
+     * @param {Object} ids - {freight_ids, abastecimento_ids, outros_insumo_ids}
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Object} - {driver_id, freights, abastecimentos, outros_insumos, advances, freights_total, abastecimentos_total, outros_insumos_total, advances_total, total_value, errors}
+     */
+    async settle(driverId, ids, db = database) {
+        const settlement = { driver_id: driverId, errors: [] };
+
+        for (const item of SETTLEMENT_ITEMS) {
+            const requested = [...new Set(ids[item.key] || [])];
+            const rows = requested.length > 0
+                ? await db.query(`SELECT * FROM ${item.table} WHERE id IN (${placeholders(requested)})`, requested)
+                : [];
+            const rowsById = new Map(rows.map(row => [row.id, row]));
+
+            // A payment item means paid, whatever the flag says
+            const settled = requested.length > 0
+                ? await db.query(
+                    `SELECT item_id FROM payment_items WHERE item_type = ? AND item_id IN (${placeholders(requested)})`,
+                    [item.type, ...requested]
+                )
+                : [];
+            const settledIds = new Set(settled.map(row => row.item_id));
+
+            for (const id of requested) {
+                const row = rowsById.get(id);
+                let reason = null;
+                if (!row) reason = 'not_found';
+                else if (row.driver_id !== driverId) reason = 'other_driver';
+                else if (row.paid || settledIds.has(id)) reason = 'already_paid';
+                else if (item.requireComplete && row.status !== 'complete') reason = 'not_complete';
+
+                if (reason) {
+                    settlement.errors.push({ item: item.type, id, reason });
+                }
+            }
+
+            settlement[item.table] = rows;
+            settlement[`${item.table}_total`] = toCents(rows.reduce((sum, row) => sum + (row.total_value || 0), 0));
+        }
+
+        // Net total = Fretes - Abastecimentos - Insumos - Adiantamentos
+        const net = toCents(
+            settlement.freights_total - settlement.abastecimentos_total - settlement.outros_insumos_total
+        );
+
+        settlement.advances = [];
+        let available = Math.max(net, 0);
+        for (const advance of await Advance.findOutstandingByDriver(driverId, db)) {
+            if (available <= 0) break;
+            const deducted = toCents(Math.min(advance.remaining_amount, available));
+            settlement.advances.push({ ...advance, deducted_amount: deducted });
+            available = toCents(available - deducted);
+        }
+
+        settlement.advances_total = toCents(settlement.advances.reduce((sum, a) => sum + a.deducted_amount, 0));
+        settlement.total_value = toCents(net - settlement.advances_total);
+
+        return settlement;
+    },
+
+    /**
+     * Create a new payment record.
+     * The settlement is recomputed inside the transaction, so an item paid by a
+     * concurrent request fails the whole payment; the stored total is the computed one.
+     * @param {Object} data - {driver_id, date_range, comprovante_path, freight_ids, abastecimento_ids, outros_insumo_ids}
      * @returns {Object} - Created payment
      */
     async create(data) {
-        const { driver_id, date_range, total_value, comprovante_path, freight_ids, abastecimento_ids, outros_insumo_ids } = data;
-
-        const result = await execute(`
-            INSERT INTO payments (driver_id, date_range, total_value, comprovante_path, freight_ids, abastecimento_ids, outros_insumo_ids)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
-        `, [
-            driver_id,
-            date_range,
-            total_value,
-            comprovante_path || null,
-            JSON.stringify(freight_ids || []),
-            JSON.stringify(abastecimento_ids || []),
-            JSON.stringify(outros_insumo_ids || [])
-        ]);
-
-        // Mark all associated freights as paid
-        if (freight_ids && freight_ids.length > 0) {
-            for (const id of freight_ids) {
-                await execute(`UPDATE freights SET paid = 1 WHERE id = ?`, [id]);
+        const { driver_id, date_range, comprovante_path, freight_ids, abastecimento_ids, outros_insumo_ids } = data;
+
+        // Payment row, its items and the paid flags are written together or not at all
+        const paymentId = await transaction(async (tx) => {
+            const settlement = await this.settle(driver_id, { freight_ids, abastecimento_ids, outros_insumo_ids }, tx);
+            if (settlement.errors.length > 0) {
+                const error = new Error('Payment items are no longer payable');
+                error.status = 409;
+                error.details = settlement.errors;
+                throw error;
             }
-        }
 
-        // Mark all associated abastecimentos as paid
-        if (abastecimento_ids && abastecimento_ids.length > 0) {
-            for (const id of abastecimento_ids) {
-                await execute(`UPDATE abastecimentos SET paid = 1 WHERE id = ?`, [id]);
+            const result = await tx.execute(`
+                INSERT INTO payments (driver_id, date_range, total_value, comprovante_path)
+                VALUES (?, ?, ?, ?)
+            `, [driver_id, date_range, settlement.total_value, comprovante_path || null]);
+            const newPaymentId = result.lastInsertRowid;
+
+            for (const item of SETTLEMENT_ITEMS) {
+                for (const row of settlement[item.table]) {
+                    await tx.execute(
+                        'INSERT INTO payment_items (payment_id, item_type, item_id, amount) VALUES (?, ?, ?, ?)',
+                        [newPaymentId, item.type, row.id, row.total_value]
+                    );
+                }
+                await setPaid(tx, item.table, settlement[item.table].map(row => row.id), 1);
             }
-        }
 
-        // Mark all associated outros insumos as paid
-        if (outros_insumo_ids && outros_insumo_ids.length > 0) {
-            for (const id of outros_insumo_ids) {
-                await execute(`UPDATE outros_insumos SET paid = 1 WHERE id = ?`, [id]);
+            for (const advance of settlement.advances) {
+                await tx.execute(
+                    'INSERT INTO payment_items (payment_id, item_type, item_id, amount) VALUES (?, ?, ?, ?)',
+                    [newPaymentId, 'advance', advance.id, advance.deducted_amount]
+                );
             }
-        }
 
-        return this.findById(result.lastInsertRowid);
+            await DriverLedger.record('payment', newPaymentId, tx);
+            await AuditLog.record('create', 'payment', newPaymentId, null, await this.findById(newPaymentId, tx), tx);
+            return newPaymentId;
+        });
+
+        return this.findById(paymentId);
     },
 
     /**
      * Find payment by ID
      * @param {number} id - Payment ID
-     * @returns {Object|null} - Payment or null
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Object|null} - Payment with items, or null
+     */
+    async findById(id, db = database) {
+        const payment = await db.queryOne(`${PAYMENT_SELECT} WHERE p.id = ?`, [id]);
+        if (!payment) return null;
+
+        const [withItems] = await attachItems([payment], db);
+        return withItems;
+    },
+
+    /**
+     * Find the payment that settled an item
+     * @param {string} itemType - freight, abastecimento or outros_insumo
+     * @param {number} itemId - Item ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Object|null} - Payment with items, or null if the item is unpaid
      */
-    async findById(id) {
-        const payment = await queryOne(`
-            SELECT p.*, d.name as driver_name, d.plate as driver_plate
-            FROM payments p
-            JOIN drivers d ON p.driver_id = d.id
-            WHERE p.id = ?
-        `, [id]);
+    async findByItem(itemType, itemId, db = database) {
+        const item = await db.queryOne(`
+            SELECT payment_id FROM payment_items
+            WHERE item_type = ? AND item_id = ?
+            ORDER BY id DESC
+            LIMIT 1
+        `, [itemType, itemId]);
 
+        return item ? this.findById(item.payment_id, db) : null;
+    },
+
+    /**
+     * Refuse to delete a settled item, or to change its amount or driver:
+     * the payment's items and the driver's ledger would stop matching.
+     * Call it inside the transaction that writes the item.
+     * @param {string} itemType - freight, abastecimento or outros_insumo
+     * @param {Object} before - The item as stored
+     * @param {Object|null} changes - Fields being written, or null for a delete
+     * @param {Object} db - Transaction helpers
+     * @throws {Error} - With status 409 when a payment settled the item
+     */
+    async assertUnsettled(itemType, before, changes, db = database) {
+        const { label, fields } = SETTLED_FIELDS[itemType];
+        // Edit forms send every field; only real changes count (totals are
+        // recomputed, so numbers are compared past float noise)
+        const changed = field => changes[field] !== undefined && (typeof before[field] === 'number'
+            ? Math.abs(Number(changes[field]) - before[field]) > 1e-9
+            : String(changes[field]) !== String(before[field]));
+        if (changes && !fields.some(changed)) {
+            return;
+        }
+
+        const payment = await this.findByItem(itemType, before.id, db);
         if (payment) {
-            payment.freight_ids = JSON.parse(payment.freight_ids || '[]');
-            payment.abastecimento_ids = JSON.parse(payment.abastecimento_ids || '[]');
-            payment.outros_insumo_ids = JSON.parse(payment.outros_insumo_ids || '[]');
+            const error = new Error(`${label} is settled by payment #${payment.id}. Delete the payment first.`);
+            error.status = 409;
+            throw error;
         }
-        return payment;
     },
 
     /**
@@ -74,39 +270,39 @@ const Payment = {
      */
     async findByDriver(driverId) {
         const payments = await query(`
-            SELECT p.*, d.name as driver_name, d.plate as driver_plate
-            FROM payments p
-            JOIN drivers d ON p.driver_id = d.id
+            ${PAYMENT_SELECT}
             WHERE p.driver_id = ?
             ORDER BY p.created_at DESC
         `, [driverId]);
 
-        return payments.map(p => ({
-            ...p,
-            freight_ids: JSON.parse(p.freight_ids || '[]'),
-            abastecimento_ids: JSON.parse(p.abastecimento_ids || '[]'),
-            outros_insumo_ids: JSON.parse(p.outros_insumo_ids || '[]')
-        }));
+        return attachItems(payments);
     },
 
     /**
      * Find all payments
-     * @returns {Array} - List of all payments
+     * @param {Object} filters - {driver_id, date_from, date_to} (dates match the payment date)
+     * @returns {Array} - List of payments
      */
-    async findAll() {
-        const payments = await query(`
-            SELECT p.*, d.name as driver_name, d.plate as driver_plate
-            FROM payments p
-            JOIN drivers d ON p.driver_id = d.id
-            ORDER BY p.created_at DESC
-        `);
-
-        return payments.map(p => ({
-            ...p,
-            freight_ids: JSON.parse(p.freight_ids || '[]'),
-            abastecimento_ids: JSON.parse(p.abastecimento_ids || '[]'),
-            outros_insumo_ids: JSON.parse(p.outros_insumo_ids || '[]')
-        }));
+    async findAll(filters = {}) {
+        let sql = `${PAYMENT_SELECT} WHERE 1=1`;
+        const values = [];
+
+        if (filters.driver_id) {
+            sql += ' AND p.driver_id = ?';
+            values.push(filters.driver_id);
+        }
+        if (filters.date_from) {
+            sql += ' AND DATE(p.created_at) >= ?';
+            values.push(filters.date_from);
+        }
+        if (filters.date_to) {
+            sql += ' AND DATE(p.created_at) <= ?';
+            values.push(filters.date_to);
+        }
+
+        sql += ' ORDER BY p.created_at DESC';
+        const payments = await query(sql, values);
+        return attachItems(payments);
     },
 
     /**
@@ -127,9 +323,13 @@ const Payment = {
 
         if (updates.length === 0) return this.findById(id);
 
+        const before = await this.findById(id);
         values.push(id);
         await execute(`UPDATE payments SET ${updates.join(', ')} WHERE id = ?`, values);
-        return this.findById(id);
+
+        const updated = await this.findById(id);
+        await AuditLog.record('update', 'payment', id, before, updated);
+        return updated;
     },
 
     /**
@@ -141,29 +341,19 @@ const Payment = {
         const payment = await this.findById(id);
         if (!payment) return false;
 
-        // Unmark freights as paid
-        if (payment.freight_ids && payment.freight_ids.length > 0) {
-            for (const fId of payment.freight_ids) {
-                await execute(`UPDATE freights SET paid = 0 WHERE id = ?`, [fId]);
+        return transaction(async (tx) => {
+            for (const item of SETTLEMENT_ITEMS) {
+                await setPaid(tx, item.table, payment[item.key], 0);
             }
-        }
 
-        // Unmark abastecimentos as paid
-        if (payment.abastecimento_ids && payment.abastecimento_ids.length > 0) {
-            for (const aId of payment.abastecimento_ids) {
-                await execute(`UPDATE abastecimentos SET paid = 0 WHERE id = ?`, [aId]);
+            await tx.execute('DELETE FROM payment_items WHERE payment_id = ?', [id]);
+            const result = await tx.execute('DELETE FROM payments WHERE id = ?', [id]);
+            await DriverLedger.record('payment', id, tx);
+            if (result.changes > 0) {
+                await AuditLog.record('delete', 'payment', id, payment, null, tx);
             }
-        }
-
-        // Unmark outros insumos as paid
-        if (payment.outros_insumo_ids && payment.outros_insumo_ids.length > 0) {
-            for (const oId of payment.outros_insumo_ids) {
-                await execute(`UPDATE outros_insumos SET paid = 0 WHERE id = ?`, [oId]);
-            }
-        }
-
-        const result = await execute('DELETE FROM payments WHERE id = ?', [id]);
-        return result.changes > 0;
+            return result.changes > 0;
+        });
     }
 };
 
@@ -0,0 +1,68 @@
+const { execute, query } = require('../config/database');
+
+const PushSubscription = {
+    /**
+     * Store a browser's push subscription for a user
+     * @param {string} userType - driver, abastecedor or cliente
+     * @param {number} userId - User ID
+     * @param {Object} subscription - PushSubscription JSON: {endpoint, keys: {p256dh, auth}}
+     * @param {string} userAgent - Optional User-Agent header
+     */
+    async save(userType, userId, subscription, userAgent = null) {
+        await execute(`
+            INSERT INTO push_subscriptions (user_type, user_id, endpoint, p256dh, auth, user_agent)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(endpoint) DO UPDATE SET
+                user_type = excluded.user_type,
+                user_id = excluded.user_id,
+                p256dh = excluded.p256dh,
+                auth = excluded.auth,
+                user_agent = excluded.user_agent
+        `, [
+            userType,
+            userId,
+            subscription.endpoint,
+            subscription.keys.p256dh,
+            subscription.keys.auth,
+            userAgent ? String(userAgent).slice(0, 255) : null
+        ]);
+    },
+
+    /**
+     * Subscriptions of a user
+     * @param {string} userType
+     * @param {number} userId
+     * @returns {Array}
+     */
+    async findByUser(userType, userId) {
+        return query(
+            'SELECT * FROM push_subscriptions WHERE user_type = ? AND user_id = ?',
+            [userType, userId]
+        );
+    },
+
+    /**
+     * Remove a user's subscription (unsubscribed on that device)
+     * @param {string} userType
+     * @param {number} userId
+     * @param {string} endpoint
+     * @returns {boolean} - True if a subscription was removed
+     */
+    async remove(userType, userId, endpoint) {
+        const result = await execute(
+            'DELETE FROM push_subscriptions WHERE user_type = ? AND user_id = ? AND endpoint = ?',
+            [userType, userId, endpoint]
+        );
+        return result.changes > 0;
+    },
+
+    /**
+     * Remove a subscription the push service no longer accepts
+     * @param {number} id - Subscription ID
+     */
+    async removeById(id) {
+        await execute('DELETE FROM push_subscriptions WHERE id = ?', [id]);
+    }
+};
+
+module.exports = PushSubscription;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+const { execute, queryOne } = require('../config/database');
+
+// How long a session lasts without being refreshed
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Two tabs refreshing at once present the same token; within this window
+// the late one is simply refused instead of being treated as a stolen token
+const REUSE_GRACE_SECONDS = 60;
+
+/**
+ * SHA-256 of a refresh token (only hashes are stored)
+ * @param {string} refreshToken
+ * @returns {string}
+ */
+function hashToken(refreshToken) {
+    return crypto.createHash('sha256').update(String(refreshToken)).digest('hex');
+}
+
+/**
+ * New random refresh token
+ * @returns {string}
+ */
+function newRefreshToken() {
+    return crypto.randomBytes(48).toString('base64url');
+}
+
+const Session = {
+    /**
+     * Open a session for a user who just logged in
+     * @param {string} userType - admin, driver, abastecedor or cliente
+     * @param {number} userId - User ID
+     * @param {string} userAgent - Optional User-Agent header
+     * @returns {Object} - {session, refreshToken}
+     */
+    async create(userType, userId, userAgent = null) {
+        const refreshToken = newRefreshToken();
+        const result = await execute(`
+            INSERT INTO sessions (user_type, user_id, refresh_token_hash, user_agent, expires_at)
+            VALUES (?, ?, ?, ?, datetime('now', '+${REFRESH_TOKEN_TTL_DAYS} days'))
+        `, [userType, userId, hashToken(refreshToken), userAgent ? String(userAgent).slice(0, 255) : null]);
+
+        return { session: await this.findById(Number(result.lastInsertRowid)), refreshToken };
+    },
+
+    /**
+     * Find session by ID
+     * @param {number} id - Session ID
+     * @returns {Object|null}
+     */
+    async findById(id) {
+        return queryOne('SELECT * FROM sessions WHERE id = ?', [id]);
+    },
+
+    /**
+     * Whether an access token's session is still usable
+     * @param {number} id - Session ID (JWT sid)
+     * @param {string} userType - Expected user type
+     * @param {number} userId - Expected user ID
+     * @returns {boolean}
+     */
+    async isActive(id, userType, userId) {
+        const session = await queryOne(`
+            SELECT id FROM sessions
+            WHERE id = ? AND user_type = ? AND user_id = ?
+            AND revoked_at IS NULL AND expires_at > datetime('now')
+        `, [id, userType, userId]);
+        return !!session;
+    },
+
+    /**
+     * Exchange a refresh token for a new one (rotation). Presenting a token
+     * that was already rotated away revokes the whole session, since only a
+     * copied token can be replayed.
+     * @param {string} refreshToken - Current refresh token
+     * @returns {Object} - {session, refreshToken} or {error: 'invalid'|'reused'}
+     */
+    async rotate(refreshToken) {
+        const hash = hashToken(refreshToken);
+        const session = await queryOne(`
+            SELECT * FROM sessions
+            WHERE refresh_token_hash = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+        `, [hash]);
+
+        if (!session) {
+            const rotated = await queryOne(`
+                SELECT id, (julianday('now') - julianday(last_used_at)) * 86400 as seconds_since_rotation
+                FROM sessions
+                WHERE previous_refresh_token_hash = ? AND revoked_at IS NULL
+            `, [hash]);
+            if (rotated && rotated.seconds_since_rotation > REUSE_GRACE_SECONDS) {
+                await this.revoke(rotated.id);
+                return { error: 'reused' };
+            }
+            return { error: 'invalid' };
+        }
+
+        const nextToken = newRefreshToken();
+        const result = await execute(`
+            UPDATE sessions
+            SET previous_refresh_token_hash = refresh_token_hash,
+                refresh_token_hash = ?,
+                last_used_at = CURRENT_TIMESTAMP,
+                expires_at = datetime('now', '+${REFRESH_TOKEN_TTL_DAYS} days')
+            WHERE id = ? AND refresh_token_hash = ?
+        `, [hashToken(nextToken), session.id, hash]);
+
+        // Lost a race with another refresh of the same token
+        if (result.changes === 0) {
+            return { error: 'invalid' };
+        }
+
+        return { session: await this.findById(session.id), refreshToken: nextToken };
+    },
+
+    /**
+     * Find the active session a refresh token belongs to (without rotating it)
+     * @param {string} refreshToken
+     * @returns {Object|null}
+     */
+    async findByRefreshToken(refreshToken) {
+        return queryOne(
+            'SELECT * FROM sessions WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+            [hashToken(refreshToken)]
+        );
+    },
+
+    /**
+     * Revoke one session (logout)
+     * @param {number} id - Session ID
+     * @returns {boolean} - True if a session was revoked
+     */
+    async revoke(id) {
+        const result = await execute(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL',
+            [id]
+        );
+        return result.changes > 0;
+    },
+
+    /**
+     * Revoke every open session of a user (forced logout on all devices)
+     * @param {string} userType - admin, driver, abastecedor or cliente
+     * @param {number} userId - User ID
+     * @returns {number} - Number of sessions revoked
+     */
+    async revokeAllForUser(userType, userId) {
+        const result = await execute(
+            'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_type = ? AND user_id = ? AND revoked_at IS NULL',
+            [userType, userId]
+        );
+        return result.changes;
+    }
+};
+
+module.exports = Session;
@@ -0,0 +1,147 @@
+const database = require('../config/database');
+const { query, queryOne, transaction } = database;
+const AuditLog = require('./auditLog');
+
+const SITE_KINDS = ['quarry', 'plant', 'client_yard', 'other'];
+
+/**
+ * Site row with its polygon parsed
+ * @param {Object|null} row
+ * @returns {Object|null}
+ */
+function parseSite(row) {
+    if (!row) return null;
+    return { ...row, polygon: row.polygon ? JSON.parse(row.polygon) : null };
+}
+
+const Site = {
+    KINDS: SITE_KINDS,
+
+    /**
+     * Create a site
+     * @param {Object} data - {name, kind, client, latitude, longitude, radius_m, polygon}
+     * @returns {Object} - Created site
+     */
+    async create(data) {
+        const { name, kind, client, latitude, longitude, radius_m, polygon } = data;
+
+        const siteId = await transaction(async (tx) => {
+            const result = await tx.execute(`
+                INSERT INTO sites (name, kind, client, latitude, longitude, radius_m, polygon)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [
+                name,
+                kind,
+                client || null,
+                latitude,
+                longitude,
+                radius_m || null,
+                polygon ? JSON.stringify(polygon) : null
+            ]);
+            await AuditLog.record('create', 'site', result.lastInsertRowid, null,
+                await this.findById(result.lastInsertRowid, tx), tx);
+            return result.lastInsertRowid;
+        });
+        return this.findById(siteId);
+    },
+
+    /**
+     * Update a site
+     * @param {number} id - Site ID
+     * @param {Object} data - Fields to update (name, kind, client, latitude, longitude, radius_m, polygon, active)
+     * @returns {Object|null} - Updated site
+     */
+    async update(id, data) {
+        const updates = [];
+        const values = [];
+
+        for (const field of ['name', 'kind', 'client', 'latitude', 'longitude', 'radius_m']) {
+            if (data[field] !== undefined) {
+                updates.push(`${field} = ?`);
+                values.push(data[field]);
+            }
+        }
+        if (data.polygon !== undefined) {
+            updates.push('polygon = ?');
+            values.push(data.polygon ? JSON.stringify(data.polygon) : null);
+        }
+        if (data.active !== undefined) {
+            updates.push('active = ?');
+            values.push(data.active ? 1 : 0);
+        }
+
+        if (updates.length === 0) return this.findById(id);
+
+        const before = await this.findById(id);
+        values.push(id);
+        await transaction(async (tx) => {
+            await tx.execute(`UPDATE sites SET ${updates.join(', ')} WHERE id = ?`, values);
+            await AuditLog.record('update', 'site', id, before, await this.findById(id, tx), tx);
+        });
+        return this.findById(id);
+    },
+
+    /**
+     * Find site by ID
+     * @param {number} id - Site ID
+     * @param {Object} db - Optional transaction (defaults to the shared client)
+     * @returns {Object|null} - Site or null
+     */
+    async findById(id, db = database) {
+        return parseSite(await db.queryOne('SELECT * FROM sites WHERE id = ?', [id]));
+    },
+
+    /**
+     * Find all sites, by name
+     * @param {Object} filters - {active, kind}
+     * @returns {Array} - List of sites
+     */
+    async findAll(filters = {}) {
+        let sql = 'SELECT * FROM sites WHERE 1=1';
+        const values = [];
+
+        if (filters.active !== undefined) {
+            sql += ' AND active = ?';
+            values.push(filters.active ? 1 : 0);
+        }
+        if (filters.kind) {
+            sql += ' AND kind = ?';
+            values.push(filters.kind);
+        }
+
+        sql += ' ORDER BY name';
+        return (await query(sql, values)).map(parseSite);
+    },
+
+    /**
+     * Whether any freight loads or unloads at a site
+     * @param {number} id - Site ID
+     * @returns {boolean}
+     */
+    async isInUse(id) {
+        const row = await queryOne(
+            'SELECT 1 FROM freights WHERE origin_site_id = ? OR destination_site_id = ? LIMIT 1',
+            [id, id]
+        );
+        return !!row;
+    },
+
+    /**
+     * Delete a site no freight uses (deactivate the others instead)
+     * @param {number} id - Site ID
+     * @returns {boolean} - Success
+     */
+    async delete(id) {
+        const before = await this.findById(id);
+
+        return transaction(async (tx) => {
+            const result = await tx.execute('DELETE FROM sites WHERE id = ?', [id]);
+            if (result.changes > 0) {
+                await AuditLog.record('delete', 'site', id, before, null, tx);
+            }
+            return result.changes > 0;
+        });
+    }
+};
+
+module.exports = Site;
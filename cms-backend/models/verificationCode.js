@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { execute, queryOne } = require('../config/database');
+
+// How long a code is valid (also the time left to use it once verified)
+const CODE_TTL_MINUTES = 10;
+
+// Wrong guesses before the code stops working
+const MAX_ATTEMPTS = 5;
+
+// Minimum time between two codes for the same subject
+const RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Count an attempt at a subject's code and compare it
+ * @param {string} subject - Code subject
+ * @param {string} code - Code entered by the user
+ * @param {boolean} requireVerified - Only accept codes already verified
+ * @returns {Object} - {valid, status, id}
+ */
+async function attempt(subject, code, requireVerified) {
+    const row = await queryOne(`
+        SELECT *, expires_at > datetime('now') as live
+        FROM verification_codes
+        WHERE subject = ? AND consumed_at IS NULL
+    `, [subject]);
+
+    if (!row || (requireVerified && !row.verified_at)) return { valid: false, status: 'not_found' };
+    if (!row.live) return { valid: false, status: 'expired' };
+
+    // Counted before comparing, so parallel guesses cannot get past the limit
+    const counted = await execute(
+        'UPDATE verification_codes SET attempts = attempts + 1 WHERE id = ? AND attempts < ?',
+        [row.id, MAX_ATTEMPTS]
+    );
+    if (counted.changes === 0) return { valid: false, status: 'max_attempts_reached' };
+
+    if (!bcrypt.compareSync(String(code), row.code_hash)) return { valid: false, status: 'invalid' };
+    return { valid: true, status: 'approved', id: row.id };
+}
+
+const VerificationCode = {
+    TTL_MINUTES: CODE_TTL_MINUTES,
+
+    /**
+     * Create a new code for a subject, replacing any previous one
+     * @param {string} subject - "<purpose>:<user type>:<id>"
+     * @returns {Object} - {code} or {retryAfter} (seconds) while in the resend cooldown
+     */
+    async issue(subject) {
+        const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+        const result = await execute(`
+            INSERT INTO verification_codes (subject, code_hash, expires_at, last_sent_at)
+            VALUES (?, ?, datetime('now', '+${CODE_TTL_MINUTES} minutes'), CURRENT_TIMESTAMP)
+            ON CONFLICT(subject) DO UPDATE SET
+                code_hash = excluded.code_hash,
+                attempts = 0,
+                expires_at = excluded.expires_at,
+                last_sent_at = excluded.last_sent_at,
+                verified_at = NULL,
+                consumed_at = NULL
+            WHERE last_sent_at <= datetime('now', '-${RESEND_COOLDOWN_SECONDS} seconds')
+        `, [subject, bcrypt.hashSync(code, 10)]);
+
+        if (result.changes === 0) {
+            const { elapsed } = await queryOne(
+                `SELECT (julianday('now') - julianday(last_sent_at)) * 86400 as elapsed FROM verification_codes WHERE subject = ?`,
+                [subject]
+            );
+            return { retryAfter: Math.max(1, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed)) };
+        }
+
+        // Rows of abandoned resets are of no use to anyone
+        await execute(`DELETE FROM verification_codes WHERE expires_at < datetime('now', '-1 day')`);
+
+        return { code };
+    },
+
+    /**
+     * Drop a subject's code (e.g. it could not be delivered)
+     * @param {string} subject
+     */
+    async discard(subject) {
+        await execute('DELETE FROM verification_codes WHERE subject = ?', [subject]);
+    },
+
+    /**
+     * Check a code. A correct code is marked verified and stays usable
+     * (see consume) for another CODE_TTL_MINUTES.
+     * @param {string} subject
+     * @param {string} code - Code entered by the user
+     * @returns {Object} - {valid, status: approved|invalid|expired|not_found|max_attempts_reached}
+     */
+    async verify(subject, code) {
+        const { valid, status, id } = await attempt(subject, code, false);
+        if (valid) {
+            await execute(`
+                UPDATE verification_codes
+                SET verified_at = CURRENT_TIMESTAMP, expires_at = datetime('now', '+${CODE_TTL_MINUTES} minutes')
+                WHERE id = ?
+            `, [id]);
+        }
+        return { valid, status };
+    },
+
+    /**
+     * Record a code checked elsewhere (Twilio Verify) as verified, so the
+     * consume step works the same as for our own codes
+     * @param {string} subject
+     * @param {string} code - The approved code
+     */
+    async approve(subject, code) {
+        await execute(`
+            UPDATE verification_codes
+            SET code_hash = ?, attempts = 0, verified_at = CURRENT_TIMESTAMP,
+                expires_at = datetime('now', '+${CODE_TTL_MINUTES} minutes')
+            WHERE subject = ? AND consumed_at IS NULL
+        `, [bcrypt.hashSync(String(code), 10), subject]);
+    },
+
+    /**
+     * Use up a verified code (final step of a reset). Works once.
+     * @param {string} subject
+     * @param {string} code - The code verified earlier
+     * @returns {boolean}
+     */
+    async consume(subject, code) {
+        const { valid, id } = await attempt(subject, code, true);
+        if (!valid) return false;
+
+        const result = await execute(
+            'UPDATE verification_codes SET consumed_at = CURRENT_TIMESTAMP WHERE id = ? AND consumed_at IS NULL',
+            [id]
+        );
+        return result.changes > 0;
+    }
+};
+
+module.exports = VerificationCode;
@@ -16,6 +16,7 @@ let selectedDriverId = null; // Store selected driver when plate has multiple dr
 
 // Password reset state
 let resetCpf = null;
+let resetCode = null;
 
 // DOM Elements
 const loginPage = document.getElementById('loginPage');
@@ -26,6 +27,11 @@ const loginPassword = document.getElementById('loginPassword');
 const authError = document.getElementById('authError');
 const logoutBtn = document.getElementById('logoutBtn');
 const welcomeText = document.getElementById('welcomeText');
+const pushToggleBtn = document.getElementById('pushToggleBtn');
+const syncStatusBtn = document.getElementById('syncStatusBtn');
+
+PushNotifications.configure('/abastecedor/push', (endpoint, method, data) =>
+    apiRequest(endpoint, { method, body: data }));
 
 // ========================================
 // Utility Functions
@@ -50,16 +56,26 @@ function formatCPFInput(input) {
     input.value = value;
 }
 
-// Fetch drivers for the dropdown
+// Last plate list fetched, for the yard's dead spots
+const DRIVERS_CACHE_KEY = 'abastecedor_drivers_cache';
+
+// Fetch drivers for the dropdown (the cached list when offline)
 async function fetchDrivers() {
     try {
         const data = await apiRequest('/abastecedor/drivers');
         // Store both formats
         driversData = data.drivers || [];
         platesData = data.plates || [];
+        localStorage.setItem(DRIVERS_CACHE_KEY, JSON.stringify({ drivers: driversData, plates: platesData }));
         return data;
     } catch (error) {
         console.error('Failed to fetch drivers:', error);
+        const cached = JSON.parse(localStorage.getItem(DRIVERS_CACHE_KEY) || 'null');
+        if (cached) {
+            driversData = cached.drivers;
+            platesData = cached.plates;
+            return cached;
+        }
         return { drivers: [], plates: [] };
     }
 }
@@ -88,6 +104,102 @@ function populatePlateDropdown(selectElement, plates) {
     });
 }
 
+let refreshToken = localStorage.getItem('abastecedor_refresh_token');
+let refreshPromise = null;
+
+/**
+ * Keep the access/refresh token pair returned by login or refresh
+ * @param {Object} data - {token, refresh_token}
+ */
+function saveSession(data) {
+    token = data.token;
+    refreshToken = data.refresh_token;
+    localStorage.setItem('abastecedor_token', token);
+    localStorage.setItem('abastecedor_refresh_token', refreshToken);
+    mirrorQueueSession();
+}
+
+/**
+ * Take over the tokens the service worker renewed to send the queue while
+ * the app was closed; the refresh token kept here no longer works
+ * @returns {boolean} - Whether there were renewed tokens
+ */
+async function adoptRenewedSession() {
+    const mirrored = await UploadQueue.getSession('abastecedor').catch(() => null);
+    if (!mirrored || !mirrored.renewed) return false;
+    saveSession(mirrored);
+    return true;
+}
+
+/**
+ * Renew the short-lived access token. A refresh token works only once,
+ * so concurrent callers share one request.
+ * @returns {boolean|null} - false when the session is over, null when offline
+ */
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            if (await adoptRenewedSession()) return true;
+
+            // Another tab may have refreshed already
+            const storedToken = localStorage.getItem('abastecedor_token');
+            if (storedToken && storedToken !== token) {
+                token = storedToken;
+                refreshToken = localStorage.getItem('abastecedor_refresh_token');
+                return true;
+            }
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_BASE}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: refreshToken })
+            });
+            if (!response.ok) return false;
+
+            saveSession(await response.json());
+            return true;
+        })().catch(() => null).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * fetch() with the access token. On 401 the session is renewed once and the
+ * request retried; if the session is over the user is logged out.
+ */
+async function authFetch(url, options = {}) {
+    const hadToken = !!token;
+    const send = () => fetch(url, {
+        ...options,
+        headers: token ? { ...options.headers, 'Authorization': `Bearer ${token}` } : options.headers
+    });
+
+    let response = await send();
+    if (response.status === 401 && hadToken) {
+        const refreshed = await refreshSession();
+        if (refreshed) {
+            response = await send();
+        } else if (refreshed === false) {
+            logout();
+        }
+    }
+    return response;
+}
+
+/**
+ * End the session on the server too (fire and forget)
+ */
+function endServerSession() {
+    if (!token) return;
+    fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+    }).catch(() => {});
+}
+
 async function apiRequest(endpoint, options = {}) {
     const url = `${API_BASE}${endpoint}`;
     const headers = {
@@ -105,7 +217,7 @@ async function apiRequest(endpoint, options = {}) {
     }
 
     try {
-        const response = await fetch(url, { ...options, headers });
+        const response = await authFetch(url, { ...options, headers });
         const data = await response.json();
 
         if (!response.ok) {
@@ -197,9 +309,8 @@ async function handleLogin(e) {
             body: { cpf, password }
         });
 
-        // Save token
-        token = data.token;
-        localStorage.setItem('abastecedor_token', token);
+        // Save tokens
+        saveSession(data);
 
         // Store user data
         userData = data.abastecedor;
@@ -214,9 +325,20 @@ async function handleLogin(e) {
 }
 
 function logout() {
+    PushNotifications.forget();
+    // Queued entries stay on the device and go out at this abastecedor's next login
+    UploadQueue.saveSession('abastecedor', null).catch(() => {});
+    endServerSession();
     token = null;
+    refreshToken = null;
     userData = null;
     localStorage.removeItem('abastecedor_token');
+    localStorage.removeItem('abastecedor_refresh_token');
+    localStorage.removeItem('abastecedor_profile');
+    localStorage.removeItem(DRIVERS_CACHE_KEY);
+    driversData = [];
+    platesData = [];
+    if (syncStatusBtn) syncStatusBtn.classList.add('hidden');
     showPage('loginPage');
     showLoginForm();
 
@@ -284,7 +406,7 @@ async function handleForgotPassword(e) {
 
         resetCpf = cpf;
         showVerifyCodeForm(response.phone);
-        showToast('Código enviado por SMS!', 'success');
+        showToast(response.message, 'success');
     } catch (error) {
         showError(error.message);
     } finally {
@@ -312,6 +434,7 @@ async function handleVerifyCode(e) {
             body: { cpf: resetCpf, code }
         });
 
+        resetCode = code;
         showResetPasswordForm();
         showToast('Código verificado!', 'success');
     } catch (error) {
@@ -328,8 +451,8 @@ async function handleResetPassword(e) {
     const newPassword = document.getElementById('newPassword').value;
     const confirmPassword = document.getElementById('confirmPassword').value;
 
-    if (!newPassword || newPassword.length < 4) {
-        showError('Senha deve ter pelo menos 4 caracteres');
+    if (!newPassword || newPassword.length < 8) {
+        showError('A senha deve ter pelo menos 8 caracteres');
         return;
     }
 
@@ -344,7 +467,7 @@ async function handleResetPassword(e) {
     try {
         await apiRequest('/auth/abastecedor/reset-password', {
             method: 'POST',
-            body: { cpf: resetCpf, newPassword }
+            body: { cpf: resetCpf, code: resetCode, newPassword }
         });
 
         showToast('Senha alterada com sucesso!', 'success');
@@ -393,11 +516,21 @@ async function loadDashboard() {
         // Get user profile
         const profile = await apiRequest('/abastecedor/profile');
         userData = profile;
+        localStorage.setItem('abastecedor_profile', JSON.stringify(profile));
         welcomeText.textContent = `Olá, ${userData.name}!`;
     } catch (error) {
         console.error('Failed to load profile:', error);
-        welcomeText.textContent = 'Bem-vindo!';
+        // Offline: the last profile is enough to queue entries
+        userData = userData || JSON.parse(localStorage.getItem('abastecedor_profile') || 'null');
+        welcomeText.textContent = userData ? `Olá, ${userData.name}!` : 'Bem-vindo!';
     }
+
+    if (pushToggleBtn) PushNotifications.refreshToggle(pushToggleBtn);
+
+    // Refresh the cached plate list and send entries queued offline
+    fetchDrivers();
+    mirrorQueueSession();
+    flushQueue();
 }
 
 // ========================================
@@ -455,6 +588,8 @@ function closeModal(modalId) {
     const modal = document.getElementById(modalId);
     if (modal) {
         modal.classList.add('hidden');
+        // The queue modal has no form or camera
+        if (modalId === 'modalSyncQueue') return;
         // Stop camera if running
         stopCamera();
         // Reset form
@@ -678,31 +813,16 @@ async function submitAbastecimento(e) {
     setLoading(submitBtn, true);
 
     try {
-        const formData = new FormData();
-        formData.append('plate', plate);
-        formData.append('date', date);
-        formData.append('liters', liters);
-
-        // Include driver_id if selected (for shared plates)
-        if (selectedDriverId) {
-            formData.append('driver_id', selectedDriverId);
+        const queued = await queueSubmission({
+            endpoint: '/api/abastecedor/abastecimento',
+            label: 'Abastecimento',
+            // driver_id only for shared plates
+            fields: { plate, date, liters, driver_id: selectedDriverId }
+        }, 'Abastecimento registrado com sucesso!');
+
+        if (queued) {
+            closeModal('modalAbastecimento');
         }
-
-        // Add photo if captured
-        if (capturedPhotoData) {
-            const blob = dataURLtoBlob(capturedPhotoData);
-            formData.append('comprovante', blob, 'comprovante.jpg');
-        }
-
-        await apiRequest('/abastecedor/abastecimento', {
-            method: 'POST',
-            body: formData
-        });
-
-        showToast('Abastecimento registrado com sucesso!', 'success');
-        closeModal('modalAbastecimento');
-    } catch (error) {
-        showToast(error.message || 'Erro ao registrar abastecimento', 'error');
     } finally {
         setLoading(submitBtn, false);
     }
@@ -736,35 +856,16 @@ async function submitOutrosInsumos(e) {
     setLoading(submitBtn, true);
 
     try {
-        const formData = new FormData();
-        formData.append('plate', plate);
-        formData.append('date', date);
-        formData.append('quantity', quantity);
-
-        // Include driver_id if selected (for shared plates)
-        if (selectedDriverId) {
-            formData.append('driver_id', selectedDriverId);
-        }
-
-        if (description) {
-            formData.append('description', description);
+        const queued = await queueSubmission({
+            endpoint: '/api/abastecedor/outros-insumos',
+            label: 'Outros insumos',
+            // driver_id only for shared plates
+            fields: { plate, date, quantity, description, driver_id: selectedDriverId }
+        }, 'Outros Insumos registrado com sucesso!');
+
+        if (queued) {
+            closeModal('modalOutrosInsumos');
         }
-
-        // Add photo if captured
-        if (capturedPhotoData) {
-            const blob = dataURLtoBlob(capturedPhotoData);
-            formData.append('comprovante', blob, 'comprovante.jpg');
-        }
-
-        await apiRequest('/abastecedor/outros-insumos', {
-            method: 'POST',
-            body: formData
-        });
-
-        showToast('Outros Insumos registrado com sucesso!', 'success');
-        closeModal('modalOutrosInsumos');
-    } catch (error) {
-        showToast(error.message || 'Erro ao registrar outros insumos', 'error');
     } finally {
         setLoading(submitBtn, false);
     }
@@ -783,6 +884,248 @@ function dataURLtoBlob(dataURL) {
     return new Blob([u8arr], { type: mime });
 }
 
+// ========================================
+// Offline Queue
+// ========================================
+
+// Queue items of the logged-in abastecedor
+function queueOwner() {
+    return `abastecedor:${userData.id}`;
+}
+
+/**
+ * Keep the session where the service worker can read it, so Background
+ * Sync can send queued entries while the app is closed
+ */
+function mirrorQueueSession() {
+    if (!token) return;
+    // Until the profile loads the owner is unknown: drop the old tokens
+    // rather than leave ones that were rotated away
+    const session = userData ? { owner: queueOwner(), token, refresh_token: refreshToken } : null;
+    UploadQueue.saveSession('abastecedor', session).catch(() => {});
+}
+
+/**
+ * Ask the service worker to send the queue once the phone is back online
+ */
+function requestQueueSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(UploadQueue.SYNC_TAG))
+        .catch(() => {});
+}
+
+/**
+ * Save an entry (with the captured photo) in the queue and try to send it
+ * now. Without signal it waits in the queue. If the server rejects it right
+ * away it is dropped from the queue and the form stays open to fix it.
+ * @param {Object} upload - {endpoint, label, fields}
+ * @param {string} successMessage - Toast when it was sent right away
+ * @returns {boolean} - Whether the entry was sent or queued
+ */
+async function queueSubmission(upload, successMessage) {
+    if (!userData) {
+        showToast('Sem conexão. Entre novamente quando houver sinal.', 'error');
+        return false;
+    }
+
+    let item;
+    try {
+        item = await UploadQueue.add(queueOwner(), {
+            ...upload,
+            file_field: 'comprovante',
+            blob: capturedPhotoData ? dataURLtoBlob(capturedPhotoData) : null
+        });
+    } catch (error) {
+        console.error('Queue error:', error);
+        showToast('Erro ao salvar o registro. Tente novamente.', 'error');
+        return false;
+    }
+
+    await flushQueue(false);
+
+    const queued = await UploadQueue.get(item.id).catch(() => null);
+    if (!queued) {
+        showToast(successMessage, 'success');
+        return true;
+    }
+    if (queued.status === 'failed') {
+        await UploadQueue.remove(item.id);
+        await updateSyncStatus();
+        showToast(queued.last_error, 'error');
+        await refreshPlateDropdowns();
+        return false;
+    }
+    showToast('Sem conexão. O registro foi salvo e será enviado automaticamente.', 'info');
+    return true;
+}
+
+/**
+ * Re-fill the forms' plate lists, keeping the selection, after a conflict
+ * showed the cached list is stale
+ */
+async function refreshPlateDropdowns() {
+    await fetchDrivers();
+    [['abast', 'abastPlaca'], ['insumo', 'insumoPlaca']].forEach(([type, id]) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const plate = select.value;
+        populatePlateDropdown(select, platesData);
+        select.value = plate;
+        handlePlateSelection(type, select.value, select);
+    });
+}
+
+/**
+ * Send the queued entries of the logged-in abastecedor
+ * @param {boolean} announce - Toast about entries saved earlier
+ * @returns {Object|null} - {sent, failed, remaining}
+ */
+async function flushQueue(announce = true) {
+    if (!userData || !token) return null;
+
+    let result = null;
+    try {
+        result = await UploadQueue.flush(queueOwner(), item => authFetch(item.endpoint, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': item.id },
+            body: UploadQueue.formData(item)
+        }));
+
+        if (result.remaining > 0) {
+            requestQueueSync();
+        }
+        if (result.failed > 0) {
+            // Conflicts mean the cached plate list is stale
+            fetchDrivers();
+        }
+        if (announce && result.sent > 0) {
+            showToast(result.sent === 1 ? 'Registro pendente enviado!' : `${result.sent} registros pendentes enviados!`, 'success');
+        }
+        if (announce && result.failed > 0) {
+            showToast('Há registros com conflito. Toque em ⚠️ para revisar.', 'error');
+        }
+    } catch (error) {
+        console.error('Queue error:', error);
+    }
+
+    await updateSyncStatus();
+    return result;
+}
+
+/**
+ * Sync-status button in the header: offline, entries waiting, or entries
+ * with conflicts. Hidden when online with nothing queued.
+ */
+async function updateSyncStatus() {
+    if (!syncStatusBtn || !userData) return;
+
+    let items = [];
+    try {
+        items = await UploadQueue.list(queueOwner());
+    } catch (error) {
+        console.error('Queue error:', error);
+    }
+    const failed = items.filter(item => item.status === 'failed').length;
+    const pending = items.length - failed;
+
+    syncStatusBtn.classList.remove('warning', 'error');
+    if (failed > 0) {
+        syncStatusBtn.textContent = `⚠️ ${failed} com conflito`;
+        syncStatusBtn.classList.add('error');
+    } else if (pending > 0) {
+        syncStatusBtn.textContent = `⏳ ${pending} na fila`;
+        syncStatusBtn.classList.add('warning');
+    } else {
+        syncStatusBtn.textContent = '📴 Offline';
+    }
+    syncStatusBtn.classList.toggle('hidden', items.length === 0 && navigator.onLine);
+
+    if (!document.getElementById('modalSyncQueue').classList.contains('hidden')) {
+        renderSyncQueue(items);
+    }
+}
+
+/**
+ * Entries in the queue modal. A conflict that lists the plate's drivers can
+ * be fixed by picking one; any entry can be retried or discarded.
+ * @param {Array} items - Queue items
+ */
+function renderSyncQueue(items) {
+    const list = document.getElementById('syncQueueList');
+    document.getElementById('syncQueueStatus').textContent = navigator.onLine
+        ? 'Os registros são enviados automaticamente.'
+        : 'Sem conexão. Os registros serão enviados quando o sinal voltar.';
+
+    if (items.length === 0) {
+        list.innerHTML = '<p class="input-hint">Nenhum registro na fila.</p>';
+        return;
+    }
+
+    list.innerHTML = items.map(item => {
+        const { plate, date, liters, quantity, description } = item.fields;
+        const failed = item.status === 'failed';
+        const drivers = (failed && item.rejection && item.rejection.drivers) || [];
+        const amount = liters ? `${liters} L` : `${quantity} un.`;
+
+        return `
+            <div class="sync-queue-item${failed ? ' failed' : ''}">
+                <strong>${item.label} · ${escapeHtml(plate)}</strong>
+                <span>${new Date(date + 'T00:00:00').toLocaleDateString('pt-BR')} · ${escapeHtml(amount)}${description ? ` · ${escapeHtml(description)}` : ''}${item.blob ? ' · 📷' : ''}</span>
+                <span class="sync-queue-state">${failed
+                    ? escapeHtml(item.last_error)
+                    : item.attempts > 0 ? 'Aguardando nova tentativa' : 'Aguardando envio'}</span>
+                <div class="sync-queue-actions">
+                    ${drivers.length > 0 ? `
+                        <div class="input-group">
+                            <select data-driver-for="${item.id}">
+                                <option value="">Selecione o motorista...</option>
+                                ${drivers.map(d => `<option value="${d.id}">${escapeHtml(d.name)}</option>`).join('')}
+                            </select>
+                        </div>
+                        <button type="button" class="btn btn-outline btn-sm" data-action="amend" data-id="${item.id}">Usar motorista</button>
+                    ` : ''}
+                    ${failed && drivers.length === 0 ? `<button type="button" class="btn btn-outline btn-sm" data-action="retry" data-id="${item.id}">Tentar de novo</button>` : ''}
+                    <button type="button" class="btn btn-outline btn-sm" data-action="discard" data-id="${item.id}">Descartar</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function openSyncQueue() {
+    document.getElementById('modalSyncQueue').classList.remove('hidden');
+    await updateSyncStatus();
+}
+
+/**
+ * Buttons of the queue modal's entries
+ */
+async function handleSyncQueueAction(e) {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.dataset.id;
+
+    if (button.dataset.action === 'discard') {
+        if (!confirm('Descartar este registro? Ele não será enviado.')) return;
+        await UploadQueue.remove(id);
+        await updateSyncStatus();
+        return;
+    }
+
+    if (button.dataset.action === 'amend') {
+        const driverId = document.querySelector(`select[data-driver-for="${id}"]`).value;
+        if (!driverId) {
+            showToast('Selecione um motorista', 'error');
+            return;
+        }
+        await UploadQueue.amend(id, { driver_id: driverId });
+    } else {
+        await UploadQueue.retry(id);
+    }
+    await flushQueue();
+}
+
 // ========================================
 // Initialize App
 // ========================================
@@ -803,6 +1146,31 @@ function init() {
         logoutBtn.addEventListener('click', logout);
     }
 
+    // Offline queue: status button, queue modal, and sending when the signal returns
+    syncStatusBtn?.addEventListener('click', openSyncQueue);
+    document.getElementById('closeModalSyncQueue')?.addEventListener('click', () => closeModal('modalSyncQueue'));
+    document.getElementById('syncQueueList')?.addEventListener('click', handleSyncQueueAction);
+    document.getElementById('syncQueueSendBtn')?.addEventListener('click', async (e) => {
+        const button = e.currentTarget;
+        setLoading(button, true);
+        await flushQueue();
+        setLoading(button, false);
+    });
+    window.addEventListener('online', () => flushQueue());
+    window.addEventListener('offline', () => updateSyncStatus());
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'FLUSH_UPLOADS') {
+                flushQueue();
+            }
+        });
+    }
+
+    // Push notifications on this device
+    if (pushToggleBtn) {
+        PushNotifications.bindToggle(pushToggleBtn, (message, isError) => showToast(message, isError ? 'error' : 'success'));
+    }
+
     // Dashboard buttons
     const btnAbastecimento = document.getElementById('btnComprovanteAbastecimento');
     const btnOutrosInsumos = document.getElementById('btnOutrosInsumos');
@@ -912,7 +1280,7 @@ function init() {
 
     // Check if already logged in
     if (token) {
-        loadDashboard();
+        adoptRenewedSession().then(loadDashboard);
     } else {
         showPage('loginPage');
     }
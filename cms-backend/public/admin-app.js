@@ -6,6 +6,10 @@ const API_BASE = '/api';
 
 // State
 let token = localStorage.getItem('admin_token');
+let currentAdmin = null; // Logged-in admin: {id, username, role, permissions, must_change_password}
+let admins = []; // Admin team (admins:manage only)
+let adminRoles = []; // Roles offered when managing the team
+let loginLockouts = []; // Accounts/IPs locked out after failed logins
 let drivers = [];
 let abastecedores = []; // Fuel attendants
 let clienteUsers = []; // Cliente users (for login)
@@ -16,10 +20,12 @@ let allOutrosInsumos = [];
 let unassignedComprovantes = []; // Pool of unassigned comprovantes de descarga
 let unassignedComprovantesCarga = []; // Pool of unassigned comprovantes de carga
 let unassignedComprovantesAbast = []; // Pool of unassigned comprovantes de abastecimento
-let unpaidTotals = []; // Unpaid totals per driver
+let driverBalances = []; // Ledger balance per driver
+let sites = []; // Load/unload sites with geofences
 let pollingInterval = null; // For real-time updates
 let currentDriverForPayment = null; // Currently selected driver for payment view
 let driverPayments = []; // Payments for current driver
+let driverAdvances = []; // Advances (adiantamentos) for current driver
 
 const pagination = {
     freights: { page: 1, limit: 10 },
@@ -61,17 +67,125 @@ function formatPricePerKmTon(value) {
     return new Intl.NumberFormat('pt-BR', { minimumFractionDigits: 6, maximumFractionDigits: 6 }).format(value || 0);
 }
 
+let refreshToken = localStorage.getItem('admin_refresh_token');
+let refreshPromise = null;
+
+/**
+ * Keep the access/refresh token pair returned by login or refresh
+ * @param {Object} data - {token, refresh_token}
+ */
+function saveSession(data) {
+    token = data.token;
+    refreshToken = data.refresh_token;
+    localStorage.setItem('admin_token', token);
+    localStorage.setItem('admin_refresh_token', refreshToken);
+}
+
+/**
+ * Renew the short-lived access token. A refresh token works only once,
+ * so concurrent callers share one request.
+ * @returns {boolean|null} - false when the session is over, null when offline
+ */
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            // Another tab may have refreshed already
+            const storedToken = localStorage.getItem('admin_token');
+            if (storedToken && storedToken !== token) {
+                token = storedToken;
+                refreshToken = localStorage.getItem('admin_refresh_token');
+                return true;
+            }
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_BASE}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: refreshToken })
+            });
+            if (!response.ok) return false;
+
+            saveSession(await response.json());
+            return true;
+        })().catch(() => null).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * fetch() with the access token. On 401 the session is renewed once and the
+ * request retried; if the session is over the user is logged out.
+ */
+async function authFetch(url, options = {}) {
+    const hadToken = !!token;
+    const send = () => fetch(url, {
+        ...options,
+        headers: token ? { ...options.headers, 'Authorization': `Bearer ${token}` } : options.headers
+    });
+
+    let response = await send();
+    if (response.status === 401 && hadToken) {
+        const refreshed = await refreshSession();
+        if (refreshed) {
+            response = await send();
+        } else if (refreshed === false) {
+            logout();
+        }
+    }
+    return response;
+}
+
+/**
+ * End the session on the server too (fire and forget)
+ */
+function endServerSession() {
+    if (!token) return;
+    fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+    }).catch(() => {});
+}
+
 async function apiRequest(endpoint, options = {}) {
     const headers = { 'Content-Type': 'application/json', ...options.headers };
     if (token) headers['Authorization'] = `Bearer ${token}`;
 
-    const response = await fetch(`${API_BASE}${endpoint}`, { ...options, headers });
+    const response = await authFetch(`${API_BASE}${endpoint}`, { ...options, headers });
     const data = await response.json();
 
     if (!response.ok) throw new Error(data.error || 'Request failed');
     return data;
 }
 
+/**
+ * Download a file (PDF, CSV, XLSX) generated by the API.
+ * A plain link would not send the Authorization header, so fetch it as a blob.
+ */
+async function downloadFile(endpoint) {
+    const response = await authFetch(`${API_BASE}${endpoint}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : endpoint.split('?')[0].split('/').pop();
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
 function showError(message) {
     authError.textContent = message;
     authError.classList.remove('hidden');
@@ -120,8 +234,7 @@ async function handleLogin(e) {
             body: JSON.stringify({ username, password })
         });
         console.log('Login successful, token received');
-        token = data.token;
-        localStorage.setItem('admin_token', token);
+        saveSession(data);
         console.log('Loading dashboard...');
         await loadDashboard();
         console.log('Dashboard loaded');
@@ -133,9 +246,66 @@ async function handleLogin(e) {
     }
 }
 
+/**
+ * Whether the logged-in admin's role grants a permission.
+ * Only hides what can't be used; the API enforces the same rules.
+ */
+function can(permission) {
+    return !!currentAdmin && currentAdmin.permissions.includes(permission);
+}
+
+// Hide nav items and buttons marked with data-permission that the role lacks
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        el.classList.toggle('hidden', !can(el.dataset.permission));
+    });
+}
+
+function showChangePasswordModal(forced = false) {
+    showModal('🔑 Alterar Senha', `
+        ${forced ? '<p class="text-muted">Defina uma nova senha para continuar.</p>' : ''}
+        <div class="input-group">
+            <label>Senha atual</label>
+            <input type="password" id="currentAdminPassword" required>
+        </div>
+        <div class="input-group">
+            <label>Nova senha (mínimo 8 caracteres)</label>
+            <input type="password" id="newAdminPassword" minlength="8" required>
+        </div>
+        <div class="input-group">
+            <label>Confirmar nova senha</label>
+            <input type="password" id="confirmAdminPassword" minlength="8" required>
+        </div>
+    `, async () => {
+        const newPassword = document.getElementById('newAdminPassword').value;
+        if (newPassword !== document.getElementById('confirmAdminPassword').value) {
+            alert('As senhas não conferem');
+            return false;
+        }
+
+        await apiRequest('/auth/admin/change-password', {
+            method: 'POST',
+            body: JSON.stringify({
+                current_password: document.getElementById('currentAdminPassword').value,
+                new_password: newPassword
+            })
+        });
+        alert('Senha alterada com sucesso');
+
+        if (forced) {
+            hideModal();
+            await loadDashboard();
+        }
+    });
+}
+
 function logout() {
+    endServerSession();
     token = null;
+    currentAdmin = null;
+    refreshToken = null;
     localStorage.removeItem('admin_token');
+    localStorage.removeItem('admin_refresh_token');
     stopPolling();
     showPage(loginPage);
     loginForm.reset();
@@ -150,7 +320,16 @@ async function loadDashboard() {
         const verify = await apiRequest('/auth/verify');
         if (!verify.valid || verify.type !== 'admin') throw new Error('Invalid session');
 
+        currentAdmin = verify.user;
+        applyPermissions();
         showPage(dashboardPage);
+
+        // The API refuses everything else until the password is changed
+        if (currentAdmin.must_change_password) {
+            showChangePasswordModal(true);
+            return;
+        }
+
         await Promise.all([loadDrivers(), loadAbastecedores(), loadClienteUsers()]);
         await loadFreights();
         await loadAbastecimentos();
@@ -160,7 +339,11 @@ async function loadDashboard() {
         await loadUnassignedComprovantes();
         await loadUnassignedComprovantesCarga();
         await loadUnassignedComprovantesAbast();
-        await loadUnpaidTotals();
+        await loadDriverBalances();
+        await loadLockouts();
+        if (can('admins:manage')) await loadAdmins();
+        await loadSites();
+        await loadOutbox();
 
         // Start polling for real-time updates (every 5 seconds)
         startPolling();
@@ -183,7 +366,9 @@ function startPolling() {
                 loadUnassignedComprovantes(),
                 loadUnassignedComprovantesCarga(),
                 loadUnassignedComprovantesAbast(),
-                loadUnpaidTotals()
+                loadDriverBalances(),
+                loadLockouts(),
+                loadFleetMap()
             ]);
             populateExtratoPlateSelect(); // Keep plate dropdown updated
         } catch (error) {
@@ -223,14 +408,60 @@ async function loadUnassignedComprovantesAbast() {
     }
 }
 
-async function loadUnpaidTotals() {
+async function loadDriverBalances() {
+    if (!can('ledger:read')) return;
+    try {
+        driverBalances = await apiRequest('/admin/ledger/balances');
+    } catch (error) {
+        console.error('Load driver balances error:', error);
+    }
+}
+
+// ========================================
+// Login lockouts
+// ========================================
+
+const LOCKOUT_KIND_LABELS = { cpf: 'CPF', admin: 'Administrador', ip: 'IP' };
+const LOCKOUT_SCOPE_LABELS = { login: 'login', reset: 'recuperação de senha' };
+
+async function loadLockouts() {
+    if (!can('users:read')) return;
     try {
-        unpaidTotals = await apiRequest('/admin/freights/unpaid-totals');
+        loginLockouts = await apiRequest('/admin/security/lockouts');
+        renderLockoutNotice();
     } catch (error) {
-        console.error('Load unpaid totals error:', error);
+        console.error('Load lockouts error:', error);
     }
 }
 
+function renderLockoutNotice() {
+    const notice = document.getElementById('lockoutNotice');
+    notice.classList.toggle('hidden', loginLockouts.length === 0);
+    if (loginLockouts.length === 0) return;
+
+    notice.innerHTML = `
+        <strong>🔒 Bloqueios por excesso de tentativas</strong>
+        <ul>
+            ${loginLockouts.map(l => `
+                <li>
+                    ${LOCKOUT_KIND_LABELS[l.kind] || l.kind} <strong>${l.kind === 'cpf' ? formatCpfInput(l.identifier) : l.identifier}</strong>
+                    (${LOCKOUT_SCOPE_LABELS[l.scope] || l.scope}, ${l.failures} tentativas)
+                    ${can('users:write') ? `<button class="btn btn-sm btn-outline" onclick="unlockLogin(${l.id})">Desbloquear</button>` : ''}
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+window.unlockLogin = async function (id) {
+    try {
+        await apiRequest(`/admin/security/lockouts/${id}`, { method: 'DELETE' });
+        await loadLockouts();
+    } catch (error) {
+        alert('Erro ao desbloquear: ' + error.message);
+    }
+};
+
 // ========================================
 // Navigation
 // ========================================
@@ -376,10 +607,10 @@ function renderDriversTable(filter = '') {
                 if (hasResetRequest) {
                     resetPasswordCell = `<button class="btn btn-sm btn-danger btn-pulse" onclick="resetDriverPassword(${u.id})" title="Clique para redefinir a senha">🔔 Resetar</button>`;
                 } else {
-                    resetPasswordCell = `<button class="btn btn-sm btn-outline" onclick="resetDriverPassword(${u.id})" title="Redefinir senha para os 4 primeiros dígitos do CPF">🔑 Resetar</button>`;
+                    resetPasswordCell = `<button class="btn btn-sm btn-outline" onclick="resetDriverPassword(${u.id})" title="Gerar link para o motorista definir a senha">🔑 Resetar</button>`;
                 }
             } else if (isAbastecedor) {
-                resetPasswordCell = `<button class="btn btn-sm btn-outline" onclick="resetAbastecedorPassword(${u.id})" title="Redefinir senha para os 4 primeiros dígitos do CPF">🔑 Resetar</button>`;
+                resetPasswordCell = `<button class="btn btn-sm btn-outline" onclick="resetAbastecedorPassword(${u.id})" title="Gerar link para o abastecedor definir a senha">🔑 Resetar</button>`;
             } else if (isCliente) {
                 resetPasswordCell = `<button class="btn btn-sm btn-outline" onclick="showResetClientePasswordModal(${u.id})" title="Definir nova senha">🔑 Resetar</button>`;
             }
@@ -413,6 +644,7 @@ function renderDriversTable(filter = '') {
             } else {
                 actions = `<button class="btn btn-sm btn-outline" onclick="editCliente(${u.id})">Editar</button>`;
             }
+            actions += ` <button class="btn btn-sm btn-outline" onclick="revokeUserSessions('${u.userType}', ${u.id})" title="Desconectar de todos os dispositivos">🚪 Sessões</button>`;
 
             return `
             <tr>
@@ -442,46 +674,107 @@ window.authenticateDriver = async function (id) {
     }
 };
 
-// Reset driver password to first 4 digits of CPF
-window.resetDriverPassword = async function (id) {
-    const driver = drivers.find(d => d.id === id);
-    if (!driver) return;
+// One-time set-password links (invite for users without a password, reset otherwise)
+const PASSWORD_LINK_ENDPOINTS = {
+    driver: 'drivers',
+    abastecedor: 'abastecedores'
+};
 
-    const hasRequest = driver.password_reset_requested === 1 || driver.password_reset_requested === true;
-    const confirmMessage = hasRequest
-        ? `O motorista "${driver.name}" solicitou redefinição de senha.\n\nDeseja redefinir a senha para os 4 primeiros dígitos do CPF?`
-        : `Deseja redefinir a senha de "${driver.name}" para os 4 primeiros dígitos do CPF?`;
+function showPasswordLinkModal(userType, user, intro = '') {
+    const phone = user.phone ? formatPhoneInput(user.phone) : null;
+
+    showModal('Link de Senha', `
+        ${intro ? `<p style="margin-bottom:1rem;">${intro}</p>` : ''}
+        <p style="margin-bottom:1rem;color:var(--text-secondary);">
+            Gera um link de uso único para <strong>${user.name}</strong> definir a própria senha.
+            Links anteriores deixam de funcionar.
+        </p>
+        <div class="input-group">
+            <label>
+                <input type="checkbox" id="sendPasswordLink" ${phone ? 'checked' : 'disabled'}>
+                ${phone ? `Enviar por WhatsApp para ${phone}` : 'Sem telefone cadastrado: copie e envie o link manualmente'}
+            </label>
+        </div>
+    `, async () => {
+        try {
+            const result = await apiRequest(`/admin/${PASSWORD_LINK_ENDPOINTS[userType]}/${user.id}/reset-password`, {
+                method: 'PATCH',
+                body: JSON.stringify({ send: document.getElementById('sendPasswordLink').checked })
+            });
+            showPasswordLinkResult(result);
+            if (userType === 'driver') await loadDrivers();
+        } catch (error) {
+            console.error('Password link error:', error);
+            alert('Erro ao gerar link: ' + error.message);
+        }
+        // The result replaces this modal
+        return false;
+    });
+}
+
+function showPasswordLinkResult(result) {
+    let status = 'Copie o link e envie ao usuário.';
+    if (result.sent) {
+        status = 'Link enviado por WhatsApp.';
+    } else if (result.send_error) {
+        status = `${result.send_error}. Copie o link e envie ao usuário.`;
+    }
+
+    const expires = new Date(result.expires_at.replace(' ', 'T') + 'Z').toLocaleString('pt-BR');
 
-    if (!confirm(confirmMessage)) return;
+    showModal('Link de Senha', `
+        <p style="margin-bottom:1rem;">${status}</p>
+        <div class="input-group">
+            <label>Link (${result.purpose === 'invite' ? 'convite' : 'redefinição'}, válido até ${expires})</label>
+            <input type="text" id="passwordLinkUrl" value="${result.link}" readonly onclick="this.select()">
+        </div>
+        <button type="button" class="btn btn-outline btn-sm" onclick="copyPasswordLink()">📋 Copiar link</button>
+    `, () => { });
+}
 
+window.copyPasswordLink = async function () {
+    const input = document.getElementById('passwordLinkUrl');
+    input.select();
     try {
-        await apiRequest(`/admin/drivers/${id}/reset-password`, {
-            method: 'PATCH'
-        });
-        alert(`Senha de "${driver.name}" redefinida com sucesso!`);
-        await loadDrivers();
+        await navigator.clipboard.writeText(input.value);
     } catch (error) {
-        console.error('Reset password error:', error);
-        alert('Erro ao redefinir senha: ' + error.message);
+        document.execCommand('copy');
     }
 };
 
-// Reset abastecedor password to first 4 digits of CPF
-window.resetAbastecedorPassword = async function (id) {
+window.resetDriverPassword = function (id) {
+    const driver = drivers.find(d => d.id === id);
+    if (!driver) return;
+
+    const hasRequest = driver.password_reset_requested === 1 || driver.password_reset_requested === true;
+    showPasswordLinkModal('driver', driver, hasRequest ? 'Este motorista solicitou redefinição de senha.' : '');
+};
+
+window.resetAbastecedorPassword = function (id) {
     const abastecedor = abastecedores.find(a => a.id === id);
     if (!abastecedor) return;
 
-    if (!confirm(`Deseja redefinir a senha de "${abastecedor.name}" para os 4 primeiros dígitos do CPF?`)) return;
+    showPasswordLinkModal('abastecedor', abastecedor);
+};
+
+// Revoke every session of a user (logs them out on all devices)
+const SESSION_ENDPOINTS = {
+    motorista: 'drivers',
+    abastecedor: 'abastecedores',
+    cliente: 'clientes'
+};
+
+window.revokeUserSessions = async function (userType, id) {
+    if (!confirm('Desconectar este usuário de todos os dispositivos?')) return;
 
     try {
-        await apiRequest(`/admin/abastecedores/${id}/reset-password`, {
-            method: 'PATCH'
+        const data = await apiRequest(`/admin/${SESSION_ENDPOINTS[userType]}/${id}/revoke-sessions`, {
+            method: 'POST'
         });
-        alert(`Senha de "${abastecedor.name}" redefinida com sucesso!`);
-        await loadAbastecedores();
+        alert(`${data.revoked} sessão(ões) encerrada(s).`);
     } catch (error) {
-        console.error('Reset abastecedor password error:', error);
-        alert('Erro ao redefinir senha: ' + error.message);
+        console.error('Revoke sessions error:', error);
+        alert('Erro ao encerrar sessões: ' + error.message);
     }
 };
 
@@ -613,7 +906,7 @@ window.editCliente = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/clientes/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/clientes/${id}`, {
             method: 'DELETE',
             headers
         });
@@ -716,7 +1009,7 @@ window.editDriver = async function (id) {
         </div>
     `).join('');
 
-    showModal('Editar Motorista', `
+    showModal('Editar Motorista', withHistoryTab(`
         <input type="hidden" id="editDriverId" value="${id}">
         <div class="input-group">
             <label>Nome</label>
@@ -754,7 +1047,7 @@ window.editDriver = async function (id) {
                 <option value="false" ${!driver.active ? 'selected' : ''}>Não</option>
             </select>
         </div>
-    `, async () => {
+    `), async () => {
         // Collect additional plates
         const plateInputs = document.querySelectorAll('.edit-additional-plate');
         const additionalPlates = Array.from(plateInputs).map(input => input.value.trim().toUpperCase()).filter(v => v);
@@ -787,7 +1080,7 @@ window.editDriver = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/drivers/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/drivers/${id}`, {
             method: 'DELETE',
             headers
         });
@@ -801,6 +1094,8 @@ window.editDriver = async function (id) {
         await loadClients();
     });
 
+    initHistoryTab('driver', id);
+
     // Attach input formatters after modal is rendered
     setTimeout(attachEditDriverFormatters, 50);
 };
@@ -904,7 +1199,8 @@ function showAddDriverModal() {
         </div>
         <div class="input-group" id="passwordField">
             <label>Senha</label>
-            <input type="password" id="newDriverPassword" placeholder="Mínimo 4 caracteres" minlength="4" required>
+            <input type="password" id="newDriverPassword" placeholder="Mínimo 4 caracteres" minlength="4">
+            <span class="input-hint" id="passwordInviteHint">Deixe em branco para enviar um link de convite</span>
         </div>
         <div class="input-group" id="phoneField">
             <label>Telefone (Opcional)</label>
@@ -919,30 +1215,45 @@ function showAddDriverModal() {
     `, async () => {
         const userType = document.getElementById('newUserType').value;
 
+        const password = document.getElementById('newDriverPassword').value;
+
         if (userType === 'motorista') {
-            await apiRequest('/admin/drivers', {
+            const driver = await apiRequest('/admin/drivers', {
                 method: 'POST',
                 body: JSON.stringify({
                     name: document.getElementById('newDriverName').value,
                     cpf: document.getElementById('newDriverCpf').value,
-                    password: document.getElementById('newDriverPassword').value,
+                    password: password || null,
                     phone: document.getElementById('newDriverPhone').value || null,
                     plate: document.getElementById('newDriverPlate').value
                 })
             });
             await loadDrivers();
+            if (!password) {
+                showPasswordLinkModal('driver', driver, 'Motorista cadastrado. Envie o link de convite para a criação da senha.');
+                return false;
+            }
         } else if (userType === 'abastecedor') {
-            await apiRequest('/admin/abastecedores', {
+            const abastecedor = await apiRequest('/admin/abastecedores', {
                 method: 'POST',
                 body: JSON.stringify({
                     name: document.getElementById('newDriverName').value,
                     cpf: document.getElementById('newDriverCpf').value,
-                    password: document.getElementById('newDriverPassword').value,
+                    password: password || null,
                     phone: document.getElementById('newDriverPhone').value || null
                 })
             });
             await loadAbastecedores();
+            if (!password) {
+                showPasswordLinkModal('abastecedor', abastecedor, 'Abastecedor cadastrado. Envie o link de convite para a criação da senha.');
+                return false;
+            }
         } else if (userType === 'cliente') {
+            if (!password) {
+                alert('Informe a senha do cliente');
+                return false;
+            }
+
             // Get empresa from either dropdown or new input
             let empresa;
             const newEmpresaContainer = document.getElementById('newEmpresaContainer');
@@ -964,7 +1275,7 @@ function showAddDriverModal() {
                     name: document.getElementById('newDriverName').value,
                     cpf: document.getElementById('newDriverCpf').value,
                     cnpj: document.getElementById('newClienteCnpj').value || null,
-                    password: document.getElementById('newDriverPassword').value,
+                    password,
                     phone: document.getElementById('newDriverPhone').value || null
                 })
             });
@@ -1019,6 +1330,10 @@ window.toggleUserTypeFields = function () {
     const motoristaFields = document.getElementById('motoristaFields');
     const plateInput = document.getElementById('newDriverPlate');
 
+    // Only clientes need a password up front; the others can get an invite link
+    document.getElementById('newDriverPassword').required = userType === 'cliente';
+    document.getElementById('passwordInviteHint').style.display = userType === 'cliente' ? 'none' : 'block';
+
     if (userType === 'motorista') {
         empresaField.style.display = 'none';
         cnpjField.style.display = 'none';
@@ -1166,7 +1481,7 @@ window.editAbastecedor = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/abastecedores/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/abastecedores/${id}`, {
             method: 'DELETE',
             headers
         });
@@ -1302,7 +1617,7 @@ function renderFreightsTable() {
             if (f.status === 'complete' && f.total_value > 0) {
                 statusCell = isPaid
                     ? `<span class="status-badge status-paid" onclick="togglePaid(${f.id})" style="cursor:pointer;">Pago</span>`
-                    : `<span class="status-badge status-pending" onclick="togglePaid(${f.id})" style="cursor:pointer;">Pendente</span>`;
+                    : '<span class="status-badge status-pending">Pendente</span>';
             } else {
                 statusCell = '<span class="text-muted">-</span>';
             }
@@ -1327,7 +1642,7 @@ function renderFreightsTable() {
         }).join('');
 }
 
-// Toggle paid status for a freight
+// Clear a stale paid flag (the server refuses freights that belong to a payment)
 window.togglePaid = async function (freightId) {
     try {
         await apiRequest(`/admin/freights/${freightId}/toggle-paid`, {
@@ -1335,7 +1650,7 @@ window.togglePaid = async function (freightId) {
         });
 
         // Reload data to update totals
-        await Promise.all([loadFreights(), loadUnpaidTotals()]);
+        await Promise.all([loadFreights(), loadDriverBalances()]);
         renderDriversTable(); // Re-render drivers to update unpaid totals
     } catch (error) {
         console.error('Toggle paid error:', error);
@@ -1560,7 +1875,7 @@ window.editFreight = async function (id) {
     const isPending = freight.status === 'pending';
     const title = isPending ? 'Completar Frete' : 'Editar Frete';
 
-    showModal(title, `
+    showModal(title, withHistoryTab(`
         <input type="hidden" id="editFreightId" value="${id}">
         <div class="input-group">
             <label>Motorista</label>
@@ -1578,6 +1893,7 @@ window.editFreight = async function (id) {
             <label>Cliente</label>
             <select id="editFreightClient" required>${clientOptions}</select>
         </div>
+        ${freightSiteFields('editFreight', freight)}
         <div class="input-group">
             <label>KM</label>
             <input type="number" id="editFreightKm" value="${freight.km || ''}" required>
@@ -1586,6 +1902,7 @@ window.editFreight = async function (id) {
             <label>Toneladas</label>
             <input type="number" step="0.01" id="editFreightTons" value="${freight.tons || ''}" required>
         </div>
+        ${can('margins:read') ? `
         <div class="input-group">
             <label>Preço por km/ton (R$) (Motorista)</label>
             <input type="number" step="0.000001" id="editFreightPrice" value="${freight.price_per_km_ton ? freight.price_per_km_ton.toFixed(6) : ''}" required>
@@ -1593,7 +1910,7 @@ window.editFreight = async function (id) {
         <div class="input-group">
             <label>Preço por km/ton (R$) (Transportadora)</label>
             <input type="number" step="0.000001" id="editFreightPriceTransportadora" value="${freight.price_per_km_ton_transportadora ? freight.price_per_km_ton_transportadora.toFixed(6) : ''}">
-        </div>
+        </div>` : ''}
         <div class="input-group">
             <label>Comprovante de Carga ${freight.comprovante_carga ? '(já anexado - enviar novo substitui)' : ''}</label>
             <input type="file" id="editFreightCarga" class="file-input" accept="image/png, image/jpeg, application/pdf, .pdf">
@@ -1609,7 +1926,7 @@ window.editFreight = async function (id) {
             <input type="file" id="editFreightDocumento" class="file-input" accept="application/pdf,.pdf">
             ${freight.documento_frete ? `<a href="${freight.documento_frete}" target="_blank" style="color:var(--accent-primary);font-size:0.85rem;margin-top:0.25rem;">📄 Ver atual</a>` : ''}
         </div>
-    `, async () => {
+    `), async () => {
         const formData = new FormData();
         formData.append('driver_id', document.getElementById('editFreightDriver').value);
         formData.append('plate', document.getElementById('editFreightPlate').value);
@@ -1617,10 +1934,14 @@ window.editFreight = async function (id) {
         formData.append('client', document.getElementById('editFreightClient').value);
         formData.append('km', parseFloat(document.getElementById('editFreightKm').value));
         formData.append('tons', parseFloat(document.getElementById('editFreightTons').value));
-        formData.append('price_per_km_ton', parseFloat(document.getElementById('editFreightPrice').value));
+        appendFreightSiteFields(formData, 'editFreight');
+        // Without margins:read the server applies the driver's rate
+        if (can('margins:read')) {
+            formData.append('price_per_km_ton', parseFloat(document.getElementById('editFreightPrice').value));
 
-        const priceTransp = document.getElementById('editFreightPriceTransportadora').value;
-        if (priceTransp) formData.append('price_per_km_ton_transportadora', parseFloat(priceTransp));
+            const priceTransp = document.getElementById('editFreightPriceTransportadora').value;
+            if (priceTransp) formData.append('price_per_km_ton_transportadora', parseFloat(priceTransp));
+        }
 
         const cargaFile = document.getElementById('editFreightCarga').files[0];
         const descargaFile = document.getElementById('editFreightDescarga').files[0];
@@ -1633,7 +1954,7 @@ window.editFreight = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/freights/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/freights/${id}`, {
             method: 'PUT',
             headers,
             body: formData
@@ -1652,7 +1973,7 @@ window.editFreight = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/freights/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/freights/${id}`, {
             method: 'DELETE',
             headers
         });
@@ -1666,6 +1987,8 @@ window.editFreight = async function (id) {
         await loadClients();
     });
 
+    initHistoryTab('freight', id);
+
     // Add event listener to update plate dropdown when driver changes
     setTimeout(() => {
         const driverSelect = document.getElementById('editFreightDriver');
@@ -1734,6 +2057,7 @@ function showAddFreightModal() {
             <label>Data</label>
             <input type="date" id="newFreightDate" value="${new Date().toISOString().split('T')[0]}" required>
         </div>
+        ${freightSiteFields('newFreight')}
         <div class="input-group">
             <label>KM</label>
             <input type="number" id="newFreightKm" required>
@@ -1742,6 +2066,7 @@ function showAddFreightModal() {
             <label>Toneladas</label>
             <input type="number" step="0.01" id="newFreightTons" required>
         </div>
+        ${can('margins:read') ? `
         <div class="input-group">
             <label>Preço por km/ton (R$) (Motorista)</label>
             <input type="number" step="0.000001" id="newFreightPrice" value="0.500000" placeholder="0.000000" required>
@@ -1749,7 +2074,7 @@ function showAddFreightModal() {
         <div class="input-group">
             <label>Preço por km/ton (R$) (Transportadora)</label>
             <input type="number" step="0.000001" id="newFreightPriceTransportadora" value="0.500000" placeholder="0.000000">
-        </div>
+        </div>` : ''}
         <div class="input-group">
             <label>Comprovante de Carga (Foto/PDF)</label>
             <input type="file" id="newFreightComprovanteCarga" accept=".png,.jpg,.jpeg,.pdf,application/pdf" class="file-input">
@@ -1766,10 +2091,14 @@ function showAddFreightModal() {
         formData.append('date', document.getElementById('newFreightDate').value);
         formData.append('km', document.getElementById('newFreightKm').value);
         formData.append('tons', document.getElementById('newFreightTons').value);
-        formData.append('price_per_km_ton', document.getElementById('newFreightPrice').value);
+        appendFreightSiteFields(formData, 'newFreight');
+        // Without margins:read the server applies the driver's rate
+        if (can('margins:read')) {
+            formData.append('price_per_km_ton', document.getElementById('newFreightPrice').value);
 
-        const priceTransp = document.getElementById('newFreightPriceTransportadora').value;
-        if (priceTransp) formData.append('price_per_km_ton_transportadora', priceTransp);
+            const priceTransp = document.getElementById('newFreightPriceTransportadora').value;
+            if (priceTransp) formData.append('price_per_km_ton_transportadora', priceTransp);
+        }
 
         const cargaFile = document.getElementById('newFreightComprovanteCarga').files[0];
         const descargaFile = document.getElementById('newFreightComprovanteDescarga').files[0];
@@ -1784,7 +2113,7 @@ function showAddFreightModal() {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/freights`, {
+        const response = await authFetch(`${API_BASE}/admin/freights`, {
             method: 'POST',
             headers,
             body: formData
@@ -2096,7 +2425,7 @@ window.editAbastecimento = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/abastecimentos/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/abastecimentos/${id}`, {
             method: 'PUT',
             headers,
             body: formData
@@ -2114,7 +2443,7 @@ window.editAbastecimento = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/abastecimentos/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/abastecimentos/${id}`, {
             method: 'DELETE',
             headers
         });
@@ -2215,7 +2544,7 @@ function showAddAbastecimentoModal() {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/abastecimentos`, {
+        const response = await authFetch(`${API_BASE}/admin/abastecimentos`, {
             method: 'POST',
             headers,
             body: formData
@@ -2507,7 +2836,7 @@ window.editOutrosInsumo = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/outrosinsumos/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/outrosinsumos/${id}`, {
             method: 'PUT',
             headers,
             body: formData
@@ -2524,7 +2853,7 @@ window.editOutrosInsumo = async function (id) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/outrosinsumos/${id}`, {
+        const response = await authFetch(`${API_BASE}/admin/outrosinsumos/${id}`, {
             method: 'DELETE',
             headers
         });
@@ -2790,7 +3119,7 @@ window.uploadRecebimento = async function (freightId, input) {
     if (token) headers['Authorization'] = `Bearer ${token}`;
 
     try {
-        const response = await fetch(`${API_BASE}/admin/freights/${freightId}`, {
+        const response = await authFetch(`${API_BASE}/admin/freights/${freightId}`, {
             method: 'PUT',
             headers,
             body: formData
@@ -3053,8 +3382,16 @@ async function loadDriverPaymentsData() {
         driverPayments = [];
     }
 
+    // Load advances for this driver
+    try {
+        driverAdvances = await apiRequest(`/admin/advances?driver_id=${currentDriverForPayment.id}`);
+    } catch (e) {
+        driverAdvances = [];
+    }
+
     renderUnpaidFreights();
     renderPaymentsHistory();
+    renderAdvances();
 }
 
 function renderUnpaidFreights() {
@@ -3149,13 +3486,19 @@ function updatePaymentSummary() {
         insumosTotal += parseFloat(cb.dataset.value);
     });
 
-    // Net total = Fretes - Abastecimentos - Insumos
-    const netTotal = freightsTotal - abastTotal - insumosTotal;
+    // Outstanding advances are deducted by the server, up to the net amount
+    const outstandingAdvances = driverAdvances.reduce((sum, a) => sum + Math.max(a.remaining_amount, 0), 0);
+    const grossNet = freightsTotal - abastTotal - insumosTotal;
+    const advancesDeducted = Math.min(outstandingAdvances, Math.max(grossNet, 0));
+
+    // Net total = Fretes - Abastecimentos - Insumos - Adiantamentos
+    const netTotal = grossNet - advancesDeducted;
 
     // Update UI
     document.getElementById('selectedFreightsTotal').textContent = formatCurrency(freightsTotal);
     document.getElementById('selectedAbastTotal').textContent = `-${formatCurrency(abastTotal)}`;
     document.getElementById('selectedInsumosTotal').textContent = `-${formatCurrency(insumosTotal)}`;
+    document.getElementById('outstandingAdvancesTotal').textContent = `-${formatCurrency(advancesDeducted)}`;
     document.getElementById('netTotalToPay').textContent = formatCurrency(netTotal);
 
     // Color the net total based on positive/negative
@@ -3185,6 +3528,81 @@ function renderPaymentsHistory() {
     `).join('');
 }
 
+function renderAdvances() {
+    const tbody = document.getElementById('advancesBody');
+
+    if (driverAdvances.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-muted);padding:2rem;">Nenhum adiantamento registrado</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = driverAdvances.map(a => `
+        <tr>
+            <td>${formatDate(a.date)}</td>
+            <td>${a.kind === 'installment' ? 'Parcela' : 'Adiantamento'}</td>
+            <td>${a.description || '-'}</td>
+            <td class="value-negative">${formatCurrency(a.amount)}</td>
+            <td>${a.remaining_amount > 0.005 ? formatCurrency(a.remaining_amount) : '<span style="color:var(--text-muted);">Descontado</span>'}</td>
+            <td>${a.applied_amount > 0
+            ? '-'
+            : `<button class="btn btn-sm btn-danger" onclick="deleteAdvance(${a.id})">Excluir</button>`}</td>
+        </tr>
+    `).join('');
+}
+
+window.openAdvanceModal = function () {
+    if (!currentDriverForPayment) return;
+
+    showModal('Novo Adiantamento', `
+        <div class="input-group">
+            <label>Tipo</label>
+            <select id="advanceKind">
+                <option value="advance">Adiantamento</option>
+                <option value="installment">Parcela</option>
+            </select>
+        </div>
+        <div class="input-group">
+            <label>Data</label>
+            <input type="date" id="advanceDate" value="${new Date().toISOString().split('T')[0]}" required>
+        </div>
+        <div class="input-group">
+            <label>Valor (R$)</label>
+            <input type="number" id="advanceAmount" step="0.01" min="0.01" required>
+        </div>
+        <div class="input-group">
+            <label>Descrição (Opcional)</label>
+            <input type="text" id="advanceDescription" placeholder="Ex: Adiantamento para viagem">
+        </div>
+        <p style="color:var(--text-muted);font-size:0.85rem;">O valor será descontado automaticamente do próximo pagamento.</p>
+    `, async () => {
+        await apiRequest('/admin/advances', {
+            method: 'POST',
+            body: JSON.stringify({
+                driver_id: currentDriverForPayment.id,
+                kind: document.getElementById('advanceKind').value,
+                date: document.getElementById('advanceDate').value,
+                amount: parseFloat(document.getElementById('advanceAmount').value),
+                description: document.getElementById('advanceDescription').value
+            })
+        });
+
+        await loadDriverPaymentsData();
+    });
+};
+
+window.deleteAdvance = async function (advanceId) {
+    if (!confirm('Tem certeza que deseja excluir este adiantamento?')) {
+        return;
+    }
+
+    try {
+        await apiRequest(`/admin/advances/${advanceId}`, { method: 'DELETE' });
+        await loadDriverPaymentsData();
+    } catch (error) {
+        alert('Erro ao excluir adiantamento: ' + error.message);
+    }
+};
+
 function calculateDateRange(dates) {
     if (dates.length === 0) return '';
     if (dates.length === 1) return formatDate(dates[0]);
@@ -3233,30 +3651,49 @@ window.generatePayment = async function () {
     const abastecimentoIds = [];
     const outrosInsumoIds = [];
     const dates = [];
-    let freightsTotal = 0;
-    let abastTotal = 0;
-    let insumosTotal = 0;
 
     freightCheckboxes.forEach(cb => {
         freightIds.push(parseInt(cb.dataset.id));
         dates.push(cb.dataset.date);
-        freightsTotal += parseFloat(cb.dataset.value);
     });
 
     abastCheckboxes.forEach(cb => {
         abastecimentoIds.push(parseInt(cb.dataset.id));
         dates.push(cb.dataset.date);
-        abastTotal += parseFloat(cb.dataset.value);
     });
 
     insumoCheckboxes.forEach(cb => {
         outrosInsumoIds.push(parseInt(cb.dataset.id));
         dates.push(cb.dataset.date);
-        insumosTotal += parseFloat(cb.dataset.value);
     });
 
-    // Net total = Fretes - Abastecimentos - Insumos
-    const netTotal = freightsTotal - abastTotal - insumosTotal;
+    // Totals come from the server so the modal shows exactly what will be stored
+    let preview;
+    try {
+        preview = await apiRequest('/admin/payments/preview', {
+            method: 'POST',
+            body: JSON.stringify({
+                driver_id: currentDriverForPayment.id,
+                freight_ids: freightIds,
+                abastecimento_ids: abastecimentoIds,
+                outros_insumo_ids: outrosInsumoIds
+            })
+        });
+    } catch (error) {
+        alert('Erro ao calcular pagamento: ' + error.message);
+        return;
+    }
+
+    if (!preview.valid) {
+        alert('Alguns itens não podem ser pagos (já pagos, de outro motorista ou incompletos). Atualize a página e selecione novamente.');
+        return;
+    }
+
+    const freightsTotal = preview.freights_total;
+    const abastTotal = preview.abastecimentos_total;
+    const insumosTotal = preview.outros_insumos_total;
+    const advancesTotal = preview.advances_total;
+    const netTotal = preview.total_value;
     const dateRange = calculateDateRange(dates);
 
     // Show modal to optionally attach comprovante
@@ -3278,6 +3715,10 @@ window.generatePayment = async function () {
                 <label>Outros Insumos (-)</label>
                 <input type="text" value="-${formatCurrency(insumosTotal)}" disabled style="color: var(--error);">
             </div>
+            <div class="input-group">
+                <label>Adiantamentos Descontados (-)</label>
+                <input type="text" value="-${formatCurrency(advancesTotal)}" disabled style="color: var(--error);">
+            </div>
             <div class="input-group">
                 <label><strong>Total Líquido a Pagar</strong></label>
                 <input type="text" value="${formatCurrency(netTotal)}" disabled style="font-weight: bold; color: var(--accent-primary);">
@@ -3304,7 +3745,7 @@ window.generatePayment = async function () {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/payments`, {
+        const response = await authFetch(`${API_BASE}/admin/payments`, {
             method: 'POST',
             headers,
             body: formData
@@ -3319,7 +3760,7 @@ window.generatePayment = async function () {
         await loadFreights();
         await loadAbastecimentos();
         await loadOutrosInsumos();
-        await loadUnpaidTotals();
+        await loadDriverBalances();
         await loadDriverPaymentsData();
     });
 };
@@ -3342,7 +3783,7 @@ window.uploadPaymentProof = async function (paymentId) {
         const headers = {};
         if (token) headers['Authorization'] = `Bearer ${token}`;
 
-        const response = await fetch(`${API_BASE}/admin/payments/${paymentId}`, {
+        const response = await authFetch(`${API_BASE}/admin/payments/${paymentId}`, {
             method: 'PUT',
             headers,
             body: formData
@@ -3365,7 +3806,7 @@ window.deletePayment = async function (paymentId) {
     try {
         await apiRequest(`/admin/payments/${paymentId}`, { method: 'DELETE' });
         await loadFreights();
-        await loadUnpaidTotals();
+        await loadDriverBalances();
         await loadDriverPaymentsData();
     } catch (error) {
         alert('Erro ao excluir pagamento: ' + error.message);
@@ -3384,7 +3825,7 @@ window.uploadPaymentProofDirect = async function (paymentId, input) {
     if (token) headers['Authorization'] = `Bearer ${token}`;
 
     try {
-        const response = await fetch(`${API_BASE}/admin/payments/${paymentId}`, {
+        const response = await authFetch(`${API_BASE}/admin/payments/${paymentId}`, {
             method: 'PUT',
             headers,
             body: formData
@@ -3425,6 +3866,9 @@ function initDriverPayments() {
 
     // Generate payment button
     document.getElementById('generatePaymentBtn').addEventListener('click', generatePayment);
+
+    // New advance button
+    document.getElementById('addAdvanceBtn').addEventListener('click', openAdvanceModal);
 }
 
 // ========================================
@@ -3451,10 +3895,11 @@ function renderFinanceiroDriversTable(filter = '') {
     tbody.innerHTML = filtered.length === 0
         ? '<tr><td colspan="5" style="text-align:center;color:var(--text-muted)">Nenhum motorista encontrado</td></tr>'
         : filtered.map(d => {
-            // Find unpaid total for driver
-            const unpaidEntry = unpaidTotals.find(ut => ut.driver_id === d.id);
-            const unpaidAmount = unpaidEntry ? unpaidEntry.unpaid_total : 0;
-            const unpaidClass = unpaidAmount > 0 ? 'value-negative' : 'text-muted';
+            // Ledger balance: positive is owed to the driver, negative is owed by the driver
+            const balanceEntry = driverBalances.find(b => b.driver_id === d.id);
+            const balance = balanceEntry ? balanceEntry.balance : 0;
+            const hasBalance = Math.abs(balance) >= 0.005;
+            const balanceClass = !hasBalance ? 'text-muted' : (balance > 0 ? 'value-negative' : 'value-positive');
 
             // Format plates - show all plates
             let platesDisplay = d.plate || '-';
@@ -3475,7 +3920,7 @@ function renderFinanceiroDriversTable(filter = '') {
                 <td>${d.name}</td>
                 <td>${formatCPF(d.cpf)}</td>
                 <td class="plates-cell">${platesDisplay}</td>
-                <td class="${unpaidClass}">${unpaidAmount > 0 ? formatCurrency(unpaidAmount) : '-'}</td>
+                <td class="${balanceClass}">${hasBalance ? formatCurrency(balance) : '-'}</td>
                 <td><button class="btn btn-sm btn-primary" onclick="openDriverPayments(${d.id})">💰 Pagamento</button></td>
             </tr>
         `}).join('');
@@ -3526,7 +3971,7 @@ function renderFinanceiroPaymentsTable() {
             const isPaid = f.paid === 1 || f.paid === true;
             const statusCell = isPaid
                 ? `<span class="status-badge status-paid" onclick="togglePaid(${f.id})" style="cursor:pointer;">Pago</span>`
-                : `<span class="status-badge status-pending" onclick="togglePaid(${f.id})" style="cursor:pointer;">Pendente</span>`;
+                : '<span class="status-badge status-pending">Pendente</span>';
 
             return `
                 <tr>
@@ -3640,144 +4085,88 @@ function initFinanceiroPage() {
 
 
 let selectedExtratoDriverId = null;
-let cachedExtratoData = null; // Cache for export
-
-async function exportExtratoPDF() {
-    if (!selectedExtratoDriverId || !cachedExtratoData) {
-        alert('Selecione um motorista primeiro');
-        return;
-    }
-
-    const { driverName } = cachedExtratoData;
-    const content = document.getElementById('extratoContent');
-
-    if (!content) {
-        alert('Conteúdo não encontrado');
-        return;
-    }
 
-    // Show loading state
-    const exportBtn = document.getElementById('exportExtratoBtn');
+/**
+ * Download an extrato PDF rendered by the server, with the page's date filter
+ * @param {string} buttonId - Export button (shows progress)
+ * @param {string} endpoint - e.g. /admin/extratos/driver/1.pdf
+ * @param {string} dateFromId - Date-from input
+ * @param {string} dateToId - Date-to input
+ */
+async function exportServerPdf(buttonId, endpoint, dateFromId, dateToId) {
+    const exportBtn = document.getElementById(buttonId);
     const originalText = exportBtn.textContent;
     exportBtn.textContent = 'Gerando PDF...';
     exportBtn.disabled = true;
 
     try {
-        // Apply print mode for white background and black text
-        content.classList.add('pdf-print-mode');
-
-        // Wait for styles to apply
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Capture the content as canvas
-        const canvas = await html2canvas(content, {
-            scale: 2,
-            useCORS: true,
-            logging: false,
-            backgroundColor: '#ffffff'
-        });
-
-        // Remove print mode
-        content.classList.remove('pdf-print-mode');
-
-        // Create PDF with A4 dimensions
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF('p', 'mm', 'a4');
-
-        const pageWidth = pdf.internal.pageSize.getWidth();
-        const pageHeight = pdf.internal.pageSize.getHeight();
-
-        // Calculate image dimensions to fit A4
-        const imgWidth = pageWidth - 20;
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-        // Add white background and black header text
-        pdf.setFillColor(255, 255, 255);
-        pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-
-        // Add logo to top right corner
-        try {
-            const logoImg = new Image();
-            logoImg.crossOrigin = 'anonymous';
-            await new Promise((resolve, reject) => {
-                logoImg.onload = resolve;
-                logoImg.onerror = reject;
-                logoImg.src = '../images/logo1.jpg';
-            });
-            const logoCanvas = document.createElement('canvas');
-            logoCanvas.width = logoImg.width;
-            logoCanvas.height = logoImg.height;
-            const logoCtx = logoCanvas.getContext('2d');
-            logoCtx.drawImage(logoImg, 0, 0);
-            const logoData = logoCanvas.toDataURL('image/png');
-            const logoWidth = 25; // mm
-            const logoHeight = (logoImg.height / logoImg.width) * logoWidth;
-            pdf.addImage(logoData, 'PNG', pageWidth - logoWidth - 10, 5, logoWidth, logoHeight);
-        } catch (e) {
-            console.warn('Could not add logo to PDF:', e);
-        }
-
-        pdf.setTextColor(0, 0, 0);
-        pdf.setFontSize(16);
-        pdf.text(`Extrato - ${driverName}`, 10, 15);
-        pdf.setFontSize(10);
-        pdf.text(`Data: ${new Date().toLocaleDateString('pt-BR')}`, 10, 22);
+        const params = new URLSearchParams();
+        const dateFrom = document.getElementById(dateFromId)?.value;
+        const dateTo = document.getElementById(dateToId)?.value;
+        if (dateFrom) params.append('date_from', dateFrom);
+        if (dateTo) params.append('date_to', dateTo);
 
-        // Add content image
-        const imgData = canvas.toDataURL('image/png');
-
-        // Handle multi-page if content is too long
-        let yPosition = 30;
-        const maxHeightPerPage = pageHeight - 40;
-
-        if (imgHeight <= maxHeightPerPage) {
-            pdf.addImage(imgData, 'PNG', 10, yPosition, imgWidth, imgHeight);
-        } else {
-            let sourceY = 0;
-            const sourceHeight = canvas.height;
-            const pixelsPerPage = (maxHeightPerPage / imgHeight) * sourceHeight;
-
-            while (sourceY < sourceHeight) {
-                if (sourceY > 0) {
-                    pdf.addPage();
-                    pdf.setFillColor(255, 255, 255);
-                    pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-                    yPosition = 10;
-                }
+        await downloadFile(`${endpoint}${params.toString() ? `?${params.toString()}` : ''}`);
+    } catch (error) {
+        console.error('PDF export error:', error);
+        alert('Erro ao gerar PDF. Tente novamente.');
+    } finally {
+        exportBtn.textContent = originalText;
+        exportBtn.disabled = false;
+    }
+}
 
-                const pageCanvas = document.createElement('canvas');
-                pageCanvas.width = canvas.width;
-                pageCanvas.height = Math.min(pixelsPerPage, sourceHeight - sourceY);
-                const ctx = pageCanvas.getContext('2d');
-                ctx.drawImage(canvas, 0, sourceY, canvas.width, pageCanvas.height, 0, 0, canvas.width, pageCanvas.height);
+// Page filters passed along with each list export
+const SPREADSHEET_EXPORTS = {
+    freights: { driver: 'freightDriverFilter', date: 'freightDateFilter' },
+    abastecimentos: { driver: 'abastDriverFilter', date: 'abastDateFilter' },
+    outrosinsumos: { driver: 'outrosDriverFilter', date: 'outrosDateFilter' },
+    payments: { driver: 'finPaymentDriverFilter', date: 'finPaymentDateFilter' }
+};
 
-                const pageImgData = pageCanvas.toDataURL('image/png');
-                const pageImgHeight = (pageCanvas.height * imgWidth) / canvas.width;
-                pdf.addImage(pageImgData, 'PNG', 10, yPosition, imgWidth, pageImgHeight);
+/**
+ * Export a list as CSV or XLSX using the page's driver and date filters
+ * @param {HTMLElement} exportBtn - Button with data-export (list) and data-format (csv|xlsx)
+ */
+async function exportSpreadsheet(exportBtn) {
+    const filters = SPREADSHEET_EXPORTS[exportBtn.dataset.export];
+    const originalText = exportBtn.textContent;
+    exportBtn.textContent = 'Exportando...';
+    exportBtn.disabled = true;
 
-                sourceY += pixelsPerPage;
-            }
+    try {
+        const params = new URLSearchParams({ format: exportBtn.dataset.format });
+        const driverId = document.getElementById(filters.driver)?.value;
+        const date = document.getElementById(filters.date)?.value;
+        if (driverId) params.append('driver_id', driverId);
+        if (date) {
+            params.append('date_from', date);
+            params.append('date_to', date);
         }
 
-        // Generate filename and save
-        const sanitizedName = driverName.replace(/[^a-zA-Z0-9]/g, '_');
-        const dateStr = new Date().toISOString().slice(0, 10);
-        const filename = `Extrato_${sanitizedName}_${dateStr}.pdf`;
-
-        pdf.save(filename);
+        await downloadFile(`/admin/${exportBtn.dataset.export}?${params.toString()}`);
     } catch (error) {
-        console.error('PDF export error:', error);
-        content.classList.remove('pdf-print-mode');
-        alert('Erro ao gerar PDF. Tente novamente.');
+        console.error('Spreadsheet export error:', error);
+        alert('Erro ao exportar. Tente novamente.');
     } finally {
         exportBtn.textContent = originalText;
         exportBtn.disabled = false;
     }
 }
 
+async function exportExtratoPDF() {
+    if (!selectedExtratoDriverId) {
+        alert('Selecione um motorista primeiro');
+        return;
+    }
 
-function initExtratosPage() {
-    const driverSelect = document.getElementById('extratoDriverSelect');
+    await exportServerPdf('exportExtratoBtn', `/admin/extratos/driver/${selectedExtratoDriverId}.pdf`,
+        'extratoDriverDateFrom', 'extratoDriverDateTo');
+}
+
+
+function initExtratosPage() {
+    const driverSelect = document.getElementById('extratoDriverSelect');
     const exportBtn = document.getElementById('exportExtratoBtn');
     const filterBtn = document.getElementById('extratoDriverFilterBtn');
     const clearFilterBtn = document.getElementById('extratoDriverClearFilterBtn');
@@ -3892,17 +4281,6 @@ async function loadAdminExtrato(driverId) {
     // Total a Receber = Fretes - Abast - Insumos - Pago
     const totalAReceber = totalFretes - totalAbast - totalInsumos - totalPago;
 
-    // Cache data for export
-    const driver = drivers.find(d => d.id === driverId);
-    cachedExtratoData = {
-        driverName: driver?.name || 'Motorista',
-        driverFreights,
-        driverAbast,
-        driverInsumos,
-        payments,
-        totals: { totalFretes, totalAbast, totalInsumos, totalAReceber, totalPago }
-    };
-
     // Update summary cards
     document.getElementById('adminExtratoFretes').textContent = formatCurrency(totalFretes);
     document.getElementById('adminExtratoAbast').textContent = `-${formatCurrency(totalAbast)}`;
@@ -4005,7 +4383,6 @@ async function loadAdminExtrato(driverId) {
 // ========================================
 
 let selectedExtratoPlate = null;
-let cachedExtratoPlateData = null; // Cache for export
 
 function initExtratosCaminhoesPage() {
     const plateSelect = document.getElementById('extratoPlateSelect');
@@ -4160,15 +4537,6 @@ function loadPlateExtrato(plate) {
     // Faturamento Líquido = Fretes - Abast - Insumos
     const faturamentoLiquido = totalFretes - totalAbast - totalInsumos;
 
-    // Cache data for export
-    cachedExtratoPlateData = {
-        plate: normalizedPlate,
-        plateFreights,
-        plateAbast,
-        plateInsumos,
-        totals: { totalFretes, totalAbast, totalInsumos, faturamentoLiquido }
-    };
-
 
     // Update summary cards
     document.getElementById('plateExtratoFretes').textContent = formatCurrency(totalFretes);
@@ -4228,65 +4596,13 @@ function loadPlateExtrato(plate) {
 }
 
 async function exportPlateExtratoPDF() {
-    if (!cachedExtratoPlateData) {
+    if (!selectedExtratoPlate) {
         alert('Nenhum dado para exportar');
         return;
     }
 
-    const { plate, plateFreights, plateAbast, plateInsumos, totals } = cachedExtratoPlateData;
-
-    // Create a simple HTML-based PDF export
-    const printContent = `
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; padding: 20px; color: #000; }
-                h1, h2 { color: #333; }
-                table { width: 100%; border-collapse: collapse; margin-bottom: 20px; }
-                th, td { border: 1px solid #333; padding: 8px; text-align: left; }
-                th { background: #f0f0f0; }
-                .summary { display: flex; gap: 20px; margin-bottom: 20px; }
-                .summary-item { background: #f5f5f5; padding: 10px; border-radius: 5px; }
-                .positive { color: green; }
-                .negative { color: red; }
-            </style>
-        </head>
-        <body>
-            <h1>Extrato do Caminhão: ${plate}</h1>
-            <p>Gerado em: ${new Date().toLocaleDateString('pt-BR')} às ${new Date().toLocaleTimeString('pt-BR')}</p>
-            
-            <div class="summary">
-                <div class="summary-item"><strong>Total Fretes:</strong> R$ ${formatCurrency(totals.totalFretes)}</div>
-                <div class="summary-item"><strong>Abastecimentos:</strong> -R$ ${formatCurrency(totals.totalAbast)}</div>
-                <div class="summary-item"><strong>Outros Insumos:</strong> -R$ ${formatCurrency(totals.totalInsumos)}</div>
-                <div class="summary-item"><strong>Faturamento Líquido:</strong> R$ ${formatCurrency(totals.faturamentoLiquido)}</div>
-            </div>
-            
-            <h2>Fretes</h2>
-            <table>
-                <thead><tr><th>Data</th><th>KM</th><th>Tons</th><th>Valor</th></tr></thead>
-                <tbody>${plateFreights.map(f => `<tr><td>${formatDate(f.date)}</td><td>${formatNumber(f.km)}</td><td>${formatNumber(f.tons, 2)}</td><td class="positive">R$ ${formatCurrency(f.total_value)}</td></tr>`).join('')}</tbody>
-            </table>
-            
-            <h2>Abastecimentos</h2>
-            <table>
-                <thead><tr><th>Data</th><th>Litros</th><th>Preço/L</th><th>Valor</th></tr></thead>
-                <tbody>${plateAbast.map(a => `<tr><td>${formatDate(a.date)}</td><td>${formatNumber(a.quantity)}</td><td>R$ ${formatCurrency(a.price_per_liter)}</td><td class="negative">-R$ ${formatCurrency(a.total_value)}</td></tr>`).join('')}</tbody>
-            </table>
-            
-            <h2>Outros Insumos</h2>
-            <table>
-                <thead><tr><th>Data</th><th>Qtd</th><th>Descrição</th><th>Preço Un.</th><th>Total</th></tr></thead>
-                <tbody>${plateInsumos.map(oi => `<tr><td>${formatDate(oi.date)}</td><td>${formatNumber(oi.quantity)}</td><td>${oi.description || '-'}</td><td>R$ ${formatCurrency(oi.unit_price)}</td><td class="negative">-R$ ${formatCurrency(oi.total_value)}</td></tr>`).join('')}</tbody>
-            </table>
-        </body>
-        </html>
-    `;
-
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write(printContent);
-    printWindow.document.close();
-    printWindow.print();
+    await exportServerPdf('exportExtratoPlateBtn', `/admin/extratos/plate/${encodeURIComponent(selectedExtratoPlate)}.pdf`,
+        'extratoPlateDateFrom', 'extratoPlateDateTo');
 }
 
 // ========================================
@@ -4335,7 +4651,6 @@ function backToExtratosHub() {
 // ========================================
 
 let selectedExtratoCliente = null;
-let cachedExtratoClienteData = null;
 
 function initExtratosClientePage() {
     const select = document.getElementById('extratoClienteSelect');
@@ -4421,9 +4736,6 @@ async function loadClienteExtrato(empresa) {
         const freightsData = await apiRequest(freightsUrl);
         const freights = freightsData.freights || [];
 
-        // Cache for PDF export
-        cachedExtratoClienteData = { empresa, stats, freights, dateFrom, dateTo };
-
         // Render freights table
         const tbody = document.getElementById('extratoClienteFreightsBody');
         if (freights.length === 0) {
@@ -4459,97 +4771,721 @@ async function loadClienteExtrato(empresa) {
     }
 }
 
-function exportClienteExtratoPDF() {
-    if (!cachedExtratoClienteData) return;
+async function exportClienteExtratoPDF() {
+    if (!selectedExtratoCliente) return;
+
+    await exportServerPdf('exportExtratoClienteBtn', `/admin/extratos/client/${encodeURIComponent(selectedExtratoCliente)}.pdf`,
+        'extratoClienteDateFrom', 'extratoClienteDateTo');
+}
+
+// ========================================
+// Import
+// ========================================
+
+// Idempotency-Key of the selected file's import, so sending the commit again
+// (e.g. after a timeout) can't import the rows twice
+let importKey = crypto.randomUUID();
 
-    const { empresa, stats, freights, dateFrom, dateTo } = cachedExtratoClienteData;
+function initImport() {
+    document.getElementById('importValidateBtn').addEventListener('click', () => sendImport(false));
+    document.getElementById('importCommitBtn').addEventListener('click', () => sendImport(true));
 
-    let dateRangeText = '';
-    if (dateFrom || dateTo) {
-        const fromStr = dateFrom ? new Date(dateFrom + 'T00:00:00').toLocaleDateString('pt-BR') : '-';
-        const toStr = dateTo ? new Date(dateTo + 'T00:00:00').toLocaleDateString('pt-BR') : '-';
-        dateRangeText = `<p><strong>Período:</strong> ${fromStr} até ${toStr}</p>`;
+    // A new file or type needs a fresh dry run before importing
+    ['importType', 'importFile'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            importKey = crypto.randomUUID();
+            document.getElementById('importCommitBtn').disabled = true;
+            document.getElementById('importSummary').classList.add('hidden');
+            document.getElementById('importTableBody').innerHTML = '';
+        });
+    });
+}
+
+/**
+ * Upload the selected spreadsheet; without commit the API only validates it
+ * @param {boolean} commit - Create the records (only after a clean dry run)
+ */
+async function sendImport(commit) {
+    const type = document.getElementById('importType').value;
+    const file = document.getElementById('importFile').files[0];
+    if (!file) {
+        alert('Selecione um arquivo .csv ou .xlsx');
+        return;
+    }
+    if (commit && !confirm('Importar todas as linhas desta planilha?')) {
+        return;
     }
 
-    const printContent = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <title>Extrato - ${empresa}</title>
-            <style>
-                body { font-family: Arial, sans-serif; padding: 2rem; }
-                h1, h2, h3 { margin-bottom: 1rem; }
-                table { width: 100%; border-collapse: collapse; margin-bottom: 2rem; }
-                th, td { border: 1px solid #000; padding: 0.5rem; text-align: left; }
-                th { background: #f0f0f0; }
-                .summary { display: flex; gap: 1rem; margin-bottom: 2rem; flex-wrap: wrap; }
-                .summary-item { padding: 1rem; border: 1px solid #000; }
-                .summary-item strong { display: block; font-size: 1.2rem; }
-            </style>
-        </head>
-        <body>
-            <h1>Extrato - ${empresa}</h1>
-            <p><strong>Data:</strong> ${new Date().toLocaleDateString('pt-BR')}</p>
-            ${dateRangeText}
-
-            <div class="summary">
-                <div class="summary-item">
-                    <span>Total de Fretes</span>
-                    <strong>${stats.total_freights || 0}</strong>
-                </div>
-                <div class="summary-item">
-                    <span>Total KM</span>
-                    <strong>${formatNumber(stats.total_km || 0)}</strong>
-                </div>
-                <div class="summary-item">
-                    <span>Total Tons</span>
-                    <strong>${formatNumber(stats.total_tons || 0, 2)}</strong>
-                </div>
-                <div class="summary-item">
-                    <span>Valor Total</span>
-                    <strong>${formatCurrency(stats.total_value || 0)}</strong>
-                </div>
-            </div>
+    const validateBtn = document.getElementById('importValidateBtn');
+    const commitBtn = document.getElementById('importCommitBtn');
+    validateBtn.disabled = true;
+    commitBtn.disabled = true;
 
-            <h2>Fretes Realizados</h2>
-            <table>
-                <thead>
-                    <tr>
-                        <th>Data</th>
-                        <th>Placa</th>
-                        <th>KM</th>
-                        <th>Tons</th>
-                        <th>Preço</th>
-                        <th>Valor</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${freights.map(f => `
-                        <tr>
-                            <td>${formatDate(f.date)}</td>
-                            <td>${f.plate || f.driver_plate || '-'}</td>
-                            <td>${formatNumber(f.km)}</td>
-                            <td>${formatNumber(f.tons, 2)}</td>
-                            <td>R$ ${formatPricePerKmTon(f.price_per_km_ton_transportadora)}</td>
-                            <td>${formatCurrency(f.total_value_transportadora)}</td>
-                        </tr>
-                    `).join('')}
-                </tbody>
-            </table>
-        </body>
-        </html>
-    `;
+    try {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (commit) formData.append('commit', 'true');
+
+        const headers = {};
+        if (token) headers['Authorization'] = `Bearer ${token}`;
+        if (commit) headers['Idempotency-Key'] = importKey;
+
+        const response = await authFetch(`${API_BASE}/admin/import/${type}`, {
+            method: 'POST',
+            headers,
+            body: formData
+        });
+        const data = await response.json();
+
+        if (!data.rows) {
+            throw new Error(data.error || 'Falha na importação');
+        }
+
+        renderImportReport(type, data);
+        commitBtn.disabled = data.dry_run === false || data.error_rows > 0;
+
+        if (data.dry_run === false) {
+            document.getElementById('importFile').value = '';
+            if (type === 'freights') {
+                await loadFreights();
+            } else {
+                await loadAbastecimentos();
+            }
+        }
+    } catch (error) {
+        console.error('Import error:', error);
+        alert('Erro: ' + error.message);
+    } finally {
+        validateBtn.disabled = false;
+    }
+}
 
-    const printWindow = window.open('', '_blank');
-    printWindow.document.write(printContent);
-    printWindow.document.close();
-    printWindow.print();
+/**
+ * Show the row-by-row report returned by the import endpoints
+ * @param {string} type - freights or abastecimentos
+ * @param {Object} report - {dry_run, total_rows, valid_rows, error_rows, imported, rows}
+ */
+function renderImportReport(type, report) {
+    const summary = document.getElementById('importSummary');
+    summary.classList.remove('hidden');
+    summary.textContent = report.dry_run === false
+        ? `${report.imported} registros importados.`
+        : `${report.total_rows} linhas: ${report.valid_rows} válidas, ${report.error_rows} com erros.` +
+            (report.error_rows > 0 ? ' Corrija a planilha e valide novamente.' : ' Pronto para importar.');
+
+    document.getElementById('importTableBody').innerHTML = report.rows.map(r => {
+        const d = r.data;
+        const values = type === 'freights'
+            ? `${formatNumber(d.km, 2)} km × ${formatNumber(d.tons, 2)} t × ${formatPricePerKmTon(d.price_per_km_ton)}`
+            : `${formatNumber(d.quantity, 2)} L × R$ ${formatPricePerLiter(d.price_per_liter)}`;
+        const status = r.errors.length > 0
+            ? `<ul class="import-errors">${r.errors.map(e => `<li>${e}</li>`).join('')}</ul>`
+            : `<span class="status-badge status-paid">${report.dry_run === false ? 'Importada' : 'OK'}</span>`;
+
+        return `
+            <tr>
+                <td>${r.row}</td>
+                <td>${d.date ? formatDate(d.date) : '-'}</td>
+                <td>${r.driver_name || '-'}</td>
+                <td>${d.plate || '-'}</td>
+                <td>${values}</td>
+                <td>${status}</td>
+            </tr>
+        `;
+    }).join('');
 }
 
 // ========================================
 // Initialize
 // ========================================
 
+// ========================================
+// Histórico (audit log)
+// ========================================
+
+const AUDIT_ACTION_LABELS = { create: 'Criado', update: 'Alterado', delete: 'Excluído' };
+
+const AUDIT_FIELD_LABELS = {
+    driver_id: 'Motorista (ID)',
+    date: 'Data',
+    client: 'Cliente',
+    plate: 'Placa',
+    plates: 'Placas',
+    km: 'KM',
+    tons: 'Toneladas',
+    price_per_km_ton: 'Preço km/ton (motorista)',
+    price_per_km_ton_transportadora: 'Preço km/ton (transportadora)',
+    total_value: 'Valor',
+    total_value_transportadora: 'Valor transportadora',
+    status: 'Status',
+    paid: 'Pago',
+    client_paid: 'Recebido do cliente',
+    name: 'Nome',
+    cpf: 'CPF',
+    phone: 'Telefone',
+    active: 'Ativo',
+    authenticated: 'Autenticado'
+};
+
+// Joined or bookkeeping columns that would only add noise to the diff
+const AUDIT_IGNORED_FIELDS = ['created_at', 'driver_name', 'driver_plate', 'items'];
+
+/**
+ * Wrap edit modal fields in "Dados" / "Histórico" tabs (admins with audit:read).
+ * Call initHistoryTab after showModal.
+ */
+function withHistoryTab(content) {
+    if (!can('audit:read')) return content;
+
+    return `
+        <div class="tabs">
+            <button type="button" class="tab active" data-modal-tab="form">Dados</button>
+            <button type="button" class="tab" data-modal-tab="history">Histórico</button>
+        </div>
+        <div id="modalFormTab">${content}</div>
+        <div id="modalHistoryTab" class="hidden"></div>
+    `;
+}
+
+// The history is loaded the first time its tab is opened
+function initHistoryTab(entity, id) {
+    if (!can('audit:read')) return;
+
+    let loaded = false;
+    const tabs = document.querySelectorAll('[data-modal-tab]');
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            const showHistory = tab.dataset.modalTab === 'history';
+            tabs.forEach(t => t.classList.toggle('active', t === tab));
+            document.getElementById('modalFormTab').classList.toggle('hidden', showHistory);
+            document.getElementById('modalHistoryTab').classList.toggle('hidden', !showHistory);
+
+            if (showHistory && !loaded) {
+                loaded = true;
+                loadHistory(entity, id);
+            }
+        });
+    });
+}
+
+async function loadHistory(entity, id) {
+    const container = document.getElementById('modalHistoryTab');
+    container.innerHTML = '<p class="text-muted">Carregando...</p>';
+
+    try {
+        const { entries } = await apiRequest(`/admin/audit?entity=${entity}&entity_id=${id}`);
+        container.innerHTML = entries.length > 0
+            ? entries.map(renderHistoryEntry).join('')
+            : '<p class="text-muted">Nenhuma alteração registrada</p>';
+    } catch (error) {
+        console.error('Load history error:', error);
+        container.innerHTML = `<p class="text-muted">Erro ao carregar histórico: ${error.message}</p>`;
+    }
+}
+
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    return String(value);
+}
+
+// Fields an update changed, as {label, from, to}
+function auditChanges(entry) {
+    if (entry.action !== 'update' || !entry.before || !entry.after) return [];
+
+    return Object.keys(entry.after)
+        .filter(key => !AUDIT_IGNORED_FIELDS.includes(key))
+        .filter(key => JSON.stringify(entry.before[key]) !== JSON.stringify(entry.after[key]))
+        .map(key => ({
+            label: AUDIT_FIELD_LABELS[key] || key,
+            from: formatAuditValue(entry.before[key]),
+            to: formatAuditValue(entry.after[key])
+        }));
+}
+
+function renderHistoryEntry(entry) {
+    const actor = entry.actor_type ? `${entry.actor_name || '#' + entry.actor_id} (${entry.actor_type})` : 'Sistema';
+    const when = new Date(entry.created_at.replace(' ', 'T') + 'Z').toLocaleString('pt-BR');
+    const changes = auditChanges(entry);
+
+    return `
+        <div class="history-entry">
+            <div><strong>${AUDIT_ACTION_LABELS[entry.action] || entry.action}</strong> por ${actor}</div>
+            <small class="text-muted">${when}</small>
+            ${changes.length > 0 ? `
+                <ul class="history-changes">
+                    ${changes.map(c => `<li>${c.label}: ${c.from} → ${c.to}</li>`).join('')}
+                </ul>
+            ` : ''}
+        </div>
+    `;
+}
+
+// ========================================
+// Equipe (admin users)
+// ========================================
+
+async function loadAdmins() {
+    try {
+        [admins, adminRoles] = await Promise.all([
+            apiRequest('/admin/users'),
+            adminRoles.length ? adminRoles : apiRequest('/admin/users/roles')
+        ]);
+        renderAdminsTable();
+    } catch (error) {
+        console.error('Load admins error:', error);
+    }
+}
+
+function roleLabel(role) {
+    const found = adminRoles.find(r => r.key === role);
+    return found ? found.label : role;
+}
+
+function roleOptions(selected) {
+    return adminRoles.map(r =>
+        `<option value="${r.key}" ${r.key === selected ? 'selected' : ''}>${r.label}</option>`
+    ).join('');
+}
+
+function renderAdminsTable() {
+    const tbody = document.getElementById('adminsTableBody');
+
+    if (admins.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-muted)">Nenhum administrador</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = admins.map(a => {
+        const isSelf = currentAdmin && a.id === currentAdmin.id;
+        return `
+            <tr>
+                <td><strong>${a.username}</strong>${isSelf ? ' <span class="text-muted">(você)</span>' : ''}</td>
+                <td>${roleLabel(a.role)}</td>
+                <td><span class="${a.active ? 'status-active' : 'status-inactive'}">${a.active ? 'Ativo' : 'Inativo'}</span></td>
+                <td>${a.must_change_password ? '<span class="text-muted">Troca pendente</span>' : '-'}</td>
+                <td>
+                    ${isSelf ? '' : `
+                        <button class="btn btn-sm btn-outline" onclick="showEditAdminModal(${a.id})">✏️ Editar</button>
+                        <button class="btn btn-sm btn-outline" onclick="showResetAdminPasswordModal(${a.id})">🔑 Redefinir senha</button>
+                    `}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+function showAddAdminModal() {
+    showModal('Novo Administrador', `
+        <div class="input-group">
+            <label>Usuário</label>
+            <input type="text" id="newAdminUsername" required>
+        </div>
+        <div class="input-group">
+            <label>Perfil</label>
+            <select id="newAdminRole" required>${roleOptions('operations')}</select>
+        </div>
+        <div class="input-group">
+            <label>Senha provisória (mínimo 8 caracteres)</label>
+            <input type="password" id="newAdminPassword" minlength="8" required>
+        </div>
+        <p class="text-muted">A senha deverá ser trocada no primeiro acesso.</p>
+    `, async () => {
+        await apiRequest('/admin/users', {
+            method: 'POST',
+            body: JSON.stringify({
+                username: document.getElementById('newAdminUsername').value.trim(),
+                role: document.getElementById('newAdminRole').value,
+                password: document.getElementById('newAdminPassword').value
+            })
+        });
+        await loadAdmins();
+    });
+}
+
+function showEditAdminModal(id) {
+    const admin = admins.find(a => a.id === id);
+    if (!admin) return;
+
+    showModal(`Editar ${admin.username}`, `
+        <div class="input-group">
+            <label>Perfil</label>
+            <select id="editAdminRole" required>${roleOptions(admin.role)}</select>
+        </div>
+        <div class="input-group">
+            <label>Status</label>
+            <select id="editAdminActive">
+                <option value="1" ${admin.active ? 'selected' : ''}>Ativo</option>
+                <option value="0" ${admin.active ? '' : 'selected'}>Inativo (encerra as sessões)</option>
+            </select>
+        </div>
+    `, async () => {
+        await apiRequest(`/admin/users/${id}`, {
+            method: 'PUT',
+            body: JSON.stringify({
+                role: document.getElementById('editAdminRole').value,
+                active: document.getElementById('editAdminActive').value === '1'
+            })
+        });
+        await loadAdmins();
+    });
+}
+
+function showResetAdminPasswordModal(id) {
+    const admin = admins.find(a => a.id === id);
+    if (!admin) return;
+
+    showModal(`Redefinir senha de ${admin.username}`, `
+        <div class="input-group">
+            <label>Senha provisória (mínimo 8 caracteres)</label>
+            <input type="password" id="resetAdminPassword" minlength="8" required>
+        </div>
+        <p class="text-muted">As sessões abertas serão encerradas e a senha deverá ser trocada no próximo acesso.</p>
+    `, async () => {
+        await apiRequest(`/admin/users/${id}/reset-password`, {
+            method: 'PATCH',
+            body: JSON.stringify({ new_password: document.getElementById('resetAdminPassword').value })
+        });
+        await loadAdmins();
+    });
+}
+
+// ========================================
+// Sites (load/unload geofences)
+// ========================================
+
+const SITE_KIND_LABELS = {
+    quarry: 'Pedreira',
+    plant: 'Usina',
+    client_yard: 'Pátio do cliente',
+    other: 'Outro'
+};
+
+async function loadSites() {
+    if (!can('sites:read')) return;
+
+    try {
+        sites = await apiRequest('/admin/sites');
+        renderSitesTable();
+    } catch (error) {
+        console.error('Load sites error:', error);
+    }
+}
+
+function renderSitesTable() {
+    const tbody = document.getElementById('sitesTableBody');
+
+    if (sites.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-muted)">Nenhum local cadastrado</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = sites.map(site => `
+        <tr>
+            <td>${escapeHtml(site.name)}</td>
+            <td>${SITE_KIND_LABELS[site.kind] || site.kind}</td>
+            <td>${escapeHtml(site.client || '-')}</td>
+            <td>${site.polygon ? `Polígono (${site.polygon.length} pontos)` : `Raio de ${formatNumber(site.radius_m)} m`}</td>
+            <td class="${site.active ? 'status-active' : 'status-inactive'}">${site.active ? 'Ativo' : 'Inativo'}</td>
+            <td>
+                ${can('sites:write') ? `<button class="btn btn-sm btn-outline" onclick="showSiteModal(${site.id})">Editar</button>` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * Options for a freight's origin/destination select: active sites, plus the
+ * current one even if it was deactivated since
+ * @param {number|null} selectedId - Site ID currently set
+ */
+function siteOptions(selectedId) {
+    const options = sites
+        .filter(site => site.active || site.id === selectedId)
+        .map(site => `<option value="${site.id}" ${site.id === selectedId ? 'selected' : ''}>${escapeHtml(site.name)} (${SITE_KIND_LABELS[site.kind] || site.kind})</option>`)
+        .join('');
+    return '<option value="">Nenhum</option>' + options;
+}
+
+/**
+ * Origin/destination inputs of the freight modals (prefix: newFreight or editFreight)
+ */
+function freightSiteFields(prefix, freight = {}) {
+    if (!can('sites:read')) return '';
+    return `
+        <div class="input-group">
+            <label>Local de carga</label>
+            <select id="${prefix}OriginSite">${siteOptions(freight.origin_site_id || null)}</select>
+        </div>
+        <div class="input-group">
+            <label>Local de descarga</label>
+            <select id="${prefix}DestinationSite">${siteOptions(freight.destination_site_id || null)}</select>
+        </div>
+    `;
+}
+
+function appendFreightSiteFields(formData, prefix) {
+    if (!can('sites:read')) return;
+    formData.append('origin_site_id', document.getElementById(`${prefix}OriginSite`).value);
+    formData.append('destination_site_id', document.getElementById(`${prefix}DestinationSite`).value);
+}
+
+/**
+ * Add a site, or edit one when an ID is given
+ * @param {number} [id] - Site ID
+ */
+window.showSiteModal = function (id) {
+    const site = id ? sites.find(s => s.id === id) : null;
+    if (id && !site) return;
+
+    const kindOptions = Object.entries(SITE_KIND_LABELS).map(([value, label]) =>
+        `<option value="${value}" ${site && site.kind === value ? 'selected' : ''}>${label}</option>`
+    ).join('');
+
+    showModal(site ? 'Editar Local' : 'Novo Local', `
+        <div class="input-group">
+            <label>Nome</label>
+            <input type="text" id="siteName" value="${escapeHtml(site ? site.name : '')}" required>
+        </div>
+        <div class="input-group">
+            <label>Tipo</label>
+            <select id="siteKind">${kindOptions}</select>
+        </div>
+        <div class="input-group">
+            <label>Cliente (opcional)</label>
+            <input type="text" id="siteClient" value="${escapeHtml(site && site.client ? site.client : '')}">
+        </div>
+        <div class="input-group">
+            <label>Latitude do centro</label>
+            <input type="number" step="any" id="siteLatitude" value="${site ? site.latitude : ''}" required>
+        </div>
+        <div class="input-group">
+            <label>Longitude do centro</label>
+            <input type="number" step="any" id="siteLongitude" value="${site ? site.longitude : ''}" required>
+        </div>
+        <div class="input-group">
+            <label>Raio da cerca (metros)</label>
+            <input type="number" step="any" min="1" id="siteRadius" value="${site && site.radius_m ? site.radius_m : ''}">
+        </div>
+        <div class="input-group">
+            <label>Polígono (opcional, substitui o raio)</label>
+            <textarea id="sitePolygon" rows="3" placeholder="[[-8.76, -63.90], [-8.76, -63.89], [-8.77, -63.89]]">${site && site.polygon ? JSON.stringify(site.polygon) : ''}</textarea>
+        </div>
+        ${site ? `
+        <div class="input-group">
+            <label>Status</label>
+            <select id="siteActive">
+                <option value="1" ${site.active ? 'selected' : ''}>Ativo</option>
+                <option value="0" ${!site.active ? 'selected' : ''}>Inativo (não aparece em novos fretes)</option>
+            </select>
+        </div>` : ''}
+    `, async () => {
+        const body = {
+            name: document.getElementById('siteName').value,
+            kind: document.getElementById('siteKind').value,
+            client: document.getElementById('siteClient').value,
+            latitude: document.getElementById('siteLatitude').value,
+            longitude: document.getElementById('siteLongitude').value,
+            radius_m: document.getElementById('siteRadius').value,
+            polygon: document.getElementById('sitePolygon').value
+        };
+        if (site) body.active = document.getElementById('siteActive').value === '1';
+
+        await apiRequest(site ? `/admin/sites/${site.id}` : '/admin/sites', {
+            method: site ? 'PUT' : 'POST',
+            body: JSON.stringify(body)
+        });
+        await loadSites();
+    }, site ? async () => {
+        await apiRequest(`/admin/sites/${site.id}`, { method: 'DELETE' });
+        await loadSites();
+    } : null);
+};
+
+// ========================================
+// Fleet Map (trucks tracking a freight)
+// ========================================
+
+const FLEET_MAP_WIDTH = 800;
+const FLEET_MAP_HEIGHT = 450;
+const FLEET_MAP_PADDING = 40;
+
+function isFleetMapOpen() {
+    return !document.getElementById('fleetMapPage').classList.contains('hidden');
+}
+
+/**
+ * Reload the trucks, only while the page is open (it is also polled)
+ */
+async function loadFleetMap() {
+    if (!can('freights:read') || !isFleetMapOpen()) return;
+
+    try {
+        const staleMinutes = document.getElementById('fleetStaleMinutes').value;
+        const data = await apiRequest(`/admin/tracking/active?stale_minutes=${staleMinutes}`);
+        renderFleetMap(data.trucks);
+        renderFleetTable(data.trucks);
+    } catch (error) {
+        console.error('Load fleet map error:', error);
+    }
+}
+
+/**
+ * Time since a position was sent, e.g. "há 12 min"
+ * @param {number} seconds - Age in seconds
+ */
+function formatAge(seconds) {
+    if (seconds < 60) return 'agora';
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `há ${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `há ${hours} h ${minutes % 60} min`;
+    return `há ${Math.floor(hours / 24)} d`;
+}
+
+/**
+ * Project coordinates onto the SVG: an equirectangular view of the box
+ * around the trucks, widened to the map's aspect ratio so distances look
+ * right. Drawn with no tiles, so it works without any map service.
+ * @param {Array} trucks - Trucks with latitude/longitude
+ * @returns {Function} - (latitude, longitude) -> {x, y}
+ */
+function fleetMapProjection(trucks) {
+    const lats = trucks.map(t => t.latitude);
+    const lngs = trucks.map(t => t.longitude);
+    const midLat = (Math.min(...lats) + Math.max(...lats)) / 2;
+    const midLng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+    const lngScale = Math.cos(midLat * Math.PI / 180);
+
+    const innerWidth = FLEET_MAP_WIDTH - 2 * FLEET_MAP_PADDING;
+    const innerHeight = FLEET_MAP_HEIGHT - 2 * FLEET_MAP_PADDING;
+
+    // At least ~10 km across, so a single truck isn't zoomed in on
+    let spanLat = Math.max(Math.max(...lats) - Math.min(...lats), 0.1);
+    let spanX = Math.max((Math.max(...lngs) - Math.min(...lngs)) * lngScale, 0.1);
+    if (spanX / spanLat > innerWidth / innerHeight) {
+        spanLat = spanX * innerHeight / innerWidth;
+    } else {
+        spanX = spanLat * innerWidth / innerHeight;
+    }
+
+    return (latitude, longitude) => ({
+        x: FLEET_MAP_WIDTH / 2 + (longitude - midLng) * lngScale / spanX * innerWidth,
+        y: FLEET_MAP_HEIGHT / 2 - (latitude - midLat) / spanLat * innerHeight
+    });
+}
+
+function renderFleetMap(trucks) {
+    const svg = document.getElementById('fleetMap');
+
+    if (trucks.length === 0) {
+        svg.innerHTML = `<text x="${FLEET_MAP_WIDTH / 2}" y="${FLEET_MAP_HEIGHT / 2}" text-anchor="middle" class="fleet-map-empty">Nenhum caminhão em rastreamento</text>`;
+        return;
+    }
+
+    const project = fleetMapProjection(trucks);
+
+    // Light grid for a sense of scale and direction
+    const grid = [1, 2, 3].map(i => `
+        <line x1="${FLEET_MAP_WIDTH * i / 4}" y1="0" x2="${FLEET_MAP_WIDTH * i / 4}" y2="${FLEET_MAP_HEIGHT}" class="fleet-map-grid" />
+        <line x1="0" y1="${FLEET_MAP_HEIGHT * i / 4}" x2="${FLEET_MAP_WIDTH}" y2="${FLEET_MAP_HEIGHT * i / 4}" class="fleet-map-grid" />
+    `).join('');
+
+    // Stale trucks first, so fresh ones are drawn on top
+    const ordered = [...trucks].sort((a, b) => b.stale - a.stale);
+    const markers = ordered.map(t => {
+        const { x, y } = project(t.latitude, t.longitude);
+        return `
+            <g class="fleet-marker${t.stale ? ' stale' : ''}" transform="translate(${x.toFixed(1)}, ${y.toFixed(1)})">
+                <title>${escapeHtml(t.driver_name)} · ${escapeHtml(t.plate || '')} · ${escapeHtml(t.client || '')} · ${formatAge(t.age_seconds)}</title>
+                <circle r="8" />
+                <text y="-14" text-anchor="middle">${escapeHtml(t.plate || t.driver_name)}</text>
+            </g>
+        `;
+    }).join('');
+
+    svg.innerHTML = `
+        ${grid}
+        <text x="8" y="${FLEET_MAP_HEIGHT - 8}" class="fleet-map-north">N ↑</text>
+        ${markers}
+    `;
+}
+
+function renderFleetTable(trucks) {
+    const tbody = document.getElementById('fleetTableBody');
+
+    if (trucks.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" style="text-align:center;color:var(--text-muted)">Nenhum caminhão em rastreamento</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = trucks.map(t => `
+        <tr>
+            <td>${escapeHtml(t.driver_name)}</td>
+            <td>${t.plate ? `<span class="plate-badge">${escapeHtml(t.plate)}</span>` : '-'}</td>
+            <td>${escapeHtml(t.client || '-')}</td>
+            <td>#${t.freight_id}${t.freight_date ? ` · ${formatDate(t.freight_date)}` : ''}</td>
+            <td>
+                ${t.stale
+                    ? `<span class="status-badge status-not-authenticated">Sem sinal ${formatAge(t.age_seconds)}</span>`
+                    : `<span class="status-badge status-authenticated">${formatAge(t.age_seconds)}</span>`}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function initFleetMap() {
+    document.querySelector('.nav-item[data-page="fleetMap"]').addEventListener('click', loadFleetMap);
+    document.getElementById('refreshFleetMapBtn').addEventListener('click', loadFleetMap);
+    document.getElementById('fleetStaleMinutes').addEventListener('change', loadFleetMap);
+}
+
+// ========================================
+// Outbox (dev notification provider)
+// ========================================
+
+async function loadOutbox() {
+    if (!can('admins:manage')) return;
+
+    try {
+        const data = await apiRequest('/admin/notifications/outbox');
+
+        // Only meaningful when messages are not really being sent
+        document.getElementById('outboxNavItem').classList.toggle('hidden', !data.outbox);
+        document.getElementById('outboxProvider').textContent = data.provider;
+        renderOutbox(data.messages);
+    } catch (error) {
+        console.error('Load outbox error:', error);
+    }
+}
+
+function renderOutbox(messages) {
+    const tbody = document.getElementById('outboxTableBody');
+
+    if (messages.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="3" style="text-align:center;color:var(--text-muted)">Nenhuma mensagem</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = messages.map(m => `
+        <tr>
+            <td>${new Date(m.created_at).toLocaleString('pt-BR')}</td>
+            <td>${formatPhoneInput(m.to || '')}</td>
+            <td style="white-space:pre-wrap;word-break:break-word;">${m.body}</td>
+        </tr>
+    `).join('');
+}
+
+async function clearOutbox() {
+    if (!confirm('Apagar todas as mensagens do outbox?')) return;
+
+    try {
+        await apiRequest('/admin/notifications/outbox', { method: 'DELETE' });
+        await loadOutbox();
+    } catch (error) {
+        alert('Erro ao limpar outbox: ' + error.message);
+    }
+}
+
 function init() {
     loginForm.addEventListener('submit', handleLogin);
     logoutBtn.addEventListener('click', logout);
@@ -4558,6 +5494,15 @@ function init() {
     document.getElementById('addFreightBtn').addEventListener('click', showAddFreightModal);
     document.getElementById('addAbastecimentoBtn').addEventListener('click', showAddAbastecimentoModal);
     document.getElementById('addOutrosInsumoBtn').addEventListener('click', showAddOutrosInsumoModal);
+    document.getElementById('addAdminBtn').addEventListener('click', showAddAdminModal);
+    document.getElementById('addSiteBtn').addEventListener('click', () => showSiteModal());
+    document.getElementById('refreshOutboxBtn').addEventListener('click', loadOutbox);
+    document.getElementById('clearOutboxBtn').addEventListener('click', clearOutbox);
+    document.getElementById('changePasswordBtn').addEventListener('click', () => showChangePasswordModal());
+
+    document.querySelectorAll('[data-export]').forEach(btn => {
+        btn.addEventListener('click', () => exportSpreadsheet(btn));
+    });
 
     // Back to clients list button
     const backToClientsBtn = document.getElementById('backToClients');
@@ -4578,6 +5523,8 @@ function init() {
     initExtratosPage();
     initExtratosCaminhoesPage();
     initExtratosClientePage();
+    initImport();
+    initFleetMap();
 
     if (token) loadDashboard();
     else showPage(loginPage);
@@ -18,6 +18,7 @@ const dashboardPage = document.getElementById('dashboardPage');
 const extratoPage = document.getElementById('extratoPage');
 const waitingPage = document.getElementById('waitingPage');
 const platesPage = document.getElementById('platesPage');
+const notificationsPage = document.getElementById('notificationsPage');
 const loginForm = document.getElementById('loginForm');
 const signupForm = document.getElementById('signupForm');
 const loginFormElement = document.getElementById('loginFormElement');
@@ -52,6 +53,102 @@ function formatNumber(value, decimals = 0) {
     }).format(value || 0);
 }
 
+let refreshToken = localStorage.getItem('driver_refresh_token');
+let refreshPromise = null;
+
+/**
+ * Keep the access/refresh token pair returned by login or refresh
+ * @param {Object} data - {token, refresh_token}
+ */
+function saveSession(data) {
+    token = data.token;
+    refreshToken = data.refresh_token;
+    localStorage.setItem('driver_token', token);
+    localStorage.setItem('driver_refresh_token', refreshToken);
+    mirrorUploadSession();
+}
+
+/**
+ * Take over the tokens the service worker renewed to send the queue while
+ * the app was closed; the refresh token kept here no longer works
+ * @returns {boolean} - Whether there were renewed tokens
+ */
+async function adoptRenewedSession() {
+    const mirrored = await UploadQueue.getSession('driver').catch(() => null);
+    if (!mirrored || !mirrored.renewed) return false;
+    saveSession(mirrored);
+    return true;
+}
+
+/**
+ * Renew the short-lived access token. A refresh token works only once,
+ * so concurrent callers share one request.
+ * @returns {boolean|null} - false when the session is over, null when offline
+ */
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            if (await adoptRenewedSession()) return true;
+
+            // Another tab may have refreshed already
+            const storedToken = localStorage.getItem('driver_token');
+            if (storedToken && storedToken !== token) {
+                token = storedToken;
+                refreshToken = localStorage.getItem('driver_refresh_token');
+                return true;
+            }
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_BASE}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: refreshToken })
+            });
+            if (!response.ok) return false;
+
+            saveSession(await response.json());
+            return true;
+        })().catch(() => null).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * fetch() with the access token. On 401 the session is renewed once and the
+ * request retried; if the session is over the user is logged out.
+ */
+async function authFetch(url, options = {}) {
+    const hadToken = !!token;
+    const send = () => fetch(url, {
+        ...options,
+        headers: token ? { ...options.headers, 'Authorization': `Bearer ${token}` } : options.headers
+    });
+
+    let response = await send();
+    if (response.status === 401 && hadToken) {
+        const refreshed = await refreshSession();
+        if (refreshed) {
+            response = await send();
+        } else if (refreshed === false) {
+            logout();
+        }
+    }
+    return response;
+}
+
+/**
+ * End the session on the server too (fire and forget)
+ */
+function endServerSession() {
+    if (!token) return;
+    fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+    }).catch(() => {});
+}
+
 async function apiRequest(endpoint, options = {}) {
     const headers = {
         ...options.headers
@@ -66,7 +163,7 @@ async function apiRequest(endpoint, options = {}) {
         headers['Authorization'] = `Bearer ${token}`;
     }
 
-    const response = await fetch(`${API_BASE}${endpoint}`, {
+    const response = await authFetch(`${API_BASE}${endpoint}`, {
         ...options,
         headers
     });
@@ -165,11 +262,13 @@ function showPage(page) {
     extratoPage.classList.remove('active');
     waitingPage.classList.remove('active');
     if (platesPage) platesPage.classList.remove('active');
+    if (notificationsPage) notificationsPage.classList.remove('active');
     loginPage.classList.add('hidden');
     dashboardPage.classList.add('hidden');
     extratoPage.classList.add('hidden');
     waitingPage.classList.add('hidden');
     if (platesPage) platesPage.classList.add('hidden');
+    if (notificationsPage) notificationsPage.classList.add('hidden');
 
     page.classList.remove('hidden');
     page.classList.add('active');
@@ -216,18 +315,18 @@ async function handleLogin(e) {
             body: JSON.stringify({ cpf, password })
         });
 
-        token = data.token;
-
         // Redirect based on user type
         if (data.userType === 'motorista') {
             userData = data.user;
-            localStorage.setItem('driver_token', token);
+            saveSession(data);
             await loadDashboard();
         } else if (data.userType === 'abastecedor') {
-            localStorage.setItem('abastecedor_token', token);
+            localStorage.setItem('abastecedor_token', data.token);
+            localStorage.setItem('abastecedor_refresh_token', data.refresh_token);
             window.location.href = '/abastecedor.html';
         } else if (data.userType === 'cliente') {
-            localStorage.setItem('cliente_token', token);
+            localStorage.setItem('cliente_token', data.token);
+            localStorage.setItem('cliente_refresh_token', data.refresh_token);
             window.location.href = '/cliente.html';
         }
     } catch (error) {
@@ -261,8 +360,8 @@ async function handleSignup(e) {
         return;
     }
 
-    if (password.length < 4) {
-        showError('A senha deve ter pelo menos 4 caracteres');
+    if (password.length < 8) {
+        showError('A senha deve ter pelo menos 8 caracteres');
         return;
     }
 
@@ -289,9 +388,8 @@ async function handleSignup(e) {
             body: JSON.stringify({ name, plates, password, phone: phoneClean, cpf: cpfClean })
         });
 
-        token = data.token;
+        saveSession(data);
         userData = data.driver;
-        localStorage.setItem('driver_token', token);
 
         await loadDashboard();
     } catch (error) {
@@ -302,9 +400,16 @@ async function handleSignup(e) {
 }
 
 function logout() {
+    PushNotifications.forget();
+    // Queued photos stay on the device and go out at this driver's next login
+    UploadQueue.saveSession('driver', null).catch(() => {});
+    endServerSession();
     token = null;
+    refreshToken = null;
     userData = null;
     localStorage.removeItem('driver_token');
+    localStorage.removeItem('driver_refresh_token');
+    localStorage.removeItem('driver_user');
     stopWaitingPolling(); // Stop any waiting page polling
     showPage(loginPage);
     loginFormElement.reset();
@@ -341,12 +446,36 @@ async function loadDashboard() {
 
         // Stop waiting polling if we're authenticated
         stopWaitingPolling();
+        localStorage.setItem('driver_user', JSON.stringify(userData));
 
         // Show dashboard
         showPage(dashboardPage);
         welcomeText.textContent = `Bem-vindo, ${userData.name}!`;
 
+        // Send photos queued while offline (or before the last logout)
+        mirrorUploadSession();
+        flushUploads();
+
+        // Notifications link straight to the extrato (/portal?view=extrato)
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('view') === 'extrato') {
+            history.replaceState(null, '', window.location.pathname);
+            showExtrato();
+        }
+
     } catch (error) {
+        // No signal (fetch itself failed): open with the last known profile
+        // so photos can still be taken and queued
+        const cachedUser = JSON.parse(localStorage.getItem('driver_user') || 'null');
+        if (error instanceof TypeError && cachedUser && token) {
+            userData = cachedUser;
+            showPage(dashboardPage);
+            welcomeText.textContent = `Bem-vindo, ${userData.name}!`;
+            mirrorUploadSession();
+            renderPendingUploads();
+            return;
+        }
+
         console.error('Dashboard error:', error);
         logout();
     }
@@ -367,6 +496,8 @@ function startWaitingPolling() {
                     showToast('Sua conta foi aprovada! Bem-vindo!', 'success');
                     showPage(dashboardPage);
                     welcomeText.textContent = `Bem-vindo, ${userData.name}!`;
+                    mirrorUploadSession();
+                    flushUploads();
                 }
             }
         } catch (error) {
@@ -411,7 +542,9 @@ async function refreshExtratoData() {
         loadExtratoFretes(),
         loadExtratoAbastecimentos(),
         loadExtratoOutrosInsumos(),
-        loadExtratoPagamentos()
+        loadExtratoAdiantamentos(),
+        loadExtratoPagamentos(),
+        loadExtratoMovimentacoes()
     ]);
 }
 
@@ -428,7 +561,10 @@ async function loadExtratoStats() {
         // Outros Insumos (negative - red)
         document.getElementById('totalOutrosInsumosValue').textContent = '-' + formatCurrency(stats.outrosInsumos?.total_value || 0);
 
-        // Total a Receber = Fretes - Abastecimentos - Outros Insumos - Pago
+        // Adiantamentos (negative - red)
+        document.getElementById('totalAdiantamentosValue').textContent = '-' + formatCurrency(stats.advances?.total_value || 0);
+
+        // Total a Receber = ledger balance (Fretes - Abastecimentos - Outros Insumos - Adiantamentos - Pago)
         document.getElementById('totalAReceberValue').textContent = formatCurrency(stats.total_to_receive);
 
         // Pago (amount already received from payments)
@@ -539,6 +675,33 @@ async function loadExtratoOutrosInsumos() {
     }
 }
 
+async function loadExtratoAdiantamentos() {
+    const tbody = document.getElementById('extratoAdiantamentosBody');
+
+    try {
+        const data = await apiRequest('/driver/advances');
+        const advances = data.advances || [];
+
+        if (advances.length === 0) {
+            tbody.innerHTML = '<tr class="empty-row"><td colspan="5">Nenhum adiantamento</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = advances.map(a => `
+            <tr>
+                <td>${formatDate(a.date)}</td>
+                <td>${a.kind === 'installment' ? 'Parcela' : 'Adiantamento'}</td>
+                <td>${a.description || '-'}</td>
+                <td class="value-negative">-${formatCurrency(a.amount)}</td>
+                <td>${a.remaining_amount > 0.005 ? formatCurrency(a.remaining_amount) : '<span class="text-muted">Descontado</span>'}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Adiantamentos error:', error);
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="5">Erro ao carregar</td></tr>';
+    }
+}
+
 async function loadExtratoPagamentos() {
     const tbody = document.getElementById('extratoPagamentosBody');
 
@@ -570,136 +733,83 @@ async function loadExtratoPagamentos() {
     }
 }
 
-// ========================================
-// PDF Export
-// ========================================
-
-async function exportExtratoPDF() {
-    const content = document.querySelector('.extrato-content');
-
-    if (!content) {
-        showToast('Conteúdo não encontrado', 'error');
-        return;
-    }
-
-    // Show loading state
-    const exportBtn = document.getElementById('exportExtratoPdfBtn');
-    const originalText = exportBtn.textContent;
-    exportBtn.textContent = 'Gerando PDF...';
-    exportBtn.disabled = true;
+async function loadExtratoMovimentacoes() {
+    const tbody = document.getElementById('extratoMovimentacoesBody');
 
     try {
-        // Apply print mode for white background and black text
-        content.classList.add('pdf-print-mode');
-
-        // Wait for styles to apply
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Capture the content as canvas
-        const canvas = await html2canvas(content, {
-            scale: 2,
-            useCORS: true,
-            logging: false,
-            backgroundColor: '#ffffff'
-        });
-
-        // Remove print mode
-        content.classList.remove('pdf-print-mode');
-
-        // Create PDF with A4 dimensions
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF('p', 'mm', 'a4');
-
-        const pageWidth = pdf.internal.pageSize.getWidth();
-        const pageHeight = pdf.internal.pageSize.getHeight();
+        const data = await apiRequest('/driver/ledger');
+        // Newest first, like the other extrato tables
+        const entries = (data.entries || []).slice().reverse();
 
-        // Calculate image dimensions to fit A4
-        const imgWidth = pageWidth - 20;
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-        // Add white background and black header text
-        pdf.setFillColor(255, 255, 255);
-        pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-
-        // Add logo to top right corner
-        try {
-            const logoImg = new Image();
-            logoImg.crossOrigin = 'anonymous';
-            await new Promise((resolve, reject) => {
-                logoImg.onload = resolve;
-                logoImg.onerror = reject;
-                logoImg.src = '../images/logo1.jpg';
-            });
-            const logoCanvas = document.createElement('canvas');
-            logoCanvas.width = logoImg.width;
-            logoCanvas.height = logoImg.height;
-            const logoCtx = logoCanvas.getContext('2d');
-            logoCtx.drawImage(logoImg, 0, 0);
-            const logoData = logoCanvas.toDataURL('image/png');
-            const logoWidth = 25; // mm
-            const logoHeight = (logoImg.height / logoImg.width) * logoWidth;
-            pdf.addImage(logoData, 'PNG', pageWidth - logoWidth - 10, 5, logoWidth, logoHeight);
-        } catch (e) {
-            console.warn('Could not add logo to PDF:', e);
+        if (entries.length === 0) {
+            tbody.innerHTML = '<tr class="empty-row"><td colspan="4">Nenhuma movimentação</td></tr>';
+            return;
         }
 
-        const driverName = userData?.name || 'Motorista';
-        pdf.setTextColor(0, 0, 0);
-        pdf.setFontSize(16);
-        pdf.text(`Extrato - ${driverName}`, 10, 15);
-        pdf.setFontSize(10);
-        pdf.text(`Data: ${new Date().toLocaleDateString('pt-BR')}`, 10, 22);
-
-        // Add content image
-        const imgData = canvas.toDataURL('image/png');
+        tbody.innerHTML = entries.map(e => `
+            <tr>
+                <td>${formatDate(e.entry_date)}</td>
+                <td>${e.description || '-'}</td>
+                <td class="${e.amount >= 0 ? 'value-positive' : 'value-negative'}">${formatCurrency(e.amount)}</td>
+                <td>${formatCurrency(e.balance)}</td>
+            </tr>
+        `).join('');
+    } catch (error) {
+        console.error('Movimentações error:', error);
+        tbody.innerHTML = '<tr class="empty-row"><td colspan="4">Erro ao carregar</td></tr>';
+    }
+}
 
-        // Handle multi-page if content is too long
-        let yPosition = 30;
-        const maxHeightPerPage = pageHeight - 40;
+// ========================================
+// PDF Export
+// ========================================
 
-        if (imgHeight <= maxHeightPerPage) {
-            pdf.addImage(imgData, 'PNG', 10, yPosition, imgWidth, imgHeight);
-        } else {
-            let sourceY = 0;
-            const sourceHeight = canvas.height;
-            const pixelsPerPage = (maxHeightPerPage / imgHeight) * sourceHeight;
-
-            while (sourceY < sourceHeight) {
-                if (sourceY > 0) {
-                    pdf.addPage();
-                    pdf.setFillColor(255, 255, 255);
-                    pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-                    yPosition = 10;
-                }
+/**
+ * Download a PDF generated by the API.
+ * A plain link would not send the Authorization header, so fetch it as a blob.
+ */
+async function downloadPdf(endpoint) {
+    const response = await authFetch(`${API_BASE}${endpoint}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
 
-                const pageCanvas = document.createElement('canvas');
-                pageCanvas.width = canvas.width;
-                pageCanvas.height = Math.min(pixelsPerPage, sourceHeight - sourceY);
-                const ctx = pageCanvas.getContext('2d');
-                ctx.drawImage(canvas, 0, sourceY, canvas.width, pageCanvas.height, 0, 0, canvas.width, pageCanvas.height);
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
+    }
 
-                const pageImgData = pageCanvas.toDataURL('image/png');
-                const pageImgHeight = (pageCanvas.height * imgWidth) / canvas.width;
-                pdf.addImage(pageImgData, 'PNG', 10, yPosition, imgWidth, pageImgHeight);
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
 
-                sourceY += pixelsPerPage;
-            }
-        }
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : 'extrato.pdf';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
 
-        // Generate filename and save
-        const sanitizedName = driverName.replace(/[^a-zA-Z0-9]/g, '_');
-        const dateStr = new Date().toISOString().slice(0, 10);
-        const filename = `Extrato_${sanitizedName}_${dateStr}.pdf`;
+async function exportExtratoPDF() {
+    const exportBtn = document.getElementById('exportExtratoPdfBtn');
+    const originalText = exportBtn ? exportBtn.textContent : '';
+    if (exportBtn) {
+        exportBtn.textContent = 'Gerando PDF...';
+        exportBtn.disabled = true;
+    }
 
-        pdf.save(filename);
+    try {
+        await downloadPdf('/driver/extratos/me.pdf');
         showToast('PDF exportado com sucesso!', 'success');
     } catch (error) {
         console.error('PDF export error:', error);
-        content.classList.remove('pdf-print-mode');
         showToast('Erro ao gerar PDF. Tente novamente.', 'error');
     } finally {
-        exportBtn.textContent = originalText;
-        exportBtn.disabled = false;
+        if (exportBtn) {
+            exportBtn.textContent = originalText;
+            exportBtn.disabled = false;
+        }
     }
 }
 
@@ -865,36 +975,12 @@ async function sendPhotoCarga() {
         return;
     }
 
-    const selectedPlate = getSelectedPlate('plateSelectCarga');
+    const queued = await queueComprovante(currentPhotoType, {
+        plate: getSelectedPlate('plateSelectCarga')
+    }, `Comprovante de ${currentPhotoType} enviado com sucesso!`);
 
-    const formData = new FormData();
-    const filename = `comprovante_${currentPhotoType}_${Date.now()}.jpg`;
-    formData.append(`comprovante_${currentPhotoType}`, capturedPhotoBlob, filename);
-    if (selectedPlate) {
-        formData.append('plate', selectedPlate);
-    }
-
-    try {
-        // For now, we'll upload to a general endpoint
-        // In a real implementation, this would associate with a specific freight
-        const response = await fetch(`${API_BASE}/driver/upload-comprovante`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            body: formData
-        });
-
-        if (response.ok) {
-            showToast(`Comprovante de ${currentPhotoType} enviado com sucesso!`, 'success');
-            closeCameraModal('cameraModalCarga');
-        } else {
-            const data = await response.json();
-            throw new Error(data.error || 'Erro ao enviar');
-        }
-    } catch (error) {
-        console.error('Upload error:', error);
-        showToast('Erro ao enviar comprovante. Tente novamente.', 'error');
+    if (queued) {
+        closeCameraModal('cameraModalCarga');
     }
 }
 
@@ -904,34 +990,12 @@ async function sendPhotoAbast() {
         return;
     }
 
-    const selectedPlate = getSelectedPlate('plateSelectAbast');
-
-    const formData = new FormData();
-    const filename = `comprovante_abastecimento_${Date.now()}.jpg`;
-    formData.append('comprovante_abastecimento', capturedPhotoBlob, filename);
-    if (selectedPlate) {
-        formData.append('plate', selectedPlate);
-    }
-
-    try {
-        const response = await fetch(`${API_BASE}/driver/upload-comprovante-abastecimento`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            body: formData
-        });
+    const queued = await queueComprovante('abastecimento', {
+        plate: getSelectedPlate('plateSelectAbast')
+    }, 'Comprovante de abastecimento enviado com sucesso!');
 
-        if (response.ok) {
-            showToast('Comprovante de abastecimento enviado com sucesso!', 'success');
-            closeCameraModal('cameraModalAbast');
-        } else {
-            const data = await response.json();
-            throw new Error(data.error || 'Erro ao enviar');
-        }
-    } catch (error) {
-        console.error('Upload error:', error);
-        showToast('Erro ao enviar comprovante. Tente novamente.', 'error');
+    if (queued) {
+        closeCameraModal('cameraModalAbast');
     }
 }
 
@@ -941,37 +1005,16 @@ async function sendPhotoOutrosInsumos() {
         return;
     }
 
-    const selectedPlate = getSelectedPlate('plateSelectOutrosInsumos');
     const descriptionInput = document.getElementById('descriptionOutrosInsumos');
     const description = descriptionInput ? descriptionInput.value.trim() : 'Outros Insumos';
 
-    const formData = new FormData();
-    const filename = `comprovante_outros_insumos_${Date.now()}.jpg`;
-    formData.append('comprovante_outros_insumos', capturedPhotoBlob, filename);
-    if (selectedPlate) {
-        formData.append('plate', selectedPlate);
-    }
-    formData.append('description', description || 'Outros Insumos');
+    const queued = await queueComprovante('outros_insumos', {
+        plate: getSelectedPlate('plateSelectOutrosInsumos'),
+        description: description || 'Outros Insumos'
+    }, 'Comprovante de outros insumos enviado com sucesso!');
 
-    try {
-        const response = await fetch(`${API_BASE}/driver/upload-comprovante-outros-insumos`, {
-            method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${token}`
-            },
-            body: formData
-        });
-
-        if (response.ok) {
-            showToast('Comprovante de outros insumos enviado com sucesso!', 'success');
-            closeCameraModalOutrosInsumos();
-        } else {
-            const data = await response.json();
-            throw new Error(data.error || 'Erro ao enviar');
-        }
-    } catch (error) {
-        console.error('Upload error:', error);
-        showToast('Erro ao enviar comprovante. Tente novamente.', 'error');
+    if (queued) {
+        closeCameraModalOutrosInsumos();
     }
 }
 
@@ -1071,6 +1114,176 @@ function retakePhotoOutrosInsumos() {
     capturedPhotoBlob = null;
 }
 
+// ========================================
+// Offline Uploads
+// ========================================
+
+// Object URLs of the thumbnails in the pending list, freed on each render
+let pendingUploadUrls = [];
+
+// Endpoint and file field of each kind of comprovante
+const COMPROVANTE_UPLOADS = {
+    carga: { endpoint: '/api/driver/upload-comprovante', file_field: 'comprovante_carga', label: 'Carga' },
+    descarga: { endpoint: '/api/driver/upload-comprovante', file_field: 'comprovante_descarga', label: 'Descarga' },
+    abastecimento: { endpoint: '/api/driver/upload-comprovante-abastecimento', file_field: 'comprovante_abastecimento', label: 'Abastecimento' },
+    outros_insumos: { endpoint: '/api/driver/upload-comprovante-outros-insumos', file_field: 'comprovante_outros_insumos', label: 'Outros insumos' }
+};
+
+// Queue items of the logged-in driver
+function uploadOwner() {
+    return `driver:${userData.id}`;
+}
+
+/**
+ * Keep the session where the service worker can read it, so Background
+ * Sync can send queued photos while the app is closed
+ */
+function mirrorUploadSession() {
+    if (!token) return;
+    // Until the profile loads the owner is unknown: drop the old tokens
+    // rather than leave ones that were rotated away
+    const session = userData ? { owner: uploadOwner(), token, refresh_token: refreshToken } : null;
+    UploadQueue.saveSession('driver', session).catch(() => {});
+}
+
+/**
+ * Ask the service worker to send the queue once the phone is back online
+ */
+function requestUploadSync() {
+    if (!('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(UploadQueue.SYNC_TAG))
+        .catch(() => {});
+}
+
+/**
+ * Save the captured photo in the upload queue and try to send it now.
+ * Without signal it stays in the pending list and goes out later, dated by
+ * its capture time.
+ * @param {string} kind - Key of COMPROVANTE_UPLOADS
+ * @param {Object} fields - {plate, description}
+ * @param {string} successMessage - Toast when it was sent right away
+ * @returns {boolean} - Whether the photo was saved
+ */
+async function queueComprovante(kind, fields, successMessage) {
+    let item;
+    try {
+        item = await UploadQueue.add(uploadOwner(), {
+            ...COMPROVANTE_UPLOADS[kind],
+            fields: { ...fields, captured_at: new Date().toISOString() },
+            blob: capturedPhotoBlob
+        });
+    } catch (error) {
+        console.error('Upload queue error:', error);
+        showToast('Erro ao salvar comprovante. Tente novamente.', 'error');
+        return false;
+    }
+
+    await flushUploads(false);
+
+    const pending = await UploadQueue.get(item.id).catch(() => null);
+    if (!pending) {
+        showToast(successMessage, 'success');
+    } else if (pending.status === 'failed') {
+        showToast(`Comprovante não aceito: ${pending.last_error}`, 'error');
+    } else {
+        showToast('Sem conexão. O comprovante foi salvo e será enviado automaticamente.', 'info');
+    }
+    return true;
+}
+
+/**
+ * Send the queued photos of the logged-in driver
+ * @param {boolean} announce - Toast when photos saved earlier went out
+ * @returns {Object|null} - {sent, failed, remaining}
+ */
+async function flushUploads(announce = true) {
+    if (!userData || !token) return null;
+
+    let result = null;
+    try {
+        result = await UploadQueue.flush(uploadOwner(), item => authFetch(item.endpoint, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': item.id },
+            body: UploadQueue.formData(item)
+        }));
+
+        if (result.remaining > 0) {
+            requestUploadSync();
+        }
+        if (announce && result.sent > 0) {
+            showToast(result.sent === 1
+                ? 'Comprovante pendente enviado!'
+                : `${result.sent} comprovantes pendentes enviados!`, 'success');
+        }
+    } catch (error) {
+        console.error('Upload queue error:', error);
+    }
+
+    await renderPendingUploads();
+    return result;
+}
+
+/**
+ * Pending-uploads list on the dashboard, hidden when the queue is empty
+ */
+async function renderPendingUploads() {
+    const section = document.getElementById('pendingUploads');
+    const list = document.getElementById('pendingUploadsList');
+    if (!section || !list || !userData) return;
+
+    let items = [];
+    try {
+        items = await UploadQueue.list(uploadOwner());
+    } catch (error) {
+        console.error('Upload queue error:', error);
+    }
+
+    pendingUploadUrls.forEach(url => URL.revokeObjectURL(url));
+    pendingUploadUrls = [];
+
+    section.classList.toggle('hidden', items.length === 0);
+    document.getElementById('pendingUploadsStatus').textContent = navigator.onLine
+        ? 'Enviando assim que possível...'
+        : 'Sem conexão. Os comprovantes serão enviados quando o sinal voltar.';
+
+    list.innerHTML = items.map(item => {
+        const url = URL.createObjectURL(item.blob);
+        pendingUploadUrls.push(url);
+        const { plate, description, captured_at } = item.fields;
+        const capturedAt = new Date(captured_at).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' });
+        const failed = item.status === 'failed';
+
+        return `
+            <div class="pending-upload-item${failed ? ' failed' : ''}">
+                <img src="${url}" alt="Comprovante" class="pending-upload-thumb">
+                <div class="pending-upload-info">
+                    <strong>${item.label}${plate ? ` · ${escapeHtml(plate)}` : ''}</strong>
+                    <span>${capturedAt}${description ? ` · ${escapeHtml(description)}` : ''}</span>
+                    <span class="pending-upload-state">${failed
+                        ? `Não enviado: ${escapeHtml(item.last_error)}`
+                        : item.attempts > 0 ? 'Aguardando nova tentativa' : 'Aguardando envio'}</span>
+                </div>
+                <div class="pending-upload-actions">
+                    ${failed ? `<button class="btn btn-sm btn-outline" onclick="retryUpload('${item.id}')">Tentar de novo</button>` : ''}
+                    <button class="btn btn-sm btn-outline btn-remove" onclick="discardUpload('${item.id}')">Descartar</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+async function retryUpload(id) {
+    await UploadQueue.retry(id);
+    await flushUploads();
+}
+
+async function discardUpload(id) {
+    if (!confirm('Descartar este comprovante? A foto não será enviada.')) return;
+    await UploadQueue.remove(id);
+    await renderPendingUploads();
+}
+
 // ========================================
 // Plate Input Formatting
 // ========================================
@@ -1232,6 +1445,86 @@ async function addNewPlate() {
     }
 }
 
+// ========================================
+// Notification Preferences Page
+// ========================================
+
+PushNotifications.configure('/driver/push', (endpoint, method, data) =>
+    apiRequest(endpoint, { method, body: data && JSON.stringify(data) }));
+
+async function showNotificationsPage() {
+    showPage(notificationsPage);
+    await loadNotificationPreferences();
+}
+
+async function loadNotificationPreferences() {
+    try {
+        const data = await apiRequest('/driver/notifications/preferences');
+        notificationsPage.querySelectorAll('[data-pref]').forEach(input => {
+            input.checked = !!data.preferences[input.dataset.pref];
+        });
+    } catch (error) {
+        showToast(error.message || 'Erro ao carregar preferências', 'error');
+    }
+    await refreshPushStatus();
+}
+
+async function saveNotificationPreference(e) {
+    const input = e.target;
+    try {
+        await apiRequest('/driver/notifications/preferences', {
+            method: 'PUT',
+            body: JSON.stringify({ [input.dataset.pref]: input.checked })
+        });
+        showToast('Preferência salva', 'success');
+    } catch (error) {
+        input.checked = !input.checked;
+        showToast(error.message || 'Erro ao salvar preferência', 'error');
+    }
+}
+
+async function refreshPushStatus() {
+    const statusText = document.getElementById('pushStatus');
+    const enableBtn = document.getElementById('enablePushBtn');
+    const disableBtn = document.getElementById('disablePushBtn');
+    enableBtn.classList.add('hidden');
+    disableBtn.classList.add('hidden');
+
+    try {
+        const status = await PushNotifications.status();
+        statusText.textContent = PushNotifications.statusText(status);
+        enableBtn.classList.toggle('hidden', status !== 'unsubscribed');
+        disableBtn.classList.toggle('hidden', status !== 'subscribed');
+    } catch (error) {
+        statusText.textContent = 'Erro ao verificar notificações neste aparelho.';
+    }
+}
+
+async function enablePush() {
+    try {
+        if (await PushNotifications.enable()) {
+            showToast('Notificações ativadas neste aparelho!', 'success');
+        } else {
+            showToast('Permissão de notificação não concedida', 'error');
+        }
+    } catch (error) {
+        console.error('Enable push error:', error);
+        showToast(error.message || 'Erro ao ativar notificações', 'error');
+    }
+    await refreshPushStatus();
+}
+
+async function disablePush() {
+    try {
+        await PushNotifications.disable();
+        showToast('Notificações desativadas neste aparelho', 'success');
+    } catch (error) {
+        console.error('Disable push error:', error);
+        showToast(error.message || 'Erro ao desativar notificações', 'error');
+    }
+    await refreshPushStatus();
+}
+
 window.removePlate = async function (plate) {
     if (!confirm(`Remover a placa ${plate}?`)) return;
 
@@ -1365,8 +1658,8 @@ async function handleResetPassword(e) {
     const newPassword = document.getElementById('newPassword').value;
     const confirmPassword = document.getElementById('confirmPassword').value;
 
-    if (!newPassword || newPassword.length < 4) {
-        showError('Senha deve ter pelo menos 4 caracteres');
+    if (!newPassword || newPassword.length < 8) {
+        showError('A senha deve ter pelo menos 8 caracteres');
         return;
     }
 
@@ -1381,7 +1674,7 @@ async function handleResetPassword(e) {
     try {
         await apiRequest('/auth/driver/reset-password', {
             method: 'POST',
-            body: JSON.stringify({ cpf: resetCpf, newPassword })
+            body: JSON.stringify({ cpf: resetCpf, code: resetCode, newPassword })
         });
 
         showToast('Senha alterada com sucesso!', 'success');
@@ -1546,6 +1839,17 @@ function init() {
         });
     }
 
+    // Offline uploads: send when the signal returns or Background Sync fires
+    window.addEventListener('online', () => flushUploads());
+    window.addEventListener('offline', () => renderPendingUploads());
+    if ('serviceWorker' in navigator) {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'FLUSH_UPLOADS') {
+                flushUploads();
+            }
+        });
+    }
+
     document.getElementById('btnExtrato').addEventListener('click', showExtrato);
 
     // Plates management button
@@ -1566,6 +1870,19 @@ function init() {
         platesLogoutBtn.addEventListener('click', logout);
     }
 
+    // Notification preferences page
+    const btnNotifications = document.getElementById('btnNotifications');
+    if (btnNotifications) {
+        btnNotifications.addEventListener('click', showNotificationsPage);
+        document.getElementById('backToMainFromNotifications').addEventListener('click', () => showPage(dashboardPage));
+        document.getElementById('notificationsLogoutBtn').addEventListener('click', logout);
+        document.getElementById('enablePushBtn').addEventListener('click', enablePush);
+        document.getElementById('disablePushBtn').addEventListener('click', disablePush);
+        notificationsPage.querySelectorAll('[data-pref]').forEach(input => {
+            input.addEventListener('change', saveNotificationPreference);
+        });
+    }
+
     // Add new plate button
     const addNewPlateBtn = document.getElementById('addNewPlateBtn');
     if (addNewPlateBtn) {
@@ -1670,7 +1987,7 @@ function init() {
 
     // Check for existing token
     if (token) {
-        loadDashboard();
+        adoptRenewedSession().then(loadDashboard);
     } else {
         showPage(loginPage);
 
@@ -8,7 +8,9 @@ const API_BASE = '/api';
 let token = localStorage.getItem('cliente_token');
 let clienteInfo = null;
 let freights = [];
+let invoices = [];
 let currentCpf = '';
+let currentCode = '';
 
 // DOM Elements
 const loginPage = document.getElementById('loginPage');
@@ -16,6 +18,10 @@ const dashboardPage = document.getElementById('dashboardPage');
 const authError = document.getElementById('authError');
 const toast = document.getElementById('toast');
 const toastMessage = document.getElementById('toastMessage');
+const pushToggleBtn = document.getElementById('pushToggleBtn');
+
+PushNotifications.configure('/cliente/push', (endpoint, method, data) =>
+    apiRequest(endpoint, { method, body: data && JSON.stringify(data) }));
 
 // ========================================
 // Utility Functions
@@ -55,11 +61,92 @@ function formatCpf(value) {
     return `${numbers.slice(0, 3)}.${numbers.slice(3, 6)}.${numbers.slice(6, 9)}-${numbers.slice(9)}`;
 }
 
+let refreshToken = localStorage.getItem('cliente_refresh_token');
+let refreshPromise = null;
+
+/**
+ * Keep the access/refresh token pair returned by login or refresh
+ * @param {Object} data - {token, refresh_token}
+ */
+function saveSession(data) {
+    token = data.token;
+    refreshToken = data.refresh_token;
+    localStorage.setItem('cliente_token', token);
+    localStorage.setItem('cliente_refresh_token', refreshToken);
+}
+
+/**
+ * Renew the short-lived access token. A refresh token works only once,
+ * so concurrent callers share one request.
+ * @returns {boolean|null} - false when the session is over, null when offline
+ */
+function refreshSession() {
+    if (!refreshPromise) {
+        refreshPromise = (async () => {
+            // Another tab may have refreshed already
+            const storedToken = localStorage.getItem('cliente_token');
+            if (storedToken && storedToken !== token) {
+                token = storedToken;
+                refreshToken = localStorage.getItem('cliente_refresh_token');
+                return true;
+            }
+            if (!refreshToken) return false;
+
+            const response = await fetch(`${API_BASE}/auth/refresh`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refresh_token: refreshToken })
+            });
+            if (!response.ok) return false;
+
+            saveSession(await response.json());
+            return true;
+        })().catch(() => null).finally(() => {
+            refreshPromise = null;
+        });
+    }
+    return refreshPromise;
+}
+
+/**
+ * fetch() with the access token. On 401 the session is renewed once and the
+ * request retried; if the session is over the user is logged out.
+ */
+async function authFetch(url, options = {}) {
+    const hadToken = !!token;
+    const send = () => fetch(url, {
+        ...options,
+        headers: token ? { ...options.headers, 'Authorization': `Bearer ${token}` } : options.headers
+    });
+
+    let response = await send();
+    if (response.status === 401 && hadToken) {
+        const refreshed = await refreshSession();
+        if (refreshed) {
+            response = await send();
+        } else if (refreshed === false) {
+            logout();
+        }
+    }
+    return response;
+}
+
+/**
+ * End the session on the server too (fire and forget)
+ */
+function endServerSession() {
+    if (!token) return;
+    fetch(`${API_BASE}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+    }).catch(() => {});
+}
+
 async function apiRequest(endpoint, options = {}) {
     const headers = { 'Content-Type': 'application/json', ...options.headers };
     if (token) headers['Authorization'] = `Bearer ${token}`;
 
-    const response = await fetch(`${API_BASE}${endpoint}`, { ...options, headers });
+    const response = await authFetch(`${API_BASE}${endpoint}`, { ...options, headers });
     const data = await response.json();
 
     if (!response.ok) throw new Error(data.error || 'Request failed');
@@ -128,8 +215,7 @@ async function handleLogin(e) {
             method: 'POST',
             body: JSON.stringify({ cpf, password })
         });
-        token = data.token;
-        localStorage.setItem('cliente_token', token);
+        saveSession(data);
         await loadDashboard();
     } catch (error) {
         showError(error.message);
@@ -171,6 +257,7 @@ async function handleVerifyCode(e) {
             method: 'POST',
             body: JSON.stringify({ cpf: currentCpf, code })
         });
+        currentCode = code;
         showForm('resetPasswordForm');
         showToast('Código verificado com sucesso!');
     } catch (error) {
@@ -195,7 +282,7 @@ async function handleResetPassword(e) {
     try {
         await apiRequest('/auth/cliente/reset-password', {
             method: 'POST',
-            body: JSON.stringify({ cpf: currentCpf, newPassword })
+            body: JSON.stringify({ cpf: currentCpf, code: currentCode, newPassword })
         });
         showToast('Senha alterada com sucesso!');
         showForm('loginForm');
@@ -208,9 +295,13 @@ async function handleResetPassword(e) {
 }
 
 function logout() {
+    PushNotifications.forget();
+    endServerSession();
     token = null;
+    refreshToken = null;
     clienteInfo = null;
     localStorage.removeItem('cliente_token');
+    localStorage.removeItem('cliente_refresh_token');
     showPage(loginPage);
     document.getElementById('loginFormElement').reset();
     showForm('loginForm');
@@ -233,8 +324,10 @@ async function loadDashboard() {
         document.getElementById('welcomeText').textContent = `Olá, ${clienteInfo.name}!`;
 
         showPage(dashboardPage);
+        if (pushToggleBtn) PushNotifications.refreshToggle(pushToggleBtn);
         await loadStats();
         await loadFreights();
+        await loadInvoices();
     } catch (error) {
         console.error('Dashboard error:', error);
         logout();
@@ -306,6 +399,47 @@ function renderFreightsTable() {
     }).join('');
 }
 
+const INVOICE_STATUS_LABELS = {
+    open: 'Em aberto',
+    partially_paid: 'Parcialmente paga',
+    paid: 'Paga',
+    overdue: 'Vencida'
+};
+
+async function loadInvoices() {
+    const tbody = document.getElementById('invoicesTableBody');
+    tbody.innerHTML = '<tr><td colspan="6" class="loading">Carregando...</td></tr>';
+
+    try {
+        const data = await apiRequest('/cliente/invoices');
+        invoices = data.invoices || [];
+        renderInvoicesTable();
+    } catch (error) {
+        console.error('Load invoices error:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="error">Erro ao carregar faturas</td></tr>';
+    }
+}
+
+function renderInvoicesTable() {
+    const tbody = document.getElementById('invoicesTableBody');
+
+    if (invoices.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align:center;color:var(--text-muted)">Nenhuma fatura emitida</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = invoices.map(inv => `
+        <tr>
+            <td>${formatDate(inv.period_start)} a ${formatDate(inv.period_end)}</td>
+            <td>${formatDate(inv.issue_date)}</td>
+            <td>${formatDate(inv.due_date)}</td>
+            <td class="value-positive">${formatCurrency(inv.total_value)}</td>
+            <td>${formatCurrency(inv.paid_amount)}</td>
+            <td><span class="invoice-status ${inv.status}">${INVOICE_STATUS_LABELS[inv.status] || inv.status}</span></td>
+        </tr>
+    `).join('');
+}
+
 function handleFilter() {
     const dateFrom = document.getElementById('dateFrom').value;
     const dateTo = document.getElementById('dateTo').value;
@@ -415,139 +549,50 @@ function initEventListeners() {
 // PDF Export
 // ========================================
 
-async function exportPDF() {
-    const content = document.getElementById('clienteContent');
+/**
+ * Download a PDF generated by the API.
+ * A plain link would not send the Authorization header, so fetch it as a blob.
+ */
+async function downloadPdf(endpoint) {
+    const response = await authFetch(`${API_BASE}${endpoint}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+    });
 
-    if (!content) {
-        showToast('Conteúdo não encontrado', true);
-        return;
+    if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.error || 'Request failed');
     }
 
-    // Show loading state
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename="([^"]+)"/);
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = match ? match[1] : 'extrato.pdf';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+async function exportPDF() {
     const exportBtn = document.getElementById('exportPdfBtn');
     const originalText = exportBtn.textContent;
     exportBtn.textContent = 'Gerando PDF...';
     exportBtn.disabled = true;
 
     try {
-        // Apply print mode for white background and black text
-        content.classList.add('pdf-print-mode');
-
-        // Wait for styles to apply
-        await new Promise(resolve => setTimeout(resolve, 100));
-
-        // Capture the content as canvas
-        const canvas = await html2canvas(content, {
-            scale: 2,
-            useCORS: true,
-            logging: false,
-            backgroundColor: '#ffffff'
-        });
-
-        // Remove print mode
-        content.classList.remove('pdf-print-mode');
-
-        // Create PDF with A4 dimensions
-        const { jsPDF } = window.jspdf;
-        const pdf = new jsPDF('p', 'mm', 'a4');
-
-        const pageWidth = pdf.internal.pageSize.getWidth();
-        const pageHeight = pdf.internal.pageSize.getHeight();
-
-        // Calculate image dimensions to fit A4
-        const imgWidth = pageWidth - 20;
-        const imgHeight = (canvas.height * imgWidth) / canvas.width;
-
-        // Add white background and black header text
-        pdf.setFillColor(255, 255, 255);
-        pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-
-        // Add logo to top right corner
-        try {
-            const logoImg = new Image();
-            logoImg.crossOrigin = 'anonymous';
-            await new Promise((resolve, reject) => {
-                logoImg.onload = resolve;
-                logoImg.onerror = reject;
-                logoImg.src = 'logo1.jpg';
-            });
-            const logoCanvas = document.createElement('canvas');
-            logoCanvas.width = logoImg.width;
-            logoCanvas.height = logoImg.height;
-            const logoCtx = logoCanvas.getContext('2d');
-            logoCtx.drawImage(logoImg, 0, 0);
-            const logoData = logoCanvas.toDataURL('image/png');
-            const logoWidth = 25; // mm
-            const logoHeight = (logoImg.height / logoImg.width) * logoWidth;
-            pdf.addImage(logoData, 'PNG', pageWidth - logoWidth - 10, 5, logoWidth, logoHeight);
-        } catch (e) {
-            console.warn('Could not add logo to PDF:', e);
-        }
-
-        const empresaName = clienteInfo?.empresa || 'Cliente';
-        pdf.setTextColor(0, 0, 0);
-        pdf.setFontSize(16);
-        pdf.text(`Relatório de Fretes`, 10, 15);
-        pdf.setFontSize(12);
-        pdf.text(`Cliente: ${empresaName}`, 10, 22);
-        pdf.setFontSize(10);
-        pdf.text(`Data: ${new Date().toLocaleDateString('pt-BR')}`, 10, 28);
-
-        // Add date range if filter is applied
+        const params = new URLSearchParams();
         const dateFrom = document.getElementById('dateFrom').value;
         const dateTo = document.getElementById('dateTo').value;
-        if (dateFrom || dateTo) {
-            const fromStr = dateFrom ? new Date(dateFrom + 'T00:00:00').toLocaleDateString('pt-BR') : '-';
-            const toStr = dateTo ? new Date(dateTo + 'T00:00:00').toLocaleDateString('pt-BR') : '-';
-            pdf.text(`Período: ${fromStr} até ${toStr}`, 10, 34);
-        }
-
-        // Add content image
-        const imgData = canvas.toDataURL('image/png');
-
-        // Handle multi-page if content is too long
-        let yPosition = dateFrom || dateTo ? 42 : 36;
-        const maxHeightPerPage = pageHeight - 40;
-
-        if (imgHeight <= maxHeightPerPage) {
-            pdf.addImage(imgData, 'PNG', 10, yPosition, imgWidth, imgHeight);
-        } else {
-            let sourceY = 0;
-            const sourceHeight = canvas.height;
-            const pixelsPerPage = (maxHeightPerPage / imgHeight) * sourceHeight;
-
-            while (sourceY < sourceHeight) {
-                if (sourceY > 0) {
-                    pdf.addPage();
-                    pdf.setFillColor(255, 255, 255);
-                    pdf.rect(0, 0, pageWidth, pageHeight, 'F');
-                    yPosition = 10;
-                }
-
-                const pageCanvas = document.createElement('canvas');
-                pageCanvas.width = canvas.width;
-                pageCanvas.height = Math.min(pixelsPerPage, sourceHeight - sourceY);
-                const ctx = pageCanvas.getContext('2d');
-                ctx.drawImage(canvas, 0, sourceY, canvas.width, pageCanvas.height, 0, 0, canvas.width, pageCanvas.height);
-
-                const pageImgData = pageCanvas.toDataURL('image/png');
-                const pageImgHeight = (pageCanvas.height * imgWidth) / canvas.width;
-                pdf.addImage(pageImgData, 'PNG', 10, yPosition, imgWidth, pageImgHeight);
-
-                sourceY += pixelsPerPage;
-            }
-        }
-
-        // Generate filename and save
-        const sanitizedName = empresaName.replace(/[^a-zA-Z0-9]/g, '_');
-        const dateStr = new Date().toISOString().slice(0, 10);
-        const filename = `Relatorio_Fretes_${sanitizedName}_${dateStr}.pdf`;
+        if (dateFrom) params.append('date_from', dateFrom);
+        if (dateTo) params.append('date_to', dateTo);
 
-        pdf.save(filename);
+        await downloadPdf(`/cliente/extratos/me.pdf${params.toString() ? `?${params.toString()}` : ''}`);
         showToast('PDF exportado com sucesso!');
     } catch (error) {
         console.error('PDF export error:', error);
-        content.classList.remove('pdf-print-mode');
         showToast('Erro ao gerar PDF. Tente novamente.', true);
     } finally {
         exportBtn.textContent = originalText;
@@ -561,6 +606,7 @@ async function exportPDF() {
 
 async function init() {
     initEventListeners();
+    if (pushToggleBtn) PushNotifications.bindToggle(pushToggleBtn, showToast);
     setupPasswordToggles();
     setupCpfFormatters();
 
@@ -575,3 +621,14 @@ async function init() {
 }
 
 document.addEventListener('DOMContentLoaded', init);
+
+// ========================================
+// PWA Service Worker Registration
+// ========================================
+
+if ('serviceWorker' in navigator) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/service-worker.js')
+            .catch(error => console.log('[PWA] Service Worker registration failed:', error));
+    });
+}
@@ -0,0 +1,16 @@
+/**
+ * HTML helpers shared by the admin, driver and abastecedor pages
+ */
+
+/**
+ * Escape text for use inside HTML built with template strings, in element
+ * content and in quoted attribute values
+ * @param {*} text - Any value; null and undefined become ''
+ * @returns {string}
+ */
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    // innerHTML escapes & < > but leaves quotes, which would end an attribute
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
@@ -0,0 +1,138 @@
+/**
+ * Web Push for the PWAs (driver, abastecedor and cliente portals)
+ * Each app configures its push API base and a request function wrapping
+ * its own apiRequest: request(endpoint, method, data) -> parsed JSON.
+ */
+
+const PushNotifications = {
+    base: null,
+    request: null,
+
+    configure(base, request) {
+        this.base = base;
+        this.request = request;
+    },
+
+    isSupported() {
+        return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    },
+
+    async getSubscription() {
+        const registration = await navigator.serviceWorker.ready;
+        return registration.pushManager.getSubscription();
+    },
+
+    /**
+     * Push state of this device for the logged-in user:
+     * unsupported, unavailable (not configured on the server), denied,
+     * subscribed or unsubscribed
+     */
+    async status() {
+        if (!this.isSupported()) return 'unsupported';
+
+        const { public_key } = await this.request(`${this.base}/key`, 'GET');
+        if (!public_key) return 'unavailable';
+        if (Notification.permission === 'denied') return 'denied';
+
+        return (await this.getSubscription()) ? 'subscribed' : 'unsubscribed';
+    },
+
+    /**
+     * Ask for permission, subscribe this device and register it
+     * @returns {boolean} - False when the user did not allow notifications
+     */
+    async enable() {
+        const permission = await Notification.requestPermission();
+        if (permission !== 'granted') return false;
+
+        const { public_key } = await this.request(`${this.base}/key`, 'GET');
+        const registration = await navigator.serviceWorker.ready;
+        const subscription = await registration.pushManager.subscribe({
+            userVisibleOnly: true,
+            applicationServerKey: this.urlBase64ToUint8Array(public_key)
+        });
+
+        await this.request(`${this.base}/subscriptions`, 'POST', subscription.toJSON());
+        return true;
+    },
+
+    async disable() {
+        const subscription = await this.getSubscription();
+        if (!subscription) return;
+
+        await this.request(`${this.base}/subscriptions`, 'DELETE', { endpoint: subscription.endpoint });
+        await subscription.unsubscribe();
+    },
+
+    /**
+     * Unsubscribe this device on logout, so the next person to log in on it
+     * doesn't get the previous user's notifications. The server drops the
+     * subscription the next time the push service rejects it.
+     */
+    forget() {
+        if (!this.isSupported()) return;
+        this.getSubscription()
+            .then(subscription => subscription && subscription.unsubscribe())
+            .catch(() => {});
+    },
+
+    /**
+     * Text shown for each status
+     */
+    statusText(status) {
+        return {
+            unsupported: 'Este aparelho não suporta notificações. No iPhone, adicione o app à tela de início primeiro.',
+            unavailable: 'Notificações no aparelho ainda não estão disponíveis.',
+            denied: 'As notificações estão bloqueadas nas configurações do navegador.',
+            subscribed: 'Este aparelho recebe notificações.',
+            unsubscribed: 'Este aparelho ainda não recebe notificações.'
+        }[status];
+    },
+
+    /**
+     * Show a header button that turns push on or off on this device, or hide
+     * it when push can't be used here. Call again after login.
+     */
+    async refreshToggle(button) {
+        let status;
+        try {
+            status = await this.status();
+        } catch (error) {
+            status = 'unavailable';
+        }
+        button.classList.toggle('hidden', status !== 'subscribed' && status !== 'unsubscribed');
+        button.textContent = status === 'subscribed' ? '🔕 Desativar avisos' : '🔔 Ativar avisos';
+        button.dataset.status = status;
+    },
+
+    /**
+     * Wire the button from refreshToggle; notify(message, isError) shows feedback
+     */
+    bindToggle(button, notify) {
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                if (button.dataset.status === 'subscribed') {
+                    await this.disable();
+                    notify('Notificações desativadas neste aparelho', false);
+                } else if (await this.enable()) {
+                    notify('Notificações ativadas neste aparelho!', false);
+                } else {
+                    notify('Permissão de notificação não concedida', true);
+                }
+            } catch (error) {
+                console.error('Push toggle error:', error);
+                notify(error.message || 'Erro ao alterar notificações', true);
+            }
+            button.disabled = false;
+            await this.refreshToggle(button);
+        });
+    },
+
+    urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = atob(base64);
+        return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+    }
+};
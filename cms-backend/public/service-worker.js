@@ -1,6 +1,9 @@
 // ExcavaNorth PWA Service Worker
-const CACHE_NAME = 'excavanorth-v2';
-const DYNAMIC_CACHE = 'excavanorth-dynamic-v2';
+const CACHE_NAME = 'excavanorth-v11';
+const DYNAMIC_CACHE = 'excavanorth-dynamic-v11';
+
+// Upload queue shared with the driver and abastecedor apps (UploadQueue)
+importScripts('/upload-queue.js');
 
 // Static assets to cache on install
 const STATIC_ASSETS = [
@@ -14,6 +17,9 @@ const STATIC_ASSETS = [
     '/app.js',
     '/abastecedor-app.js',
     '/cliente-app.js',
+    '/push.js',
+    '/html-utils.js',
+    '/upload-queue.js',
     '/logo_excava.png',
     '/eye-open.png',
     '/eye-closed.png',
@@ -162,12 +168,101 @@ self.addEventListener('message', event => {
     }
 });
 
-// Background sync for offline uploads (Phase 2 feature - placeholder)
+// Background sync for the offline uploads of the driver and abastecedor apps
 self.addEventListener('sync', event => {
-    if (event.tag === 'upload-comprovante') {
-        console.log('[SW] Background sync triggered for comprovante upload');
-        // Future: implement offline upload queue
+    if (event.tag === UploadQueue.SYNC_TAG) {
+        console.log('[SW] Background sync triggered for queued uploads');
+        event.waitUntil(syncUploads());
+    }
+});
+
+// An open app sends its queue itself (it can update its list); otherwise
+// send it here with the mirrored session, renewed first since access tokens
+// only last 15 minutes. The app takes the renewed tokens over when it opens.
+// Uploads left over (e.g. the session ended) go out the next time the app
+// opens.
+async function syncUploads() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    const sessions = await UploadQueue.getSessions();
+    let retry = false;
+
+    for (const [portal, session] of Object.entries(sessions)) {
+        const app = windows.find(client => portalOf(new URL(client.url).pathname) === portal);
+        if (app) {
+            app.postMessage({ type: 'FLUSH_UPLOADS' });
+            continue;
+        }
+
+        // Nothing to send: leave the session alone
+        const items = await UploadQueue.list(session.owner);
+        if (!items.some(item => item.status === 'pending')) continue;
+
+        let renewed;
+        try {
+            renewed = await UploadQueue.renewSession(portal, session);
+        } catch (error) {
+            retry = true;
+            continue;
+        }
+        if (!renewed) {
+            console.log('[SW] Session ended for', portal, '- uploads wait for the next login');
+            continue;
+        }
+
+        const result = await UploadQueue.flush(renewed.owner, item => UploadQueue.send(item, renewed.token));
+        console.log('[SW] Uploads sent for', portal, result);
+        if (result.remaining > 0) retry = true;
+    }
+
+    if (retry) {
+        // Failing makes the browser schedule another sync later
+        throw new Error('Uploads still pending');
+    }
+}
+
+// Push notifications - payload is {title, body, url} (see utils/webPush.js)
+self.addEventListener('push', event => {
+    let data = {};
+    try {
+        data = event.data ? event.data.json() : {};
+    } catch (error) {
+        data = { body: event.data.text() };
     }
+
+    event.waitUntil(
+        self.registration.showNotification(data.title || 'ExcavaNorth', {
+            body: data.body || '',
+            icon: '/icons/icon-192x192.png',
+            badge: '/icons/icon-72x72.png',
+            data: { url: data.url || '/' }
+        })
+    );
+});
+
+// Portal a notification link belongs to, by the page that serves it:
+// /portal -> index.html, /abastecedor -> abastecedor.html, /cliente -> cliente.html
+function portalOf(pathname) {
+    if (pathname.startsWith('/abastecedor')) return 'abastecedor';
+    if (pathname.startsWith('/cliente')) return 'cliente';
+    if (pathname.startsWith('/portal') || pathname === '/index.html') return 'driver';
+    return null;
+}
+
+// Open the notification's link, reusing a window of the same portal if one is open
+self.addEventListener('notificationclick', event => {
+    event.notification.close();
+    const url = new URL(event.notification.data.url || '/', self.location.origin);
+    const portal = portalOf(url.pathname);
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const existing = portal && windows.find(client => portalOf(new URL(client.url).pathname) === portal);
+            if (existing) {
+                return existing.focus().then(client => client.navigate(url.href));
+            }
+            return self.clients.openWindow(url.href);
+        })
+    );
 });
 
 console.log('[SW] Service worker script loaded');
@@ -0,0 +1,127 @@
+// ========================================
+// Set-password page (one-time links sent by the admin)
+// ========================================
+
+const API_BASE = '/api';
+
+// Where each user type logs in afterwards
+const LOGIN_PAGES = {
+    driver: '/portal',
+    abastecedor: '/abastecedor'
+};
+
+const linkToken = new URLSearchParams(window.location.search).get('token');
+const authError = document.getElementById('authError');
+
+async function apiRequest(endpoint, options = {}) {
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+        const error = new Error(data.error || 'Request failed');
+        error.status = response.status;
+        throw error;
+    }
+
+    return data;
+}
+
+function showSection(id) {
+    ['linkLoading', 'setPasswordForm', 'setPasswordSuccess', 'invalidLink'].forEach(section => {
+        document.getElementById(section).classList.toggle('hidden', section !== id);
+    });
+}
+
+function showError(message) {
+    authError.textContent = message;
+    authError.classList.remove('hidden');
+}
+
+function hideError() {
+    authError.classList.add('hidden');
+}
+
+function setLoading(button, loading) {
+    const span = button.querySelector('span:first-child');
+    const loader = button.querySelector('.btn-loader');
+
+    span.style.opacity = loading ? '0' : '1';
+    loader?.classList.toggle('hidden', !loading);
+    button.disabled = loading;
+}
+
+function showInvalidLink(message) {
+    document.getElementById('invalidLinkMessage').textContent = message;
+    showSection('invalidLink');
+}
+
+async function loadLink() {
+    if (!linkToken) {
+        showInvalidLink('Link incompleto. Abra o link exatamente como foi recebido.');
+        return;
+    }
+
+    try {
+        const link = await apiRequest(`/auth/set-password/${encodeURIComponent(linkToken)}`);
+
+        document.getElementById('setPasswordTitle').textContent =
+            link.purpose === 'invite' ? 'Criar Senha' : 'Redefinir Senha';
+        document.getElementById('setPasswordGreeting').textContent =
+            `Olá, ${link.name}! Escolha a senha que você vai usar para entrar.`;
+        document.getElementById('goToLogin').href = LOGIN_PAGES[link.user_type] || '/';
+        showSection('setPasswordForm');
+    } catch (error) {
+        showInvalidLink(error.message);
+    }
+}
+
+async function handleSetPassword(e) {
+    e.preventDefault();
+    hideError();
+
+    const password = document.getElementById('newPassword').value;
+    if (password !== document.getElementById('confirmPassword').value) {
+        showError('As senhas não coincidem');
+        return;
+    }
+
+    const button = e.target.querySelector('button[type="submit"]');
+    setLoading(button, true);
+
+    try {
+        await apiRequest('/auth/set-password', {
+            method: 'POST',
+            body: JSON.stringify({ token: linkToken, password })
+        });
+        showSection('setPasswordSuccess');
+    } catch (error) {
+        if (error.status === 404) {
+            showInvalidLink(error.message);
+        } else {
+            showError(error.message);
+        }
+    } finally {
+        setLoading(button, false);
+    }
+}
+
+document.getElementById('setPasswordFormElement').addEventListener('submit', handleSetPassword);
+
+document.querySelectorAll('.password-toggle').forEach(btn => {
+    btn.addEventListener('click', function () {
+        const input = document.getElementById(this.getAttribute('data-target'));
+        const eyeIcon = this.querySelector('.eye-icon img');
+        const show = input.type === 'password';
+
+        input.type = show ? 'text' : 'password';
+        eyeIcon.src = show ? '/eye-closed.png' : '/eye-open.png';
+        eyeIcon.alt = show ? 'Hide password' : 'Show password';
+        this.classList.toggle('active', show);
+    });
+});
+
+loadLink();
@@ -0,0 +1,307 @@
+/**
+ * Offline queue for submissions with photos (driver comprovantes,
+ * abastecedor entries)
+ * Each submission is kept in IndexedDB with its form fields and photo until
+ * the server takes it. Loaded by the apps and by service-worker.js
+ * (importScripts), which retries them through Background Sync. Each item's
+ * id goes as the Idempotency-Key header, so resending a submission the server
+ * already got returns the first response instead of creating a duplicate.
+ * Items belong to an owner ("driver:<id>", "abastecedor:<id>"), so a shared
+ * phone never sends one user's entries with another user's session.
+ */
+
+const UploadQueue = {
+    DB_NAME: 'excavanorth-uploads',
+    SYNC_TAG: 'upload-comprovante',
+
+    dbPromise: null,
+    flushPromise: null,
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('uploads', { keyPath: 'id' });
+                    // Tokens of the logged-in user of each portal, for the service worker
+                    request.result.createObjectStore('session');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    },
+
+    /**
+     * Run fn(store) in a transaction and resolve with the result of the
+     * IDBRequest it returns, once the transaction is done
+     */
+    async run(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request ? request.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    },
+
+    /**
+     * Keep a submission until it is sent
+     * @param {string} owner - "<user type>:<id>"
+     * @param {Object} upload - {endpoint, label, fields, file_field, blob}
+     * @returns {Object} - Queued item
+     */
+    async add(owner, upload) {
+        const item = {
+            id: crypto.randomUUID(),
+            owner,
+            endpoint: upload.endpoint,
+            label: upload.label,
+            fields: upload.fields || {},
+            file_field: upload.file_field || null,
+            blob: upload.blob || null,
+            created_at: new Date().toISOString(),
+            status: 'pending',
+            attempts: 0,
+            last_error: null,
+            rejection: null
+        };
+        await this.run('uploads', 'readwrite', store => store.put(item));
+        return item;
+    },
+
+    /**
+     * Queued items of an owner, oldest first
+     * @param {string} owner - "<user type>:<id>"
+     */
+    async list(owner) {
+        const items = await this.run('uploads', 'readonly', store => store.getAll());
+        return items
+            .filter(item => item.owner === owner)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    },
+
+    async get(id) {
+        return this.run('uploads', 'readonly', store => store.get(id));
+    },
+
+    async save(item) {
+        return this.run('uploads', 'readwrite', store => store.put(item));
+    },
+
+    async remove(id) {
+        return this.run('uploads', 'readwrite', store => store.delete(id));
+    },
+
+    /**
+     * Put a failed item back in line. The server keeps the rejection under
+     * the old Idempotency-Key, so it goes out as a new request (new id).
+     * @param {string} id - Item ID
+     * @returns {Object|null} - The new item
+     */
+    async retry(id) {
+        return this.amend(id, {});
+    },
+
+    /**
+     * Change the fields of a failed item (e.g. pick another driver after a
+     * conflict) and put it back in line. It becomes a new request, so it gets
+     * a new id and Idempotency-Key.
+     * @param {string} id - Item ID
+     * @param {Object} fields - Fields to change
+     * @returns {Object|null} - The new item
+     */
+    async amend(id, fields) {
+        const item = await this.get(id);
+        if (!item) return null;
+
+        const amended = {
+            ...item,
+            id: crypto.randomUUID(),
+            fields: { ...item.fields, ...fields },
+            status: 'pending',
+            last_error: null,
+            rejection: null
+        };
+        await this.run('uploads', 'readwrite', store => {
+            store.delete(id);
+            return store.put(amended);
+        });
+        return amended;
+    },
+
+    /**
+     * Mirror a portal's session for the service worker, or clear it with null
+     * @param {string} portal - driver or abastecedor
+     * @param {Object|null} session - {owner, token, refresh_token}
+     */
+    async saveSession(portal, session) {
+        return this.run('session', 'readwrite', store =>
+            session ? store.put(session, portal) : store.delete(portal));
+    },
+
+    /**
+     * Mirrored sessions by portal
+     * @returns {Object} - {driver: {owner, token, refresh_token}, ...}
+     */
+    async getSessions() {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const sessions = {};
+            const request = db.transaction('session').objectStore('session').openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return resolve(sessions);
+                sessions[cursor.key] = cursor.value;
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Mirrored session of a portal
+     * @param {string} portal - driver or abastecedor
+     * @returns {Object|undefined} - {owner, token, refresh_token, renewed}
+     */
+    async getSession(portal) {
+        return this.run('session', 'readonly', store => store.get(portal));
+    },
+
+    /**
+     * Renew a mirrored session, as access tokens only last 15 minutes. The
+     * new pair is kept marked `renewed`: the refresh token the app holds was
+     * rotated away, so the app must take this one over when it opens.
+     * Throws when offline or the server fails.
+     * @param {string} portal - driver or abastecedor
+     * @param {Object} session - {owner, token, refresh_token}
+     * @returns {Object|null} - The renewed session, or null when it is over
+     */
+    async renewSession(portal, session) {
+        if (!session.refresh_token) return null;
+
+        const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refresh_token: session.refresh_token })
+        });
+        if (response.status === 401) return null;
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        const renewed = {
+            owner: session.owner,
+            token: data.token,
+            refresh_token: data.refresh_token,
+            renewed: true
+        };
+        await this.saveSession(portal, renewed);
+        return renewed;
+    },
+
+    /**
+     * Multipart body of an item
+     * @param {Object} item - Queued item
+     * @returns {FormData}
+     */
+    formData(item) {
+        const formData = new FormData();
+        for (const [name, value] of Object.entries(item.fields)) {
+            if (value !== null && value !== undefined && value !== '') {
+                formData.append(name, value);
+            }
+        }
+        if (item.blob) {
+            formData.append(item.file_field, item.blob, `comprovante_${Date.parse(item.created_at)}.jpg`);
+        }
+        return formData;
+    },
+
+    /**
+     * POST an item with a plain fetch
+     * @param {Object} item - Queued item
+     * @param {string} token - Access token
+     * @returns {Response}
+     */
+    send(item, token) {
+        return fetch(item.endpoint, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Idempotency-Key': item.id
+            },
+            body: this.formData(item)
+        });
+    },
+
+    /**
+     * Whether a failed upload may succeed later unchanged: the session
+     * expired, the same request is still running, or the server is struggling.
+     * A 409 with a `conflict` code is the data's fault and is not retried.
+     * @param {number} status - HTTP status
+     * @param {Object} data - Response body
+     */
+    isRetryable(status, data) {
+        if (status === 409) return !data.conflict;
+        return status === 401 || status === 408 || status === 429 || status >= 500;
+    },
+
+    /**
+     * Try each pending item of an owner once, oldest first. Stops at the
+     * first network error or 401, leaving the rest for the next flush. Items
+     * the server rejects for good are kept as failed, with the response body
+     * in `rejection`, for the user to fix or discard.
+     * Calls in the same page run one after the other, never side by side.
+     * @param {string} owner - "<user type>:<id>"
+     * @param {Function} post - post(item) -> Response
+     * @returns {Object} - {sent, failed, remaining}
+     */
+    flush(owner, post) {
+        const previous = this.flushPromise || Promise.resolve();
+        const run = previous.catch(() => {}).then(() => this.flushItems(owner, post));
+        this.flushPromise = run;
+        run.catch(() => {}).finally(() => {
+            if (this.flushPromise === run) this.flushPromise = null;
+        });
+        return run;
+    },
+
+    async flushItems(owner, post) {
+        const result = { sent: 0, failed: 0, remaining: 0 };
+        const items = (await this.list(owner)).filter(item => item.status === 'pending');
+
+        for (const item of items) {
+            let response;
+            try {
+                response = await post(item);
+            } catch (error) {
+                // Offline: the rest would fail the same way
+                break;
+            }
+
+            if (response.ok) {
+                await this.remove(item.id);
+                result.sent++;
+                continue;
+            }
+
+            const data = await response.json().catch(() => ({}));
+            item.attempts++;
+            item.last_error = data.error || `HTTP ${response.status}`;
+            if (!this.isRetryable(response.status, data)) {
+                item.status = 'failed';
+                item.rejection = data;
+                result.failed++;
+            }
+            await this.save(item);
+
+            if (response.status === 401) break;
+        }
+
+        result.remaining = items.length - result.sent - result.failed;
+        return result;
+    }
+};
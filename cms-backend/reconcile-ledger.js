@@ -0,0 +1,57 @@
+/**
+ * Driver ledger reconciliation
+ *
+ * Compares driver_ledger totals with freights, abastecimentos, outros_insumos,
+ * driver_advances and payments, and lists every source row whose ledger sum
+ * differs from its current value.
+ *
+ * Usage:
+ *   npm run ledger:reconcile          Report differences (exit code 1 if any)
+ *   npm run ledger:reconcile -- --fix Append correcting entries for them
+ */
+
+require('dotenv').config();
+const DriverLedger = require('./models/driverLedger');
+
+const formatAmount = (value) => value.toFixed(2);
+
+async function main() {
+    const fix = process.argv.includes('--fix');
+    const differences = await DriverLedger.reconcile({ fix });
+
+    if (differences.length === 0) {
+        console.log('Ledger is consistent with the source tables.');
+        return 0;
+    }
+
+    for (const d of differences) {
+        console.log(
+            `driver ${d.driver_id} ${d.entry_type} #${d.source_id}: ` +
+            `ledger ${formatAmount(d.recorded)}, expected ${formatAmount(d.expected)} (delta ${formatAmount(d.delta)})`
+        );
+    }
+
+    const byDriver = new Map();
+    for (const d of differences) {
+        byDriver.set(d.driver_id, (byDriver.get(d.driver_id) || 0) + d.delta);
+    }
+    console.log('\nBalance drift per driver:');
+    for (const [driverId, delta] of byDriver) {
+        console.log(`  driver ${driverId}: ${formatAmount(delta)}`);
+    }
+
+    if (fix) {
+        console.log(`\nAppended ${differences.length} correcting entr${differences.length === 1 ? 'y' : 'ies'}.`);
+        return 0;
+    }
+
+    console.log(`\n${differences.length} difference(s) found. Run with --fix to append correcting entries.`);
+    return 1;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('Reconciliation failed:', error);
+        process.exit(1);
+    });
@@ -10,6 +10,7 @@ const Driver = require('../models/driver');
 const Abastecimento = require('../models/abastecimento');
 const OutrosInsumo = require('../models/outrosinsumo');
 const { requireAbastecedor } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { uploadToBlob } = require('../utils/blobStorage');
 
 // Configure multer with memory storage for Vercel Blob
@@ -135,11 +136,41 @@ router.get('/validate-plate/:plate', async (req, res) => {
     }
 });
 
+/**
+ * Check that a submission's driver and plate still go together. The app
+ * queues entries offline against its cached plate list, so what changed
+ * since is reported as 409 with a `conflict` code for the app to show:
+ * driver_inactive, plate_inactive (no active driver has the plate anymore)
+ * or plate_reassigned (`drivers` lists who has it now).
+ * @param {Object} driver - Driver row
+ * @param {string} plate - Plate of the submission, optional
+ * @returns {Object|null} - 409 response body, or null when consistent
+ */
+async function findSubmissionConflict(driver, plate) {
+    if (!driver.active || !driver.authenticated) {
+        return { error: `${driver.name} não está mais ativo. Confira o motorista.`, conflict: 'driver_inactive' };
+    }
+    if (!plate || Driver.hasPlate(driver, plate)) {
+        return null;
+    }
+
+    const drivers = await Driver.findAllByPlate(plate);
+    if (drivers.length === 0) {
+        return { error: `A placa ${plate} foi desativada.`, conflict: 'plate_inactive' };
+    }
+    return {
+        error: `A placa ${plate} não está mais vinculada a ${driver.name}.`,
+        conflict: 'plate_reassigned',
+        drivers: drivers.map(d => ({ id: d.id, name: d.name }))
+    };
+}
+
 /**
  * POST /api/abastecedor/abastecimento
- * Submit a new abastecimento record
+ * Submit a new abastecimento record. Accepts an Idempotency-Key header so
+ * entries queued offline can be retried safely.
  */
-router.post('/abastecimento', upload.single('comprovante'), async (req, res) => {
+router.post('/abastecimento', upload.single('comprovante'), idempotent(), async (req, res) => {
     try {
         const { driver_id, plate, date, liters } = req.body;
 
@@ -156,6 +187,11 @@ router.post('/abastecimento', upload.single('comprovante'), async (req, res) =>
             return res.status(404).json({ error: 'Driver not found' });
         }
 
+        const conflict = await findSubmissionConflict(driver, plate);
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
+
         // Handle file upload
         let comprovante_abastecimento = null;
         if (req.file) {
@@ -190,9 +226,9 @@ router.post('/abastecimento', upload.single('comprovante'), async (req, res) =>
 
 /**
  * POST /api/abastecedor/outros-insumos
- * Submit a new outros insumos record
+ * Submit a new outros insumos record (same offline handling as abastecimento)
  */
-router.post('/outros-insumos', upload.single('comprovante'), async (req, res) => {
+router.post('/outros-insumos', upload.single('comprovante'), idempotent(), async (req, res) => {
     try {
         const { driver_id, plate, date, quantity, description } = req.body;
 
@@ -209,6 +245,11 @@ router.post('/outros-insumos', upload.single('comprovante'), async (req, res) =>
             return res.status(404).json({ error: 'Driver not found' });
         }
 
+        const conflict = await findSubmissionConflict(driver, plate);
+        if (conflict) {
+            return res.status(409).json(conflict);
+        }
+
         // Handle file upload
         let comprovante = null;
         if (req.file) {
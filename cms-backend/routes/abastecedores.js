@@ -1,24 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const Abastecedor = require('../models/abastecedor');
-const { requireAdmin } = require('../middleware/auth');
+const Session = require('../models/session');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
 const { isValidCPF } = require('../utils/validators');
+const { issuePasswordLink } = require('../utils/passwordLinks');
 
 // All routes require admin authentication
 router.use(requireAdmin);
 
 /**
  * POST /api/admin/abastecedores
- * Create a new abastecedor
+ * Create a new abastecedor. Without a password the abastecedor cannot log in
+ * until they use an invite link (PATCH /:id/reset-password)
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('users:write'), async (req, res) => {
     try {
         const { name, cpf, password, phone } = req.body;
 
-        // Validate input
-        if (!name || !cpf || !password) {
+        // Validate input - password is optional
+        if (!name || !cpf) {
             return res.status(400).json({
-                error: 'Nome, CPF e senha são obrigatórios'
+                error: 'Nome e CPF são obrigatórios'
             });
         }
 
@@ -56,7 +59,7 @@ router.post('/', async (req, res) => {
  * GET /api/admin/abastecedores
  * List all abastecedores
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('users:read'), async (req, res) => {
     try {
         const activeOnly = req.query.active === 'true';
         const abastecedores = await Abastecedor.findAll(activeOnly);
@@ -78,7 +81,7 @@ router.get('/', async (req, res) => {
  * GET /api/admin/abastecedores/:id
  * Get abastecedor by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('users:read'), async (req, res) => {
     try {
         const abastecedor = await Abastecedor.findById(req.params.id);
         if (!abastecedor) {
@@ -97,7 +100,7 @@ router.get('/:id', async (req, res) => {
  * PUT /api/admin/abastecedores/:id
  * Update abastecedor
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('users:write'), async (req, res) => {
     try {
         const abastecedor = await Abastecedor.findById(req.params.id);
         if (!abastecedor) {
@@ -144,7 +147,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/admin/abastecedores/:id
  * Deactivate abastecedor (soft delete)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('users:write'), async (req, res) => {
     try {
         const abastecedor = await Abastecedor.findById(req.params.id);
         if (!abastecedor) {
@@ -152,6 +155,7 @@ router.delete('/:id', async (req, res) => {
         }
 
         await Abastecedor.update(req.params.id, { active: false });
+        await Session.revokeAllForUser('abastecedor', abastecedor.id);
         res.json({ message: 'Abastecedor deactivated successfully' });
     } catch (error) {
         console.error('Delete abastecedor error:', error);
@@ -159,4 +163,48 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/admin/abastecedores/:id/revoke-sessions
+ * Log the abastecedor out on every device
+ */
+router.post('/:id/revoke-sessions', requirePermission('users:write'), async (req, res) => {
+    try {
+        const abastecedor = await Abastecedor.findById(req.params.id);
+        if (!abastecedor) {
+            return res.status(404).json({ error: 'Abastecedor not found' });
+        }
+
+        const revoked = await Session.revokeAllForUser('abastecedor', abastecedor.id);
+        res.json({ message: 'Sessions revoked', revoked });
+    } catch (error) {
+        console.error('Revoke abastecedor sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /api/admin/abastecedores/:id/reset-password
+ * Issue a one-time set-password link (invite if the abastecedor has no password yet).
+ * Body {send: true} also sends it to the abastecedor's WhatsApp
+ */
+router.patch('/:id/reset-password', requirePermission('users:write'), async (req, res) => {
+    try {
+        const abastecedor = await Abastecedor.findById(req.params.id);
+        if (!abastecedor) {
+            return res.status(404).json({ error: 'Abastecedor não encontrado' });
+        }
+
+        const send = !!(req.body && req.body.send);
+        if (send && !abastecedor.phone) {
+            return res.status(400).json({ error: 'Abastecedor não possui telefone cadastrado' });
+        }
+
+        const result = await issuePasswordLink(req, 'abastecedor', abastecedor, send);
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Reset abastecedor password error:', error);
+        res.status(500).json({ error: 'Erro ao gerar link de senha' });
+    }
+});
+
 module.exports = router;
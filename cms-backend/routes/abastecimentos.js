@@ -3,9 +3,11 @@ const multer = require('multer');
 const path = require('path');
 const Abastecimento = require('../models/abastecimento');
 const Driver = require('../models/driver');
-const { requireAdmin, requireDriver } = require('../middleware/auth');
+const { requireAdmin, requirePermission, requireDriver } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { isValidDate, isPositiveNumber } = require('../utils/validators');
 const { uploadToBlob } = require('../utils/blobStorage');
+const { EXPORT_FORMATS, sendSpreadsheet } = require('../utils/spreadsheet');
 
 // Configure multer with memory storage for Vercel Blob
 const memoryStorage = multer.memoryStorage();
@@ -29,6 +31,20 @@ const upload = multer({
     limits: { fileSize: 15 * 1024 * 1024 } // 15MB limit for PDFs
 });
 
+// Spreadsheet columns for ?format=csv|xlsx
+const ABASTECIMENTO_EXPORT_COLUMNS = [
+    { header: 'ID', value: a => a.id, type: 'number', width: 8 },
+    { header: 'Data', value: a => a.date, type: 'date', width: 12 },
+    { header: 'Motorista', value: a => a.driver_name, width: 25 },
+    { header: 'Placa', value: a => a.plate || a.driver_plate, width: 10 },
+    { header: 'Cliente', value: a => a.client, width: 25 },
+    { header: 'Litros', value: a => a.quantity, type: 'decimal' },
+    { header: 'Preço/L', value: a => a.price_per_liter, type: 'currency' },
+    { header: 'Valor', value: a => a.total_value, type: 'currency' },
+    { header: 'Status', value: a => a.status === 'complete' ? 'Concluído' : 'Pendente', width: 12 },
+    { header: 'Pago', value: a => a.paid ? 'Sim' : 'Não', width: 8 }
+];
+
 // ============================================
 // ADMIN ROUTES - /api/admin/abastecimentos
 // ============================================
@@ -39,7 +55,7 @@ adminRouter.use(requireAdmin);
  * POST /api/admin/abastecimentos
  * Create abastecimento for a driver (admin only)
  */
-adminRouter.post('/', upload.single('comprovante_abastecimento'), async (req, res) => {
+adminRouter.post('/', requirePermission('abastecimentos:write'), upload.single('comprovante_abastecimento'), idempotent(), async (req, res) => {
     try {
         const { driver_id, date, quantity, price_per_liter, plate } = req.body;
 
@@ -97,18 +113,31 @@ adminRouter.post('/', upload.single('comprovante_abastecimento'), async (req, re
 });
 
 /**
- * GET /api/admin/abastecimentos
- * List all abastecimentos with optional filters
+ * GET /api/admin/abastecimentos?driver_id=&date_from=&date_to=&status=&format=csv|xlsx
+ * List all abastecimentos with optional filters, or download them as a spreadsheet
  */
-adminRouter.get('/', async (req, res) => {
+adminRouter.get('/', requirePermission('abastecimentos:read'), async (req, res) => {
     try {
+        if (req.query.format !== undefined && !EXPORT_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
         const filters = {
             driver_id: req.query.driver_id,
             date_from: req.query.date_from,
-            date_to: req.query.date_to
+            date_to: req.query.date_to,
+            status: req.query.status
         };
 
         const abastecimentos = await Abastecimento.findAll(filters);
+        if (req.query.format) {
+            return sendSpreadsheet(res, req.query.format, {
+                filename: 'Abastecimentos',
+                sheetName: 'Abastecimentos',
+                columns: ABASTECIMENTO_EXPORT_COLUMNS,
+                rows: abastecimentos
+            });
+        }
         res.json(abastecimentos);
     } catch (error) {
         console.error('List abastecimentos error:', error);
@@ -120,7 +149,7 @@ adminRouter.get('/', async (req, res) => {
  * GET /api/admin/abastecimentos/:id
  * Get abastecimento by ID
  */
-adminRouter.get('/:id', async (req, res) => {
+adminRouter.get('/:id', requirePermission('abastecimentos:read'), async (req, res) => {
     try {
         const abastecimento = await Abastecimento.findById(req.params.id);
         if (!abastecimento) {
@@ -135,9 +164,9 @@ adminRouter.get('/:id', async (req, res) => {
 
 /**
  * DELETE /api/admin/abastecimentos/:id
- * Delete abastecimento
+ * Delete abastecimento, unless a payment settled it
  */
-adminRouter.delete('/:id', async (req, res) => {
+adminRouter.delete('/:id', requirePermission('abastecimentos:write'), async (req, res) => {
     try {
         const abastecimento = await Abastecimento.findById(req.params.id);
         if (!abastecimento) {
@@ -147,6 +176,10 @@ adminRouter.delete('/:id', async (req, res) => {
         await Abastecimento.delete(req.params.id);
         res.json({ message: 'Abastecimento deleted successfully' });
     } catch (error) {
+        // Settled by a payment
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Delete abastecimento error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -154,9 +187,10 @@ adminRouter.delete('/:id', async (req, res) => {
 
 /**
  * PUT /api/admin/abastecimentos/:id
- * Update abastecimento (for completing pending abastecimentos)
+ * Update abastecimento (for completing pending abastecimentos). A paid one
+ * keeps its driver, quantity, price and status.
  */
-adminRouter.put('/:id', upload.single('comprovante_abastecimento'), async (req, res) => {
+adminRouter.put('/:id', requirePermission('abastecimentos:write'), upload.single('comprovante_abastecimento'), async (req, res) => {
     try {
         const abastecimentoId = parseInt(req.params.id);
         const abastecimento = await Abastecimento.findById(abastecimentoId);
@@ -193,6 +227,10 @@ adminRouter.put('/:id', upload.single('comprovante_abastecimento'), async (req,
         const updated = await Abastecimento.update(abastecimentoId, updateData);
         res.json(updated);
     } catch (error) {
+        // Settled by a payment
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Update abastecimento error:', error);
         res.status(500).json({ error: error.message || 'Internal server error' });
     }
@@ -0,0 +1,152 @@
+const express = require('express');
+const router = express.Router();
+const Admin = require('../models/admin');
+const Session = require('../models/session');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { ROLES } = require('../config/permissions');
+const { isValidAdminPassword } = require('../utils/validators');
+
+const PASSWORD_ERROR = 'A senha deve ter pelo menos 8 caracteres e ser diferente da senha padrão';
+
+// All routes require an admin allowed to manage the team
+router.use(requireAdmin);
+router.use(requirePermission('admins:manage'));
+
+/**
+ * Whether a change would leave no active owner to manage the team
+ * @param {Object} admin - Admin being changed
+ * @param {Object} changes - {role, active}
+ * @returns {boolean}
+ */
+async function removesLastOwner(admin, changes) {
+    const stillOwner = (changes.role === undefined ? admin.role : changes.role) === 'owner'
+        && (changes.active === undefined ? !!admin.active : !!changes.active);
+    if (admin.role !== 'owner' || !admin.active || stillOwner) {
+        return false;
+    }
+
+    const admins = await Admin.findAll();
+    return !admins.some(a => a.id !== admin.id && a.role === 'owner' && a.active);
+}
+
+/**
+ * GET /api/admin/users
+ * List admin users
+ */
+router.get('/', async (req, res) => {
+    try {
+        const admins = await Admin.findAll();
+        res.json(admins);
+    } catch (error) {
+        console.error('List admins error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/users/roles
+ * Available roles with their labels and permissions
+ */
+router.get('/roles', (req, res) => {
+    res.json(Object.entries(ROLES).map(([key, role]) => ({
+        key,
+        label: role.label,
+        permissions: role.permissions
+    })));
+});
+
+/**
+ * POST /api/admin/users
+ * Create an admin user. The password is temporary: it must be changed on first login.
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+
+        if (!username || !password || !role) {
+            return res.status(400).json({ error: 'Usuário, senha e perfil são obrigatórios' });
+        }
+        if (!ROLES[role]) {
+            return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+        }
+        if (!isValidAdminPassword(password)) {
+            return res.status(400).json({ error: PASSWORD_ERROR });
+        }
+
+        const usernameClean = String(username).trim();
+        const existing = await Admin.findByUsername(usernameClean);
+        if (existing) {
+            return res.status(409).json({ error: 'Usuário já cadastrado' });
+        }
+
+        const admin = await Admin.create(usernameClean, password, role);
+        res.status(201).json(admin);
+    } catch (error) {
+        console.error('Create admin error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/admin/users/:id
+ * Change an admin's role and/or active flag. Deactivating ends their sessions.
+ */
+router.put('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const admin = await Admin.findById(id);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        const { role, active } = req.body;
+        if (role !== undefined && !ROLES[role]) {
+            return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLES).join(', ')}` });
+        }
+        if (id === req.admin.id && ((role !== undefined && role !== admin.role) || (active !== undefined && !active))) {
+            return res.status(400).json({ error: 'Você não pode alterar o próprio perfil nem se desativar' });
+        }
+        if (await removesLastOwner(admin, { role, active })) {
+            return res.status(400).json({ error: 'É preciso manter pelo menos um administrador ativo' });
+        }
+
+        const updated = await Admin.update(id, { role, active });
+        if (active !== undefined && !active) {
+            await Session.revokeAllForUser('admin', id);
+        }
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Update admin error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id/reset-password
+ * Set a temporary password; the admin must change it on next login
+ */
+router.patch('/:id/reset-password', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const admin = await Admin.findById(id);
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found' });
+        }
+
+        const { new_password } = req.body;
+        if (!isValidAdminPassword(new_password)) {
+            return res.status(400).json({ error: PASSWORD_ERROR });
+        }
+
+        await Admin.updatePassword(id, new_password, true);
+        await Session.revokeAllForUser('admin', id);
+
+        res.json({ success: true, message: 'Senha redefinida' });
+    } catch (error) {
+        console.error('Reset admin password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
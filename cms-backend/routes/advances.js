@@ -0,0 +1,118 @@
+const express = require('express');
+const Advance = require('../models/advance');
+const Driver = require('../models/driver');
+const { requireAdmin, requirePermission, requireDriver } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { isValidDate, isPositiveNumber } = require('../utils/validators');
+
+const ADVANCE_KINDS = ['advance', 'installment'];
+
+// ============================================
+// ADMIN ROUTES - /api/admin/advances
+// ============================================
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+/**
+ * POST /api/admin/advances
+ * Record an advance (adiantamento) or installment paid to a driver.
+ * It is deducted automatically from the driver's next payment(s).
+ */
+adminRouter.post('/', requirePermission('advances:write'), idempotent(), async (req, res) => {
+    try {
+        const { driver_id, date, kind, amount, description } = req.body;
+
+        if (!driver_id || !date || amount === undefined) {
+            return res.status(400).json({ error: 'driver_id, date, and amount are required' });
+        }
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        if (!isPositiveNumber(parseFloat(amount))) {
+            return res.status(400).json({ error: 'amount must be a positive number' });
+        }
+
+        if (kind !== undefined && !ADVANCE_KINDS.includes(kind)) {
+            return res.status(400).json({ error: `kind must be one of: ${ADVANCE_KINDS.join(', ')}` });
+        }
+
+        const driver = await Driver.findById(driver_id);
+        if (!driver) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        const advance = await Advance.create({ driver_id, date, kind, amount: parseFloat(amount), description });
+        res.status(201).json(advance);
+    } catch (error) {
+        console.error('Create advance error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/advances?driver_id=
+ * List a driver's advances with applied and remaining amounts
+ */
+adminRouter.get('/', requirePermission('advances:read'), async (req, res) => {
+    try {
+        const driverId = parseInt(req.query.driver_id);
+        if (!driverId) {
+            return res.status(400).json({ error: 'driver_id is required' });
+        }
+
+        const advances = await Advance.findByDriver(driverId);
+        res.json(advances);
+    } catch (error) {
+        console.error('List advances error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/admin/advances/:id
+ * Delete an advance that no payment has deducted yet
+ */
+adminRouter.delete('/:id', requirePermission('advances:write'), async (req, res) => {
+    try {
+        const advance = await Advance.findById(parseInt(req.params.id));
+        if (!advance) {
+            return res.status(404).json({ error: 'Advance not found' });
+        }
+
+        if (advance.applied_amount > 0) {
+            return res.status(409).json({
+                error: 'Advance was already deducted by a payment. Delete the payment first.'
+            });
+        }
+
+        await Advance.delete(advance.id);
+        res.json({ message: 'Advance deleted successfully' });
+    } catch (error) {
+        console.error('Delete advance error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// DRIVER ROUTES - /api/driver/advances
+// ============================================
+const driverRouter = express.Router();
+driverRouter.use(requireDriver);
+
+/**
+ * GET /api/driver/advances
+ * Get logged-in driver's advances
+ */
+driverRouter.get('/', async (req, res) => {
+    try {
+        const advances = await Advance.findByDriver(req.driver.id);
+        res.json({ advances });
+    } catch (error) {
+        console.error('Get driver advances error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = { adminRouter, driverRouter };
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/auditLog');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { isValidDate } = require('../utils/validators');
+
+const MAX_PAGE_SIZE = 500;
+
+// All routes require admin authentication
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/audit
+ * Audit trail, newest first.
+ * Filters: entity, entity_id, actor_type, actor_id, action, date_from, date_to;
+ * paging: limit (default 100, max 500), offset
+ */
+router.get('/', requirePermission('audit:read'), async (req, res) => {
+    try {
+        const { entity, entity_id, actor_type, actor_id, action, date_from, date_to } = req.query;
+
+        if (action && !AuditLog.ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `action must be one of: ${AuditLog.ACTIONS.join(', ')}` });
+        }
+        if ((date_from && !isValidDate(date_from)) || (date_to && !isValidDate(date_to))) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 100, MAX_PAGE_SIZE);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const result = await AuditLog.findAll({
+            entity,
+            entity_id: entity_id ? parseInt(entity_id) : undefined,
+            actor_type,
+            actor_id: actor_id ? parseInt(actor_id) : undefined,
+            action,
+            date_from,
+            date_to,
+            limit,
+            offset
+        });
+
+        res.json({ ...result, limit, offset });
+    } catch (error) {
+        console.error('List audit log error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -4,9 +4,48 @@ const Driver = require('../models/driver');
 const Admin = require('../models/admin');
 const Abastecedor = require('../models/abastecedor');
 const Cliente = require('../models/cliente');
-const { isValidPlate, normalizePlate, isValidCPF } = require('../utils/validators');
-const { generateToken, verifyToken } = require('../middleware/auth');
-const { sendWhatsAppVerificationCode, verifyWhatsAppCode } = require('../utils/twilioService');
+const { isValidPlate, normalizePlate, isValidCPF, isValidAdminPassword, isValidUserPassword } = require('../utils/validators');
+const { ROLES } = require('../config/permissions');
+const Session = require('../models/session');
+const PasswordToken = require('../models/passwordToken');
+const {
+    createSession, generateToken, authenticate, isAccountActive, verifyToken, extractToken, ACCESS_TOKEN_EXPIRES_IN
+} = require('../middleware/auth');
+const { loginThrottle } = require('../middleware/loginThrottle');
+const { sendVerificationCode, checkVerificationCode, consumeVerificationCode } = require('../utils/notifications');
+
+// Access token contents per user type (also rebuilt on every refresh)
+const TOKEN_PAYLOADS = {
+    admin: admin => ({ id: admin.id, username: admin.username }),
+    driver: driver => ({ id: driver.id, name: driver.name, plate: driver.plate }),
+    abastecedor: abastecedor => ({ id: abastecedor.id, name: abastecedor.name, cpf: abastecedor.cpf }),
+    cliente: cliente => ({ id: cliente.id, name: cliente.name, empresa: cliente.empresa, cpf: cliente.cpf })
+};
+
+// Shown whenever a driver, abastecedor or cliente password fails isValidUserPassword
+const USER_PASSWORD_ERROR = 'A senha deve ter pelo menos 8 caracteres, com letras e números, e não pode conter partes do CPF';
+
+const USER_MODELS = {
+    admin: Admin,
+    driver: Driver,
+    abastecedor: Abastecedor,
+    cliente: Cliente
+};
+
+/**
+ * Admin fields the admin UI needs (role, permissions, pending password change)
+ * @param {Object} admin - Admin row or decoded admin token
+ * @returns {Object}
+ */
+function adminProfile(admin) {
+    return {
+        id: admin.id,
+        username: admin.username,
+        role: admin.role,
+        permissions: ROLES[admin.role] ? ROLES[admin.role].permissions : [],
+        must_change_password: !!admin.must_change_password
+    };
+}
 
 /**
  * POST /api/auth/driver/signup
@@ -26,15 +65,15 @@ router.post('/driver/signup', async (req, res) => {
             return res.status(400).json({ error: 'Nome deve ter pelo menos 2 caracteres' });
         }
 
-        if (password.length < 4) {
-            return res.status(400).json({ error: 'Senha deve ter pelo menos 4 caracteres' });
-        }
-
         // Validate CPF (digits and checksum)
         if (!isValidCPF(cpf)) {
             return res.status(400).json({ error: 'CPF inválido. Verifique os números.' });
         }
 
+        if (!isValidUserPassword(password, cpf)) {
+            return res.status(400).json({ error: USER_PASSWORD_ERROR });
+        }
+
         // Validate phone format (at least 10 digits)
         const phoneClean = phone.replace(/\D/g, '');
         const cpfClean = cpf.replace(/\D/g, '');
@@ -79,16 +118,12 @@ router.post('/driver/signup', async (req, res) => {
             cpf: cpfClean
         });
 
-        // Generate JWT token for immediate login
-        const token = generateToken({
-            id: driver.id,
-            name: driver.name,
-            plate: driver.plate
-        }, 'driver');
+        // Open a session (access + refresh token) for immediate login
+        const tokens = await createSession(TOKEN_PAYLOADS.driver(driver), 'driver', req);
 
         res.status(201).json({
             message: 'Sign-up successful',
-            token,
+            ...tokens,
             driver: {
                 id: driver.id,
                 name: driver.name,
@@ -106,7 +141,7 @@ router.post('/driver/signup', async (req, res) => {
  * Driver login with CPF and password
  * Returns JWT token
  */
-router.post('/driver/login', async (req, res) => {
+router.post('/driver/login', loginThrottle('login'), async (req, res) => {
     try {
         const { cpf, password } = req.body;
 
@@ -132,16 +167,12 @@ router.post('/driver/login', async (req, res) => {
             return res.status(401).json({ error: 'Conta do motorista está inativa' });
         }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: driver.id,
-            name: driver.name,
-            plate: driver.plate
-        }, 'driver');
+        // Open a session (access + refresh token)
+        const tokens = await createSession(TOKEN_PAYLOADS.driver(driver), 'driver', req);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...tokens,
             driver: {
                 id: driver.id,
                 name: driver.name,
@@ -159,7 +190,7 @@ router.post('/driver/login', async (req, res) => {
  * Unified login - tries all user types (driver, abastecedor, cliente)
  * Returns JWT token and user type for routing
  */
-router.post('/unified/login', async (req, res) => {
+router.post('/unified/login', loginThrottle('login'), async (req, res) => {
     try {
         const { cpf, password } = req.body;
 
@@ -181,15 +212,11 @@ router.post('/unified/login', async (req, res) => {
                 return res.status(401).json({ error: 'Conta do motorista está inativa' });
             }
 
-            const token = generateToken({
-                id: driver.id,
-                name: driver.name,
-                plate: driver.plate
-            }, 'driver');
+            const tokens = await createSession(TOKEN_PAYLOADS.driver(driver), 'driver', req);
 
             return res.json({
                 message: 'Login successful',
-                token,
+                ...tokens,
                 userType: 'motorista',
                 user: {
                     id: driver.id,
@@ -207,15 +234,11 @@ router.post('/unified/login', async (req, res) => {
                 return res.status(401).json({ error: 'Conta de abastecedor inativa' });
             }
 
-            const token = generateToken({
-                id: abastecedor.id,
-                name: abastecedor.name,
-                cpf: abastecedor.cpf
-            }, 'abastecedor');
+            const tokens = await createSession(TOKEN_PAYLOADS.abastecedor(abastecedor), 'abastecedor', req);
 
             return res.json({
                 message: 'Login successful',
-                token,
+                ...tokens,
                 userType: 'abastecedor',
                 user: {
                     id: abastecedor.id,
@@ -231,16 +254,11 @@ router.post('/unified/login', async (req, res) => {
                 return res.status(401).json({ error: 'Conta de cliente inativa' });
             }
 
-            const token = generateToken({
-                id: cliente.id,
-                name: cliente.name,
-                empresa: cliente.empresa,
-                cpf: cliente.cpf
-            }, 'cliente');
+            const tokens = await createSession(TOKEN_PAYLOADS.cliente(cliente), 'cliente', req);
 
             return res.json({
                 message: 'Login successful',
-                token,
+                ...tokens,
                 userType: 'cliente',
                 user: {
                     id: cliente.id,
@@ -264,7 +282,7 @@ router.post('/unified/login', async (req, res) => {
  * Admin login with username and password
  * Returns JWT token
  */
-router.post('/admin/login', async (req, res) => {
+router.post('/admin/login', loginThrottle('login'), async (req, res) => {
     try {
         const { username, password } = req.body;
 
@@ -278,20 +296,17 @@ router.post('/admin/login', async (req, res) => {
         if (!admin) {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
+        if (!admin.active) {
+            return res.status(401).json({ error: 'Account is inactive' });
+        }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: admin.id,
-            username: admin.username
-        }, 'admin');
+        // Open a session (access + refresh token)
+        const tokens = await createSession(TOKEN_PAYLOADS.admin(admin), 'admin', req);
 
         res.json({
             message: 'Login successful',
-            token,
-            admin: {
-                id: admin.id,
-                username: admin.username
-            }
+            ...tokens,
+            admin: adminProfile(admin)
         });
     } catch (error) {
         console.error('Admin login error:', error);
@@ -299,12 +314,46 @@ router.post('/admin/login', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/auth/admin/change-password
+ * Change the logged-in admin's password. Also the way out of a forced
+ * change (first login, or after a reset), so it skips requireAdmin.
+ */
+router.post('/admin/change-password', async (req, res) => {
+    try {
+        const { decoded, error } = await authenticate(req, 'admin', 'Admin authentication required');
+        if (error) {
+            return res.status(401).json({ error });
+        }
+
+        const { current_password, new_password } = req.body;
+        if (!current_password || !new_password) {
+            return res.status(400).json({ error: 'Senha atual e nova senha são obrigatórias' });
+        }
+        if (!(await Admin.checkPassword(decoded.id, current_password))) {
+            return res.status(401).json({ error: 'Senha atual incorreta' });
+        }
+        if (!isValidAdminPassword(new_password) || new_password === current_password) {
+            return res.status(400).json({
+                error: 'A nova senha deve ter pelo menos 8 caracteres e ser diferente da atual e da senha padrão'
+            });
+        }
+
+        await Admin.updatePassword(decoded.id, new_password);
+
+        res.json({ success: true, message: 'Senha alterada com sucesso' });
+    } catch (error) {
+        console.error('Admin change password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * POST /api/auth/abastecedor/login
  * Abastecedor login with CPF and password
  * Returns JWT token
  */
-router.post('/abastecedor/login', async (req, res) => {
+router.post('/abastecedor/login', loginThrottle('login'), async (req, res) => {
     try {
         const { cpf, password } = req.body;
 
@@ -332,16 +381,12 @@ router.post('/abastecedor/login', async (req, res) => {
             return res.status(401).json({ error: 'Conta de abastecedor inativa' });
         }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: abastecedor.id,
-            name: abastecedor.name,
-            cpf: abastecedor.cpf
-        }, 'abastecedor');
+        // Open a session (access + refresh token)
+        const tokens = await createSession(TOKEN_PAYLOADS.abastecedor(abastecedor), 'abastecedor', req);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...tokens,
             abastecedor: {
                 id: abastecedor.id,
                 name: abastecedor.name
@@ -358,22 +403,22 @@ router.post('/abastecedor/login', async (req, res) => {
  * Verify token and return user info
  */
 router.get('/verify', async (req, res) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ valid: false, error: 'No token provided' });
-    }
-
-    const token = authHeader.substring(7);
-    const decoded = verifyToken(token);
-
-    if (!decoded) {
-        return res.status(401).json({ valid: false, error: 'Invalid or expired token' });
+    let decoded;
+    try {
+        const result = await authenticate(req, null);
+        if (result.error) {
+            return res.status(401).json({ valid: false, error: result.error });
+        }
+        decoded = result.decoded;
+    } catch (error) {
+        console.error('Verify token error:', error);
+        return res.status(500).json({ valid: false, error: 'Internal server error' });
     }
 
     let user = { id: decoded.id };
 
     if (decoded.type === 'admin') {
-        user.username = decoded.username;
+        user = adminProfile(decoded);
     } else if (decoded.type === 'driver') {
         // Fetch fresh driver data from database to get current authenticated status
         try {
@@ -411,11 +456,110 @@ router.get('/verify', async (req, res) => {
     });
 });
 
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * Each refresh token works once; the previous one stops working.
+ */
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+        if (!refresh_token) {
+            return res.status(400).json({ error: 'refresh_token is required' });
+        }
+
+        const { session, refreshToken, error } = await Session.rotate(refresh_token);
+        if (error) {
+            return res.status(401).json({ error: 'Session ended, please log in again' });
+        }
+
+        const user = await USER_MODELS[session.user_type].findById(session.user_id);
+        if (!user || !(await isAccountActive(session.user_type, session.user_id))) {
+            await Session.revoke(session.id);
+            return res.status(401).json({ error: 'Account is inactive' });
+        }
+
+        const payload = { ...TOKEN_PAYLOADS[session.user_type](user), sid: session.id };
+        res.json({
+            token: generateToken(payload, session.user_type),
+            refresh_token: refreshToken,
+            expires_in: ACCESS_TOKEN_EXPIRES_IN
+        });
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session. Accepts the access token (Authorization header,
+ * expired tokens included) or the refresh token in the body.
+ */
+router.post('/logout', async (req, res) => {
+    try {
+        let sessionId = null;
+
+        const token = extractToken(req);
+        const decoded = token ? verifyToken(token, { ignoreExpiration: true }) : null;
+        if (decoded && decoded.sid) {
+            sessionId = decoded.sid;
+        } else if (req.body && req.body.refresh_token) {
+            const session = await Session.findByRefreshToken(req.body.refresh_token);
+            sessionId = session ? session.id : null;
+        }
+
+        if (sessionId) {
+            await Session.revoke(sessionId);
+        }
+
+        res.json({ message: 'Logged out' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Verification code subject for a user's password reset
+ * @param {string} userType - driver, abastecedor or cliente
+ * @param {number} id - User ID
+ * @returns {string}
+ */
+function resetCodeSubject(userType, id) {
+    return `password_reset:${userType}:${id}`;
+}
+
+/**
+ * Refuse a code request made during the resend cooldown
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until a new code can be sent
+ */
+function codeCooldown(res, retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+        error: `Aguarde ${retryAfter} segundo(s) para pedir um novo código`,
+        retry_after: retryAfter
+    });
+}
+
+/**
+ * Message for a rejected verification code
+ * @param {string} status - Status from checkVerificationCode
+ * @returns {string}
+ */
+function codeErrorMessage(status) {
+    if (status === 'max_attempts_reached') {
+        return 'Muitas tentativas incorretas. Solicite um novo código.';
+    }
+    return 'Código inválido ou expirado';
+}
+
 /**
  * POST /api/auth/driver/forgot-password
- * Request password reset - sends SMS code to driver's phone
+ * Request password reset - sends a WhatsApp code to driver's phone
  */
-router.post('/driver/forgot-password', async (req, res) => {
+router.post('/driver/forgot-password', loginThrottle('reset', { everyAttempt: true }), async (req, res) => {
     try {
         const { cpf } = req.body;
 
@@ -439,8 +583,11 @@ router.post('/driver/forgot-password', async (req, res) => {
             return res.status(400).json({ error: 'Motorista não possui telefone cadastrado' });
         }
 
-        // Send verification code via WhatsApp or SMS
-        const result = await sendWhatsAppVerificationCode(driver.phone);
+        // Send verification code (WhatsApp, or SMS with Twilio Verify)
+        const result = await sendVerificationCode(driver.phone, resetCodeSubject('driver', driver.id));
+        if (!result.success) {
+            return codeCooldown(res, result.retryAfter);
+        }
 
         // Mask phone number for response (show only last 4 digits)
         const maskedPhone = '***' + driver.phone.slice(-4);
@@ -459,9 +606,9 @@ router.post('/driver/forgot-password', async (req, res) => {
 
 /**
  * POST /api/auth/driver/verify-reset-code
- * Verify the SMS code
+ * Verify the WhatsApp code
  */
-router.post('/driver/verify-reset-code', async (req, res) => {
+router.post('/driver/verify-reset-code', loginThrottle('reset', { failureStatuses: [400, 404] }), async (req, res) => {
     try {
         const { cpf, code } = req.body;
 
@@ -478,11 +625,11 @@ router.post('/driver/verify-reset-code', async (req, res) => {
             return res.status(404).json({ error: 'CPF não encontrado' });
         }
 
-        // Verify code with WhatsApp
-        const result = await verifyWhatsAppCode(driver.phone, code);
+        // Check the code sent by forgot-password
+        const result = await checkVerificationCode(driver.phone, resetCodeSubject('driver', driver.id), code);
 
         if (!result.valid) {
-            return res.status(400).json({ error: 'Código inválido ou expirado' });
+            return res.status(400).json({ error: codeErrorMessage(result.status) });
         }
 
         res.json({
@@ -498,18 +645,14 @@ router.post('/driver/verify-reset-code', async (req, res) => {
 /**
  * POST /api/auth/driver/reset-password
  * Reset password after code verification
- * Note: Code was already verified in verify-reset-code step
+ * Requires the code checked by verify-reset-code (usable once)
  */
-router.post('/driver/reset-password', async (req, res) => {
+router.post('/driver/reset-password', loginThrottle('reset', { failureStatuses: [400, 404] }), async (req, res) => {
     try {
-        const { cpf, newPassword } = req.body;
-
-        if (!cpf || !newPassword) {
-            return res.status(400).json({ error: 'CPF e nova senha são obrigatórios' });
-        }
+        const { cpf, code, newPassword } = req.body;
 
-        if (newPassword.length < 4) {
-            return res.status(400).json({ error: 'Senha deve ter pelo menos 4 caracteres' });
+        if (!cpf || !code || !newPassword) {
+            return res.status(400).json({ error: 'CPF, código e nova senha são obrigatórios' });
         }
 
         // Clean CPF
@@ -521,8 +664,17 @@ router.post('/driver/reset-password', async (req, res) => {
             return res.status(404).json({ error: 'CPF não encontrado' });
         }
 
-        // Update password (code was already verified in previous step)
+        if (!isValidUserPassword(newPassword, driver.cpf)) {
+            return res.status(400).json({ error: USER_PASSWORD_ERROR });
+        }
+
+        // The code verified in the previous step, used up here
+        if (!(await consumeVerificationCode(resetCodeSubject('driver', driver.id), code))) {
+            return res.status(400).json({ error: 'Código inválido ou expirado. Solicite um novo código.' });
+        }
+
         await Driver.updatePassword(driver.id, newPassword);
+        await Session.revokeAllForUser('driver', driver.id);
 
         res.json({
             success: true,
@@ -540,9 +692,9 @@ router.post('/driver/reset-password', async (req, res) => {
 
 /**
  * POST /api/auth/abastecedor/forgot-password
- * Request password reset - sends SMS code to abastecedor's phone
+ * Request password reset - sends a WhatsApp code to abastecedor's phone
  */
-router.post('/abastecedor/forgot-password', async (req, res) => {
+router.post('/abastecedor/forgot-password', loginThrottle('reset', { everyAttempt: true }), async (req, res) => {
     try {
         const { cpf } = req.body;
 
@@ -566,8 +718,11 @@ router.post('/abastecedor/forgot-password', async (req, res) => {
             return res.status(400).json({ error: 'Abastecedor não possui telefone cadastrado' });
         }
 
-        // Send verification code via WhatsApp or SMS
-        const result = await sendWhatsAppVerificationCode(abastecedor.phone);
+        // Send verification code (WhatsApp, or SMS with Twilio Verify)
+        const result = await sendVerificationCode(abastecedor.phone, resetCodeSubject('abastecedor', abastecedor.id));
+        if (!result.success) {
+            return codeCooldown(res, result.retryAfter);
+        }
 
         // Mask phone number for response (show only last 4 digits)
         const maskedPhone = '***' + abastecedor.phone.slice(-4);
@@ -586,9 +741,9 @@ router.post('/abastecedor/forgot-password', async (req, res) => {
 
 /**
  * POST /api/auth/abastecedor/verify-reset-code
- * Verify the SMS code
+ * Verify the WhatsApp code
  */
-router.post('/abastecedor/verify-reset-code', async (req, res) => {
+router.post('/abastecedor/verify-reset-code', loginThrottle('reset', { failureStatuses: [400, 404] }), async (req, res) => {
     try {
         const { cpf, code } = req.body;
 
@@ -605,11 +760,11 @@ router.post('/abastecedor/verify-reset-code', async (req, res) => {
             return res.status(404).json({ error: 'CPF não encontrado' });
         }
 
-        // Verify code with WhatsApp
-        const result = await verifyWhatsAppCode(abastecedor.phone, code);
+        // Check the code sent by forgot-password
+        const result = await checkVerificationCode(abastecedor.phone, resetCodeSubject('abastecedor', abastecedor.id), code);
 
         if (!result.valid) {
-            return res.status(400).json({ error: 'Código inválido ou expirado' });
+            return res.status(400).json({ error: codeErrorMessage(result.status) });
         }
 
         res.json({
@@ -625,18 +780,14 @@ router.post('/abastecedor/verify-reset-code', async (req, res) => {
 /**
  * POST /api/auth/abastecedor/reset-password
  * Reset password after code verification
- * Note: Code was already verified in verify-reset-code step
+ * Requires the code checked by verify-reset-code (usable once)
  */
-router.post('/abastecedor/reset-password', async (req, res) => {
+router.post('/abastecedor/reset-password', loginThrottle('reset', { failureStatuses: [400, 404] }), async (req, res) => {
     try {
-        const { cpf, newPassword } = req.body;
-
-        if (!cpf || !newPassword) {
-            return res.status(400).json({ error: 'CPF e nova senha são obrigatórios' });
-        }
+        const { cpf, code, newPassword } = req.body;
 
-        if (newPassword.length < 4) {
-            return res.status(400).json({ error: 'Senha deve ter pelo menos 4 caracteres' });
+        if (!cpf || !code || !newPassword) {
+            return res.status(400).json({ error: 'CPF, código e nova senha são obrigatórios' });
         }
 
         // Clean CPF
@@ -648,8 +799,17 @@ router.post('/abastecedor/reset-password', async (req, res) => {
             return res.status(404).json({ error: 'CPF não encontrado' });
         }
 
-        // Update password (code was already verified in previous step)
+        if (!isValidUserPassword(newPassword, abastecedor.cpf)) {
+            return res.status(400).json({ error: USER_PASSWORD_ERROR });
+        }
+
+        // The code verified in the previous step, used up here
+        if (!(await consumeVerificationCode(resetCodeSubject('abastecedor', abastecedor.id), code))) {
+            return res.status(400).json({ error: 'Código inválido ou expirado. Solicite um novo código.' });
+        }
+
         await Abastecedor.updatePassword(abastecedor.id, newPassword);
+        await Session.revokeAllForUser('abastecedor', abastecedor.id);
 
         res.json({
             success: true,
@@ -664,9 +824,10 @@ router.post('/abastecedor/reset-password', async (req, res) => {
 /**
  * POST /api/auth/driver/reset-password-cpf
  * Request password reset when user can't receive SMS
- * Sets a flag to notify admin that driver needs password reset
+ * Sets a flag to notify admin that driver needs password reset;
+ * the admin then sends a set-password link
  */
-router.post('/driver/reset-password-cpf', async (req, res) => {
+router.post('/driver/reset-password-cpf', loginThrottle('reset', { everyAttempt: true }), async (req, res) => {
     try {
         const { cpf } = req.body;
 
@@ -699,6 +860,93 @@ router.post('/driver/reset-password-cpf', async (req, res) => {
     }
 });
 
+// ========================================
+// Set-password links (issued by admins)
+// ========================================
+
+const INVALID_LINK_ERROR = 'Link inválido ou expirado. Peça um novo link ao administrador.';
+
+/**
+ * Token record and its (active) user, or null if the link cannot be used
+ * @param {string} token - Plain token from the link
+ * @returns {Object|null} - {record, user}
+ */
+async function findPasswordLink(token) {
+    const record = await PasswordToken.findUsable(token);
+    if (!record || !(await isAccountActive(record.user_type, record.user_id))) return null;
+
+    const user = await USER_MODELS[record.user_type].findById(record.user_id);
+    return { record, user };
+}
+
+/**
+ * GET /api/auth/set-password/:token
+ * Who a set-password link is for (the page greets the user by name)
+ */
+router.get('/set-password/:token', loginThrottle('reset', { failureStatuses: [404] }), async (req, res) => {
+    try {
+        const link = await findPasswordLink(req.params.token);
+        if (!link) {
+            return res.status(404).json({ error: INVALID_LINK_ERROR });
+        }
+
+        res.json({
+            user_type: link.record.user_type,
+            name: link.user.name,
+            purpose: link.record.purpose,
+            expires_at: link.record.expires_at
+        });
+    } catch (error) {
+        console.error('Get set-password link error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/auth/set-password
+ * Set a password through a one-time link: {token, password}.
+ * Uses up the token and logs the user out everywhere
+ */
+router.post('/set-password', loginThrottle('reset', { failureStatuses: [404] }), async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token e senha são obrigatórios' });
+        }
+
+        const link = await findPasswordLink(token);
+        if (!link) {
+            return res.status(404).json({ error: INVALID_LINK_ERROR });
+        }
+
+        const { record, user } = link;
+        if (!isValidUserPassword(password, user.cpf)) {
+            return res.status(400).json({ error: USER_PASSWORD_ERROR });
+        }
+
+        // Claim the token first so two submissions of the same link cannot both succeed
+        if (!(await PasswordToken.consume(record.id))) {
+            return res.status(404).json({ error: INVALID_LINK_ERROR });
+        }
+
+        await USER_MODELS[record.user_type].updatePassword(user.id, password);
+        if (record.user_type === 'driver' && user.password_reset_requested) {
+            await Driver.update(user.id, { password_reset_requested: false });
+        }
+        await Session.revokeAllForUser(record.user_type, user.id);
+
+        res.json({
+            success: true,
+            user_type: record.user_type,
+            message: 'Senha definida com sucesso'
+        });
+    } catch (error) {
+        console.error('Set password error:', error);
+        res.status(500).json({ error: 'Erro ao definir senha' });
+    }
+});
+
 // ========================================
 // Cliente Authentication Endpoints
 // ========================================
@@ -708,7 +956,7 @@ router.post('/driver/reset-password-cpf', async (req, res) => {
  * Cliente login with CPF and password
  * Returns JWT token
  */
-router.post('/cliente/login', async (req, res) => {
+router.post('/cliente/login', loginThrottle('login'), async (req, res) => {
     try {
         const { cpf, password } = req.body;
 
@@ -734,17 +982,12 @@ router.post('/cliente/login', async (req, res) => {
             return res.status(401).json({ error: 'Conta de cliente inativa' });
         }
 
-        // Generate JWT token
-        const token = generateToken({
-            id: cliente.id,
-            name: cliente.name,
-            empresa: cliente.empresa,
-            cpf: cliente.cpf
-        }, 'cliente');
+        // Open a session (access + refresh token)
+        const tokens = await createSession(TOKEN_PAYLOADS.cliente(cliente), 'cliente', req);
 
         res.json({
             message: 'Login successful',
-            token,
+            ...tokens,
             cliente: {
                 id: cliente.id,
                 name: cliente.name,
@@ -759,9 +1002,9 @@ router.post('/cliente/login', async (req, res) => {
 
 /**
  * POST /api/auth/cliente/forgot-password
- * Request password reset - sends SMS code to cliente's phone
+ * Request password reset - sends a WhatsApp code to cliente's phone
  */
-router.post('/cliente/forgot-password', async (req, res) => {
+router.post('/cliente/forgot-password', loginThrottle('reset', { everyAttempt: true }), async (req, res) => {
     try {
         const { cpf } = req.body;
 
@@ -785,8 +1028,11 @@ router.post('/cliente/forgot-password', async (req, res) => {
             return res.status(400).json({ error: 'Cliente não possui telefone cadastrado' });
         }
 
-        // Send verification code via WhatsApp or SMS
-        const result = await sendWhatsAppVerificationCode(cliente.phone);
+        // Send verification code (WhatsApp, or SMS with Twilio Verify)
+        const result = await sendVerificationCode(cliente.phone, resetCodeSubject('cliente', cliente.id));
+        if (!result.success) {
+            return codeCooldown(res, result.retryAfter);
+        }
 
         // Mask phone number for response (show only last 4 digits)
         const maskedPhone = '***' + cliente.phone.slice(-4);
@@ -805,9 +1051,9 @@ router.post('/cliente/forgot-password', async (req, res) => {
 
 /**
  * POST /api/auth/cliente/verify-reset-code
- * Verify the SMS code
+ * Verify the WhatsApp code
  */
-router.post('/cliente/verify-reset-code', async (req, res) => {
+router.post('/cliente/verify-reset-code', loginThrottle('reset', { failureStatuses: [400, 404] }), async (req, res) => {
     try {
         const { cpf, code } = req.body;
 
@@ -824,11 +1070,11 @@ router.post('/cliente/verify-reset-code', async (req, res) => {
             return res.status(404).json({ error: 'CPF não encontrado' });
         }
 
-        // Verify code with WhatsApp
-        const result = await verifyWhatsAppCode(cliente.phone, code);
+        // Check the code sent by forgot-password
+        const result = await checkVerificationCode(cliente.phone, resetCodeSubject('cliente', cliente.id), code);
 
         if (!result.valid) {
-            return res.status(400).json({ error: 'Código inválido ou expirado' });
+            return res.status(400).json({ error: codeErrorMessage(result.status) });
         }
 
         res.json({
@@ -844,17 +1090,14 @@ router.post('/cliente/verify-reset-code', async (req, res) => {
 /**
  * POST /api/auth/cliente/reset-password
  * Reset password after code verification
+ * Requires the code checked by verify-reset-code (usable once)
  */
-router.post('/cliente/reset-password', async (req, res) => {
+router.post('/cliente/reset-password', loginThrottle('reset', { failureStatuses: [400, 404] }), async (req, res) => {
     try {
-        const { cpf, newPassword } = req.body;
-
-        if (!cpf || !newPassword) {
-            return res.status(400).json({ error: 'CPF e nova senha são obrigatórios' });
-        }
+        const { cpf, code, newPassword } = req.body;
 
-        if (newPassword.length < 4) {
-            return res.status(400).json({ error: 'Senha deve ter pelo menos 4 caracteres' });
+        if (!cpf || !code || !newPassword) {
+            return res.status(400).json({ error: 'CPF, código e nova senha são obrigatórios' });
         }
 
         // Clean CPF
@@ -866,8 +1109,17 @@ router.post('/cliente/reset-password', async (req, res) => {
             return res.status(404).json({ error: 'CPF não encontrado' });
         }
 
-        // Update password (code was already verified in previous step)
+        if (!isValidUserPassword(newPassword, cliente.cpf)) {
+            return res.status(400).json({ error: USER_PASSWORD_ERROR });
+        }
+
+        // The code verified in the previous step, used up here
+        if (!(await consumeVerificationCode(resetCodeSubject('cliente', cliente.id), code))) {
+            return res.status(400).json({ error: 'Código inválido ou expirado. Solicite um novo código.' });
+        }
+
         await Cliente.updatePassword(cliente.id, newPassword);
+        await Session.revokeAllForUser('cliente', cliente.id);
 
         res.json({
             success: true,
@@ -5,6 +5,8 @@ const express = require('express');
 const router = express.Router();
 const Cliente = require('../models/cliente');
 const Freight = require('../models/freight');
+const FreightSiteEvent = require('../models/freightSiteEvent');
+const Invoice = require('../models/invoice');
 const { requireCliente } = require('../middleware/auth');
 
 // All routes require cliente authentication
@@ -91,6 +93,48 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/cliente/invoices
+ * Get invoices issued to this cliente
+ */
+router.get('/invoices', async (req, res) => {
+    try {
+        const cliente = await Cliente.findById(req.cliente.id);
+        if (!cliente) {
+            return res.status(404).json({ error: 'Cliente not found' });
+        }
+
+        const invoices = await Invoice.findAll({ client: cliente.empresa || cliente.name });
+        res.json({ invoices });
+    } catch (error) {
+        console.error('Get cliente invoices error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/cliente/invoices/:id
+ * Get one of this cliente's invoices with its freights and receipts
+ */
+router.get('/invoices/:id', async (req, res) => {
+    try {
+        const cliente = await Cliente.findById(req.cliente.id);
+        if (!cliente) {
+            return res.status(404).json({ error: 'Cliente not found' });
+        }
+
+        const invoice = await Invoice.findById(parseInt(req.params.id));
+        if (!invoice || invoice.client !== (cliente.empresa || cliente.name)) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        res.json(invoice);
+    } catch (error) {
+        console.error('Get cliente invoice error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * GET /api/cliente/active-freights
  * Get pending freights that have tracking enabled (being delivered now)
@@ -145,7 +189,8 @@ router.get('/active-freights', async (req, res) => {
 
 /**
  * GET /api/cliente/freight/:id/location
- * Get current location of driver for a specific freight
+ * Get current location of driver for a specific freight, and its
+ * arrival/departure events at the load and unload sites
  */
 router.get('/freight/:id/location', async (req, res) => {
     try {
@@ -169,12 +214,14 @@ router.get('/freight/:id/location', async (req, res) => {
         // Get driver location
         const DriverLocation = require('../models/DriverLocation');
         const location = await DriverLocation.getByFreight(freightId);
+        const events = await FreightSiteEvent.findByFreight(freightId);
 
         if (!location) {
             return res.json({
                 freight_id: freightId,
                 tracking: false,
                 location: null,
+                events,
                 message: 'Driver location not available'
             });
         }
@@ -191,7 +238,8 @@ router.get('/freight/:id/location', async (req, res) => {
                 latitude: location.latitude,
                 longitude: location.longitude,
                 updated_at: location.updated_at
-            }
+            },
+            events
         });
     } catch (error) {
         console.error('Get freight location error:', error);
@@ -199,5 +247,41 @@ router.get('/freight/:id/location', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/cliente/freight/:id/route
+ * Route the driver took on a tracked freight, oldest position first, and
+ * when it arrived at and left the load and unload sites
+ */
+router.get('/freight/:id/route', async (req, res) => {
+    try {
+        const freightId = parseInt(req.params.id);
+        const cliente = await Cliente.findById(req.cliente.id);
+        if (!cliente) {
+            return res.status(404).json({ error: 'Cliente not found' });
+        }
+
+        const freight = await Freight.findById(freightId);
+        if (!freight) {
+            return res.status(404).json({ error: 'Freight not found' });
+        }
+
+        const clientName = cliente.empresa || cliente.name;
+        if (freight.client?.toLowerCase() !== clientName?.toLowerCase()) {
+            return res.status(403).json({ error: 'This freight does not belong to you' });
+        }
+
+        const DriverLocation = require('../models/DriverLocation');
+        res.json({
+            freight_id: freightId,
+            tracking: !!freight.tracking_enabled,
+            points: await DriverLocation.getRoute(freightId),
+            events: await FreightSiteEvent.findByFreight(freightId)
+        });
+    } catch (error) {
+        console.error('Get freight route error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 module.exports = router;
 
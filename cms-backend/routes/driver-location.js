@@ -8,16 +8,53 @@ const router = express.Router();
 const DriverLocation = require('../models/DriverLocation');
 const Freight = require('../models/freight');
 const { requireDriver } = require('../middleware/auth');
+const { notifyTrackingStarted } = require('../utils/portalNotifications');
+const { recordSiteEvents } = require('../utils/siteEvents');
+
+// Phone clocks run a little ahead; fixes further in the future are bogus
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Accuracy or speed from the Geolocation API: a non-negative number, or null
+ * when the device didn't report one (some report -1 or NaN)
+ * @param {*} value - Body field
+ * @returns {number|null}
+ */
+function measure(value) {
+    const number = Number(value);
+    return value !== null && value !== undefined && value !== '' && Number.isFinite(number) && number >= 0
+        ? number
+        : null;
+}
+
+/**
+ * When the fix was taken: the recorded_at field (ISO string or epoch ms, like
+ * GeolocationPosition.timestamp) or now when absent
+ * @param {*} value - Body field
+ * @returns {string|null} - ISO timestamp, or null when invalid
+ */
+function recordedAt(value) {
+    if (value === undefined || value === null || value === '') {
+        return new Date().toISOString();
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time) || time > Date.now() + MAX_CLOCK_SKEW_MS) {
+        return null;
+    }
+    return new Date(time).toISOString();
+}
 
 /**
  * POST /api/driver/location
- * Update driver's current GPS location
- * Body: { latitude, longitude, freight_id? }
+ * Update driver's current GPS location. While a freight is tracked, the
+ * position is also added to its route history and checked against the
+ * freight's sites; reaching the destination stops the tracking.
+ * Body: { latitude, longitude, freight_id?, accuracy?, speed?, recorded_at? }
  */
 router.post('/location', requireDriver, async (req, res) => {
     try {
         const driverId = req.driver.id;
-        const { latitude, longitude, freight_id } = req.body;
+        const { latitude, longitude, freight_id, accuracy, speed } = req.body;
 
         // Validate coordinates
         if (latitude === undefined || longitude === undefined) {
@@ -32,8 +69,43 @@ router.post('/location', requireDriver, async (req, res) => {
             return res.status(400).json({ error: 'Invalid longitude (must be between -180 and 180)' });
         }
 
+        const recorded_at = recordedAt(req.body.recorded_at);
+        if (!recorded_at) {
+            return res.status(400).json({ error: 'Invalid recorded_at' });
+        }
+
+        // Only the driver's own freights, while tracking is on, get attached
+        // to the position, a route and arrival/departure events
+        let freight = null;
+        if (freight_id) {
+            const candidate = await Freight.findById(freight_id);
+            if (candidate && candidate.driver_id === driverId && candidate.tracking_enabled) {
+                freight = candidate;
+            }
+        }
+
         // Update location
-        const location = await DriverLocation.upsert(driverId, latitude, longitude, freight_id || null);
+        const location = await DriverLocation.upsert(driverId, latitude, longitude, freight ? freight.id : null);
+
+        let siteEvents = [];
+        if (freight) {
+            const point = {
+                latitude,
+                longitude,
+                accuracy: measure(accuracy),
+                speed: measure(speed),
+                recorded_at
+            };
+            await DriverLocation.addPoint(driverId, freight.id, point);
+            siteEvents = await recordSiteEvents(freight, point);
+
+            // The delivery is over once the truck reaches the unload site
+            if (siteEvents.includes('arrived_destination')) {
+                await Freight.update(freight.id, { tracking_enabled: 0 });
+                await DriverLocation.clearFreight(driverId);
+                location.freight_id = null;
+            }
+        }
 
         res.json({
             success: true,
@@ -42,7 +114,8 @@ router.post('/location', requireDriver, async (req, res) => {
                 longitude: location.longitude,
                 freight_id: location.freight_id,
                 updated_at: location.updated_at
-            }
+            },
+            site_events: siteEvents
         });
     } catch (error) {
         console.error('Error updating driver location:', error);
@@ -71,6 +144,12 @@ router.post('/start-tracking/:freightId', requireDriver, async (req, res) => {
 
         // Enable tracking on the freight
         await Freight.update(freightId, { tracking_enabled: 1 });
+        if (!freight.tracking_enabled) {
+            await notifyTrackingStarted(freight);
+        }
+
+        // A new trip is a good moment to drop routes past the retention period
+        await DriverLocation.pruneHistory();
 
         // Update driver's location with this freight ID (if location exists)
         const existingLocation = await DriverLocation.getByDriver(driverId);
@@ -0,0 +1,50 @@
+/**
+ * Driver Notification Routes
+ * What drivers are told and through which channels; push
+ * subscriptions themselves are in routes/push.js
+ */
+
+const express = require('express');
+const router = express.Router();
+const NotificationPreference = require('../models/notificationPreference');
+const { requireDriver } = require('../middleware/auth');
+
+router.use(requireDriver);
+
+/**
+ * GET /api/driver/notifications/preferences
+ */
+router.get('/preferences', async (req, res) => {
+    try {
+        const preferences = await NotificationPreference.findByDriver(req.driver.id);
+        res.json({ preferences });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/driver/notifications/preferences
+ * Body: any of { whatsapp, push, freight_completed, payment_created, comprovante_assigned } as booleans
+ */
+router.put('/preferences', async (req, res) => {
+    try {
+        const changes = {};
+        for (const field of NotificationPreference.FIELDS) {
+            if (req.body[field] === undefined) continue;
+            if (typeof req.body[field] !== 'boolean') {
+                return res.status(400).json({ error: `${field} must be true or false` });
+            }
+            changes[field] = req.body[field];
+        }
+
+        const preferences = await NotificationPreference.update(req.driver.id, changes);
+        res.json({ preferences });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
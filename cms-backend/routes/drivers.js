@@ -1,24 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const Driver = require('../models/driver');
-const { requireAdmin } = require('../middleware/auth');
+const Session = require('../models/session');
+const { requireAdmin, requirePermission, canSeeMargins } = require('../middleware/auth');
 const { isValidPlate, normalizePlate, isPositiveNumber } = require('../utils/validators');
+const { issuePasswordLink } = require('../utils/passwordLinks');
 
 // All routes require admin authentication
 router.use(requireAdmin);
 
 /**
  * POST /api/admin/drivers
- * Create a new driver
+ * Create a new driver. Without a password the driver cannot log in until
+ * they use an invite link (PATCH /:id/reset-password)
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission('users:write'), async (req, res) => {
     try {
         const { name, plate, cpf, password, phone, client, plates } = req.body;
 
-        // Validate input - plate is now optional
-        if (!name || !cpf || !password) {
+        // Validate input - plate and password are optional
+        if (!name || !cpf) {
             return res.status(400).json({
-                error: 'Nome, CPF e senha são obrigatórios'
+                error: 'Nome e CPF são obrigatórios'
             });
         }
 
@@ -84,7 +87,7 @@ router.post('/', async (req, res) => {
  * GET /api/admin/drivers
  * List all drivers
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('users:read'), async (req, res) => {
     try {
         const activeOnly = req.query.active === 'true';
         const drivers = await Driver.findAll(activeOnly);
@@ -99,7 +102,7 @@ router.get('/', async (req, res) => {
  * GET /api/admin/drivers/:id
  * Get driver by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('users:read'), async (req, res) => {
     try {
         const driver = await Driver.findById(req.params.id);
         if (!driver) {
@@ -116,7 +119,7 @@ router.get('/:id', async (req, res) => {
  * PUT /api/admin/drivers/:id
  * Update driver
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission('users:write'), async (req, res) => {
     try {
         const driver = await Driver.findById(req.params.id);
         if (!driver) {
@@ -166,7 +169,8 @@ router.put('/:id', async (req, res) => {
             }
         }
 
-        if (price_per_km_ton !== undefined) {
+        // The driver's rate is margin data: ignored for admins without margins:read
+        if (price_per_km_ton !== undefined && canSeeMargins(req)) {
             if (!isPositiveNumber(price_per_km_ton)) {
                 return res.status(400).json({
                     error: 'price_per_km_ton must be a positive number'
@@ -195,7 +199,7 @@ router.put('/:id', async (req, res) => {
  * DELETE /api/admin/drivers/:id
  * Deactivate driver (soft delete)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('users:write'), async (req, res) => {
     try {
         const driver = await Driver.findById(req.params.id);
         if (!driver) {
@@ -203,6 +207,7 @@ router.delete('/:id', async (req, res) => {
         }
 
         await Driver.deactivate(req.params.id);
+        await Session.revokeAllForUser('driver', driver.id);
         res.json({ message: 'Driver deactivated successfully' });
     } catch (error) {
         console.error('Delete driver error:', error);
@@ -210,11 +215,30 @@ router.delete('/:id', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/admin/drivers/:id/revoke-sessions
+ * Log the driver out on every device
+ */
+router.post('/:id/revoke-sessions', requirePermission('users:write'), async (req, res) => {
+    try {
+        const driver = await Driver.findById(req.params.id);
+        if (!driver) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        const revoked = await Session.revokeAllForUser('driver', driver.id);
+        res.json({ message: 'Sessions revoked', revoked });
+    } catch (error) {
+        console.error('Revoke driver sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * PATCH /api/admin/drivers/:id/authenticate
  * Authenticate a driver (mark as verified by admin)
  */
-router.patch('/:id/authenticate', async (req, res) => {
+router.patch('/:id/authenticate', requirePermission('users:write'), async (req, res) => {
     try {
         const driver = await Driver.findById(req.params.id);
         if (!driver) {
@@ -231,34 +255,31 @@ router.patch('/:id/authenticate', async (req, res) => {
 
 /**
  * PATCH /api/admin/drivers/:id/reset-password
- * Admin resets driver password to first 4 digits of CPF
+ * Issue a one-time set-password link (invite if the driver has no password yet).
+ * Body {send: true} also sends it to the driver's WhatsApp.
  * Also clears the password_reset_requested flag
  */
-router.patch('/:id/reset-password', async (req, res) => {
+router.patch('/:id/reset-password', requirePermission('users:write'), async (req, res) => {
     try {
         const driver = await Driver.findById(req.params.id);
         if (!driver) {
             return res.status(404).json({ error: 'Driver not found' });
         }
 
-        if (!driver.cpf) {
-            return res.status(400).json({ error: 'Motorista não possui CPF cadastrado' });
+        const send = !!(req.body && req.body.send);
+        if (send && !driver.phone) {
+            return res.status(400).json({ error: 'Motorista não possui telefone cadastrado' });
         }
 
-        // Set password to first 4 digits of CPF
-        const newPassword = driver.cpf.substring(0, 4);
-        await Driver.updatePassword(driver.id, newPassword);
+        const result = await issuePasswordLink(req, 'driver', driver, send);
 
-        // Clear the password_reset_requested flag
+        // The request has been handled; the old password keeps working until the link is used
         await Driver.update(driver.id, { password_reset_requested: false });
 
-        res.json({
-            success: true,
-            message: 'Senha redefinida com sucesso para os 4 primeiros dígitos do CPF'
-        });
+        res.json({ success: true, ...result });
     } catch (error) {
         console.error('Admin reset password error:', error);
-        res.status(500).json({ error: 'Erro ao redefinir senha' });
+        res.status(500).json({ error: 'Erro ao gerar link de senha' });
     }
 });
 
@@ -0,0 +1,149 @@
+const express = require('express');
+const Extrato = require('../models/extrato');
+const Cliente = require('../models/cliente');
+const { requireAdmin, requirePermission, requireDriver, requireCliente } = require('../middleware/auth');
+const { isValidDate } = require('../utils/validators');
+const { sendDriverExtrato, sendPlateExtrato, sendClientExtrato } = require('../utils/pdfExtrato');
+
+/**
+ * Read the optional period from the query string
+ * @param {Object} queryParams - req.query
+ * @returns {Object} - {error} or {filters: {date_from, date_to}}
+ */
+function parsePeriod(queryParams) {
+    const { date_from, date_to } = queryParams;
+
+    if ((date_from && !isValidDate(date_from)) || (date_to && !isValidDate(date_to))) {
+        return { error: 'Invalid date format. Use YYYY-MM-DD' };
+    }
+
+    return { filters: { date_from: date_from || undefined, date_to: date_to || undefined } };
+}
+
+// ============================================
+// ADMIN ROUTES - /api/admin/extratos
+// ============================================
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+/**
+ * GET /api/admin/extratos/driver/:id.pdf?date_from=&date_to=
+ * Driver extrato as PDF
+ */
+adminRouter.get('/driver/:id.pdf', requirePermission('extratos:read'), async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ error: period.error });
+        }
+
+        const extrato = await Extrato.forDriver(parseInt(req.params.id), period.filters);
+        if (!extrato) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        sendDriverExtrato(res, extrato);
+    } catch (error) {
+        console.error('Driver extrato PDF error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/extratos/plate/:plate.pdf?date_from=&date_to=
+ * Truck extrato as PDF
+ */
+adminRouter.get('/plate/:plate.pdf', requirePermission('extratos:read'), async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ error: period.error });
+        }
+
+        const extrato = await Extrato.forPlate(req.params.plate, period.filters);
+        sendPlateExtrato(res, extrato);
+    } catch (error) {
+        console.error('Plate extrato PDF error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/extratos/client/:empresa.pdf?date_from=&date_to=
+ * Client extrato as PDF
+ */
+adminRouter.get('/client/:empresa.pdf', requirePermission('extratos:read'), async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ error: period.error });
+        }
+
+        const extrato = await Extrato.forClient(req.params.empresa, period.filters);
+        sendClientExtrato(res, extrato);
+    } catch (error) {
+        console.error('Client extrato PDF error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// DRIVER ROUTES - /api/driver/extratos
+// ============================================
+const driverRouter = express.Router();
+driverRouter.use(requireDriver);
+
+/**
+ * GET /api/driver/extratos/me.pdf?date_from=&date_to=
+ * Logged-in driver's extrato as PDF
+ */
+driverRouter.get('/me.pdf', async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ error: period.error });
+        }
+
+        const extrato = await Extrato.forDriver(req.driver.id, period.filters);
+        if (!extrato) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        sendDriverExtrato(res, extrato);
+    } catch (error) {
+        console.error('Driver self extrato PDF error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// CLIENTE ROUTES - /api/cliente/extratos
+// ============================================
+const clienteRouter = express.Router();
+clienteRouter.use(requireCliente);
+
+/**
+ * GET /api/cliente/extratos/me.pdf?date_from=&date_to=
+ * Logged-in cliente's extrato as PDF
+ */
+clienteRouter.get('/me.pdf', async (req, res) => {
+    try {
+        const period = parsePeriod(req.query);
+        if (period.error) {
+            return res.status(400).json({ error: period.error });
+        }
+
+        const cliente = await Cliente.findById(req.cliente.id);
+        if (!cliente) {
+            return res.status(404).json({ error: 'Cliente not found' });
+        }
+
+        const extrato = await Extrato.forClient(cliente.empresa || cliente.name, period.filters);
+        sendClientExtrato(res, extrato);
+    } catch (error) {
+        console.error('Cliente extrato PDF error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = { adminRouter, driverRouter, clienteRouter };
@@ -3,9 +3,17 @@ const multer = require('multer');
 const path = require('path');
 const Freight = require('../models/freight');
 const Driver = require('../models/driver');
-const { requireAdmin, requireDriver } = require('../middleware/auth');
+const Payment = require('../models/payment');
+const Invoice = require('../models/invoice');
+const DriverLocation = require('../models/DriverLocation');
+const Site = require('../models/site');
+const FreightSiteEvent = require('../models/freightSiteEvent');
+const { requireAdmin, requirePermission, canSeeMargins, requireDriver } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { isValidDate, isPositiveNumber } = require('../utils/validators');
 const { uploadToBlob } = require('../utils/blobStorage');
+const { EXPORT_FORMATS, sendSpreadsheet } = require('../utils/spreadsheet');
+const { notifyFreightCompleted } = require('../utils/driverNotifications');
 
 // Configure multer with memory storage for Vercel Blob
 const memoryStorage = multer.memoryStorage();
@@ -30,6 +38,48 @@ const upload = multer({
     limits: { fileSize: 15 * 1024 * 1024 } // 15MB limit for PDFs
 });
 
+// Spreadsheet columns for ?format=csv|xlsx
+// margin: true marks columns left out for admins without margins:read
+const FREIGHT_EXPORT_COLUMNS = [
+    { header: 'ID', value: f => f.id, type: 'number', width: 8 },
+    { header: 'Data', value: f => f.date, type: 'date', width: 12 },
+    { header: 'Motorista', value: f => f.driver_name, width: 25 },
+    { header: 'Placa', value: f => f.plate || f.driver_plate, width: 10 },
+    { header: 'Cliente', value: f => f.client, width: 25 },
+    { header: 'KM', value: f => f.km, type: 'decimal' },
+    { header: 'Toneladas', value: f => f.tons, type: 'decimal' },
+    { header: 'Preço km/ton (motorista)', value: f => f.price_per_km_ton, type: 'rate', width: 22, margin: true },
+    { header: 'Valor motorista', value: f => f.total_value, type: 'currency' },
+    { header: 'Preço km/ton (transportadora)', value: f => f.price_per_km_ton_transportadora, type: 'rate', width: 26, margin: true },
+    { header: 'Valor transportadora', value: f => f.total_value_transportadora, type: 'currency', width: 20, margin: true },
+    { header: 'Status', value: f => f.status === 'complete' ? 'Concluído' : 'Pendente', width: 12 },
+    { header: 'Pago ao motorista', value: f => f.paid ? 'Sim' : 'Não', width: 17 },
+    { header: 'Recebido do cliente', value: f => f.client_paid ? 'Sim' : 'Não', width: 19 }
+];
+
+/**
+ * Origin and destination sites from a form: each an existing site's ID, or
+ * blank to clear it. Fields that were not sent are left out.
+ * @param {Object} body - Request body
+ * @returns {Object} - {sites: {origin_site_id?, destination_site_id?}} or {error}
+ */
+async function readSiteFields(body) {
+    const sites = {};
+    for (const field of ['origin_site_id', 'destination_site_id']) {
+        if (body[field] === undefined) continue;
+        if (body[field] === '' || body[field] === null) {
+            sites[field] = null;
+            continue;
+        }
+        const site = await Site.findById(parseInt(body[field]));
+        if (!site) {
+            return { error: `${field}: site not found` };
+        }
+        sites[field] = site.id;
+    }
+    return { sites };
+}
+
 // ============================================
 // ADMIN ROUTES - /api/admin/freights
 // ============================================
@@ -40,13 +90,21 @@ adminRouter.use(requireAdmin);
  * POST /api/admin/freights
  * Create freight for a driver (admin only)
  */
-adminRouter.post('/', upload.fields([
+adminRouter.post('/', requirePermission('freights:write'), upload.fields([
     { name: 'comprovante_carga', maxCount: 1 },
     { name: 'comprovante_descarga', maxCount: 1 },
     { name: 'comprovante_recebimento', maxCount: 1 }
-]), async (req, res) => {
+]), idempotent(), async (req, res) => {
     try {
-        const { driver_id, date, km, tons, price_per_km_ton, price_per_km_ton_transportadora, client, plate } = req.body;
+        const { driver_id, date, km, tons, client, plate } = req.body;
+        let { price_per_km_ton, price_per_km_ton_transportadora } = req.body;
+
+        // Admins who can't see rates can't set them either: the driver's rate applies
+        if (!canSeeMargins(req)) {
+            const driver = driver_id ? await Driver.findById(parseInt(driver_id)) : null;
+            price_per_km_ton = driver ? driver.price_per_km_ton : undefined;
+            price_per_km_ton_transportadora = undefined;
+        }
 
         // Validate input
         if (!driver_id || !date || km === undefined || tons === undefined || price_per_km_ton === undefined) {
@@ -83,6 +141,11 @@ adminRouter.post('/', upload.fields([
             return res.status(404).json({ error: 'Driver not found' });
         }
 
+        const { sites, error: siteError } = await readSiteFields(req.body);
+        if (siteError) {
+            return res.status(400).json({ error: siteError });
+        }
+
         // Handle file uploads with Vercel Blob
         let comprovante_carga = null;
         let comprovante_descarga = null;
@@ -124,6 +187,7 @@ adminRouter.post('/', upload.fields([
             price_per_km_ton_transportadora: price_per_km_ton_transportadora ? parseFloat(price_per_km_ton_transportadora) : null,
             client: client ? client.trim() : null,
             plate: plate || null,
+            ...sites,
             comprovante_carga,
             comprovante_descarga,
             comprovante_recebimento
@@ -137,9 +201,10 @@ adminRouter.post('/', upload.fields([
 
 /**
  * PUT /api/admin/freights/:id
- * Update freight (for completing pending freights)
+ * Update freight (for completing pending freights). A paid freight keeps its
+ * driver, km, tons, rate and status.
  */
-adminRouter.put('/:id', upload.fields([
+adminRouter.put('/:id', requirePermission('freights:write'), upload.fields([
     { name: 'comprovante_carga', maxCount: 1 },
     { name: 'comprovante_descarga', maxCount: 1 },
     { name: 'comprovante_recebimento', maxCount: 1 },
@@ -166,6 +231,25 @@ adminRouter.put('/:id', upload.fields([
         if (price_per_km_ton_transportadora !== undefined) updateData.price_per_km_ton_transportadora = parseFloat(price_per_km_ton_transportadora);
         if (status !== undefined) updateData.status = status;
 
+        const { sites, error: siteError } = await readSiteFields(req.body);
+        if (siteError) {
+            return res.status(400).json({ error: siteError });
+        }
+        Object.assign(updateData, sites);
+
+        // Admins who can't see rates keep the stored ones; a freight without
+        // a rate yet (pending) gets the driver's so it can be completed
+        if (!canSeeMargins(req)) {
+            delete updateData.price_per_km_ton;
+            delete updateData.price_per_km_ton_transportadora;
+            if (!(freight.price_per_km_ton > 0)) {
+                const driver = await Driver.findById(updateData.driver_id || freight.driver_id);
+                if (driver && driver.price_per_km_ton > 0) {
+                    updateData.price_per_km_ton = driver.price_per_km_ton;
+                }
+            }
+        }
+
         // Handle file uploads with Vercel Blob
         if (req.files) {
             if (req.files['comprovante_carga'] && req.files['comprovante_carga'][0]) {
@@ -213,19 +297,32 @@ adminRouter.put('/:id', upload.fields([
         }
 
         const updatedFreight = await Freight.update(freightId, updateData);
+
+        if (freight.status !== 'complete' && updatedFreight.status === 'complete') {
+            await notifyFreightCompleted(req, updatedFreight);
+        }
+
         res.json(updatedFreight);
     } catch (error) {
+        // Settled by a payment
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Update freight error:', error);
         res.status(500).json({ error: error.message || 'Internal server error' });
     }
 });
 
 /**
- * GET /api/admin/freights
- * List all freights with optional filters
+ * GET /api/admin/freights?driver_id=&date_from=&date_to=&status=&format=csv|xlsx
+ * List all freights with optional filters, or download them as a spreadsheet
  */
-adminRouter.get('/', async (req, res) => {
+adminRouter.get('/', requirePermission('freights:read'), async (req, res) => {
     try {
+        if (req.query.format !== undefined && !EXPORT_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
         const filters = {
             driver_id: req.query.driver_id,
             date_from: req.query.date_from,
@@ -234,6 +331,16 @@ adminRouter.get('/', async (req, res) => {
         };
 
         const freights = await Freight.findAll(filters);
+        if (req.query.format) {
+            return sendSpreadsheet(res, req.query.format, {
+                filename: 'Fretes',
+                sheetName: 'Fretes',
+                columns: canSeeMargins(req)
+                    ? FREIGHT_EXPORT_COLUMNS
+                    : FREIGHT_EXPORT_COLUMNS.filter(column => !column.margin),
+                rows: freights
+            });
+        }
         res.json(freights);
     } catch (error) {
         console.error('List freights error:', error);
@@ -246,7 +353,7 @@ adminRouter.get('/', async (req, res) => {
  * Get unpaid totals for all drivers
  * NOTE: This must be defined BEFORE /:id route
  */
-adminRouter.get('/unpaid-totals', async (req, res) => {
+adminRouter.get('/unpaid-totals', requirePermission('payments:read'), async (req, res) => {
     try {
         const unpaidTotals = await Freight.getAllUnpaidTotals();
         res.json(unpaidTotals);
@@ -260,7 +367,7 @@ adminRouter.get('/unpaid-totals', async (req, res) => {
  * GET /api/admin/freights/:id
  * Get freight by ID
  */
-adminRouter.get('/:id', async (req, res) => {
+adminRouter.get('/:id', requirePermission('freights:read'), async (req, res) => {
     try {
         const freight = await Freight.findById(req.params.id);
         if (!freight) {
@@ -273,20 +380,77 @@ adminRouter.get('/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/freights/:id/route
+ * Positions recorded while the freight was tracked, oldest first (a polyline),
+ * and its arrival/departure events
+ */
+adminRouter.get('/:id/route', requirePermission('freights:read'), async (req, res) => {
+    try {
+        const freight = await Freight.findById(req.params.id);
+        if (!freight) {
+            return res.status(404).json({ error: 'Freight not found' });
+        }
+
+        res.json({
+            freight_id: freight.id,
+            tracking: !!freight.tracking_enabled,
+            points: await DriverLocation.getRoute(freight.id),
+            events: await FreightSiteEvent.findByFreight(freight.id)
+        });
+    } catch (error) {
+        console.error('Get freight route error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/freights/:id/payment
+ * Get the payment that settled this freight
+ */
+adminRouter.get('/:id/payment', requirePermission('payments:read'), async (req, res) => {
+    try {
+        const freight = await Freight.findById(req.params.id);
+        if (!freight) {
+            return res.status(404).json({ error: 'Freight not found' });
+        }
+
+        const payment = await Payment.findByItem('freight', freight.id);
+        if (!payment) {
+            return res.status(404).json({ error: 'Freight has not been paid' });
+        }
+        res.json(payment);
+    } catch (error) {
+        console.error('Get freight payment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * DELETE /api/admin/freights/:id
- * Delete freight
+ * Delete freight, unless an invoice or a payment covers it
  */
-adminRouter.delete('/:id', async (req, res) => {
+adminRouter.delete('/:id', requirePermission('freights:write'), async (req, res) => {
     try {
         const freight = await Freight.findById(req.params.id);
         if (!freight) {
             return res.status(404).json({ error: 'Freight not found' });
         }
 
+        const invoice = await Invoice.findByFreight(freight.id);
+        if (invoice) {
+            return res.status(409).json({
+                error: `Freight is billed on invoice #${invoice.id}. Delete the invoice first.`
+            });
+        }
+
         await Freight.delete(req.params.id);
         res.json({ message: 'Freight deleted successfully' });
     } catch (error) {
+        // Settled by a payment
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Delete freight error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
@@ -294,17 +458,24 @@ adminRouter.delete('/:id', async (req, res) => {
 
 /**
  * PATCH /api/admin/freights/:id/toggle-paid
- * Toggle paid status for a freight (payment TO driver)
+ * Clear a stale paid flag on a freight no payment covers. Freights are only
+ * paid by recording a payment, and unpaid by deleting it.
  */
-adminRouter.patch('/:id/toggle-paid', async (req, res) => {
+adminRouter.patch('/:id/toggle-paid', requirePermission('payments:create'), async (req, res) => {
     try {
         const freight = await Freight.findById(req.params.id);
         if (!freight) {
             return res.status(404).json({ error: 'Freight not found' });
         }
 
-        const newPaidStatus = !freight.paid;
-        const updated = await Freight.update(req.params.id, { paid: newPaidStatus });
+        if (await Payment.findByItem('freight', freight.id)) {
+            return res.status(409).json({ error: 'Freight belongs to a payment. Delete the payment to unpay it.' });
+        }
+        if (!freight.paid) {
+            return res.status(409).json({ error: 'Record a payment to mark the freight as paid' });
+        }
+
+        const updated = await Freight.update(freight.id, { paid: false });
         res.json(updated);
     } catch (error) {
         console.error('Toggle paid error:', error);
@@ -314,15 +485,23 @@ adminRouter.patch('/:id/toggle-paid', async (req, res) => {
 
 /**
  * PATCH /api/admin/freights/:id/toggle-client-paid
- * Toggle client_paid status for a freight (payment FROM client)
+ * Toggle client_paid status for a freight (payment FROM client). Invoiced
+ * freights follow their invoice's receipts instead.
  */
-adminRouter.patch('/:id/toggle-client-paid', async (req, res) => {
+adminRouter.patch('/:id/toggle-client-paid', requirePermission('invoices:write'), async (req, res) => {
     try {
         const freight = await Freight.findById(req.params.id);
         if (!freight) {
             return res.status(404).json({ error: 'Freight not found' });
         }
 
+        const invoice = await Invoice.findByFreight(freight.id);
+        if (invoice) {
+            return res.status(409).json({
+                error: `Freight is billed on invoice #${invoice.id}. Record or delete receipts on the invoice instead.`
+            });
+        }
+
         const newClientPaidStatus = !freight.client_paid;
         const updated = await Freight.update(req.params.id, { client_paid: newClientPaidStatus });
         res.json(updated);
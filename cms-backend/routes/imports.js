@@ -0,0 +1,313 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const Freight = require('../models/freight');
+const Abastecimento = require('../models/abastecimento');
+const Driver = require('../models/driver');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { transaction } = require('../config/database');
+const { isValidDate, isPositiveNumber, isValidCPF, normalizePlate } = require('../utils/validators');
+const { EXPORT_FORMATS, readSpreadsheet } = require('../utils/spreadsheet');
+
+// Configure multer with memory storage; the file is parsed, never stored
+const memoryStorage = multer.memoryStorage();
+
+const upload = multer({
+    storage: memoryStorage,
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase().slice(1);
+        if (EXPORT_FORMATS.includes(ext)) {
+            return cb(null, true);
+        }
+        cb(new Error('Only .csv and .xlsx files are allowed'));
+    }
+});
+
+// Keeps a single request (and its dry-run report) to a sensible size
+const MAX_IMPORT_ROWS = 5000;
+
+/**
+ * Import layouts. Headers are matched ignoring case, accents and punctuation,
+ * so the files produced by ?format=csv|xlsx can be imported back.
+ * Each field lists the headers it accepts; type is date|decimal|text.
+ */
+const FREIGHT_IMPORT_FIELDS = {
+    date: { headers: ['Data', 'date'], type: 'date', required: true },
+    cpf: { headers: ['CPF'] },
+    plate: { headers: ['Placa', 'plate'] },
+    driver_name: { headers: ['Motorista', 'driver'] },
+    client: { headers: ['Cliente', 'client'] },
+    km: { headers: ['KM'], type: 'decimal', required: true },
+    tons: { headers: ['Toneladas', 'tons'], type: 'decimal', required: true },
+    price_per_km_ton: { headers: ['Preço km/ton (motorista)', 'Preço km/ton', 'price_per_km_ton'], type: 'decimal', required: true },
+    price_per_km_ton_transportadora: { headers: ['Preço km/ton (transportadora)', 'price_per_km_ton_transportadora'], type: 'decimal' }
+};
+
+const ABASTECIMENTO_IMPORT_FIELDS = {
+    date: { headers: ['Data', 'date'], type: 'date', required: true },
+    cpf: { headers: ['CPF'] },
+    plate: { headers: ['Placa', 'plate'] },
+    driver_name: { headers: ['Motorista', 'driver'] },
+    quantity: { headers: ['Litros', 'Quantidade', 'quantity'], type: 'decimal', required: true },
+    price_per_liter: { headers: ['Preço/L', 'Preço por litro', 'price_per_liter'], type: 'decimal', required: true }
+};
+
+/**
+ * Normalize a header for matching: lower case, no accents, letters and digits only
+ * @param {string} header
+ * @returns {string}
+ */
+function headerKey(header) {
+    return String(header).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Map spreadsheet headers to import fields
+ * @param {Array} headers - Headers found in the file
+ * @param {Object} fields - Import layout
+ * @returns {Object} - {columns: {field: header}, missing: [header names of required fields]}
+ */
+function mapColumns(headers, fields) {
+    const byKey = new Map(headers.map(header => [headerKey(header), header]));
+    const columns = {};
+    const missing = [];
+
+    for (const [field, definition] of Object.entries(fields)) {
+        const header = definition.headers.map(headerKey).find(key => byKey.has(key));
+        if (header) {
+            columns[field] = byKey.get(header);
+        } else if (definition.required) {
+            missing.push(definition.headers[0]);
+        }
+    }
+
+    return { columns, missing };
+}
+
+/**
+ * Parse a decimal typed as 1234.56, 1234,56 or 1.234,56
+ * @param {*} value - Cell value
+ * @returns {number} - NaN when not a number
+ */
+function parseDecimal(value) {
+    if (typeof value === 'number') return value;
+    let text = String(value).trim().replace(/^R\$\s*/, '').replace(/\s/g, '');
+    if (text.includes(',')) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    }
+    return text === '' ? NaN : Number(text);
+}
+
+/**
+ * Parse a date typed as DD/MM/YYYY or YYYY-MM-DD (or a real XLSX date)
+ * @param {*} value - Cell value
+ * @returns {string|null} - YYYY-MM-DD or null when invalid
+ */
+function parseDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    const text = String(value).trim();
+    const brazilian = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    const date = brazilian
+        ? `${brazilian[3]}-${brazilian[2].padStart(2, '0')}-${brazilian[1].padStart(2, '0')}`
+        : text.slice(0, 10);
+    return isValidDate(date) ? date : null;
+}
+
+/**
+ * Find the driver a row belongs to: by CPF when given, otherwise by plate
+ * (the driver name breaks ties when several drivers share the plate)
+ * @param {Object} record - Parsed row ({cpf, plate, driver_name})
+ * @param {Map} cache - Lookups already done for this file
+ * @returns {Object} - {driver} or {error}
+ */
+async function resolveDriver(record, cache) {
+    const cacheKey = `${record.cpf || ''}|${record.plate || ''}|${record.driver_name || ''}`;
+    if (cache.has(cacheKey)) return cache.get(cacheKey);
+
+    let result;
+    if (record.cpf) {
+        const cpf = record.cpf.replace(/\D/g, '');
+        const driver = isValidCPF(cpf) ? await Driver.findByCpf(cpf) : null;
+        result = driver ? { driver } : { error: `No driver with CPF ${record.cpf}` };
+    } else if (record.plate) {
+        let drivers = await Driver.findAllByPlate(normalizePlate(record.plate));
+        if (drivers.length === 0) {
+            drivers = await Driver.findAllByPlate(record.plate.replace(/-/g, ''));
+        }
+        if (drivers.length > 1 && record.driver_name) {
+            const name = headerKey(record.driver_name);
+            drivers = drivers.filter(d => headerKey(d.name) === name);
+        }
+
+        if (drivers.length === 1) {
+            result = { driver: drivers[0] };
+        } else if (drivers.length === 0) {
+            result = { error: `No active driver with plate ${record.plate}` };
+        } else {
+            result = { error: `Plate ${record.plate} belongs to several drivers; add a CPF or Motorista column` };
+        }
+    } else {
+        result = { error: 'CPF or Placa is required to find the driver' };
+    }
+
+    cache.set(cacheKey, result);
+    return result;
+}
+
+/**
+ * Parse and validate every row of an import file
+ * @param {Array} rows - From readSpreadsheet
+ * @param {Object} columns - From mapColumns
+ * @param {Object} fields - Import layout
+ * @returns {Array} - [{row, data, errors}] where data holds the create() fields
+ */
+async function validateRows(rows, columns, fields) {
+    const driverCache = new Map();
+    const results = [];
+
+    for (const { row, values } of rows) {
+        const record = {};
+        const errors = [];
+
+        for (const [field, definition] of Object.entries(fields)) {
+            const raw = columns[field] ? values[columns[field]] : null;
+            const empty = raw === null || raw === undefined || String(raw).trim() === '';
+
+            if (empty) {
+                if (definition.required) errors.push(`${columns[field]} is required`);
+                continue;
+            }
+
+            if (definition.type === 'date') {
+                record[field] = parseDate(raw);
+                if (!record[field]) errors.push(`${columns[field]} is not a valid date (use DD/MM/YYYY)`);
+            } else if (definition.type === 'decimal') {
+                record[field] = parseDecimal(raw);
+                // Optional values may be 0 (exports write 0 for unset prices)
+                const valid = isPositiveNumber(record[field]) || (!definition.required && record[field] === 0);
+                if (!valid) errors.push(`${columns[field]} must be a positive number`);
+            } else {
+                record[field] = String(raw).trim();
+            }
+        }
+
+        const { driver, error } = await resolveDriver(record, driverCache);
+        if (error) errors.push(error);
+
+        const { cpf, driver_name, ...data } = record;
+        if (driver) {
+            data.driver_id = driver.id;
+            data.plate = data.plate ? normalizePlate(data.plate) : driver.plate;
+        }
+
+        results.push({ row, driver_name: driver ? driver.name : null, data, errors });
+    }
+
+    return results;
+}
+
+/**
+ * Shared import flow: parse, validate and either report (dry run) or create every row.
+ * Nothing is created while any row has errors, and the rows are created in
+ * one transaction, so a failure part way through keeps none of them.
+ * @param {Object} req - Express request (file, body.commit)
+ * @param {Object} res - Express response
+ * @param {Object} fields - Import layout
+ * @param {Function} create - create(data, tx), the model create function for one row
+ */
+async function handleImport(req, res, fields, create) {
+    if (!req.file) {
+        return res.status(400).json({ error: 'file is required (.csv or .xlsx)' });
+    }
+
+    const format = path.extname(req.file.originalname).toLowerCase().slice(1);
+    let sheet;
+    try {
+        sheet = await readSpreadsheet(req.file.buffer, format);
+    } catch (error) {
+        return res.status(400).json({ error: 'Could not read the spreadsheet' });
+    }
+
+    const { columns, missing } = mapColumns(sheet.headers, fields);
+    if (missing.length > 0) {
+        return res.status(400).json({ error: `Missing columns: ${missing.join(', ')}` });
+    }
+    if (sheet.rows.length === 0) {
+        return res.status(400).json({ error: 'The spreadsheet has no rows' });
+    }
+    if (sheet.rows.length > MAX_IMPORT_ROWS) {
+        return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows per import` });
+    }
+
+    const results = await validateRows(sheet.rows, columns, fields);
+    const invalid = results.filter(r => r.errors.length > 0);
+    const commit = req.body.commit === 'true' || req.body.commit === true;
+
+    const report = {
+        dry_run: true,
+        columns,
+        total_rows: results.length,
+        valid_rows: results.length - invalid.length,
+        error_rows: invalid.length,
+        rows: results
+    };
+
+    if (!commit) {
+        return res.json(report);
+    }
+    if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Fix the rows with errors before importing', ...report });
+    }
+
+    const imported = await transaction(async (tx) => {
+        const ids = [];
+        for (const result of results) {
+            const record = await create(result.data, tx);
+            ids.push(record.id);
+        }
+        return ids;
+    });
+
+    res.status(201).json({ ...report, dry_run: false, imported: imported.length, ids: imported });
+}
+
+// All routes require admin authentication
+router.use(requireAdmin);
+
+/**
+ * POST /api/admin/import/freights
+ * Import complete freights from a CSV/XLSX file (multipart field "file").
+ * Without commit=true only the dry-run report is returned. A commit retried
+ * with the same Idempotency-Key header is not imported twice.
+ * The file carries freight rates, so margins:read is required as well.
+ */
+router.post('/freights', requirePermission('imports:create'), requirePermission('margins:read'), upload.single('file'), idempotent(), async (req, res) => {
+    try {
+        await handleImport(req, res, FREIGHT_IMPORT_FIELDS, (data, tx) => Freight.create(data, tx));
+    } catch (error) {
+        console.error('Import freights error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/import/abastecimentos
+ * Import complete abastecimentos from a CSV/XLSX file (multipart field "file").
+ * Without commit=true only the dry-run report is returned. A commit retried
+ * with the same Idempotency-Key header is not imported twice.
+ */
+router.post('/abastecimentos', requirePermission('imports:create'), upload.single('file'), idempotent(), async (req, res) => {
+    try {
+        await handleImport(req, res, ABASTECIMENTO_IMPORT_FIELDS, (data, tx) => Abastecimento.create(data, tx));
+    } catch (error) {
+        console.error('Import abastecimentos error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const router = express.Router();
+const Invoice = require('../models/invoice');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { isValidDate, isPositiveNumber } = require('../utils/validators');
+const { uploadToBlob } = require('../utils/blobStorage');
+
+// Configure multer with memory storage for Vercel Blob compatibility
+const memoryStorage = multer.memoryStorage();
+
+const upload = multer({
+    storage: memoryStorage,
+    limits: { fileSize: 15 * 1024 * 1024 }, // 15MB limit for PDFs
+    fileFilter: (req, file, cb) => {
+        const imageTypes = /jpeg|jpg|png/;
+        const isImage = imageTypes.test(path.extname(file.originalname).toLowerCase()) && imageTypes.test(file.mimetype);
+        const isPdf = path.extname(file.originalname).toLowerCase() === '.pdf' || file.mimetype === 'application/pdf';
+
+        if (isImage || isPdf) {
+            return cb(null, true);
+        }
+        cb(new Error('Only .png, .jpg, and .pdf files are allowed'));
+    }
+});
+
+/**
+ * Validate the client/period part of an invoice request
+ * @param {Object} body - Request body
+ * @returns {Object} - {error} or {data: {client, period_start, period_end, freight_ids}}
+ */
+function parseInvoiceRequest(body) {
+    const { client, period_start, period_end, freight_ids } = body;
+
+    if (!client || !period_start || !period_end) {
+        return { error: 'client, period_start, and period_end are required' };
+    }
+
+    if (!isValidDate(period_start) || !isValidDate(period_end)) {
+        return { error: 'Invalid date format. Use YYYY-MM-DD' };
+    }
+
+    if (period_start > period_end) {
+        return { error: 'period_start must not be after period_end' };
+    }
+
+    let ids;
+    if (freight_ids !== undefined) {
+        if (!Array.isArray(freight_ids) || freight_ids.some(id => !Number.isInteger(Number(id)))) {
+            return { error: 'freight_ids must be an array of IDs' };
+        }
+        ids = freight_ids.map(Number);
+    }
+
+    return { data: { client, period_start, period_end, freight_ids: ids } };
+}
+
+// All routes require admin authentication
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/invoices?client=&status=
+ * List invoices with paid/outstanding amounts and status
+ */
+router.get('/', requirePermission('invoices:read'), async (req, res) => {
+    try {
+        const { client, status } = req.query;
+
+        if (status && !Invoice.STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${Invoice.STATUSES.join(', ')}` });
+        }
+
+        const invoices = await Invoice.findAll({ client, status });
+        res.json(invoices);
+    } catch (error) {
+        console.error('List invoices error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/invoices/preview
+ * Show which freights an invoice would bill and its total, without saving
+ */
+router.post('/preview', requirePermission('invoices:write'), async (req, res) => {
+    try {
+        const parsed = parseInvoiceRequest(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const draft = await Invoice.build(parsed.data);
+        res.json({ ...draft, valid: draft.errors.length === 0 && draft.freights.length > 0 });
+    } catch (error) {
+        console.error('Preview invoice error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/invoices
+ * Invoice a client's complete freights for a period.
+ * Body: {client, period_start, period_end, due_date, issue_date?, notes?, freight_ids?}
+ * Without freight_ids every complete freight of the period not yet invoiced is billed.
+ */
+router.post('/', requirePermission('invoices:write'), idempotent(), async (req, res) => {
+    try {
+        const parsed = parseInvoiceRequest(req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
+
+        const { due_date, issue_date, notes } = req.body;
+        if (!due_date) {
+            return res.status(400).json({ error: 'due_date is required' });
+        }
+
+        if (!isValidDate(due_date) || (issue_date !== undefined && !isValidDate(issue_date))) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        const invoice = await Invoice.create({ ...parsed.data, due_date, issue_date, notes });
+        res.status(201).json(invoice);
+    } catch (error) {
+        if (error.status === 400 || error.status === 409) {
+            return res.status(error.status).json({ error: error.message, details: error.details });
+        }
+        console.error('Create invoice error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/invoices/:id
+ * Get invoice with its freights and receipts
+ */
+router.get('/:id', requirePermission('invoices:read'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(parseInt(req.params.id));
+        if (!invoice) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+        res.json(invoice);
+    } catch (error) {
+        console.error('Get invoice error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/invoices/:id/receipts
+ * Record money received from the client, with optional comprovante (multipart field "comprovante")
+ */
+router.post('/:id/receipts', requirePermission('invoices:write'), upload.single('comprovante'), idempotent(), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(parseInt(req.params.id));
+        if (!invoice) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        const { date, amount, notes } = req.body;
+
+        if (!date || amount === undefined) {
+            return res.status(400).json({ error: 'date and amount are required' });
+        }
+
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        const value = parseFloat(amount);
+        if (!isPositiveNumber(value)) {
+            return res.status(400).json({ error: 'amount must be a positive number' });
+        }
+
+        // Checked again by addReceipt; failing here skips the upload
+        if (value > invoice.outstanding_amount + Invoice.RECEIPT_TOLERANCE) {
+            return res.status(400).json({
+                error: 'Amount exceeds the outstanding balance of the invoice',
+                outstanding_amount: invoice.outstanding_amount
+            });
+        }
+
+        let comprovantePath = null;
+        if (req.file) {
+            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+            const ext = path.extname(req.file.originalname).toLowerCase() || '.jpg';
+            const filename = `invoice-receipt-${invoice.id}-${uniqueSuffix}${ext}`;
+
+            const { url } = await uploadToBlob(req.file.buffer, filename, req.file.mimetype);
+            comprovantePath = url;
+        }
+
+        const updated = await Invoice.addReceipt(invoice.id, {
+            date,
+            amount: value,
+            comprovante_path: comprovantePath,
+            notes
+        });
+        res.status(201).json(updated);
+    } catch (error) {
+        // Another receipt took the balance since the check above
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message, outstanding_amount: error.outstanding_amount });
+        }
+        console.error('Create invoice receipt error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/admin/invoices/:id/receipts/:receiptId
+ * Delete a recorded receipt
+ */
+router.delete('/:id/receipts/:receiptId', requirePermission('invoices:write'), async (req, res) => {
+    try {
+        const deleted = await Invoice.deleteReceipt(parseInt(req.params.id), parseInt(req.params.receiptId));
+        if (!deleted) {
+            return res.status(404).json({ error: 'Receipt not found' });
+        }
+        res.json({ message: 'Receipt deleted successfully' });
+    } catch (error) {
+        console.error('Delete invoice receipt error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/admin/invoices/:id
+ * Delete an invoice without receipts; its freights can be invoiced again
+ */
+router.delete('/:id', requirePermission('invoices:write'), async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(parseInt(req.params.id));
+        if (!invoice) {
+            return res.status(404).json({ error: 'Invoice not found' });
+        }
+
+        if (invoice.receipts.length > 0) {
+            return res.status(409).json({
+                error: 'Invoice has recorded receipts. Delete the receipts first.'
+            });
+        }
+
+        await Invoice.delete(invoice.id);
+        res.json({ message: 'Invoice deleted successfully' });
+    } catch (error) {
+        console.error('Delete invoice error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
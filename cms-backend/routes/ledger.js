@@ -0,0 +1,107 @@
+const express = require('express');
+const DriverLedger = require('../models/driverLedger');
+const Driver = require('../models/driver');
+const { requireAdmin, requirePermission, requireDriver } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { isValidDate } = require('../utils/validators');
+
+// ============================================
+// ADMIN ROUTES - /api/admin/ledger
+// ============================================
+const adminRouter = express.Router();
+adminRouter.use(requireAdmin);
+
+/**
+ * GET /api/admin/ledger/balances
+ * Current balance of every driver (positive = owed to the driver)
+ */
+adminRouter.get('/balances', requirePermission('ledger:read'), async (req, res) => {
+    try {
+        const balances = await DriverLedger.getAllBalances();
+        res.json(balances);
+    } catch (error) {
+        console.error('Get ledger balances error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/ledger?driver_id=&date_from=&date_to=
+ * A driver's ledger entries with running balance
+ */
+adminRouter.get('/', requirePermission('ledger:read'), async (req, res) => {
+    try {
+        const driverId = parseInt(req.query.driver_id);
+        if (!driverId) {
+            return res.status(400).json({ error: 'driver_id is required' });
+        }
+
+        const ledger = await DriverLedger.findByDriver(driverId, {
+            date_from: req.query.date_from,
+            date_to: req.query.date_to
+        });
+        res.json(ledger);
+    } catch (error) {
+        console.error('Get ledger error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/ledger/adjustments
+ * Append a manual adjustment (positive credits the driver, negative debits)
+ */
+adminRouter.post('/adjustments', requirePermission('ledger:write'), idempotent(), async (req, res) => {
+    try {
+        const { driver_id, amount, description, entry_date } = req.body;
+
+        if (!driver_id || amount === undefined || !description) {
+            return res.status(400).json({ error: 'driver_id, amount, and description are required' });
+        }
+
+        const value = parseFloat(amount);
+        if (!isFinite(value) || value === 0) {
+            return res.status(400).json({ error: 'amount must be a non-zero number' });
+        }
+
+        if (entry_date !== undefined && !isValidDate(entry_date)) {
+            return res.status(400).json({ error: 'Invalid date format. Use YYYY-MM-DD' });
+        }
+
+        const driver = await Driver.findById(driver_id);
+        if (!driver) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        const entry = await DriverLedger.addAdjustment({ driver_id, amount: value, description, entry_date });
+        res.status(201).json(entry);
+    } catch (error) {
+        console.error('Create ledger adjustment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// ============================================
+// DRIVER ROUTES - /api/driver/ledger
+// ============================================
+const driverRouter = express.Router();
+driverRouter.use(requireDriver);
+
+/**
+ * GET /api/driver/ledger
+ * Get logged-in driver's ledger entries with running balance
+ */
+driverRouter.get('/', async (req, res) => {
+    try {
+        const ledger = await DriverLedger.findByDriver(req.driver.id, {
+            date_from: req.query.date_from,
+            date_to: req.query.date_to
+        });
+        res.json(ledger);
+    } catch (error) {
+        console.error('Get driver ledger error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = { adminRouter, driverRouter };
@@ -0,0 +1,40 @@
+const express = require('express');
+const router = express.Router();
+const { listOutbox, clearOutbox } = require('../utils/notifications');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+// All routes require admin authentication; the outbox holds live reset
+// codes and links, so only admins who manage the team can see it
+router.use(requireAdmin, requirePermission('admins:manage'));
+
+/**
+ * GET /api/admin/notifications/outbox
+ * Messages the console/memory provider would have sent, newest first.
+ * outbox is false (and messages empty) when a real provider is configured.
+ */
+router.get('/outbox', async (req, res) => {
+    try {
+        res.json(await listOutbox());
+    } catch (error) {
+        console.error('List outbox error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/admin/notifications/outbox
+ * Empty the dev outbox
+ */
+router.delete('/outbox', async (req, res) => {
+    try {
+        if (!(await clearOutbox())) {
+            return res.status(400).json({ error: 'The configured notification provider has no outbox' });
+        }
+        res.json({ message: 'Outbox cleared' });
+    } catch (error) {
+        console.error('Clear outbox error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -4,9 +4,11 @@ const multer = require('multer');
 const path = require('path');
 const OutrosInsumo = require('../models/outrosinsumo');
 const Driver = require('../models/driver');
-const { requireAdmin, requireDriver } = require('../middleware/auth');
+const { requireAdmin, requirePermission, requireDriver } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { isValidDate, isPositiveNumber } = require('../utils/validators');
 const { uploadToBlob } = require('../utils/blobStorage');
+const { EXPORT_FORMATS, sendSpreadsheet } = require('../utils/spreadsheet');
 
 // Configure multer with memory storage for Vercel Blob compatibility
 const memoryStorage = multer.memoryStorage();
@@ -28,6 +30,20 @@ const upload = multer({
     }
 });
 
+// Spreadsheet columns for ?format=csv|xlsx
+const OUTROS_INSUMO_EXPORT_COLUMNS = [
+    { header: 'ID', value: oi => oi.id, type: 'number', width: 8 },
+    { header: 'Data', value: oi => oi.date, type: 'date', width: 12 },
+    { header: 'Motorista', value: oi => oi.driver_name, width: 25 },
+    { header: 'Placa', value: oi => oi.plate || oi.driver_plate, width: 10 },
+    { header: 'Cliente', value: oi => oi.client, width: 25 },
+    { header: 'Quantidade', value: oi => oi.quantity, type: 'decimal' },
+    { header: 'Descrição', value: oi => oi.description, width: 35 },
+    { header: 'Preço unitário', value: oi => oi.unit_price, type: 'currency' },
+    { header: 'Total', value: oi => oi.total_value, type: 'currency' },
+    { header: 'Pago', value: oi => oi.paid ? 'Sim' : 'Não', width: 8 }
+];
+
 // ============================================
 // ADMIN ROUTES - /api/admin/outrosinsumos
 // ============================================
@@ -38,7 +54,7 @@ adminRouter.use(requireAdmin);
  * POST /api/admin/outrosinsumos
  * Create outros insumo for a driver (admin only)
  */
-adminRouter.post('/', async (req, res) => {
+adminRouter.post('/', requirePermission('outrosinsumos:write'), idempotent(), async (req, res) => {
     try {
         const { driver_id, date, quantity, description, unit_price, plate } = req.body;
 
@@ -78,11 +94,15 @@ adminRouter.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/admin/outrosinsumos
- * List all outros insumos with optional filters
+ * GET /api/admin/outrosinsumos?driver_id=&client=&date_from=&date_to=&format=csv|xlsx
+ * List all outros insumos with optional filters, or download them as a spreadsheet
  */
-adminRouter.get('/', async (req, res) => {
+adminRouter.get('/', requirePermission('outrosinsumos:read'), async (req, res) => {
     try {
+        if (req.query.format !== undefined && !EXPORT_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+        }
+
         const filters = {
             driver_id: req.query.driver_id,
             client: req.query.client,
@@ -91,6 +111,14 @@ adminRouter.get('/', async (req, res) => {
         };
 
         const outrosInsumos = await OutrosInsumo.findAll(filters);
+        if (req.query.format) {
+            return sendSpreadsheet(res, req.query.format, {
+                filename: 'Outros_Insumos',
+                sheetName: 'Outros Insumos',
+                columns: OUTROS_INSUMO_EXPORT_COLUMNS,
+                rows: outrosInsumos
+            });
+        }
         res.json(outrosInsumos);
     } catch (error) {
         console.error('List outros insumos error:', error);
@@ -102,7 +130,7 @@ adminRouter.get('/', async (req, res) => {
  * GET /api/admin/outrosinsumos/:id
  * Get outros insumo by ID
  */
-adminRouter.get('/:id', async (req, res) => {
+adminRouter.get('/:id', requirePermission('outrosinsumos:read'), async (req, res) => {
     try {
         const outrosInsumo = await OutrosInsumo.findById(req.params.id);
         if (!outrosInsumo) {
@@ -117,9 +145,10 @@ adminRouter.get('/:id', async (req, res) => {
 
 /**
  * PUT /api/admin/outrosinsumos/:id
- * Update outros insumo with optional file upload
+ * Update outros insumo with optional file upload. A paid one keeps its
+ * quantity and price.
  */
-adminRouter.put('/:id', upload.single('comprovante'), async (req, res) => {
+adminRouter.put('/:id', requirePermission('outrosinsumos:write'), upload.single('comprovante'), async (req, res) => {
     try {
         const outrosInsumo = await OutrosInsumo.findById(req.params.id);
         if (!outrosInsumo) {
@@ -162,6 +191,10 @@ adminRouter.put('/:id', upload.single('comprovante'), async (req, res) => {
         const updated = await OutrosInsumo.update(req.params.id, updateData);
         res.json(updated);
     } catch (error) {
+        // Settled by a payment
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Update outros insumo error:', error);
         res.status(500).json({ error: error.message || 'Internal server error' });
     }
@@ -169,9 +202,9 @@ adminRouter.put('/:id', upload.single('comprovante'), async (req, res) => {
 
 /**
  * DELETE /api/admin/outrosinsumos/:id
- * Delete outros insumo
+ * Delete outros insumo, unless a payment settled it
  */
-adminRouter.delete('/:id', async (req, res) => {
+adminRouter.delete('/:id', requirePermission('outrosinsumos:write'), async (req, res) => {
     try {
         const outrosInsumo = await OutrosInsumo.findById(req.params.id);
         if (!outrosInsumo) {
@@ -181,6 +214,10 @@ adminRouter.delete('/:id', async (req, res) => {
         await OutrosInsumo.delete(req.params.id);
         res.json({ message: 'Outros insumo deleted successfully' });
     } catch (error) {
+        // Settled by a payment
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message });
+        }
         console.error('Delete outros insumo error:', error);
         res.status(500).json({ error: 'Internal server error' });
     }
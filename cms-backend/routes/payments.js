@@ -3,9 +3,12 @@ const multer = require('multer');
 const path = require('path');
 const router = express.Router();
 const Payment = require('../models/payment');
-const Freight = require('../models/freight');
-const { requireAdmin } = require('../middleware/auth');
+const Driver = require('../models/driver');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 const { uploadToBlob } = require('../utils/blobStorage');
+const { EXPORT_FORMATS, sendSpreadsheet } = require('../utils/spreadsheet');
+const { notifyPaymentCreated } = require('../utils/driverNotifications');
 
 // Configure multer with memory storage for Vercel Blob
 const memoryStorage = multer.memoryStorage();
@@ -27,33 +30,165 @@ const upload = multer({
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+/**
+ * Sum a payment's items of one type
+ * @param {Object} payment - Payment with items
+ * @param {string} type - payment_items.item_type
+ * @returns {number}
+ */
+function itemTotal(payment, type) {
+    return payment.items
+        .filter(item => item.item_type === type)
+        .reduce((sum, item) => sum + item.amount, 0);
+}
+
+// Spreadsheet columns for ?format=csv|xlsx
+const PAYMENT_EXPORT_COLUMNS = [
+    { header: 'ID', value: p => p.id, type: 'number', width: 8 },
+    { header: 'Data', value: p => p.created_at, type: 'date', width: 12 },
+    { header: 'Motorista', value: p => p.driver_name, width: 25 },
+    { header: 'Placa', value: p => p.driver_plate, width: 10 },
+    { header: 'Período', value: p => p.date_range, width: 25 },
+    { header: 'Fretes', value: p => itemTotal(p, 'freight'), type: 'currency' },
+    { header: 'Abastecimentos', value: p => itemTotal(p, 'abastecimento'), type: 'currency' },
+    { header: 'Outros insumos', value: p => itemTotal(p, 'outros_insumo'), type: 'currency' },
+    { header: 'Adiantamentos', value: p => itemTotal(p, 'advance'), type: 'currency' },
+    { header: 'Total pago', value: p => p.total_value, type: 'currency' },
+    { header: 'Comprovante', value: p => p.comprovante_path, width: 40 }
+];
+
 // Apply admin auth to all routes
 router.use(requireAdmin);
 
+// Accepted difference between the submitted and computed totals (float rounding)
+const TOTAL_TOLERANCE = 0.01;
+
+/**
+ * Parse an ID list sent either as an array (JSON body) or a JSON string (multipart)
+ * @param {Array|string|undefined} value
+ * @returns {Array|null} - Integer IDs, or null if malformed
+ */
+function parseIdList(value) {
+    if (value === undefined || value === null || value === '') return [];
+
+    let ids = value;
+    if (typeof value === 'string') {
+        try {
+            ids = JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    if (!Array.isArray(ids)) return null;
+    const parsed = ids.map(id => parseInt(id));
+    return parsed.every(id => Number.isInteger(id) && id > 0) ? parsed : null;
+}
+
+/**
+ * Read driver_id and item IDs from a payment request body
+ * @param {Object} body - Request body
+ * @returns {Object} - { error } or { driverId, ids }
+ */
+function parseSettlementRequest(body) {
+    const driverId = parseInt(body.driver_id);
+    if (!driverId) {
+        return { error: 'driver_id is required' };
+    }
+
+    const ids = {
+        freight_ids: parseIdList(body.freight_ids),
+        abastecimento_ids: parseIdList(body.abastecimento_ids),
+        outros_insumo_ids: parseIdList(body.outros_insumo_ids)
+    };
+
+    if (Object.values(ids).some(list => list === null)) {
+        return { error: 'IDs must be valid JSON arrays' };
+    }
+    if (Object.values(ids).every(list => list.length === 0)) {
+        return { error: 'Select at least one item to pay' };
+    }
+
+    return { driverId, ids };
+}
+
+/**
+ * Map settlement errors to an HTTP status: double payments are conflicts,
+ * everything else is a bad selection
+ * @param {Array} errors - Settlement errors
+ * @returns {number}
+ */
+function settlementErrorStatus(errors) {
+    return errors.some(e => e.reason === 'already_paid') ? 409 : 400;
+}
+
+/**
+ * POST /api/admin/payments/preview
+ * Compute the settlement for the selected items without creating a payment
+ */
+router.post('/preview', requirePermission('payments:create'), async (req, res) => {
+    try {
+        const { error, driverId, ids } = parseSettlementRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        const settlement = await Payment.settle(driverId, ids);
+        res.json({ ...settlement, valid: settlement.errors.length === 0 });
+    } catch (error) {
+        console.error('Preview payment error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 /**
  * POST /api/admin/payments
- * Create a new payment (with optional comprovante)
+ * Create a new payment (with optional comprovante).
+ * The total is recomputed from the selected items and must match total_value.
  */
-router.post('/', upload.single('comprovante'), async (req, res) => {
+router.post('/', requirePermission('payments:create'), upload.single('comprovante'), idempotent(), async (req, res) => {
     try {
-        const { driver_id, date_range, total_value, freight_ids, abastecimento_ids, outros_insumo_ids } = req.body;
+        const { date_range, total_value } = req.body;
 
-        if (!driver_id || !date_range || total_value === undefined) {
+        if (!req.body.driver_id || !date_range || total_value === undefined) {
             return res.status(400).json({
                 error: 'driver_id, date_range, and total_value are required'
             });
         }
 
-        let parsedFreightIds = [];
-        let parsedAbastecimentoIds = [];
-        let parsedOutrosInsumoIds = [];
+        const { error, driverId, ids } = parseSettlementRequest(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
 
-        try {
-            if (freight_ids) parsedFreightIds = JSON.parse(freight_ids);
-            if (abastecimento_ids) parsedAbastecimentoIds = JSON.parse(abastecimento_ids);
-            if (outros_insumo_ids) parsedOutrosInsumoIds = JSON.parse(outros_insumo_ids);
-        } catch (e) {
-            return res.status(400).json({ error: 'IDs must be valid JSON arrays' });
+        const submittedTotal = parseFloat(total_value);
+        if (isNaN(submittedTotal)) {
+            return res.status(400).json({ error: 'total_value must be a number' });
+        }
+
+        const driver = await Driver.findById(driverId);
+        if (!driver) {
+            return res.status(404).json({ error: 'Driver not found' });
+        }
+
+        const settlement = await Payment.settle(driverId, ids);
+        if (settlement.errors.length > 0) {
+            return res.status(settlementErrorStatus(settlement.errors)).json({
+                error: 'Some selected items cannot be paid',
+                details: settlement.errors
+            });
+        }
+
+        if (Math.abs(settlement.total_value - submittedTotal) > TOTAL_TOLERANCE) {
+            return res.status(400).json({
+                error: `total_value does not match the selected items (expected ${settlement.total_value.toFixed(2)})`,
+                expected_total: settlement.total_value
+            });
         }
 
         // Handle file upload with Vercel Blob
@@ -68,37 +203,49 @@ router.post('/', upload.single('comprovante'), async (req, res) => {
         }
 
         const payment = await Payment.create({
-            driver_id: parseInt(driver_id),
+            driver_id: driverId,
             date_range,
-            total_value: parseFloat(total_value),
             comprovante_path,
-            freight_ids: parsedFreightIds,
-            abastecimento_ids: parsedAbastecimentoIds,
-            outros_insumo_ids: parsedOutrosInsumoIds
+            ...ids
         });
 
+        await notifyPaymentCreated(req, payment);
+
         res.status(201).json(payment);
     } catch (error) {
+        // Items paid by a concurrent request between validation and insert
+        if (error.status === 409) {
+            return res.status(409).json({ error: error.message, details: error.details });
+        }
         console.error('Create payment error:', error);
         res.status(500).json({ error: error.message || 'Internal server error' });
     }
 });
 
 /**
- * GET /api/admin/payments
- * List all payments or filter by driver
+ * GET /api/admin/payments?driver_id=&date_from=&date_to=&format=csv|xlsx
+ * List all payments with optional filters, or download them as a spreadsheet
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('payments:read'), async (req, res) => {
     try {
-        const { driver_id } = req.query;
-
-        let payments;
-        if (driver_id) {
-            payments = await Payment.findByDriver(parseInt(driver_id));
-        } else {
-            payments = await Payment.findAll();
+        if (req.query.format !== undefined && !EXPORT_FORMATS.includes(req.query.format)) {
+            return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
         }
 
+        const payments = await Payment.findAll({
+            driver_id: req.query.driver_id ? parseInt(req.query.driver_id) : undefined,
+            date_from: req.query.date_from,
+            date_to: req.query.date_to
+        });
+
+        if (req.query.format) {
+            return sendSpreadsheet(res, req.query.format, {
+                filename: 'Pagamentos',
+                sheetName: 'Pagamentos',
+                columns: PAYMENT_EXPORT_COLUMNS,
+                rows: payments
+            });
+        }
         res.json(payments);
     } catch (error) {
         console.error('List payments error:', error);
@@ -110,7 +257,7 @@ router.get('/', async (req, res) => {
  * GET /api/admin/payments/:id
  * Get payment by ID
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id', requirePermission('payments:read'), async (req, res) => {
     try {
         const payment = await Payment.findById(parseInt(req.params.id));
         if (!payment) {
@@ -127,7 +274,7 @@ router.get('/:id', async (req, res) => {
  * PUT /api/admin/payments/:id
  * Update payment (e.g., add comprovante)
  */
-router.put('/:id', upload.single('comprovante'), async (req, res) => {
+router.put('/:id', requirePermission('payments:create'), upload.single('comprovante'), async (req, res) => {
     try {
         const paymentId = parseInt(req.params.id);
         const payment = await Payment.findById(paymentId);
@@ -160,7 +307,7 @@ router.put('/:id', upload.single('comprovante'), async (req, res) => {
  * DELETE /api/admin/payments/:id
  * Delete payment
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission('payments:delete'), async (req, res) => {
     try {
         const success = await Payment.delete(parseInt(req.params.id));
         if (!success) {
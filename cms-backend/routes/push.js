@@ -0,0 +1,91 @@
+/**
+ * Push Subscription Routes
+ * Web Push registration for the three PWAs, mounted at
+ * /api/driver/push, /api/abastecedor/push and /api/cliente/push
+ */
+
+const express = require('express');
+const PushSubscription = require('../models/pushSubscription');
+const { publicKey } = require('../utils/webPush');
+const { requireDriver, requireAbastecedor, requireCliente } = require('../middleware/auth');
+
+/**
+ * Check a PushSubscription JSON sent by the browser
+ * @param {Object} subscription
+ * @returns {boolean}
+ */
+function isValidSubscription(subscription) {
+    return !!(subscription &&
+        typeof subscription.endpoint === 'string' &&
+        /^https:\/\//.test(subscription.endpoint) &&
+        subscription.keys &&
+        typeof subscription.keys.p256dh === 'string' &&
+        typeof subscription.keys.auth === 'string');
+}
+
+/**
+ * Build the push routes for one type of user
+ * @param {string} userType - driver, abastecedor or cliente
+ * @param {Function} requireUser - Auth middleware that sets req[userType]
+ * @returns {express.Router}
+ */
+function pushRouter(userType, requireUser) {
+    const router = express.Router();
+    router.use(requireUser);
+
+    /**
+     * GET /key
+     * VAPID public key to subscribe with (null when push is not configured)
+     */
+    router.get('/key', (req, res) => {
+        res.json({ public_key: publicKey() });
+    });
+
+    /**
+     * POST /subscriptions
+     * Register this device. Body: the browser's PushSubscription JSON
+     */
+    router.post('/subscriptions', async (req, res) => {
+        try {
+            if (!publicKey()) {
+                return res.status(503).json({ error: 'Notificações push não estão configuradas no servidor' });
+            }
+            if (!isValidSubscription(req.body)) {
+                return res.status(400).json({ error: 'Invalid push subscription' });
+            }
+
+            await PushSubscription.save(userType, req[userType].id, req.body, req.get('user-agent'));
+            res.status(201).json({ message: 'Push subscription saved' });
+        } catch (error) {
+            console.error('Save push subscription error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    /**
+     * DELETE /subscriptions
+     * Stop push on this device. Body: { endpoint }
+     */
+    router.delete('/subscriptions', async (req, res) => {
+        try {
+            const { endpoint } = req.body;
+            if (!endpoint) {
+                return res.status(400).json({ error: 'endpoint is required' });
+            }
+
+            await PushSubscription.remove(userType, req[userType].id, endpoint);
+            res.json({ message: 'Push subscription removed' });
+        } catch (error) {
+            console.error('Remove push subscription error:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = {
+    driverRouter: pushRouter('driver', requireDriver),
+    abastecedorRouter: pushRouter('abastecedor', requireAbastecedor),
+    clienteRouter: pushRouter('cliente', requireCliente)
+};
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const LoginThrottle = require('../models/loginThrottle');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+// All routes require admin authentication
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/security/lockouts
+ * Accounts and IPs currently locked out after repeated failed logins or
+ * password-reset attempts. key is "<login|reset>:<cpf|admin|ip>:<value>".
+ */
+router.get('/lockouts', requirePermission('users:read'), async (req, res) => {
+    try {
+        const lockouts = await LoginThrottle.findLocked();
+        res.json(lockouts.map(lockout => {
+            const [scope, kind, ...value] = lockout.key.split(':');
+            return { ...lockout, scope, kind, identifier: value.join(':') };
+        }));
+    } catch (error) {
+        console.error('List lockouts error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/admin/security/lockouts/:id
+ * Lift a lockout before it expires
+ */
+router.delete('/lockouts/:id', requirePermission('users:write'), async (req, res) => {
+    try {
+        const removed = await LoginThrottle.unlock(parseInt(req.params.id));
+        if (!removed) {
+            return res.status(404).json({ error: 'Lockout not found' });
+        }
+        res.json({ message: 'Lockout lifted' });
+    } catch (error) {
+        console.error('Unlock error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
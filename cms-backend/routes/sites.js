@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const Site = require('../models/site');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { isValidPolygon } = require('../utils/geofence');
+
+// All routes require admin authentication
+router.use(requireAdmin);
+
+/**
+ * Validate the site fields of a request. On update only the fields sent are
+ * checked and returned, but the resulting site must still have a geofence.
+ * @param {Object} body - Request body
+ * @param {Object|null} existing - Site being updated, null on create
+ * @returns {Object} - {data} or {error}
+ */
+function readSite(body, existing = null) {
+    const data = {};
+
+    if (body.name !== undefined || !existing) {
+        if (!body.name || typeof body.name !== 'string' || !body.name.trim()) {
+            return { error: 'name is required' };
+        }
+        data.name = body.name.trim();
+    }
+
+    if (body.kind !== undefined || !existing) {
+        if (!Site.KINDS.includes(body.kind)) {
+            return { error: `kind must be one of: ${Site.KINDS.join(', ')}` };
+        }
+        data.kind = body.kind;
+    }
+
+    if (body.client !== undefined) {
+        data.client = body.client ? String(body.client).trim() : null;
+    }
+
+    for (const [field, limit] of [['latitude', 90], ['longitude', 180]]) {
+        if (body[field] === undefined && existing) continue;
+        const value = parseFloat(body[field]);
+        if (!Number.isFinite(value) || value < -limit || value > limit) {
+            return { error: `${field} must be a number between -${limit} and ${limit}` };
+        }
+        data[field] = value;
+    }
+
+    if (body.radius_m !== undefined) {
+        if (body.radius_m === null || body.radius_m === '') {
+            data.radius_m = null;
+        } else {
+            const radius = parseFloat(body.radius_m);
+            if (!(radius > 0)) {
+                return { error: 'radius_m must be a positive number' };
+            }
+            data.radius_m = radius;
+        }
+    }
+
+    if (body.polygon !== undefined) {
+        let polygon = body.polygon;
+        if (typeof polygon === 'string') {
+            try {
+                polygon = polygon.trim() ? JSON.parse(polygon) : null;
+            } catch (error) {
+                return { error: 'polygon must be a JSON array of [latitude, longitude] pairs' };
+            }
+        }
+        if (polygon !== null && !isValidPolygon(polygon)) {
+            return { error: 'polygon must have at least 3 [latitude, longitude] pairs' };
+        }
+        data.polygon = polygon;
+    }
+
+    if (body.active !== undefined) {
+        data.active = body.active === true || body.active === 1 || body.active === '1' || body.active === 'true';
+    }
+
+    const radius = data.radius_m !== undefined ? data.radius_m : existing && existing.radius_m;
+    const polygon = data.polygon !== undefined ? data.polygon : existing && existing.polygon;
+    if (!radius && !polygon) {
+        return { error: 'A site needs a radius_m or a polygon' };
+    }
+
+    return { data };
+}
+
+/**
+ * GET /api/admin/sites?active=&kind=
+ * List load/unload sites by name
+ */
+router.get('/', requirePermission('sites:read'), async (req, res) => {
+    try {
+        const { active, kind } = req.query;
+        const sites = await Site.findAll({
+            active: active === undefined ? undefined : active === '1' || active === 'true',
+            kind
+        });
+        res.json(sites);
+    } catch (error) {
+        console.error('List sites error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * GET /api/admin/sites/:id
+ * Get site by ID
+ */
+router.get('/:id', requirePermission('sites:read'), async (req, res) => {
+    try {
+        const site = await Site.findById(parseInt(req.params.id));
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+        res.json(site);
+    } catch (error) {
+        console.error('Get site error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * POST /api/admin/sites
+ * Create a site with a circle (latitude, longitude, radius_m) or polygon geofence
+ */
+router.post('/', requirePermission('sites:write'), idempotent(), async (req, res) => {
+    try {
+        const { data, error } = readSite(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const site = await Site.create(data);
+        res.status(201).json(site);
+    } catch (error) {
+        console.error('Create site error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * PUT /api/admin/sites/:id
+ * Update a site; active: false hides it from new freights
+ */
+router.put('/:id', requirePermission('sites:write'), async (req, res) => {
+    try {
+        const site = await Site.findById(parseInt(req.params.id));
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        const { data, error } = readSite(req.body, site);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.json(await Site.update(site.id, data));
+    } catch (error) {
+        console.error('Update site error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * DELETE /api/admin/sites/:id
+ * Delete a site no freight uses
+ */
+router.delete('/:id', requirePermission('sites:write'), async (req, res) => {
+    try {
+        const site = await Site.findById(parseInt(req.params.id));
+        if (!site) {
+            return res.status(404).json({ error: 'Site not found' });
+        }
+
+        if (await Site.isInUse(site.id)) {
+            return res.status(409).json({
+                error: 'Site is used by freights. Deactivate it instead.'
+            });
+        }
+
+        await Site.delete(site.id);
+        res.json({ message: 'Site deleted successfully' });
+    } catch (error) {
+        console.error('Delete site error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
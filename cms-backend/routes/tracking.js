@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const DriverLocation = require('../models/DriverLocation');
+const { requireAdmin, requirePermission } = require('../middleware/auth');
+
+// The driver app sends a position every few seconds while tracking; one
+// this old means the phone lost signal, was closed or ran out of battery
+const DEFAULT_STALE_MINUTES = 10;
+
+// All routes require admin authentication
+router.use(requireAdmin);
+
+/**
+ * GET /api/admin/tracking/active
+ * Trucks currently tracking a freight, most recently updated first.
+ * Positions older than stale_minutes (default 10) are marked stale.
+ */
+router.get('/active', requirePermission('freights:read'), async (req, res) => {
+    try {
+        const staleMinutes = req.query.stale_minutes !== undefined
+            ? parseInt(req.query.stale_minutes)
+            : DEFAULT_STALE_MINUTES;
+        if (!(staleMinutes > 0)) {
+            return res.status(400).json({ error: 'stale_minutes must be a positive number' });
+        }
+
+        const locations = await DriverLocation.getAllActive();
+
+        res.json({
+            stale_after_minutes: staleMinutes,
+            trucks: locations.map(location => ({
+                driver_id: location.driver_id,
+                driver_name: location.driver_name,
+                driver_phone: location.driver_phone,
+                plate: location.freight_plate || location.driver_plate,
+                freight_id: location.freight_id,
+                client: location.freight_client,
+                freight_date: location.freight_date,
+                latitude: location.latitude,
+                longitude: location.longitude,
+                updated_at: location.updated_at,
+                age_seconds: location.age_seconds,
+                stale: location.age_seconds > staleMinutes * 60
+            }))
+        });
+    } catch (error) {
+        console.error('Get active tracking error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+module.exports = router;
@@ -13,8 +13,10 @@ const multer = require('multer');
 const fs = require('fs');
 
 // Import database utilities
-const { initDatabase, execute } = require('./config/database');
+const { initDatabase, execute, transaction } = require('./config/database');
 const { uploadToBlob } = require('./utils/blobStorage');
+const { notifyComprovanteAssigned } = require('./utils/driverNotifications');
+const { notifyDeliveryReceipt, notifyAbastecimentoComprovante } = require('./utils/portalNotifications');
 
 const authRoutes = require('./routes/auth');
 const driverRoutes = require('./routes/drivers');
@@ -22,11 +24,25 @@ const { adminRouter: adminFreightRoutes, driverRouter: driverFreightRoutes } = r
 const { adminRouter: adminAbastecimentoRoutes, driverRouter: driverAbastecimentoRoutes } = require('./routes/abastecimentos');
 const { adminRouter: adminOutrosInsumoRoutes, driverRouter: driverOutrosInsumoRoutes } = require('./routes/outrosinsumos');
 const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const importRoutes = require('./routes/imports');
+const { adminRouter: adminAdvanceRoutes, driverRouter: driverAdvanceRoutes } = require('./routes/advances');
+const { adminRouter: adminLedgerRoutes, driverRouter: driverLedgerRoutes } = require('./routes/ledger');
+const { adminRouter: adminExtratoRoutes, driverRouter: driverExtratoRoutes, clienteRouter: clienteExtratoRoutes } = require('./routes/extratos');
 const abastecedorRoutes = require('./routes/abastecedores');
+const adminUserRoutes = require('./routes/admins');
+const auditRoutes = require('./routes/audit');
+const securityRoutes = require('./routes/security');
+const notificationRoutes = require('./routes/notifications');
+const trackingRoutes = require('./routes/tracking');
+const siteRoutes = require('./routes/sites');
 const clienteMobileRoutes = require('./routes/cliente-mobile');
 const abastecedorMobileRoutes = require('./routes/abastecedor-mobile');
 const driverLocationRoutes = require('./routes/driver-location');
-const { requireDriver, requireAdmin, requireAbastecedor, requireCliente } = require('./middleware/auth');
+const driverNotificationRoutes = require('./routes/driver-notifications');
+const { driverRouter: driverPushRoutes, abastecedorRouter: abastecedorPushRoutes, clienteRouter: clientePushRoutes } = require('./routes/push');
+const { requireDriver, requireAdmin, requirePermission, requireAbastecedor, requireCliente } = require('./middleware/auth');
+const { idempotent } = require('./middleware/idempotency');
 const Driver = require('./models/driver');
 const Freight = require('./models/freight');
 const Abastecimento = require('./models/abastecimento');
@@ -35,7 +51,10 @@ const ComprovanteDescarga = require('./models/comprovanteDescarga');
 const ComprovanteAbastecimento = require('./models/comprovanteAbastecimento');
 const ComprovanteCarga = require('./models/comprovanteCarga');
 const Payment = require('./models/payment');
+const Advance = require('./models/advance');
+const DriverLedger = require('./models/driverLedger');
 const Cliente = require('./models/cliente');
+const Session = require('./models/session');
 const { query, queryOne } = require('./config/database');
 
 const app = express();
@@ -58,6 +77,12 @@ const driverUpload = multer({
     limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// On Vercel requests arrive through one proxy that sets X-Forwarded-For;
+// req.ip must be the client's for login throttling
+if (process.env.VERCEL) {
+    app.set('trust proxy', 1);
+}
+
 // Middleware
 app.use(cors({
     origin: true,
@@ -80,15 +105,34 @@ app.use('/api/admin/freights', adminFreightRoutes);
 app.use('/api/admin/abastecimentos', adminAbastecimentoRoutes);
 app.use('/api/admin/outrosinsumos', adminOutrosInsumoRoutes);
 app.use('/api/admin/payments', paymentRoutes);
+app.use('/api/admin/invoices', invoiceRoutes);
+app.use('/api/admin/import', importRoutes);
+app.use('/api/admin/advances', adminAdvanceRoutes);
+app.use('/api/admin/ledger', adminLedgerRoutes);
+app.use('/api/admin/extratos', adminExtratoRoutes);
 app.use('/api/admin/abastecedores', abastecedorRoutes);
+app.use('/api/admin/users', adminUserRoutes);
+app.use('/api/admin/audit', auditRoutes);
+app.use('/api/admin/security', securityRoutes);
+app.use('/api/admin/notifications', notificationRoutes);
+app.use('/api/admin/tracking', trackingRoutes);
+app.use('/api/admin/sites', siteRoutes);
 app.use('/api/driver/freights', driverFreightRoutes);
 app.use('/api/driver/abastecimentos', driverAbastecimentoRoutes);
 app.use('/api/driver/outrosinsumos', driverOutrosInsumoRoutes);
+app.use('/api/driver/advances', driverAdvanceRoutes);
+app.use('/api/driver/ledger', driverLedgerRoutes);
+app.use('/api/driver/extratos', driverExtratoRoutes);
+app.use('/api/driver/notifications', driverNotificationRoutes);
+app.use('/api/driver/push', driverPushRoutes);
 
 // Cliente mobile routes
+app.use('/api/cliente/push', clientePushRoutes);
+app.use('/api/cliente/extratos', clienteExtratoRoutes);
 app.use('/api/cliente', clienteMobileRoutes);
 
 // Abastecedor mobile routes
+app.use('/api/abastecedor/push', abastecedorPushRoutes);
 app.use('/api/abastecedor', abastecedorMobileRoutes);
 
 // Driver location tracking routes
@@ -249,39 +293,40 @@ app.get('/api/driver/stats', requireDriver, async (req, res) => {
     try {
         const driverId = req.driver.id;
 
+        // Counts and quantities come from the item tables; money comes from the ledger
         const freightStats = await Freight.getDriverStats(driverId);
         const abastecimentoStats = await Abastecimento.getDriverStats(driverId);
         const outrosInsumoStats = await OutrosInsumo.getDriverStats(driverId);
+        const ledger = await DriverLedger.getDriverSummary(driverId);
 
-        // Get paid (received) total
-        const totalReceived = await Freight.getPaidTotalByDriver(driverId);
-
-        const totalFreights = freightStats?.total_value || 0;
-        const totalAbastecimentos = abastecimentoStats?.total_value || 0;
-        const totalOutrosInsumos = outrosInsumoStats?.total_value || 0;
-
-        // New calculation: Total a Receber = Total Fretes - Total Recebido - Abastecimentos - Outros Insumos
-        const totalToReceive = totalFreights - totalReceived - totalAbastecimentos - totalOutrosInsumos;
+        // Advances not yet deducted by a payment
+        const outstandingAdvances = await Advance.getOutstandingTotalByDriver(driverId);
 
         res.json({
             freights: {
                 count: freightStats?.total_freights || 0,
                 total_km: freightStats?.total_km || 0,
                 total_tons: freightStats?.total_tons || 0,
-                total_value: totalFreights
+                total_value: ledger.freight
             },
             abastecimentos: {
                 count: abastecimentoStats?.total_abastecimentos || 0,
                 total_liters: abastecimentoStats?.total_liters || 0,
-                total_value: totalAbastecimentos
+                total_value: -ledger.abastecimento
             },
             outrosInsumos: {
                 count: outrosInsumoStats?.total_outros_insumos || 0,
                 total_quantity: outrosInsumoStats?.total_quantity || 0,
-                total_value: totalOutrosInsumos
+                total_value: -ledger.outros_insumo
+            },
+            advances: {
+                total_value: -ledger.advance,
+                outstanding: outstandingAdvances
             },
-            total_received: totalReceived,
-            total_to_receive: totalToReceive
+            adjustments: ledger.adjustment,
+            total_received: -ledger.payment,
+            // Total a Receber = ledger balance (Fretes - Abastecimentos - Outros Insumos - Adiantamentos - Pago +/- Ajustes)
+            total_to_receive: ledger.balance
         });
     } catch (error) {
         console.error('Get driver stats error:', error);
@@ -301,11 +346,36 @@ app.get('/api/driver/payments', requireDriver, async (req, res) => {
     }
 });
 
+// Oldest photo a queued upload may still send
+const MAX_CAPTURE_AGE_DAYS = 30;
+
+/**
+ * Date of a driver's comprovante. The PWA queues uploads made without signal
+ * and sends the capture time (captured_at) along, so the record is dated the
+ * day the photo was taken rather than the day it arrived.
+ * @param {string} capturedAt - ISO timestamp, optional
+ * @returns {string|null} - YYYY-MM-DD, or null if capturedAt is invalid
+ */
+function captureDate(capturedAt) {
+    const now = new Date();
+    if (!capturedAt) return now.toISOString().split('T')[0];
+
+    const captured = new Date(capturedAt);
+    if (isNaN(captured.getTime())) return null;
+
+    // A few minutes of leeway for the phone's clock
+    const ageMs = now - captured;
+    if (ageMs < -5 * 60 * 1000 || ageMs > MAX_CAPTURE_AGE_DAYS * 24 * 60 * 60 * 1000) return null;
+
+    return captured.toISOString().split('T')[0];
+}
+
 // Driver upload comprovante de carga/descarga
+// Uploads accept an Idempotency-Key header so the PWA's offline queue can retry safely
 app.post('/api/driver/upload-comprovante', requireDriver, driverUpload.fields([
     { name: 'comprovante_carga', maxCount: 1 },
     { name: 'comprovante_descarga', maxCount: 1 }
-]), async (req, res) => {
+]), idempotent(), async (req, res) => {
     try {
         const driverId = req.driver.id;
         let uploadedFiles = {};
@@ -313,8 +383,13 @@ app.post('/api/driver/upload-comprovante', requireDriver, driverUpload.fields([
         let createdComprovanteCarga = null;
         let createdComprovanteDescarga = null;
 
+        const today = captureDate(req.body.captured_at);
+        if (!today) {
+            return res.status(400).json({ error: `captured_at must be a valid time within the last ${MAX_CAPTURE_AGE_DAYS} days` });
+        }
+        const plate = req.body.plate || null;
+
         if (req.files) {
-            const today = new Date().toISOString().split('T')[0];
 
             // If uploading comprovante_carga, create a new pending freight AND add to pool
             if (req.files['comprovante_carga'] && req.files['comprovante_carga'][0]) {
@@ -327,26 +402,30 @@ app.post('/api/driver/upload-comprovante', requireDriver, driverUpload.fields([
                 const { url: comprovantePath } = await uploadToBlob(file.buffer, filename, file.mimetype);
                 uploadedFiles.comprovante_carga = comprovantePath;
 
-                // Create a new pending freight with today's date
-                createdFreight = await Freight.createPending({
-                    driver_id: driverId,
-                    date: today,
-                    comprovante_carga: comprovantePath
-                });
-
-                // Also add to pool for potential reassignment
-                createdComprovanteCarga = await ComprovanteCarga.create({
-                    driver_id: driverId,
-                    file_path: comprovantePath,
-                    date: today
+                // Pending freight and its pool entry are created together or not at all
+                await transaction(async (tx) => {
+                    // Create a new pending freight dated the day of the photo
+                    createdFreight = await Freight.createPending({
+                        driver_id: driverId,
+                        date: today,
+                        plate: plate,
+                        comprovante_carga: comprovantePath
+                    }, tx);
+
+                    // Also add to pool for potential reassignment
+                    createdComprovanteCarga = await ComprovanteCarga.create({
+                        driver_id: driverId,
+                        file_path: comprovantePath,
+                        date: today
+                    }, tx);
+
+                    // Mark as assigned to the pending freight
+                    if (createdFreight && createdComprovanteCarga) {
+                        await tx.execute(`
+                            UPDATE comprovantes_carga SET assigned_freight_id = ? WHERE id = ?
+                        `, [createdFreight.id, createdComprovanteCarga.id]);
+                    }
                 });
-
-                // Mark as assigned to the pending freight
-                if (createdFreight && createdComprovanteCarga) {
-                    await execute(`
-                        UPDATE comprovantes_carga SET assigned_freight_id = ? WHERE id = ?
-                    `, [createdFreight.id, createdComprovanteCarga.id]);
-                }
             }
 
             // If uploading comprovante_descarga, add to the pool
@@ -360,7 +439,7 @@ app.post('/api/driver/upload-comprovante', requireDriver, driverUpload.fields([
                 const { url: comprovantePath } = await uploadToBlob(file.buffer, filename, file.mimetype);
                 uploadedFiles.comprovante_descarga = comprovantePath;
 
-                // Add to pool with today's date
+                // Add to pool with the date of the photo
                 createdComprovanteDescarga = await ComprovanteDescarga.create({
                     driver_id: driverId,
                     file_path: comprovantePath,
@@ -383,7 +462,7 @@ app.post('/api/driver/upload-comprovante', requireDriver, driverUpload.fields([
 });
 
 // Driver upload comprovante de abastecimento
-app.post('/api/driver/upload-comprovante-abastecimento', requireDriver, driverUpload.single('comprovante_abastecimento'), async (req, res) => {
+app.post('/api/driver/upload-comprovante-abastecimento', requireDriver, driverUpload.single('comprovante_abastecimento'), idempotent(), async (req, res) => {
     try {
         const driverId = req.driver.id;
 
@@ -391,6 +470,11 @@ app.post('/api/driver/upload-comprovante-abastecimento', requireDriver, driverUp
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        const today = captureDate(req.body.captured_at);
+        if (!today) {
+            return res.status(400).json({ error: `captured_at must be a valid time within the last ${MAX_CAPTURE_AGE_DAYS} days` });
+        }
+
         const file = req.file;
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
         const ext = path.extname(file.originalname).toLowerCase() || '.jpg';
@@ -398,28 +482,32 @@ app.post('/api/driver/upload-comprovante-abastecimento', requireDriver, driverUp
 
         // Upload to Vercel Blob
         const { url: filePath } = await uploadToBlob(file.buffer, filename, file.mimetype);
-        const today = new Date().toISOString().split('T')[0];
 
-        // Create a pending abastecimento with the comprovante
-        const abastecimento = await Abastecimento.createPending({
-            driver_id: driverId,
-            date: today,
-            comprovante_abastecimento: filePath
-        });
+        const { abastecimento, comprovante } = await transaction(async (tx) => {
+            // Create a pending abastecimento with the comprovante
+            const abastecimento = await Abastecimento.createPending({
+                driver_id: driverId,
+                date: today,
+                plate: req.body.plate || null,
+                comprovante_abastecimento: filePath
+            }, tx);
 
-        // Also add to pool for tracking
-        const comprovante = await ComprovanteAbastecimento.create({
-            driver_id: driverId,
-            file_path: filePath,
-            date: today
-        });
+            // Also add to pool for tracking
+            const comprovante = await ComprovanteAbastecimento.create({
+                driver_id: driverId,
+                file_path: filePath,
+                date: today
+            }, tx);
 
-        // Mark as assigned to this abastecimento
-        if (abastecimento && comprovante) {
-            await execute(`
-                UPDATE comprovantes_abastecimento SET assigned_abastecimento_id = ? WHERE id = ?
-            `, [abastecimento.id, comprovante.id]);
-        }
+            // Mark as assigned to this abastecimento
+            if (abastecimento && comprovante) {
+                await tx.execute(`
+                    UPDATE comprovantes_abastecimento SET assigned_abastecimento_id = ? WHERE id = ?
+                `, [abastecimento.id, comprovante.id]);
+            }
+
+            return { abastecimento, comprovante };
+        });
 
         res.json({
             message: 'Comprovante de abastecimento uploaded successfully',
@@ -434,7 +522,7 @@ app.post('/api/driver/upload-comprovante-abastecimento', requireDriver, driverUp
 });
 
 // Driver upload comprovante de outros insumos (proof of payment for other supplies)
-app.post('/api/driver/upload-comprovante-outros-insumos', requireDriver, driverUpload.single('comprovante_outros_insumos'), async (req, res) => {
+app.post('/api/driver/upload-comprovante-outros-insumos', requireDriver, driverUpload.single('comprovante_outros_insumos'), idempotent(), async (req, res) => {
     try {
         const driverId = req.driver.id;
 
@@ -442,6 +530,11 @@ app.post('/api/driver/upload-comprovante-outros-insumos', requireDriver, driverU
             return res.status(400).json({ error: 'No file uploaded' });
         }
 
+        const today = captureDate(req.body.captured_at);
+        if (!today) {
+            return res.status(400).json({ error: `captured_at must be a valid time within the last ${MAX_CAPTURE_AGE_DAYS} days` });
+        }
+
         const file = req.file;
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
         const ext = path.extname(file.originalname).toLowerCase() || '.jpg';
@@ -449,7 +542,6 @@ app.post('/api/driver/upload-comprovante-outros-insumos', requireDriver, driverU
 
         // Upload to Vercel Blob
         const { url: filePath } = await uploadToBlob(file.buffer, filename, file.mimetype);
-        const today = new Date().toISOString().split('T')[0];
 
         // Get description and plate from request body
         const description = req.body.description || 'Outros Insumos';
@@ -852,7 +944,7 @@ app.get('/api/cliente/stats', requireCliente, async (req, res) => {
 // ============================================
 
 // Admin: Get all clientes
-app.get('/api/admin/clientes', requireAdmin, async (req, res) => {
+app.get('/api/admin/clientes', requireAdmin, requirePermission('users:read'), async (req, res) => {
     try {
         const clientes = await Cliente.findAll();
         res.json(clientes);
@@ -863,7 +955,7 @@ app.get('/api/admin/clientes', requireAdmin, async (req, res) => {
 });
 
 // Admin: Create a new cliente
-app.post('/api/admin/clientes', requireAdmin, async (req, res) => {
+app.post('/api/admin/clientes', requireAdmin, requirePermission('users:write'), async (req, res) => {
     try {
         const { empresa, name, cpf, cnpj, password, phone } = req.body;
 
@@ -917,7 +1009,7 @@ app.post('/api/admin/clientes', requireAdmin, async (req, res) => {
 });
 
 // Admin: Update a cliente
-app.put('/api/admin/clientes/:id', requireAdmin, async (req, res) => {
+app.put('/api/admin/clientes/:id', requireAdmin, requirePermission('users:write'), async (req, res) => {
     try {
         const clienteId = parseInt(req.params.id);
         const { empresa, name, cpf, cnpj, phone, active } = req.body;
@@ -952,7 +1044,7 @@ app.put('/api/admin/clientes/:id', requireAdmin, async (req, res) => {
 });
 
 // Admin: Reset cliente password (to any value)
-app.patch('/api/admin/clientes/:id/reset-password', requireAdmin, async (req, res) => {
+app.patch('/api/admin/clientes/:id/reset-password', requireAdmin, requirePermission('users:write'), async (req, res) => {
     try {
         const clienteId = parseInt(req.params.id);
         const { newPassword } = req.body;
@@ -979,7 +1071,7 @@ app.patch('/api/admin/clientes/:id/reset-password', requireAdmin, async (req, re
 });
 
 // Admin: Delete (deactivate) a cliente
-app.delete('/api/admin/clientes/:id', requireAdmin, async (req, res) => {
+app.delete('/api/admin/clientes/:id', requireAdmin, requirePermission('users:write'), async (req, res) => {
     try {
         const clienteId = parseInt(req.params.id);
 
@@ -989,6 +1081,7 @@ app.delete('/api/admin/clientes/:id', requireAdmin, async (req, res) => {
         }
 
         await Cliente.update(clienteId, { active: false });
+        await Session.revokeAllForUser('cliente', clienteId);
         res.json({ message: 'Cliente desativado com sucesso' });
     } catch (error) {
         console.error('Delete cliente error:', error);
@@ -996,8 +1089,26 @@ app.delete('/api/admin/clientes/:id', requireAdmin, async (req, res) => {
     }
 });
 
+// Admin: Log a cliente out on every device
+app.post('/api/admin/clientes/:id/revoke-sessions', requireAdmin, requirePermission('users:write'), async (req, res) => {
+    try {
+        const clienteId = parseInt(req.params.id);
+
+        const cliente = await Cliente.findById(clienteId);
+        if (!cliente) {
+            return res.status(404).json({ error: 'Cliente não encontrado' });
+        }
+
+        const revoked = await Session.revokeAllForUser('cliente', clienteId);
+        res.json({ message: 'Sessões encerradas', revoked });
+    } catch (error) {
+        console.error('Revoke cliente sessions error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Admin: Get stats for a specific client (empresa)
-app.get('/api/admin/clients/stats/:empresa', requireAdmin, async (req, res) => {
+app.get('/api/admin/clients/stats/:empresa', requireAdmin, requirePermission('freights:read'), async (req, res) => {
     try {
         const empresa = decodeURIComponent(req.params.empresa);
         const { date_from, date_to } = req.query;
@@ -1019,7 +1130,7 @@ app.get('/api/admin/clients/stats/:empresa', requireAdmin, async (req, res) => {
 });
 
 // Admin: Get freights for a specific client (empresa)
-app.get('/api/admin/clients/freights/:empresa', requireAdmin, async (req, res) => {
+app.get('/api/admin/clients/freights/:empresa', requireAdmin, requirePermission('freights:read'), async (req, res) => {
     try {
         const empresa = decodeURIComponent(req.params.empresa);
         const { date_from, date_to } = req.query;
@@ -1052,7 +1163,7 @@ app.get('/api/admin/clients/freights/:empresa', requireAdmin, async (req, res) =
 });
 
 // Admin: Get all clients (empresas) list
-app.get('/api/admin/clients', requireAdmin, async (req, res) => {
+app.get('/api/admin/clients', requireAdmin, requirePermission('users:read'), async (req, res) => {
     try {
         const rows = await query('SELECT * FROM clients ORDER BY name');
         // Map 'name' to 'client' for compatibility with frontend
@@ -1064,42 +1175,12 @@ app.get('/api/admin/clients', requireAdmin, async (req, res) => {
     }
 });
 
-// Admin: Reset abastecedor password (to first 4 digits of CPF)
-app.patch('/api/admin/abastecedores/:id/reset-password', requireAdmin, async (req, res) => {
-    try {
-        const abastecedorId = parseInt(req.params.id);
-        const Abastecedor = require('./models/abastecedor');
-
-        const abastecedor = await Abastecedor.findById(abastecedorId);
-        if (!abastecedor) {
-            return res.status(404).json({ error: 'Abastecedor não encontrado' });
-        }
-
-        // Get first 4 digits of CPF
-        const cpfDigits = abastecedor.cpf.replace(/\D/g, '');
-        if (cpfDigits.length < 4) {
-            return res.status(400).json({ error: 'CPF do abastecedor é inválido' });
-        }
-
-        const newPassword = cpfDigits.substring(0, 4);
-        await Abastecedor.updatePassword(abastecedorId, newPassword);
-
-        res.json({
-            success: true,
-            message: 'Senha do abastecedor redefinida com sucesso'
-        });
-    } catch (error) {
-        console.error('Reset abastecedor password error:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
-
 // ============================================
 // Admin Comprovantes Descarga Pool Endpoints
 // ============================================
 
 // Get all unassigned comprovantes descarga
-app.get('/api/admin/comprovantes-descarga', requireAdmin, async (req, res) => {
+app.get('/api/admin/comprovantes-descarga', requireAdmin, requirePermission('freights:read'), async (req, res) => {
     try {
         const comprovantes = await ComprovanteDescarga.findUnassigned();
         res.json(comprovantes);
@@ -1110,7 +1191,7 @@ app.get('/api/admin/comprovantes-descarga', requireAdmin, async (req, res) => {
 });
 
 // Assign a comprovante to a freight
-app.post('/api/admin/comprovantes-descarga/:id/assign', requireAdmin, async (req, res) => {
+app.post('/api/admin/comprovantes-descarga/:id/assign', requireAdmin, requirePermission('freights:write'), async (req, res) => {
     try {
         const comprovanteId = parseInt(req.params.id);
         const { freight_id } = req.body;
@@ -1119,16 +1200,23 @@ app.post('/api/admin/comprovantes-descarga/:id/assign', requireAdmin, async (req
             return res.status(400).json({ error: 'freight_id is required' });
         }
 
-        // First unassign any existing comprovante from this freight
-        await ComprovanteDescarga.unassignFromFreight(freight_id);
+        // Swap happens atomically: a failed assign keeps the previous comprovante
+        const comprovante = await transaction(async (tx) => {
+            // First unassign any existing comprovante from this freight
+            await ComprovanteDescarga.unassignFromFreight(freight_id, tx);
 
-        // Assign the new comprovante
-        const comprovante = await ComprovanteDescarga.assignToFreight(comprovanteId, freight_id);
+            // Assign the new comprovante
+            return ComprovanteDescarga.assignToFreight(comprovanteId, freight_id, tx);
+        });
 
         if (!comprovante) {
             return res.status(404).json({ error: 'Comprovante not found or already assigned' });
         }
 
+        await notifyComprovanteAssigned(comprovante, 'descarga');
+        const freight = await Freight.findById(freight_id);
+        if (freight) await notifyDeliveryReceipt(freight);
+
         res.json({
             message: 'Comprovante assigned successfully',
             comprovante
@@ -1140,7 +1228,7 @@ app.post('/api/admin/comprovantes-descarga/:id/assign', requireAdmin, async (req
 });
 
 // Unassign a comprovante from a freight
-app.post('/api/admin/freights/:id/unassign-descarga', requireAdmin, async (req, res) => {
+app.post('/api/admin/freights/:id/unassign-descarga', requireAdmin, requirePermission('freights:write'), async (req, res) => {
     try {
         const freightId = parseInt(req.params.id);
         await ComprovanteDescarga.unassignFromFreight(freightId);
@@ -1156,7 +1244,7 @@ app.post('/api/admin/freights/:id/unassign-descarga', requireAdmin, async (req,
 // ============================================
 
 // Get all unassigned comprovantes carga
-app.get('/api/admin/comprovantes-carga', requireAdmin, async (req, res) => {
+app.get('/api/admin/comprovantes-carga', requireAdmin, requirePermission('freights:read'), async (req, res) => {
     try {
         const comprovantes = await ComprovanteCarga.findUnassigned();
         res.json(comprovantes);
@@ -1167,7 +1255,7 @@ app.get('/api/admin/comprovantes-carga', requireAdmin, async (req, res) => {
 });
 
 // Assign a comprovante carga to a freight
-app.post('/api/admin/comprovantes-carga/:id/assign', requireAdmin, async (req, res) => {
+app.post('/api/admin/comprovantes-carga/:id/assign', requireAdmin, requirePermission('freights:write'), async (req, res) => {
     try {
         const comprovanteId = parseInt(req.params.id);
         const { freight_id } = req.body;
@@ -1176,16 +1264,21 @@ app.post('/api/admin/comprovantes-carga/:id/assign', requireAdmin, async (req, r
             return res.status(400).json({ error: 'freight_id is required' });
         }
 
-        // First unassign any existing comprovante carga from this freight
-        await ComprovanteCarga.unassignFromFreight(freight_id);
+        // Swap happens atomically: a failed assign keeps the previous comprovante
+        const comprovante = await transaction(async (tx) => {
+            // First unassign any existing comprovante carga from this freight
+            await ComprovanteCarga.unassignFromFreight(freight_id, tx);
 
-        // Assign the new comprovante
-        const comprovante = await ComprovanteCarga.assignToFreight(comprovanteId, freight_id);
+            // Assign the new comprovante
+            return ComprovanteCarga.assignToFreight(comprovanteId, freight_id, tx);
+        });
 
         if (!comprovante) {
             return res.status(404).json({ error: 'Comprovante not found or already assigned' });
         }
 
+        await notifyComprovanteAssigned(comprovante, 'carga');
+
         res.json({
             message: 'Comprovante assigned successfully',
             comprovante
@@ -1197,7 +1290,7 @@ app.post('/api/admin/comprovantes-carga/:id/assign', requireAdmin, async (req, r
 });
 
 // Unassign a comprovante carga from a freight
-app.post('/api/admin/freights/:id/unassign-carga', requireAdmin, async (req, res) => {
+app.post('/api/admin/freights/:id/unassign-carga', requireAdmin, requirePermission('freights:write'), async (req, res) => {
     try {
         const freightId = parseInt(req.params.id);
         await ComprovanteCarga.unassignFromFreight(freightId);
@@ -1213,7 +1306,7 @@ app.post('/api/admin/freights/:id/unassign-carga', requireAdmin, async (req, res
 // ============================================
 
 // Get all unassigned comprovantes abastecimento
-app.get('/api/admin/comprovantes-abastecimento', requireAdmin, async (req, res) => {
+app.get('/api/admin/comprovantes-abastecimento', requireAdmin, requirePermission('abastecimentos:read'), async (req, res) => {
     try {
         const comprovantes = await ComprovanteAbastecimento.findUnassigned();
         res.json(comprovantes);
@@ -1224,7 +1317,7 @@ app.get('/api/admin/comprovantes-abastecimento', requireAdmin, async (req, res)
 });
 
 // Assign a comprovante abastecimento to an abastecimento
-app.post('/api/admin/comprovantes-abastecimento/:id/assign', requireAdmin, async (req, res) => {
+app.post('/api/admin/comprovantes-abastecimento/:id/assign', requireAdmin, requirePermission('abastecimentos:write'), async (req, res) => {
     try {
         const comprovanteId = parseInt(req.params.id);
         const { abastecimento_id } = req.body;
@@ -1233,16 +1326,23 @@ app.post('/api/admin/comprovantes-abastecimento/:id/assign', requireAdmin, async
             return res.status(400).json({ error: 'abastecimento_id is required' });
         }
 
-        // First unassign any existing comprovante from this abastecimento
-        await ComprovanteAbastecimento.unassignFromAbastecimento(abastecimento_id);
+        // Swap happens atomically: a failed assign keeps the previous comprovante
+        const comprovante = await transaction(async (tx) => {
+            // First unassign any existing comprovante from this abastecimento
+            await ComprovanteAbastecimento.unassignFromAbastecimento(abastecimento_id, tx);
 
-        // Assign the new comprovante
-        const comprovante = await ComprovanteAbastecimento.assignToAbastecimento(comprovanteId, abastecimento_id);
+            // Assign the new comprovante
+            return ComprovanteAbastecimento.assignToAbastecimento(comprovanteId, abastecimento_id, tx);
+        });
 
         if (!comprovante) {
             return res.status(404).json({ error: 'Comprovante not found or already assigned' });
         }
 
+        await notifyComprovanteAssigned(comprovante, 'abastecimento');
+        const abastecimento = await Abastecimento.findById(abastecimento_id);
+        if (abastecimento) await notifyAbastecimentoComprovante(abastecimento);
+
         res.json({
             message: 'Comprovante assigned successfully',
             comprovante
@@ -1254,7 +1354,7 @@ app.post('/api/admin/comprovantes-abastecimento/:id/assign', requireAdmin, async
 });
 
 // Unassign a comprovante from an abastecimento
-app.post('/api/admin/abastecimentos/:id/unassign-comprovante', requireAdmin, async (req, res) => {
+app.post('/api/admin/abastecimentos/:id/unassign-comprovante', requireAdmin, requirePermission('abastecimentos:write'), async (req, res) => {
     try {
         const abastecimentoId = parseInt(req.params.id);
         await ComprovanteAbastecimento.unassignFromAbastecimento(abastecimentoId);
@@ -1266,7 +1366,7 @@ app.post('/api/admin/abastecimentos/:id/unassign-comprovante', requireAdmin, asy
 });
 
 // Admin clients endpoint
-app.get('/api/admin/clients', requireAdmin, async (req, res) => {
+app.get('/api/admin/clients', requireAdmin, requirePermission('users:read'), async (req, res) => {
     try {
         // Get clients from both clients table and drivers table
         const clients = await query(`
@@ -1304,7 +1404,7 @@ app.get('/api/admin/clients', requireAdmin, async (req, res) => {
 });
 
 // Create client endpoint
-app.post('/api/admin/clients', requireAdmin, async (req, res) => {
+app.post('/api/admin/clients', requireAdmin, requirePermission('users:write'), async (req, res) => {
     try {
         const { name } = req.body;
 
@@ -1337,7 +1437,7 @@ app.post('/api/admin/clients', requireAdmin, async (req, res) => {
 });
 
 // Client details endpoint
-app.get('/api/admin/clients/:clientName', requireAdmin, async (req, res) => {
+app.get('/api/admin/clients/:clientName', requireAdmin, requirePermission('freights:read'), async (req, res) => {
     try {
         const clientName = decodeURIComponent(req.params.clientName);
 
@@ -1428,6 +1528,11 @@ app.get('/cliente', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'cliente.html'));
 });
 
+// Set-password page (one-time links sent by admins)
+app.get('/definir-senha', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'set-password.html'));
+});
+
 // SPA fallback - serve appropriate page based on path
 app.get('*', (req, res) => {
     if (req.path.startsWith('/api')) {
@@ -0,0 +1,15 @@
+/**
+ * Absolute URLs for links sent outside the app (WhatsApp, push)
+ * Uses APP_URL when set, otherwise the host of the current request.
+ * @param {Object} req - Express request
+ * @param {string} path - Path starting with /
+ * @returns {string}
+ */
+function appUrl(req, path) {
+    const base = process.env.APP_URL
+        ? process.env.APP_URL.replace(/\/+$/, '')
+        : `${req.protocol}://${req.get('host')}`;
+    return `${base}${path}`;
+}
+
+module.exports = { appUrl };
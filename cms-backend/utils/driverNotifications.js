@@ -0,0 +1,121 @@
+/**
+ * Driver notifications
+ * Tells drivers about money events (a freight completed, a payment made) by
+ * WhatsApp through utils/notifications.js and by Web Push to the installed
+ * PWA, as allowed by their preferences (models/notificationPreference.js).
+ * Failures are logged and never fail the admin request that triggered them.
+ */
+const Driver = require('../models/driver');
+const NotificationPreference = require('../models/notificationPreference');
+const { sendMessage } = require('./notifications');
+const { sendPush } = require('./webPush');
+const { appUrl } = require('./appUrl');
+
+/**
+ * Format a value as BRL
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCurrency(value) {
+    return new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(value || 0);
+}
+
+/**
+ * Format a YYYY-MM-DD date as DD/MM/YYYY
+ * @param {string} date
+ * @returns {string}
+ */
+function formatDate(date) {
+    const [year, month, day] = String(date).slice(0, 10).split('-');
+    return day ? `${day}/${month}/${year}` : String(date);
+}
+
+/**
+ * Link to the driver's extrato in the PWA
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+function extratoUrl(req) {
+    return appUrl(req, '/portal?view=extrato');
+}
+
+/**
+ * Notify a driver through the channels they allow
+ * @param {number} driverId - Driver ID
+ * @param {string} event - Preference field of the event (freight_completed, payment_created, comprovante_assigned)
+ * @param {Object} message - {title, body, url}
+ * @param {Object} options - {pushOnly}: skip WhatsApp for minor events
+ * @returns {Object} - {whatsapp, push}: whether each channel delivered
+ */
+async function notifyDriver(driverId, event, message, options = {}) {
+    const result = { whatsapp: false, push: false };
+
+    try {
+        const preferences = await NotificationPreference.findByDriver(driverId);
+        if (!preferences[event]) return result;
+
+        if (preferences.whatsapp && !options.pushOnly) {
+            const driver = await Driver.findById(driverId);
+            if (driver && driver.phone) {
+                try {
+                    await sendMessage(driver.phone, `${message.title}\n${message.body}\n${message.url}`);
+                    result.whatsapp = true;
+                } catch (error) {
+                    console.error('Driver WhatsApp notification error:', error.message);
+                }
+            }
+        }
+
+        if (preferences.push) {
+            result.push = (await sendPush('driver', driverId, message)) > 0;
+        }
+    } catch (error) {
+        console.error('Driver notification error:', error);
+    }
+
+    return result;
+}
+
+/**
+ * Tell a driver one of their freights was completed
+ * @param {Object} req - Express request of the admin
+ * @param {Object} freight - Completed freight row
+ */
+async function notifyFreightCompleted(req, freight) {
+    return notifyDriver(freight.driver_id, 'freight_completed', {
+        title: 'Frete concluído',
+        body: `Seu frete de ${formatDate(freight.date)}${freight.client ? ` para ${freight.client}` : ''} ` +
+            `foi concluído: ${formatCurrency(freight.total_value)}.`,
+        url: extratoUrl(req)
+    });
+}
+
+/**
+ * Tell a driver a payment was made to them
+ * @param {Object} req - Express request of the admin
+ * @param {Object} payment - Created payment row
+ */
+async function notifyPaymentCreated(req, payment) {
+    return notifyDriver(payment.driver_id, 'payment_created', {
+        title: 'Pagamento realizado',
+        body: `Você recebeu um pagamento de ${formatCurrency(payment.total_value)}` +
+            `${payment.date_range ? ` referente a ${payment.date_range}` : ''}.`,
+        url: extratoUrl(req)
+    });
+}
+
+/**
+ * Tell a driver one of their comprovantes was linked by an admin
+ * @param {Object} comprovante - Comprovante row (driver_id, date)
+ * @param {string} kind - carga, descarga or abastecimento
+ */
+async function notifyComprovanteAssigned(comprovante, kind) {
+    const target = kind === 'abastecimento' ? 'a um abastecimento' : 'ao frete';
+    return notifyDriver(comprovante.driver_id, 'comprovante_assigned', {
+        title: 'Comprovante vinculado',
+        body: `Seu comprovante de ${kind} de ${formatDate(comprovante.date)} foi vinculado ${target}.`,
+        url: '/portal'
+    }, { pushOnly: true });
+}
+
+module.exports = { formatCurrency, formatDate, notifyDriver, notifyFreightCompleted, notifyPaymentCreated, notifyComprovanteAssigned };
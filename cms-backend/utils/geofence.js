@@ -0,0 +1,73 @@
+/**
+ * Geofence geometry for sites (see migrations/018-sites.js)
+ * Distances use the haversine formula; polygons are small enough (a quarry,
+ * a yard) to treat latitude/longitude as flat coordinates.
+ */
+
+const EARTH_RADIUS_M = 6371000;
+
+/**
+ * Distance between two points in meters
+ * @param {number} lat1
+ * @param {number} lng1
+ * @param {number} lat2
+ * @param {number} lng2
+ * @returns {number}
+ */
+function distanceMeters(lat1, lng1, lat2, lng2) {
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Ray casting: whether a point is inside a polygon
+ * @param {number} latitude
+ * @param {number} longitude
+ * @param {Array} polygon - [[latitude, longitude], ...]
+ * @returns {boolean}
+ */
+function pointInPolygon(latitude, longitude, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        if ((latI > latitude) !== (latJ > latitude) &&
+            longitude < (lngJ - lngI) * (latitude - latI) / (latJ - latI) + lngI) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Whether a point is inside a site's geofence. The polygon wins when a
+ * site has both.
+ * @param {Object} site - Site with latitude, longitude, radius_m and polygon (parsed)
+ * @param {number} latitude
+ * @param {number} longitude
+ * @returns {boolean}
+ */
+function isInside(site, latitude, longitude) {
+    if (site.polygon) {
+        return pointInPolygon(latitude, longitude, site.polygon);
+    }
+    return distanceMeters(site.latitude, site.longitude, latitude, longitude) <= site.radius_m;
+}
+
+/**
+ * Validate a polygon from a request: at least 3 [latitude, longitude] pairs
+ * @param {*} polygon
+ * @returns {boolean}
+ */
+function isValidPolygon(polygon) {
+    return Array.isArray(polygon) && polygon.length >= 3 && polygon.every(vertex =>
+        Array.isArray(vertex) && vertex.length === 2 &&
+        Number.isFinite(vertex[0]) && vertex[0] >= -90 && vertex[0] <= 90 &&
+        Number.isFinite(vertex[1]) && vertex[1] >= -180 && vertex[1] <= 180);
+}
+
+module.exports = { distanceMeters, pointInPolygon, isInside, isValidPolygon };
@@ -0,0 +1,259 @@
+/**
+ * Notifications
+ * Text messages (set-password links, verification codes) go through a
+ * provider picked by NOTIFICATION_PROVIDER:
+ *   twilio-whatsapp - WhatsApp via Twilio (default when TWILIO_ACCOUNT_SID is set)
+ *   console         - logs and appends to a JSON-lines outbox file (default otherwise,
+ *                     refused in production)
+ *   memory          - keeps messages in the process, for tests
+ * The console and memory outboxes are listed in the admin "Outbox" page.
+ *
+ * Verification codes are checked by VERIFICATION_PROVIDER:
+ *   local         - codes generated and stored hashed here (models/verificationCode.js)
+ *                   and sent through the notification provider (default)
+ *   twilio-verify - Twilio Verify sends and checks the code by SMS
+ * Either way the resend cooldown and the single-use consume step live in
+ * the verification_codes table.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const VerificationCode = require('../models/verificationCode');
+const twilio = require('./twilioService');
+
+/**
+ * Outbox file of the console provider
+ * @returns {string}
+ */
+function outboxFile() {
+    return process.env.NOTIFICATION_OUTBOX_FILE || path.join(os.tmpdir(), 'excava-outbox.jsonl');
+}
+
+/**
+ * Outbox record for a message that was not really sent
+ * @param {string} to - Phone number
+ * @param {string} body - Message text
+ * @returns {Object}
+ */
+function outboxEntry(to, body) {
+    return { id: crypto.randomUUID(), to, body, created_at: new Date().toISOString() };
+}
+
+const memoryOutbox = [];
+
+const PROVIDERS = {
+    'twilio-whatsapp': {
+        async send(to, body) {
+            const message = await twilio.sendWhatsAppMessage(to, body);
+            return { id: message.sid, channel: 'whatsapp' };
+        }
+    },
+
+    console: {
+        outbox: true,
+
+        async send(to, body) {
+            const entry = outboxEntry(to, body);
+            console.log(`[outbox] to ${to}: ${body}`);
+            await fs.promises.appendFile(outboxFile(), JSON.stringify(entry) + '\n');
+            return { id: entry.id, channel: 'whatsapp' };
+        },
+
+        async list() {
+            let content;
+            try {
+                content = await fs.promises.readFile(outboxFile(), 'utf8');
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+            return content.split('\n').filter(Boolean).map(line => JSON.parse(line)).reverse();
+        },
+
+        async clear() {
+            await fs.promises.rm(outboxFile(), { force: true });
+        }
+    },
+
+    memory: {
+        outbox: true,
+
+        async send(to, body) {
+            const entry = outboxEntry(to, body);
+            memoryOutbox.push(entry);
+            return { id: entry.id, channel: 'whatsapp' };
+        },
+
+        async list() {
+            return [...memoryOutbox].reverse();
+        },
+
+        async clear() {
+            memoryOutbox.length = 0;
+        }
+    }
+};
+
+const VERIFIERS = {
+    local: {
+        async send(phoneNumber, code) {
+            return sendMessage(phoneNumber,
+                `Seu código de verificação ExcavaNorth é ${code}. ` +
+                `Ele expira em ${VerificationCode.TTL_MINUTES} minutos. Não compartilhe este código.`);
+        },
+
+        async check(phoneNumber, subject, code) {
+            return VerificationCode.verify(subject, code);
+        }
+    },
+
+    'twilio-verify': {
+        // Twilio picks its own code; ours only backs the cooldown
+        async send(phoneNumber) {
+            await twilio.sendVerificationCode(phoneNumber);
+            return { channel: 'sms' };
+        },
+
+        async check(phoneNumber, subject, code) {
+            const result = await twilio.verifyCode(phoneNumber, code);
+            if (result.valid) {
+                await VerificationCode.approve(subject, code);
+            }
+            return result;
+        }
+    }
+};
+
+/**
+ * Name of the configured notification provider
+ * @returns {string}
+ */
+function providerName() {
+    if (process.env.NOTIFICATION_PROVIDER) {
+        return process.env.NOTIFICATION_PROVIDER;
+    }
+    if (process.env.TWILIO_ACCOUNT_SID) {
+        return 'twilio-whatsapp';
+    }
+    // The console outbox is for local development only: in production the
+    // set-password links and codes would never reach anyone
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('NOTIFICATION_PROVIDER or TWILIO_ACCOUNT_SID must be set in production');
+    }
+    return 'console';
+}
+
+// Fail at startup, like the JWT_SECRET check, not on the first message
+providerName();
+
+/**
+ * The configured notification provider
+ * @returns {Object}
+ */
+function getProvider() {
+    const provider = PROVIDERS[providerName()];
+    if (!provider) {
+        throw new Error(`Unknown NOTIFICATION_PROVIDER "${providerName()}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return provider;
+}
+
+/**
+ * The configured verification provider
+ * @returns {Object}
+ */
+function getVerifier() {
+    const name = process.env.VERIFICATION_PROVIDER || 'local';
+    if (!VERIFIERS[name]) {
+        throw new Error(`Unknown VERIFICATION_PROVIDER "${name}". Use one of: ${Object.keys(VERIFIERS).join(', ')}`);
+    }
+    return VERIFIERS[name];
+}
+
+/**
+ * Send a text message
+ * @param {string} phoneNumber - Phone number (e.g., 69992042544)
+ * @param {string} body - Message text
+ * @returns {Promise<object>} - {success, id, channel}
+ */
+async function sendMessage(phoneNumber, body) {
+    const result = await getProvider().send(phoneNumber, body);
+    return { success: true, ...result };
+}
+
+/**
+ * Send a verification code
+ * @param {string} phoneNumber - Phone number
+ * @param {string} subject - What the code is for ("<purpose>:<user type>:<id>")
+ * @returns {Promise<object>} - {success, channel}, or {success: false, retryAfter} during the resend cooldown
+ */
+async function sendVerificationCode(phoneNumber, subject) {
+    const issued = await VerificationCode.issue(subject);
+    if (issued.retryAfter) {
+        return { success: false, retryAfter: issued.retryAfter };
+    }
+
+    try {
+        const result = await getVerifier().send(phoneNumber, issued.code);
+        return { success: true, channel: result.channel };
+    } catch (error) {
+        // Not delivered: let the user ask for another one right away
+        await VerificationCode.discard(subject);
+        throw error;
+    }
+}
+
+/**
+ * Check a verification code entered by the user
+ * @param {string} phoneNumber - Phone number the code was sent to
+ * @param {string} subject - Subject the code was sent for
+ * @param {string} code - 6-digit verification code
+ * @returns {Promise<object>} - {valid, status: approved|invalid|expired|not_found|max_attempts_reached}
+ */
+async function checkVerificationCode(phoneNumber, subject, code) {
+    return getVerifier().check(phoneNumber, subject, code);
+}
+
+/**
+ * Use up a verified code (once the action it unlocked is done)
+ * @param {string} subject - Subject the code was sent for
+ * @param {string} code - The code verified earlier
+ * @returns {Promise<boolean>} - False if it was not verified, expired or already used
+ */
+async function consumeVerificationCode(subject, code) {
+    return VerificationCode.consume(subject, code);
+}
+
+/**
+ * Messages held by the dev outbox, newest first
+ * @returns {Promise<object>} - {provider, outbox (false for real providers), messages}
+ */
+async function listOutbox() {
+    const provider = getProvider();
+    return {
+        provider: providerName(),
+        outbox: !!provider.outbox,
+        messages: provider.outbox ? await provider.list() : []
+    };
+}
+
+/**
+ * Empty the dev outbox
+ * @returns {Promise<boolean>} - False when the provider has no outbox
+ */
+async function clearOutbox() {
+    const provider = getProvider();
+    if (!provider.outbox) return false;
+    await provider.clear();
+    return true;
+}
+
+module.exports = {
+    sendMessage,
+    sendVerificationCode,
+    checkVerificationCode,
+    consumeVerificationCode,
+    listOutbox,
+    clearOutbox
+};
@@ -0,0 +1,64 @@
+/**
+ * Set-password links
+ * Admins send drivers and abastecedores a one-time link (see
+ * models/passwordToken.js) instead of setting a password for them.
+ * Links point at APP_URL when set, otherwise at the host the admin used.
+ */
+const PasswordToken = require('../models/passwordToken');
+const { sendMessage } = require('./notifications');
+const { appUrl } = require('./appUrl');
+
+/**
+ * Public URL of the set-password page for a token
+ * @param {Object} req - Express request (for the host when APP_URL is not set)
+ * @param {string} token - Plain token
+ * @returns {string}
+ */
+function setPasswordUrl(req, token) {
+    return appUrl(req, `/definir-senha?token=${token}`);
+}
+
+/**
+ * WhatsApp text carrying the link
+ * @param {Object} user - Driver or abastecedor row
+ * @param {string} purpose - invite or reset
+ * @param {string} link - Set-password URL
+ * @returns {string}
+ */
+function linkMessage(user, purpose, link) {
+    const action = purpose === 'invite' ? 'criar' : 'redefinir';
+    const hours = PasswordToken.TTL_HOURS[purpose];
+    return `Olá, ${user.name}! Use o link abaixo para ${action} sua senha de acesso. ` +
+        `Ele vale por ${hours} horas e só pode ser usado uma vez:\n${link}`;
+}
+
+/**
+ * Issue a set-password link for a user, optionally sending it by WhatsApp.
+ * Users without a password get an invite; everyone else a reset.
+ * @param {Object} req - Express request of the admin issuing it
+ * @param {string} userType - driver or abastecedor
+ * @param {Object} user - User row
+ * @param {boolean} send - Send the link to the user's phone
+ * @returns {Object} - {purpose, link, expires_at, sent, send_error}
+ */
+async function issuePasswordLink(req, userType, user, send) {
+    const purpose = user.password ? 'reset' : 'invite';
+    const { record, token } = await PasswordToken.create(userType, user.id, purpose, req.admin.id);
+    const link = setPasswordUrl(req, token);
+
+    // The link is still returned when sending fails, so the admin can share it by hand
+    let sent = false;
+    let sendError = null;
+    if (send) {
+        try {
+            await sendMessage(user.phone, linkMessage(user, purpose, link));
+            sent = true;
+        } catch (error) {
+            sendError = 'Não foi possível enviar o link pelo WhatsApp';
+        }
+    }
+
+    return { purpose, link, expires_at: record.expires_at, sent, send_error: sendError };
+}
+
+module.exports = { issuePasswordLink };
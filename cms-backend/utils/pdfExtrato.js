@@ -0,0 +1,507 @@
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+
+const LOGO_PATH = path.join(__dirname, '..', 'public', 'images', 'logo1.jpg');
+
+const PAGE_MARGIN = 40;
+const HEADER_HEIGHT = 70;
+const FOOTER_HEIGHT = 20;
+const CELL_PADDING = 4;
+const FONT_SIZE = 9;
+
+const currencyFormat = new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' });
+
+/**
+ * Format a value as BRL currency
+ * @param {number} value
+ * @returns {string}
+ */
+function formatCurrency(value) {
+    return currencyFormat.format(value || 0);
+}
+
+/**
+ * Format a number with pt-BR separators
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatNumber(value, decimals = 0) {
+    return new Intl.NumberFormat('pt-BR', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+    }).format(value || 0);
+}
+
+/**
+ * Format a YYYY-MM-DD date as DD/MM/YYYY
+ * @param {string} dateString
+ * @returns {string}
+ */
+function formatDate(dateString) {
+    if (!dateString) return '-';
+    const [year, month, day] = String(dateString).slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * Describe the period of a statement
+ * @param {Object} filters - {date_from, date_to}
+ * @returns {string}
+ */
+function formatPeriod(filters = {}) {
+    if (!filters.date_from && !filters.date_to) return 'Período: todo o histórico';
+    if (!filters.date_from) return `Período: até ${formatDate(filters.date_to)}`;
+    if (!filters.date_to) return `Período: a partir de ${formatDate(filters.date_from)}`;
+    return `Período: ${formatDate(filters.date_from)} a ${formatDate(filters.date_to)}`;
+}
+
+/**
+ * Build a download-safe filename
+ * @param {string} prefix - e.g. 'Extrato'
+ * @param {string} name - Driver, plate or client
+ * @returns {string}
+ */
+function pdfFilename(prefix, name) {
+    const sanitized = String(name).normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-zA-Z0-9]+/g, '_');
+    return `${prefix}_${sanitized}_${new Date().toISOString().slice(0, 10)}.pdf`;
+}
+
+/**
+ * Draws the logo, title and subtitle at the top of every page
+ * @param {PDFDocument} doc
+ * @param {Object} header - {title, subtitle}
+ */
+function drawPageHeader(doc, header) {
+    const top = PAGE_MARGIN;
+    const right = doc.page.width - PAGE_MARGIN;
+
+    if (fs.existsSync(LOGO_PATH)) {
+        doc.image(LOGO_PATH, right - 60, top - 10, { fit: [60, 50] });
+    }
+
+    doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+        .text(header.title, PAGE_MARGIN, top, { width: right - PAGE_MARGIN - 70 });
+    doc.font('Helvetica').fontSize(9).fillColor('#444444');
+    for (const line of header.subtitle) {
+        doc.text(line, { width: right - PAGE_MARGIN - 70 });
+    }
+
+    doc.moveTo(PAGE_MARGIN, top + HEADER_HEIGHT - 12).lineTo(right, top + HEADER_HEIGHT - 12)
+        .lineWidth(0.5).strokeColor('#999999').stroke();
+
+    doc.fillColor('#000000');
+    doc.x = PAGE_MARGIN;
+    doc.y = top + HEADER_HEIGHT;
+}
+
+/**
+ * Lowest y a row may reach before it has to move to the next page
+ * @param {PDFDocument} doc
+ * @returns {number}
+ */
+function contentBottom(doc) {
+    return doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT;
+}
+
+/**
+ * Start a new page if fewer than `height` points are left
+ * @param {PDFDocument} doc
+ * @param {number} height
+ * @returns {boolean} - True if a page was added
+ */
+function ensureSpace(doc, height) {
+    if (doc.y + height > contentBottom(doc)) {
+        doc.addPage();
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Draw a row of summary boxes (label above, value below)
+ * @param {PDFDocument} doc
+ * @param {Array} items - [{label, value}]
+ */
+function drawSummary(doc, items) {
+    const perRow = 4;
+    const gap = 8;
+    const usable = doc.page.width - PAGE_MARGIN * 2;
+    const boxWidth = (usable - gap * (perRow - 1)) / perRow;
+    const boxHeight = 38;
+
+    for (let i = 0; i < items.length; i += perRow) {
+        ensureSpace(doc, boxHeight + gap);
+        const y = doc.y;
+
+        items.slice(i, i + perRow).forEach((item, index) => {
+            const x = PAGE_MARGIN + index * (boxWidth + gap);
+            doc.rect(x, y, boxWidth, boxHeight).lineWidth(0.5).strokeColor('#999999').stroke();
+            doc.font('Helvetica').fontSize(8).fillColor('#444444')
+                .text(item.label, x + 6, y + 6, { width: boxWidth - 12 });
+            doc.font('Helvetica-Bold').fontSize(11).fillColor('#000000')
+                .text(item.value, x + 6, y + 19, { width: boxWidth - 12 });
+        });
+
+        doc.x = PAGE_MARGIN;
+        doc.y = y + boxHeight + gap;
+    }
+    doc.moveDown(0.5);
+}
+
+/**
+ * Height a row needs so that every cell fits its column
+ * @param {PDFDocument} doc
+ * @param {Array} cells - Cell strings
+ * @param {Array} widths - Column widths in points
+ * @returns {number}
+ */
+function rowHeight(doc, cells, widths) {
+    const heights = cells.map((cell, i) => doc.heightOfString(String(cell), { width: widths[i] - CELL_PADDING * 2 }));
+    return Math.max(...heights) + CELL_PADDING * 2;
+}
+
+/**
+ * Draw one table row
+ * @param {PDFDocument} doc
+ * @param {Array} cells - Cell strings
+ * @param {Array} columns - [{align}]
+ * @param {Array} widths - Column widths in points
+ * @param {Object} style - {bold, fill}
+ */
+function drawRow(doc, cells, columns, widths, style = {}) {
+    doc.font(style.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(FONT_SIZE);
+    const height = rowHeight(doc, cells, widths);
+    const y = doc.y;
+
+    if (style.fill) {
+        doc.rect(PAGE_MARGIN, y, widths.reduce((a, b) => a + b, 0), height).fill(style.fill);
+    }
+
+    let x = PAGE_MARGIN;
+    cells.forEach((cell, i) => {
+        doc.fillColor('#000000').text(String(cell), x + CELL_PADDING, y + CELL_PADDING, {
+            width: widths[i] - CELL_PADDING * 2,
+            align: columns[i].align || 'left'
+        });
+        x += widths[i];
+    });
+
+    doc.moveTo(PAGE_MARGIN, y + height).lineTo(x, y + height).lineWidth(0.3).strokeColor('#bbbbbb').stroke();
+    doc.x = PAGE_MARGIN;
+    doc.y = y + height;
+}
+
+/**
+ * Draw a titled table. The column header is repeated on every page the table
+ * spans, and rows are never split across pages.
+ * @param {PDFDocument} doc
+ * @param {Object} section - {title, columns: [{header, width, align}], rows, total, empty}
+ */
+function drawTable(doc, section) {
+    const usable = doc.page.width - PAGE_MARGIN * 2;
+    const widths = section.columns.map(c => c.width * usable);
+    const headerCells = section.columns.map(c => c.header);
+
+    const drawHeader = () => drawRow(doc, headerCells, section.columns, widths, { bold: true, fill: '#eeeeee' });
+
+    // Keep the title with the column header and at least one row
+    doc.font('Helvetica-Bold').fontSize(FONT_SIZE);
+    ensureSpace(doc, 24 + rowHeight(doc, headerCells, widths) * 2);
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#000000').text(section.title, PAGE_MARGIN, doc.y);
+    doc.moveDown(0.3);
+    drawHeader();
+
+    if (section.rows.length === 0) {
+        drawRow(doc, [section.empty || 'Nenhum registro'], [{ align: 'center' }], [usable]);
+    }
+
+    for (const row of section.rows) {
+        doc.font('Helvetica').fontSize(FONT_SIZE);
+        if (ensureSpace(doc, rowHeight(doc, row, widths))) {
+            drawHeader();
+        }
+        drawRow(doc, row, section.columns, widths);
+    }
+
+    if (section.total) {
+        doc.font('Helvetica-Bold').fontSize(FONT_SIZE);
+        if (ensureSpace(doc, rowHeight(doc, section.total, widths))) {
+            drawHeader();
+        }
+        drawRow(doc, section.total, section.columns, widths, { bold: true, fill: '#f6f6f6' });
+    }
+
+    doc.moveDown(1);
+}
+
+/**
+ * Number every page once the document is complete
+ * @param {PDFDocument} doc
+ * @param {string} generatedAt - Text shown next to the page number
+ */
+function drawFooters(doc, generatedAt) {
+    const range = doc.bufferedPageRange();
+    for (let i = range.start; i < range.start + range.count; i++) {
+        doc.switchToPage(i);
+        // Writing inside the bottom margin would otherwise trigger a page break
+        const bottomMargin = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor('#666666').text(
+            `${generatedAt} — Página ${i + 1} de ${range.count}`,
+            PAGE_MARGIN,
+            doc.page.height - PAGE_MARGIN,
+            { width: doc.page.width - PAGE_MARGIN * 2, align: 'right' }
+        );
+        doc.page.margins.bottom = bottomMargin;
+    }
+}
+
+/**
+ * Render a statement and stream it as the HTTP response
+ * @param {Object} res - Express response
+ * @param {Object} report - {filename, title, subtitle: [lines], summary: [{label, value}], sections}
+ */
+function sendPdf(res, report) {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, bufferPages: true, info: { Title: report.title } });
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+    doc.pipe(res);
+
+    doc.on('pageAdded', () => drawPageHeader(doc, report));
+    drawPageHeader(doc, report);
+
+    if (report.summary && report.summary.length > 0) {
+        drawSummary(doc, report.summary);
+    }
+    for (const section of report.sections) {
+        drawTable(doc, section);
+    }
+
+    const now = new Date();
+    drawFooters(doc, `Gerado em ${now.toLocaleDateString('pt-BR')} ${now.toLocaleTimeString('pt-BR')}`);
+    doc.end();
+}
+
+/**
+ * Driver extrato (see Extrato.forDriver)
+ * @param {Object} res - Express response
+ * @param {Object} extrato
+ */
+function sendDriverExtrato(res, extrato) {
+    const { driver, totals } = extrato;
+
+    const summary = [
+        { label: 'Fretes', value: formatCurrency(totals.freights) },
+        { label: 'Abastecimentos', value: `-${formatCurrency(totals.abastecimentos)}` },
+        { label: 'Outros Insumos', value: `-${formatCurrency(totals.outros_insumos)}` },
+        { label: 'Adiantamentos', value: `-${formatCurrency(totals.advances)}` },
+        { label: 'Pagamentos', value: formatCurrency(totals.payments) }
+    ];
+    if (extrato.filters.date_from) {
+        summary.push({ label: 'Saldo Anterior', value: formatCurrency(totals.opening_balance) });
+    }
+    summary.push({ label: 'Saldo a Receber', value: formatCurrency(totals.closing_balance) });
+
+    sendPdf(res, {
+        filename: pdfFilename('Extrato', driver.name),
+        title: `Extrato - ${driver.name}`,
+        subtitle: [driver.plate ? `Placa: ${driver.plate}` : '', formatPeriod(extrato.filters)].filter(Boolean),
+        summary,
+        sections: [
+            {
+                title: 'Fretes',
+                empty: 'Nenhum frete encontrado',
+                columns: [
+                    { header: 'Data', width: 0.15 },
+                    { header: 'Placa', width: 0.15 },
+                    { header: 'Cliente', width: 0.3 },
+                    { header: 'KM', width: 0.1, align: 'right' },
+                    { header: 'Tons', width: 0.12, align: 'right' },
+                    { header: 'Valor', width: 0.18, align: 'right' }
+                ],
+                rows: extrato.freights.map(f => [
+                    formatDate(f.date), f.plate || driver.plate || '-', f.client || '-',
+                    formatNumber(f.km), formatNumber(f.tons, 2), formatCurrency(f.total_value)
+                ]),
+                total: ['Total', '', '', '', '', formatCurrency(totals.freights)]
+            },
+            {
+                title: 'Abastecimentos',
+                empty: 'Nenhum abastecimento encontrado',
+                columns: [
+                    { header: 'Data', width: 0.2 },
+                    { header: 'Placa', width: 0.2 },
+                    { header: 'Litros', width: 0.2, align: 'right' },
+                    { header: 'Preço/L', width: 0.2, align: 'right' },
+                    { header: 'Valor', width: 0.2, align: 'right' }
+                ],
+                rows: extrato.abastecimentos.map(a => [
+                    formatDate(a.date), a.plate || '-', formatNumber(a.quantity, 2),
+                    formatCurrency(a.price_per_liter), `-${formatCurrency(a.total_value)}`
+                ]),
+                total: ['Total', '', '', '', `-${formatCurrency(totals.abastecimentos)}`]
+            },
+            {
+                title: 'Outros Insumos',
+                empty: 'Nenhum insumo encontrado',
+                columns: [
+                    { header: 'Data', width: 0.15 },
+                    { header: 'Qtd', width: 0.1, align: 'right' },
+                    { header: 'Descrição', width: 0.39 },
+                    { header: 'Preço Un.', width: 0.18, align: 'right' },
+                    { header: 'Total', width: 0.18, align: 'right' }
+                ],
+                rows: extrato.outros_insumos.map(oi => [
+                    formatDate(oi.date), formatNumber(oi.quantity), oi.description || '-',
+                    formatCurrency(oi.unit_price), `-${formatCurrency(oi.total_value)}`
+                ]),
+                total: ['Total', '', '', '', `-${formatCurrency(totals.outros_insumos)}`]
+            },
+            {
+                title: 'Adiantamentos',
+                empty: 'Nenhum adiantamento',
+                columns: [
+                    { header: 'Data', width: 0.15 },
+                    { header: 'Tipo', width: 0.2 },
+                    { header: 'Descrição', width: 0.47 },
+                    { header: 'Valor', width: 0.18, align: 'right' }
+                ],
+                rows: extrato.advances.map(a => [
+                    formatDate(a.date), a.kind === 'installment' ? 'Parcela' : 'Adiantamento',
+                    a.description || '-', `-${formatCurrency(a.amount)}`
+                ]),
+                total: ['Total', '', '', `-${formatCurrency(totals.advances)}`]
+            },
+            {
+                title: 'Pagamentos',
+                empty: 'Nenhum pagamento recebido',
+                columns: [
+                    { header: 'Data', width: 0.2 },
+                    { header: 'Período', width: 0.5 },
+                    { header: 'Valor', width: 0.3, align: 'right' }
+                ],
+                rows: extrato.payments.map(p => [formatDate(p.date), p.date_range || '-', formatCurrency(p.total_value)]),
+                total: ['Total', '', formatCurrency(totals.payments)]
+            }
+        ]
+    });
+}
+
+/**
+ * Truck extrato (see Extrato.forPlate)
+ * @param {Object} res - Express response
+ * @param {Object} extrato
+ */
+function sendPlateExtrato(res, extrato) {
+    const { plate, totals } = extrato;
+
+    sendPdf(res, {
+        filename: pdfFilename('Extrato', plate),
+        title: `Extrato do Caminhão - ${plate}`,
+        subtitle: [formatPeriod(extrato.filters)],
+        summary: [
+            { label: 'Fretes', value: formatCurrency(totals.freights) },
+            { label: 'Abastecimentos', value: `-${formatCurrency(totals.abastecimentos)}` },
+            { label: 'Outros Insumos', value: `-${formatCurrency(totals.outros_insumos)}` },
+            { label: 'Faturamento Líquido', value: formatCurrency(totals.net) }
+        ],
+        sections: [
+            {
+                title: 'Fretes',
+                empty: 'Nenhum frete encontrado',
+                columns: [
+                    { header: 'Data', width: 0.15 },
+                    { header: 'Motorista', width: 0.3 },
+                    { header: 'KM', width: 0.15, align: 'right' },
+                    { header: 'Tons', width: 0.17, align: 'right' },
+                    { header: 'Valor', width: 0.23, align: 'right' }
+                ],
+                rows: extrato.freights.map(f => [
+                    formatDate(f.date), f.driver_name || '-', formatNumber(f.km),
+                    formatNumber(f.tons, 2), formatCurrency(f.total_value)
+                ]),
+                total: ['Total', '', '', '', formatCurrency(totals.freights)]
+            },
+            {
+                title: 'Abastecimentos',
+                empty: 'Nenhum abastecimento encontrado',
+                columns: [
+                    { header: 'Data', width: 0.15 },
+                    { header: 'Motorista', width: 0.3 },
+                    { header: 'Litros', width: 0.15, align: 'right' },
+                    { header: 'Preço/L', width: 0.17, align: 'right' },
+                    { header: 'Valor', width: 0.23, align: 'right' }
+                ],
+                rows: extrato.abastecimentos.map(a => [
+                    formatDate(a.date), a.driver_name || '-', formatNumber(a.quantity, 2),
+                    formatCurrency(a.price_per_liter), `-${formatCurrency(a.total_value)}`
+                ]),
+                total: ['Total', '', '', '', `-${formatCurrency(totals.abastecimentos)}`]
+            },
+            {
+                title: 'Outros Insumos',
+                empty: 'Nenhum insumo encontrado',
+                columns: [
+                    { header: 'Data', width: 0.15 },
+                    { header: 'Qtd', width: 0.1, align: 'right' },
+                    { header: 'Descrição', width: 0.39 },
+                    { header: 'Preço Un.', width: 0.18, align: 'right' },
+                    { header: 'Total', width: 0.18, align: 'right' }
+                ],
+                rows: extrato.outros_insumos.map(oi => [
+                    formatDate(oi.date), formatNumber(oi.quantity), oi.description || '-',
+                    formatCurrency(oi.unit_price), `-${formatCurrency(oi.total_value)}`
+                ]),
+                total: ['Total', '', '', '', `-${formatCurrency(totals.outros_insumos)}`]
+            }
+        ]
+    });
+}
+
+/**
+ * Client extrato (see Extrato.forClient)
+ * @param {Object} res - Express response
+ * @param {Object} extrato
+ */
+function sendClientExtrato(res, extrato) {
+    const { client, totals } = extrato;
+
+    sendPdf(res, {
+        filename: pdfFilename('Extrato', client),
+        title: `Extrato - ${client}`,
+        subtitle: [formatPeriod(extrato.filters)],
+        summary: [
+            { label: 'Total de Fretes', value: String(totals.freights) },
+            { label: 'Total KM', value: formatNumber(totals.km) },
+            { label: 'Total Tons', value: formatNumber(totals.tons, 2) },
+            { label: 'Valor Total', value: formatCurrency(totals.value) }
+        ],
+        sections: [
+            {
+                title: 'Fretes Realizados',
+                empty: 'Nenhum frete encontrado',
+                columns: [
+                    { header: 'Data', width: 0.13 },
+                    { header: 'Placa', width: 0.13 },
+                    { header: 'Motorista', width: 0.22 },
+                    { header: 'KM', width: 0.1, align: 'right' },
+                    { header: 'Tons', width: 0.1, align: 'right' },
+                    { header: 'Preço', width: 0.14, align: 'right' },
+                    { header: 'Valor', width: 0.18, align: 'right' }
+                ],
+                rows: extrato.freights.map(f => [
+                    formatDate(f.date), f.plate || f.driver_plate || '-', f.driver_name || '-',
+                    formatNumber(f.km), formatNumber(f.tons, 2),
+                    `R$ ${formatNumber(f.price_per_km_ton_transportadora, 6)}`,
+                    formatCurrency(f.total_value_transportadora)
+                ]),
+                total: ['Total', '', '', formatNumber(totals.km), formatNumber(totals.tons, 2), '', formatCurrency(totals.value)]
+            }
+        ]
+    });
+}
+
+module.exports = { sendDriverExtrato, sendPlateExtrato, sendClientExtrato };
@@ -0,0 +1,92 @@
+/**
+ * Cliente and abastecedor notifications
+ * Web Push only: these portals have no per-event preferences, so users
+ * choose by turning push on or off on each device. Failures are logged and
+ * never fail the request that triggered them.
+ */
+const Cliente = require('../models/cliente');
+const Driver = require('../models/driver');
+const AuditLog = require('../models/auditLog');
+const { sendPush } = require('./webPush');
+const { formatDate } = require('./driverNotifications');
+
+/**
+ * Push a message to every active cliente of a freight's client
+ * @param {Object} freight - Freight row
+ * @param {Object} message - {title, body, url}
+ */
+async function notifyFreightClientes(freight, message) {
+    if (!freight.client) return;
+    try {
+        const clientes = await Cliente.findActiveByClientName(freight.client);
+        for (const cliente of clientes) {
+            await sendPush('cliente', cliente.id, message);
+        }
+    } catch (error) {
+        console.error('Cliente notification error:', error);
+    }
+}
+
+/**
+ * Tell the clientes a freight is on its way and can be followed
+ * @param {Object} freight - Freight row
+ */
+async function notifyTrackingStarted(freight) {
+    const driver = await Driver.findById(freight.driver_id).catch(() => null);
+    return notifyFreightClientes(freight, {
+        title: 'Frete a caminho',
+        body: `${driver ? `${driver.name} iniciou` : 'Foi iniciado'} o transporte do frete de ` +
+            `${formatDate(freight.date)}${freight.plate ? ` (placa ${freight.plate})` : ''}.`,
+        url: '/cliente'
+    });
+}
+
+/**
+ * Tell the clientes a tracked freight left its load site or reached its
+ * unload site
+ * @param {Object} freight - Freight row
+ * @param {string} event - departed_origin or arrived_destination
+ * @param {Object} site - Site
+ */
+async function notifySiteEvent(freight, event, site) {
+    const plate = freight.plate ? ` (placa ${freight.plate})` : '';
+    const message = event === 'arrived_destination'
+        ? { title: 'Frete chegou ao destino', body: `O frete de ${formatDate(freight.date)}${plate} chegou a ${site.name}.` }
+        : { title: 'Frete carregado', body: `O frete de ${formatDate(freight.date)}${plate} saiu de ${site.name}.` };
+    return notifyFreightClientes(freight, { ...message, url: '/cliente' });
+}
+
+/**
+ * Tell the clientes the delivery receipt of a freight is available
+ * @param {Object} freight - Freight row
+ */
+async function notifyDeliveryReceipt(freight) {
+    return notifyFreightClientes(freight, {
+        title: 'Comprovante de descarga disponível',
+        body: `O comprovante de descarga do frete de ${formatDate(freight.date)} já pode ser consultado.`,
+        url: '/cliente'
+    });
+}
+
+/**
+ * Tell the abastecedor who registered an abastecimento that its
+ * comprovante was linked (the register is read from the audit log)
+ * @param {Object} abastecimento - Abastecimento row
+ */
+async function notifyAbastecimentoComprovante(abastecimento) {
+    try {
+        const creator = await AuditLog.findCreator('abastecimento', abastecimento.id);
+        if (!creator || creator.actor_type !== 'abastecedor') return;
+
+        await sendPush('abastecedor', creator.actor_id, {
+            title: 'Comprovante vinculado',
+            body: `O abastecimento de ${formatDate(abastecimento.date)}` +
+                `${abastecimento.plate ? ` (placa ${abastecimento.plate})` : ''} recebeu o comprovante.`,
+            url: '/abastecedor'
+        });
+    } catch (error) {
+        console.error('Abastecedor notification error:', error);
+    }
+}
+
+module.exports = { notifyTrackingStarted, notifySiteEvent, notifyDeliveryReceipt, notifyAbastecimentoComprovante };
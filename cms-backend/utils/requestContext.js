@@ -0,0 +1,30 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Who the current request acts as, readable anywhere down the call chain
+// (models record it in the audit log without every call passing it along)
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run the rest of a request as an authenticated user
+ * @param {Object} req - Express request
+ * @param {Object} actor - {type, id, name}
+ * @param {Function} next - Express next
+ */
+function runAsActor(req, actor, next) {
+    storage.run(actor, () => {
+        // multer reads multipart bodies from request events, which would
+        // otherwise fire outside this context
+        req.emit = AsyncResource.bind(req.emit.bind(req));
+        next();
+    });
+}
+
+/**
+ * The user the current request acts as
+ * @returns {Object|null} - {type, id, name}, or null outside an authenticated request
+ */
+function currentActor() {
+    return storage.getStore() || null;
+}
+
+module.exports = { runAsActor, currentActor };
@@ -0,0 +1,75 @@
+/**
+ * Arrival and departure events of tracked freights
+ * Each position a driver sends while tracking is checked against the
+ * freight's origin and destination geofences (utils/geofence.js). A truck
+ * arrives at the origin, departs from it, then arrives at the destination;
+ * each event is recorded once per freight.
+ */
+const Site = require('../models/site');
+const FreightSiteEvent = require('../models/freightSiteEvent');
+const { isInside } = require('./geofence');
+const { notifySiteEvent } = require('./portalNotifications');
+
+// Fixes vaguer than this could put a truck on the wrong side of a fence
+const MAX_FIX_ACCURACY_M = 150;
+
+// Events the cliente is told about
+const NOTIFIED_EVENTS = ['departed_origin', 'arrived_destination'];
+
+/**
+ * Record the events a new position of a tracked freight triggers
+ * @param {Object} freight - Freight row (with origin_site_id, destination_site_id)
+ * @param {Object} point - {latitude, longitude, accuracy, recorded_at}
+ * @returns {Array} - Names of the events recorded now
+ */
+async function recordSiteEvents(freight, point) {
+    if (!freight.origin_site_id && !freight.destination_site_id) return [];
+    if (point.accuracy !== null && point.accuracy > MAX_FIX_ACCURACY_M) return [];
+
+    const [origin, destination, events] = await Promise.all([
+        freight.origin_site_id ? Site.findById(freight.origin_site_id) : null,
+        freight.destination_site_id ? Site.findById(freight.destination_site_id) : null,
+        FreightSiteEvent.findByFreight(freight.id)
+    ]);
+    const happened = new Set(events.map(e => e.event));
+    const recorded = [];
+
+    const record = async (event, site) => {
+        const isNew = await FreightSiteEvent.record({
+            freight_id: freight.id,
+            site_id: site.id,
+            event,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            recorded_at: point.recorded_at
+        });
+        if (!isNew) return;
+
+        happened.add(event);
+        recorded.push(event);
+        if (NOTIFIED_EVENTS.includes(event)) {
+            await notifySiteEvent(freight, event, site);
+        }
+    };
+
+    if (origin) {
+        const atOrigin = isInside(origin, point.latitude, point.longitude);
+        if (atOrigin && !happened.has('arrived_origin')) {
+            await record('arrived_origin', origin);
+        } else if (!atOrigin && happened.has('arrived_origin') && !happened.has('departed_origin')) {
+            await record('departed_origin', origin);
+        }
+    }
+
+    // Not while still at the origin, in case both sites are the same place.
+    // Tracking started after loading never sees the origin, which is fine.
+    const loading = happened.has('arrived_origin') && !happened.has('departed_origin');
+    if (destination && !loading && !happened.has('arrived_destination') &&
+        isInside(destination, point.latitude, point.longitude)) {
+        await record('arrived_destination', destination);
+    }
+
+    return recorded;
+}
+
+module.exports = { recordSiteEvents };
@@ -0,0 +1,262 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Excel number formats per column type
+const XLSX_FORMATS = {
+    date: 'dd/mm/yyyy',
+    currency: '"R$" #,##0.00',
+    decimal: '#,##0.00',
+    // Prices per km/ton carry six decimals
+    rate: '#,##0.000000',
+    number: '#,##0'
+};
+
+const DECIMALS = { currency: 2, decimal: 2, rate: 6, number: 0 };
+
+/**
+ * Format a number the pt-BR way (decimal comma, no grouping so it re-imports cleanly)
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {string}
+ */
+function formatNumber(value, decimals) {
+    return new Intl.NumberFormat('pt-BR', {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals,
+        useGrouping: false
+    }).format(value);
+}
+
+/**
+ * Format a YYYY-MM-DD (or SQLite datetime) value as DD/MM/YYYY
+ * @param {string} value
+ * @returns {string}
+ */
+function formatDate(value) {
+    const [year, month, day] = String(value).slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+// CSV text Excel or LibreOffice would read as a formula (OWASP's CSV
+// injection list)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Prefix CSV text that would be read as a formula with an apostrophe, so a
+ * free-text field can't run code in the spreadsheet. XLSX needs no escaping:
+ * its string cells are never evaluated.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeFormula(text) {
+    return FORMULA_START.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo escapeFormula on an imported CSV field, so exports round-trip
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeFormula(text) {
+    return text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Quote a CSV field when it contains the separator, quotes or line breaks
+ * @param {string} text
+ * @returns {string}
+ */
+function csvField(text) {
+    return /[;"\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV as Excel in pt-BR expects it: ";" separated, decimal comma,
+ * DD/MM/YYYY dates and a UTF-8 BOM so accents survive
+ * @param {Array} columns - [{header, value, type}]
+ * @param {Array} rows - Model rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(c => csvField(c.header)).join(';')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => {
+            const value = column.value(row);
+            if (value === null || value === undefined || value === '') return '';
+            if (column.type === 'date') return formatDate(value);
+            if (column.type in DECIMALS) return formatNumber(value, DECIMALS[column.type]);
+            return csvField(escapeFormula(String(value)));
+        }).join(';'));
+    }
+
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Build an XLSX workbook with typed cells (real dates and numbers)
+ * @param {string} sheetName
+ * @param {Array} columns - [{header, value, type, width}]
+ * @param {Array} rows - Model rows
+ * @returns {ExcelJS.Workbook}
+ */
+function toWorkbook(sheetName, columns, rows) {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = columns.map((column, i) => ({
+        header: column.header,
+        key: String(i),
+        width: column.width || 15,
+        style: XLSX_FORMATS[column.type] ? { numFmt: XLSX_FORMATS[column.type] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true };
+
+    for (const row of rows) {
+        sheet.addRow(columns.map(column => {
+            const value = column.value(row);
+            if (value === null || value === undefined || value === '') return null;
+            if (column.type === 'date') {
+                const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+                return new Date(Date.UTC(year, month - 1, day));
+            }
+            return value;
+        }));
+    }
+
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    return workbook;
+}
+
+/**
+ * Send a list as a CSV or XLSX download
+ * @param {Object} res - Express response
+ * @param {string} format - csv or xlsx
+ * @param {Object} sheet - {filename (without extension), sheetName, columns, rows}
+ *   columns: [{header, value(row), type: text|date|currency|decimal|rate|number, width}]
+ */
+async function sendSpreadsheet(res, format, sheet) {
+    const filename = `${sheet.filename}_${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.send(toCsv(sheet.columns, sheet.rows));
+        return;
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = toWorkbook(sheet.sheetName, sheet.columns, sheet.rows);
+    await workbook.xlsx.write(res);
+    res.end();
+}
+
+/**
+ * Split CSV text into rows of fields. The separator (";" or ",") is taken
+ * from the header line; quoted fields may contain separators and line breaks.
+ * @param {string} text
+ * @returns {Array} - Array of string arrays
+ */
+function parseCsv(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const separator = firstLine.split(';').length >= firstLine.split(',').length ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Plain value of an exceljs cell (formulas give their result, rich text its text)
+ * @param {*} value - cell.value
+ * @returns {*} - string, number, Date or null
+ */
+function cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date || typeof value !== 'object') return value;
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return null;
+}
+
+/**
+ * Read the first sheet of an uploaded CSV or XLSX file
+ * @param {Buffer} buffer - File contents
+ * @param {string} format - csv or xlsx
+ * @returns {Object} - {headers, rows: [{row, values}]} where row is the
+ *   spreadsheet line number and values are keyed by header; blank lines are skipped
+ */
+async function readSpreadsheet(buffer, format) {
+    let lines;
+
+    if (format === 'csv') {
+        lines = parseCsv(buffer.toString('utf8')).map((fields, i) => ({ row: i + 1, cells: fields.map(unescapeFormula) }));
+    } else {
+        const workbook = new ExcelJS.Workbook();
+        await workbook.xlsx.load(buffer);
+        const sheet = workbook.worksheets[0];
+        lines = [];
+        if (sheet) {
+            sheet.eachRow((sheetRow, rowNumber) => {
+                const cells = [];
+                for (let col = 1; col <= sheet.columnCount; col++) {
+                    cells.push(cellValue(sheetRow.getCell(col).value));
+                }
+                lines.push({ row: rowNumber, cells });
+            });
+        }
+    }
+
+    if (lines.length === 0) {
+        return { headers: [], rows: [] };
+    }
+
+    const headers = lines[0].cells.map(header => String(header ?? '').trim());
+    const rows = lines.slice(1)
+        .filter(line => line.cells.some(cell => cell !== null && String(cell).trim() !== ''))
+        .map(line => ({
+            row: line.row,
+            values: Object.fromEntries(headers.map((header, i) => [header, line.cells[i] ?? null]))
+        }));
+
+    return { headers, rows };
+}
+
+module.exports = { EXPORT_FORMATS, sendSpreadsheet, readSpreadsheet };
@@ -1,6 +1,7 @@
 /**
  * Twilio Verification Service
- * Handles SMS and WhatsApp verification for password reset
+ * Twilio calls behind the twilio-whatsapp and twilio-verify providers in
+ * utils/notifications.js; routes go through that module
  */
 
 // Twilio client is initialized lazily to ensure env vars are loaded
@@ -32,19 +33,6 @@ function getVerifyServiceSid() {
     return process.env.TWILIO_SERVICE_ID;
 }
 
-// In-memory storage for WhatsApp verification codes (with 5-minute expiration)
-const whatsappVerificationCodes = new Map();
-
-// Clean up expired codes every minute
-setInterval(() => {
-    const now = Date.now();
-    for (const [phone, data] of whatsappVerificationCodes.entries()) {
-        if (data.expires < now) {
-            whatsappVerificationCodes.delete(phone);
-        }
-    }
-}, 60000);
-
 /**
  * Format phone number for WhatsApp
  * @param {string} phoneNumber - Phone number
@@ -58,44 +46,6 @@ function formatToWhatsApp(phoneNumber) {
     return 'whatsapp:+' + cleanPhone;
 }
 
-/**
- * Send verification code via SMS using Twilio Verify
- * Uses SMS channel for verification
- * @param {string} phoneNumber - Phone number (e.g., 69992042544)
- * @returns {Promise<object>} - Result
- */
-async function sendWhatsAppVerificationCode(phoneNumber) {
-    try {
-        // Format phone number with country code
-        let cleanPhone = phoneNumber.replace(/\D/g, '');
-        if (!cleanPhone.startsWith('55')) {
-            cleanPhone = '55' + cleanPhone;
-        }
-        const formattedPhone = '+' + cleanPhone;
-
-        console.log(`Sending SMS verification to: ${formattedPhone}`);
-
-        const serviceSid = getVerifyServiceSid();
-        if (!serviceSid) {
-            throw new Error('TWILIO_SERVICE_ID not configured');
-        }
-
-        // Use Twilio Verify API with SMS channel
-        const verification = await getTwilioClient().verify.v2
-            .services(serviceSid)
-            .verifications
-            .create({ to: formattedPhone, channel: 'sms' });
-
-        console.log(`SMS verification sent: ${verification.sid}, status: ${verification.status}`);
-        return { success: true, sid: verification.sid, channel: 'sms', status: verification.status };
-    } catch (error) {
-        console.error('Verification send error:', error);
-        throw error;
-    }
-}
-
-
-
 /**
  * Fallback: Send verification code via SMS
  */
@@ -122,76 +72,6 @@ async function sendVerificationCodeSMS(phoneNumber) {
     }
 }
 
-/**
- * Verify code entered by user
- * First checks in-memory codes (for WhatsApp), then falls back to Twilio Verify (for SMS)
- * @param {string} phoneNumber - Phone number
- * @param {string} code - 6-digit verification code
- * @returns {Promise<object>} - Verification result
- */
-async function verifyWhatsAppCode(phoneNumber, code) {
-    try {
-        // Format phone number with country code
-        let formattedPhone = phoneNumber.replace(/\D/g, '');
-        if (!formattedPhone.startsWith('55')) {
-            formattedPhone = '55' + formattedPhone;
-        }
-        formattedPhone = '+' + formattedPhone;
-
-        console.log(`Verifying code for: ${formattedPhone}`);
-
-        // First, check in-memory codes (used for WhatsApp template messages)
-        const storedData = whatsappVerificationCodes.get(formattedPhone);
-
-        if (storedData) {
-            console.log('Found in-memory verification code (WhatsApp)');
-
-            if (storedData.expires < Date.now()) {
-                console.log('Code expired');
-                whatsappVerificationCodes.delete(formattedPhone);
-                return { valid: false, status: 'expired' };
-            }
-
-            if (storedData.code === code) {
-                console.log('Code verified successfully (WhatsApp)');
-                whatsappVerificationCodes.delete(formattedPhone);
-                return { valid: true, status: 'approved' };
-            } else {
-                console.log('Invalid code');
-                return { valid: false, status: 'invalid' };
-            }
-        }
-
-        // Fallback: Check with Twilio Verify API (used for SMS)
-        console.log('Checking with Twilio Verify API (SMS)');
-
-        const verificationCheck = await getTwilioClient().verify.v2
-            .services(getVerifyServiceSid())
-            .verificationChecks
-            .create({ to: formattedPhone, code: code });
-
-        console.log(`Verification check: ${verificationCheck.status}`);
-
-        return {
-            valid: verificationCheck.status === 'approved',
-            status: verificationCheck.status
-        };
-    } catch (error) {
-        console.error('Verify code error:', error);
-
-        // If code is wrong or expired, Twilio throws an error
-        if (error.code === 20404) {
-            return { valid: false, status: 'not_found' };
-        }
-        if (error.code === 60202) {
-            return { valid: false, status: 'max_attempts_reached' };
-        }
-
-        throw error;
-    }
-}
-
-
 /**
  * Send verification code via SMS (legacy)
  * @param {string} phoneNumber - Phone number (e.g., 69992042544)
@@ -253,6 +133,36 @@ async function verifyCode(phoneNumber, code) {
         if (error.code === 20404) {
             return { valid: false, status: 'not_found' };
         }
+        if (error.code === 60202) {
+            return { valid: false, status: 'max_attempts_reached' };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Send a free-text WhatsApp message (e.g. a set-password link)
+ * @param {string} phoneNumber - Phone number (e.g., 69992042544)
+ * @param {string} body - Message text
+ * @returns {Promise<object>} - Result
+ */
+async function sendWhatsAppMessage(phoneNumber, body) {
+    try {
+        const from = getWhatsAppFrom();
+        if (!from) {
+            throw new Error('TWILIO_WHATSAPP_FROM not configured');
+        }
+
+        const message = await getTwilioClient().messages.create({
+            from: from.startsWith('whatsapp:') ? from : 'whatsapp:' + from,
+            to: formatToWhatsApp(phoneNumber),
+            body
+        });
+
+        console.log(`WhatsApp message sent: ${message.sid}, status: ${message.status}`);
+        return { success: true, sid: message.sid, channel: 'whatsapp', status: message.status };
+    } catch (error) {
+        console.error('WhatsApp send error:', error);
         throw error;
     }
 }
@@ -260,6 +170,5 @@ async function verifyCode(phoneNumber, code) {
 module.exports = {
     sendVerificationCode,
     verifyCode,
-    sendWhatsAppVerificationCode,
-    verifyWhatsAppCode
+    sendWhatsAppMessage
 };
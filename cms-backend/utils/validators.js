@@ -89,10 +89,42 @@ function isValidCPF(cpf) {
     return true;
 }
 
+/**
+ * Validates a new admin password: at least 8 characters and not the
+ * seeded default (admin123)
+ * @param {string} password - The password to validate
+ * @returns {boolean} - True if acceptable
+ */
+function isValidAdminPassword(password) {
+    return typeof password === 'string' && password.length >= 8 && password !== 'admin123';
+}
+
+/**
+ * Validates a driver, abastecedor or cliente password (sign-up, code reset or
+ * set-password link): at least 8 characters with letters and digits, and no
+ * run of 4+ CPF digits in it
+ * @param {string} password - The password to validate
+ * @param {string} cpf - The user's CPF (digits)
+ * @returns {boolean} - True if acceptable
+ */
+function isValidUserPassword(password, cpf) {
+    if (typeof password !== 'string' || password.length < 8) return false;
+    if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) return false;
+
+    const cpfDigits = String(cpf || '').replace(/\D/g, '');
+    for (let i = 0; i + 4 <= cpfDigits.length; i++) {
+        if (password.includes(cpfDigits.substring(i, i + 4))) return false;
+    }
+
+    return true;
+}
+
 module.exports = {
     isValidPlate,
     normalizePlate,
     isValidDate,
     isPositiveNumber,
-    isValidCPF
+    isValidCPF,
+    isValidAdminPassword,
+    isValidUserPassword
 };
@@ -0,0 +1,76 @@
+/**
+ * Web Push
+ * Sends notifications to the installed PWAs through the browsers' push
+ * services. Needs a VAPID key pair (generate one with
+ * `npx web-push generate-vapid-keys`):
+ *   VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY - the key pair
+ *   VAPID_SUBJECT                       - mailto: or https: contact (optional)
+ * Without the keys push is disabled and sendPush does nothing.
+ */
+const webpush = require('web-push');
+const PushSubscription = require('../models/pushSubscription');
+
+let configured = null;
+
+/**
+ * Configure web-push from the environment once
+ * @returns {boolean} - True if push is enabled
+ */
+function isEnabled() {
+    if (configured === null) {
+        const publicKey = process.env.VAPID_PUBLIC_KEY;
+        const privateKey = process.env.VAPID_PRIVATE_KEY;
+        configured = !!(publicKey && privateKey);
+        if (configured) {
+            webpush.setVapidDetails(
+                process.env.VAPID_SUBJECT || 'mailto:contato@excava.com.br',
+                publicKey,
+                privateKey
+            );
+        }
+    }
+    return configured;
+}
+
+/**
+ * VAPID public key the browsers subscribe with
+ * @returns {string|null} - null when push is disabled
+ */
+function publicKey() {
+    return isEnabled() ? process.env.VAPID_PUBLIC_KEY : null;
+}
+
+/**
+ * Send a notification to every device a user subscribed.
+ * Subscriptions the push service reports as gone are removed.
+ * @param {string} userType - driver, abastecedor or cliente
+ * @param {number} userId - User ID
+ * @param {Object} payload - {title, body, url}; url is opened on click
+ * @returns {number} - Devices the notification was delivered to
+ */
+async function sendPush(userType, userId, payload) {
+    if (!isEnabled()) return 0;
+
+    const subscriptions = await PushSubscription.findByUser(userType, userId);
+    let delivered = 0;
+
+    for (const subscription of subscriptions) {
+        try {
+            await webpush.sendNotification({
+                endpoint: subscription.endpoint,
+                keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+            }, JSON.stringify(payload), { TTL: 24 * 60 * 60 });
+            delivered++;
+        } catch (error) {
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                await PushSubscription.removeById(subscription.id);
+            } else {
+                console.error('Web push error:', error.statusCode || '', error.body || error.message);
+            }
+        }
+    }
+
+    return delivered;
+}
+
+module.exports = { isEnabled, publicKey, sendPush };